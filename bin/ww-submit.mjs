@@ -6,6 +6,20 @@
  *   ww-submit url https://example.com --timeout 60000 --post-wait 5000 --screenshot --html
  *   ww-submit url http://host/app --actions actions.json --extract extract.json --console --network
  *   ww-submit html ./page.html --wait-until networkidle2
+ *   ww-submit url https://example.com/pricing --text "#pricing"
+ *   ww-submit url https://example.com --devices "iPhone 13,Pixel 5,desktop"
+ *   ww-submit url https://m.example.com --preset mobile-slow --config /srv/ww-mobile/webwatcher.config.json
+ *   ww-submit html ./report.html --pdf --pdf-format Letter --landscape --no-screenshot
+ *   ww-submit url http://host/app --actions flow.json --on-action-error continue --snapshot-on-failure
+ *   ww-submit crawl https://docs.example.com/ --max-depth 3 --max-pages 200 --exclude "https://docs.example.com/api/*" --sitemap
+ *   ww-submit url https://example.com --compare home --threshold 0.001 --mask ".ad" --ignore-region 0,0,1280,80
+ *   ww-submit accept <JOB_ID> --files screenshot.png
+ *   ww-submit url http://host/app --actions flow.json --progress
+ *   ww-submit submit ./request.json --no-wait
+ *   ww-submit list --state error --since 2h
+ *   ww-submit status <JOB_ID> | wait <JOB_ID> | cancel <JOB_ID> | retry <JOB_ID> | show <JOB_ID>
+ *
+ * Ctrl-C cancels the submitted job before exiting (`wait` only stops waiting).
  */
 
 import fs from 'fs/promises';
@@ -13,8 +27,41 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Talk to the same folders as the watcher: its config file (--config FILE, WEBWATCHER_CONFIG or
+// ./webwatcher.config.json) and WEBWATCHER_REQUESTS_DIR / WEBWATCHER_RESPONSES_DIR, which
+// the client reads.
+const { loadConfig, spliceConfigArgs } = await import(path.resolve(__dirname, '../src/config.js'));
+try {
+  const { config } = loadConfig({ argv: spliceConfigArgs(process.argv) });
+  process.env.WEBWATCHER_REQUESTS_DIR = config.requestsDir;
+  process.env.WEBWATCHER_RESPONSES_DIR = config.responsesDir;
+} catch (err) {
+  console.error(err.message);
+  for (const e of err.errors || []) console.error(`  - ${e}`);
+  process.exit(2);
+}
+
 const clientPath = path.resolve(__dirname, '../client/codex-webviz-client.js');
-const { renderURL, renderHTML } = await import(clientPath);
+const {
+  renderURL, renderHTML, crawl, acceptBaseline, submit, attach, cancel, pin, getJobState, inspectJob, listJobs, buildRenderRequest,
+} = await import(clientPath);
+
+const USAGE = `Usage:
+  ww-submit url <URL> [flags]           render a URL
+  ww-submit html <FILE> [flags]         render an HTML file
+  ww-submit crawl <URL> [flags]         crawl a site, rendering every page
+  ww-submit submit <REQUEST.json>       submit a raw request file
+  ww-submit accept <JOB_ID> [--baseline NAME] [--files a.png,b.png]
+  ww-submit status <JOB_ID>             current state of a job
+  ww-submit list [--state ok,error] [--op OP] [--url TEXT] [--since 2h|ISO] [--limit N]
+  ww-submit wait <JOB_ID>               wait for a job; exits 1 unless it ends ok
+  ww-submit cancel <JOB_ID>             cancel a queued or running job
+  ww-submit retry <JOB_ID>              resubmit a job's stored request under a new id
+  ww-submit show <JOB_ID>               meta, extract results and artifact list
+  ww-submit pin <JOB_ID> | unpin <JOB_ID>   keep a job from retention cleanup (or release it)
+url, html, crawl, submit, retry and accept take --no-wait (print the id and exit) and --progress.
+url, html and crawl take --preset NAME (a preset from the watcher's config).
+status, list, wait and show take --json. Every command takes --config FILE (the watcher's config file).`;
 
 function parseFlags(argv) {
   /** @type {Record<string, any>} */
@@ -29,15 +76,72 @@ function parseFlags(argv) {
     else if (a === '--no-screenshot') flags.screenshot = false;
     else if (a === '--html') flags.htmlOutput = true;
     else if (a === '--no-html') flags.htmlOutput = false;
+    else if (a === '--text') {
+      // Optional value: a CSS selector; otherwise the whole page.
+      const next = argv[i + 1];
+      flags.textOutput = next && !next.startsWith('--') ? argv[++i] : true;
+    }
+    else if (a === '--pdf') flags.pdf = true;
+    else if (a === '--pdf-format') flags.pdfFormat = argv[++i];
+    else if (a === '--pdf-margin') flags.pdfMargin = argv[++i];
+    else if (a === '--landscape') flags.pdfLandscape = true;
+    else if (a === '--pdf-ranges') flags.pdfRanges = argv[++i];
+    else if (a === '--pdf-options') flags.pdfOptionsFile = argv[++i];
     else if (a === '--actions') flags.actionsFile = argv[++i];
+    else if (a === '--sequences') flags.sequencesFile = argv[++i];
     else if (a === '--extract') flags.extractFile = argv[++i];
     else if (a === '--console') flags.captureConsole = true;
     else if (a === '--network') flags.captureNetwork = true;
+    else if (a === '--perf') flags.capturePerformance = flags.capturePerformance || true;
+    else if (a === '--trace') flags.capturePerformance = { trace: true };
     else if (a === '--steps') flags.screenshotOnEachAction = true;
+    else if (a === '--on-action-error') flags.onActionError = argv[++i];
+    else if (a === '--snapshot-on-failure') flags.snapshotOnFailure = true;
+    else if (a === '--video') flags.recordVideo = flags.recordVideo || true;
+    else if (a === '--video-format') flags.recordVideo = { encode: argv[++i] === 'none' ? false : argv[i] };
     else if (a === '--session') flags.sessionId = argv[++i];
     else if (a === '--ua') flags.userAgent = argv[++i];
     else if (a === '--headers') flags.headersFile = argv[++i];
     else if (a === '--client-timeout') flags.clientTimeoutMs = Number(argv[++i]);
+    else if (a === '--progress') flags.progress = true;
+    else if (a === '--no-wait') flags.noWait = true;
+    else if (a === '--json') flags.json = true;
+    else if (a === '--state') flags.state = String(argv[++i]).split(',').map((x) => x.trim()).filter(Boolean);
+    else if (a === '--op') flags.op = argv[++i];
+    else if (a === '--url') flags.urlFilter = argv[++i];
+    else if (a === '--since') flags.since = argv[++i];
+    else if (a === '--limit') flags.limit = Number(argv[++i]);
+    else if (a === '--priority') flags.priority = Number(argv[++i]);
+    else if (a === '--pin') flags.pin = true;
+    else if (a === '--preset') flags.preset = argv[++i];
+    else if (a === '--devices') flags.devicesArg = argv[++i];
+    else if (a === '--max-depth') flags.crawl = { ...flags.crawl, maxDepth: Number(argv[++i]) };
+    else if (a === '--max-pages') flags.crawl = { ...flags.crawl, maxPages: Number(argv[++i]) };
+    else if (a === '--include') flags.crawl = { ...flags.crawl, include: [...(flags.crawl?.include || []), argv[++i]] };
+    else if (a === '--exclude') flags.crawl = { ...flags.crawl, exclude: [...(flags.crawl?.exclude || []), argv[++i]] };
+    else if (a === '--any-origin') flags.crawl = { ...flags.crawl, sameOrigin: false };
+    else if (a === '--sitemap') {
+      // Optional value: a sitemap URL; otherwise <origin>/sitemap.xml.
+      const next = argv[i + 1];
+      flags.crawl = { ...flags.crawl, sitemap: next && /^https?:\/\//i.test(next) ? argv[++i] : true };
+    } else if (a === '--ignore-query') flags.crawl = { ...flags.crawl, ignoreQuery: true };
+    else if (a === '--crawl-delay') flags.crawl = { ...flags.crawl, delayMs: Number(argv[++i]) };
+    else if (a === '--compare') flags.compare = { ...flags.compare, baseline: argv[++i] };
+    else if (a === '--threshold') flags.compare = { ...flags.compare, threshold: Number(argv[++i]) };
+    else if (a === '--tolerance') flags.compare = { ...flags.compare, tolerance: Number(argv[++i]) };
+    else if (a === '--mask') flags.compare = { ...flags.compare, mask: [...(flags.compare?.mask || []), argv[++i]] };
+    else if (a === '--ignore-region') {
+      const [x, y, width, height] = String(argv[++i]).split(',').map(Number);
+      flags.compare = { ...flags.compare, ignoreRegions: [...(flags.compare?.ignoreRegions || []), { x, y, width, height }] };
+    }
+    else if (a === '--update-baseline') {
+      // Bare --update-baseline rewrites every baseline.
+      const next = argv[i + 1];
+      flags.compare = { ...flags.compare, update: next && !next.startsWith('--') ? argv[++i] : 'all' };
+    }
+    else if (a === '--no-fail-on-mismatch') flags.compare = { ...flags.compare, failOnMismatch: false };
+    else if (a === '--baseline') flags.baseline = argv[++i];
+    else if (a === '--files') flags.files = String(argv[++i]).split(',').map((f) => f.trim()).filter(Boolean);
     else if (a === '--viewport') {
       const [w, h, d = '1'] = String(argv[++i]).split('x');
       flags.viewport = { width: Number(w), height: Number(h), deviceScaleFactor: Number(d) };
@@ -52,43 +156,337 @@ async function loadJSONMaybe(p) {
   return JSON.parse(await fs.readFile(abs, 'utf8'));
 }
 
+/**
+ * Build the `pdf` option: any --pdf-* flag implies --pdf; flags override the options file.
+ * @param {Record<string, any>} flags
+ */
+async function pdfOptions(flags) {
+  const fromFile = await loadJSONMaybe(flags.pdfOptionsFile);
+  const wanted = flags.pdf || fromFile || flags.pdfFormat || flags.pdfMargin || flags.pdfLandscape || flags.pdfRanges;
+  if (!wanted) return undefined;
+  /** @type {Record<string, any>} */
+  const pdf = { ...(fromFile || {}) };
+  if (flags.pdfFormat) pdf.format = flags.pdfFormat;
+  if (flags.pdfMargin) {
+    const m = flags.pdfMargin;
+    pdf.margin = { top: m, right: m, bottom: m, left: m };
+  }
+  if (flags.pdfLandscape) pdf.landscape = true;
+  if (flags.pdfRanges) pdf.pageRanges = flags.pdfRanges;
+  return Object.keys(pdf).length > 0 ? pdf : true;
+}
+
+/**
+ * One-line description of a job state, e.g. "running: step 2/5 click".
+ * @param {{ state:string, phase?:string, step?:number, total?:number, type?:string, device?:string, page?:number }} s
+ */
+function describeState(s) {
+  if (s.state !== 'running' || !s.phase) return s.state;
+  const where = `${s.page ? ` page ${s.page}` : ''}${s.device ? ` [${s.device}]` : ''}`;
+  const what = s.phase === 'action' ? `step ${s.step}/${s.total} ${s.type}` : s.phase;
+  return `running:${where} ${what}`;
+}
+
+/**
+ * Print a job state change to stderr (stdout carries the JSON result).
+ * @param {{ id:string, state:string, phase?:string, step?:number, total?:number, type?:string, device?:string, page?:number }} s
+ */
+function printProgress(s) {
+  console.error(`[${s.state}] ${s.id}${describeState(s).slice(s.state.length)}`);
+}
+
+/** @param {number|undefined} n */
+function formatBytes(n) {
+  if (n === undefined) return '';
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/** @param {number|undefined} ms */
+function formatDuration(ms) {
+  if (ms === undefined) return '';
+  return ms < 1000 ? `${ms}ms` : ms < 60000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.floor(ms / 60000)}m${Math.round((ms % 60000) / 1000)}s`;
+}
+
+/** @param {string|undefined} iso */
+function formatTime(iso) {
+  return iso ? iso.replace('T', ' ').slice(0, 19) : '';
+}
+
+/**
+ * --since: a duration back from now (30s, 15m, 2h, 7d) or a date.
+ * @param {string} value
+ * @returns {number} Epoch ms.
+ */
+function parseSince(value) {
+  const m = /^(\d+)(s|m|h|d)$/.exec(value);
+  if (m) return Date.now() - Number(m[1]) * { s: 1000, m: 60000, h: 3600000, d: 86400000 }[m[2]];
+  const t = Date.parse(value);
+  if (Number.isNaN(t)) { console.error(`--since: expected e.g. 30m, 2h, 7d or a date, got ${value}`); process.exit(2); }
+  return t;
+}
+
+/**
+ * Print `Label  value` lines, skipping empty values.
+ * @param {Array<[string, any]>} rows
+ */
+function printFields(rows) {
+  const shown = rows.filter(([, v]) => v !== undefined && v !== '');
+  const width = Math.max(...shown.map(([k]) => k.length));
+  for (const [k, v] of shown) console.log(`${k.padEnd(width)}  ${v}`);
+}
+
+/**
+ * Inspect a job, exiting with an error when nothing is known about it.
+ * @param {string} id
+ */
+async function requireJob(id) {
+  const job = await inspectJob(id);
+  if (job.state === 'unknown' && !job.meta && !job.request) {
+    console.error(`No job ${id} in requests/ or responses/`);
+    process.exit(1);
+  }
+  return job;
+}
+
+/** @param {Awaited<ReturnType<typeof inspectJob>>} job */
+function printStatus(job) {
+  const meta = job.meta || {};
+  printFields([
+    ['ID', job.id],
+    ['State', describeState(job)],
+    ['Op', meta.op || job.request?.op],
+    ['URL', meta.url || job.request?.url],
+    ['Started', formatTime(meta.startedAt)],
+    ['Finished', formatTime(meta.finishedAt)],
+    ['Duration', formatDuration(meta.durationMs)],
+    ['Attempt', meta.attempt],
+    ['Pinned', job.pinned ? 'yes' : undefined],
+    ['HTTP status', meta.httpStatus],
+    ['Failed step', meta.failedStep],
+    ['Error', meta.errorMessage || job.done?.error],
+    ['Output', path.relative(process.cwd(), job.dir)],
+  ]);
+}
+
+/**
+ * After submitting: print the id and exit (--no-wait), or wait and print the
+ * outcome with the manifest. Exits 1 unless the job ends ok.
+ * @param {{ id:string, wait:() => Promise<any> }} job
+ * @param {Record<string, any>} flags
+ */
+async function finishSubmitted(job, flags) {
+  if (flags.noWait) {
+    console.log(JSON.stringify({ id: job.id }, null, 2));
+    // The handle keeps following the job; we are done with it.
+    process.exit(0);
+  }
+  const done = await job.wait();
+  const { manifest } = await inspectJob(job.id);
+  console.log(JSON.stringify({ id: job.id, done, manifest }, null, 2));
+  if (done.status !== 'ok') process.exitCode = 1;
+}
+
+/**
+ * status / list / wait / cancel / show / pin / unpin: commands on jobs that already exist.
+ * @param {string} cmd
+ * @param {string|undefined} id
+ * @param {Record<string, any>} flags
+ */
+async function jobCommand(cmd, id, flags) {
+  if (cmd === 'list') {
+    const jobs = await listJobs({
+      state: flags.state,
+      op: flags.op,
+      url: flags.urlFilter,
+      since: flags.since ? parseSince(flags.since) : undefined,
+      limit: flags.limit ?? 50,
+    });
+    if (flags.json) return void console.log(JSON.stringify(jobs, null, 2));
+    if (jobs.length === 0) return void console.log('No jobs.');
+    const rows = jobs.map((j) => [
+      j.id,
+      `${describeState(j)}${j.pinned ? ' (pinned)' : ''}`,
+      j.op || '',
+      formatTime(j.startedAt || j.submittedAt),
+      formatDuration(j.durationMs),
+      j.error ? `! ${j.error}` : j.url || '',
+    ]);
+    const head = ['ID', 'STATE', 'OP', 'STARTED (UTC)', 'TIME', 'URL / ERROR'];
+    const widths = head.slice(0, -1).map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+    for (const r of [head, ...rows]) {
+      console.log(r.map((c, i) => (i < widths.length ? c.padEnd(widths[i]) : c.length > 100 ? `${c.slice(0, 99)}…` : c)).join('  '));
+    }
+    return;
+  }
+
+  if (!id) { console.error('Missing <JOB_ID>'); process.exit(2); }
+
+  if (cmd === 'status') {
+    const job = await requireJob(id);
+    if (flags.json) return void console.log(JSON.stringify({ ...job, request: undefined, manifest: undefined }, null, 2));
+    return printStatus(job);
+  }
+
+  if (cmd === 'wait') {
+    await requireJob(id);
+    // No signal: Ctrl-C stops waiting but leaves the job alone.
+    const done = await attach(id, { onProgress: flags.progress ? printProgress : undefined, clientTimeoutMs: flags.clientTimeoutMs }).wait();
+    if (flags.json) console.log(JSON.stringify({ id, done }, null, 2));
+    else console.log(`${id} ${done.status}${done.error ? `: ${done.error}` : ''}`);
+    if (done.status !== 'ok') process.exitCode = 1;
+    return;
+  }
+
+  if (cmd === 'cancel') {
+    const state = await getJobState(id);
+    if (state.done) { console.error(`Job ${id} already finished (${state.state})`); process.exit(1); }
+    if (state.state === 'unknown') { console.error(`No job ${id} in requests/ or responses/`); process.exit(1); }
+    await cancel(id);
+    if (flags.noWait) return void console.log(`Cancel requested for ${id}`);
+    const done = await attach(id, { clientTimeoutMs: flags.clientTimeoutMs ?? 30000 }).wait();
+    // The job may have finished on its own before the watcher saw the cancel.
+    console.log(`${id} ${done.status}`);
+    return;
+  }
+
+  if (cmd === 'pin' || cmd === 'unpin') {
+    await pin(id, cmd === 'pin');
+    console.log(`${cmd === 'pin' ? 'Pinned' : 'Unpinned'} ${id}`);
+    return;
+  }
+
+  if (cmd === 'show') {
+    const job = await requireJob(id);
+    const files = job.manifest?.files || [];
+    const extracts = [];
+    for (const f of files.filter((x) => x.kind === 'extract')) {
+      const data = JSON.parse(await fs.readFile(path.join(job.dir, f.path), 'utf8'));
+      extracts.push({ path: f.path, device: f.device, page: f.page, data });
+    }
+    if (flags.json) return void console.log(JSON.stringify({ ...job, extract: extracts }, null, 2));
+    printStatus(job);
+    if (job.meta) {
+      console.log('\nMeta:');
+      console.log(JSON.stringify(job.meta, null, 2));
+    }
+    for (const e of extracts) {
+      console.log(`\nExtract (${e.path}):`);
+      console.log(JSON.stringify(e.data, null, 2));
+    }
+    if (!job.manifest) {
+      console.log(`\nNo manifest.json yet (${job.state}).`);
+      return;
+    }
+    console.log(`\nArtifacts (${files.length} files, ${formatBytes(job.manifest.totalBytes)}${job.manifest.truncated ? ', list truncated' : ''}):`);
+    const kindWidth = Math.max(0, ...files.map((f) => f.kind.length));
+    for (const f of files) console.log(`  ${f.kind.padEnd(kindWidth)}  ${formatBytes(f.size).padStart(9)}  ${f.path}`);
+  }
+}
+
 async function main() {
   const [,, cmd, arg1, ...restArgs] = process.argv;
-  if (!cmd || (cmd !== 'url' && cmd !== 'html')) {
-    console.error('Usage: ww-submit url <URL> [flags] | ww-submit html <FILE> [flags]');
+  const commands = ['url', 'html', 'crawl', 'submit', 'accept', 'status', 'list', 'wait', 'cancel', 'retry', 'show', 'pin', 'unpin'];
+  if (!cmd || !commands.includes(cmd)) {
+    console.error(USAGE);
     process.exit(2);
   }
-  const { flags } = parseFlags(restArgs);
+  // `list` has no positional argument; its first token is already a flag.
+  const { flags } = parseFlags(cmd === 'list' && arg1 !== undefined ? [arg1, ...restArgs] : restArgs);
+  if (['status', 'list', 'wait', 'cancel', 'show', 'pin', 'unpin'].includes(cmd)) return jobCommand(cmd, arg1, flags);
+
+  // Ctrl-C cancels the job in the watcher instead of leaving it running.
+  const abort = new AbortController();
+  process.once('SIGINT', () => abort.abort(new Error('Interrupted; job cancelled')));
+  const follow = { signal: abort.signal, onProgress: flags.progress ? printProgress : undefined, clientTimeoutMs: flags.clientTimeoutMs };
+
+  if (cmd === 'submit') {
+    if (!arg1) { console.error('Missing <REQUEST.json>'); process.exit(2); }
+    const request = await loadJSONMaybe(arg1);
+    return finishSubmitted(await submit(request, follow), flags);
+  }
+  if (cmd === 'retry') {
+    if (!arg1) { console.error('Missing <JOB_ID>'); process.exit(2); }
+    const { request } = await requireJob(arg1);
+    if (!request) { console.error(`No stored request for job ${arg1} (responses/${arg1}/request.json)`); process.exit(1); }
+    const { id: _previous, ...resubmitted } = request;
+    const job = await submit(resubmitted, follow);
+    console.error(`Resubmitted ${arg1} as ${job.id}`);
+    return finishSubmitted(job, flags);
+  }
+  if (cmd === 'accept') {
+    if (!arg1) { console.error('Missing <JOB_ID>'); process.exit(2); }
+    if (flags.noWait) {
+      return finishSubmitted(await submit({ op: 'baseline_accept', jobId: arg1, baseline: flags.baseline, files: flags.files }), flags);
+    }
+    const res = await acceptBaseline(arg1, { baseline: flags.baseline, files: flags.files, clientTimeoutMs: flags.clientTimeoutMs, signal: abort.signal });
+    console.log(JSON.stringify(res, null, 2));
+    return;
+  }
+  if (flags.compare && !flags.compare.baseline) { console.error('--threshold, --mask, --ignore-region and --update-baseline need --compare <BASELINE>'); process.exit(2); }
   const actions = await loadJSONMaybe(flags.actionsFile);
+  const sequences = await loadJSONMaybe(flags.sequencesFile);
   const extract = await loadJSONMaybe(flags.extractFile);
   const extraHeaders = await loadJSONMaybe(flags.headersFile);
+  const pdf = await pdfOptions(flags);
+  // --devices takes a comma-separated preset list or a JSON file of profiles.
+  const devices = flags.devicesArg && flags.devicesArg.endsWith('.json')
+    ? await loadJSONMaybe(flags.devicesArg)
+    : flags.devicesArg?.split(',').map((d) => d.trim()).filter(Boolean);
 
   const opts = {
+    preset: flags.preset,
     timeoutMs: flags.timeoutMs,
     postWaitMs: flags.postWaitMs,
     waitUntil: flags.waitUntil,
     screenshot: flags.screenshot,
     htmlOutput: flags.htmlOutput,
+    textOutput: flags.textOutput,
+    pdf,
     actions: actions,
+    sequences,
     extract: extract,
     captureConsole: flags.captureConsole,
     captureNetwork: flags.captureNetwork,
+    capturePerformance: flags.capturePerformance,
     screenshotOnEachAction: flags.screenshotOnEachAction,
+    onActionError: flags.onActionError,
+    snapshotOnFailure: flags.snapshotOnFailure,
+    recordVideo: flags.recordVideo,
     sessionId: flags.sessionId,
     userAgent: flags.userAgent,
     extraHeaders,
-    clientTimeoutMs: flags.clientTimeoutMs,
+    ...follow,
     viewport: flags.viewport,
+    devices,
+    priority: flags.priority,
+    pin: flags.pin,
   };
 
+  if (!arg1) { console.error(cmd === 'html' ? 'Missing <FILE>' : 'Missing <URL>'); process.exit(2); }
+  if (flags.noWait) {
+    const fields = cmd === 'html'
+      ? { html: await fs.readFile(path.resolve(process.cwd(), arg1), 'utf8') }
+      : cmd === 'crawl' ? { url: arg1, crawl: flags.crawl } : { url: arg1 };
+    const op = { url: 'render_url', html: 'render_html', crawl: 'crawl' }[cmd];
+    return finishSubmitted(await submit(buildRenderRequest(op, fields, { ...opts, compare: cmd === 'crawl' ? undefined : flags.compare })), flags);
+  }
+
   let res;
   if (cmd === 'url') {
-    if (!arg1) { console.error('Missing <URL>'); process.exit(2); }
-    res = await renderURL(arg1, opts);
+    res = await renderURL(arg1, { ...opts, compare: flags.compare });
+  } else if (cmd === 'crawl') {
+    try {
+      res = await crawl(arg1, { ...opts, crawl: flags.crawl });
+    } catch (err) {
+      // Failed pages still leave a full index; print it before failing.
+      if (err?.index) console.log(JSON.stringify({ id: err.id, index: err.index }, null, 2));
+      throw err;
+    }
   } else {
-    if (!arg1) { console.error('Missing <FILE>'); process.exit(2); }
     const html = await fs.readFile(path.resolve(process.cwd(), arg1), 'utf8');
-    res = await renderHTML(html, opts);
+    res = await renderHTML(html, { ...opts, compare: flags.compare });
   }
   console.log(JSON.stringify(res, null, 2));
 }
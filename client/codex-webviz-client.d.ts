@@ -1,9 +1,22 @@
+/** Request schema version the helpers write; requests must match schema/request.schema.json. */
+export const SCHEMA_VERSION: 1;
+
+/** One schema violation, as listed in done.json `errors` and on rejected jobs' `error.errors`. */
+export interface SchemaError {
+  /** Field path, e.g. "actions[2].selector" ("" for the request itself). */
+  path: string;
+  message: string;
+}
+
 export type LifeCycle = "load" | "domcontentloaded" | "networkidle0" | "networkidle2";
 
 export type Viewport = {
   width: number;
   height: number;
   deviceScaleFactor?: number;
+  isMobile?: boolean;
+  hasTouch?: boolean;
+  isLandscape?: boolean;
 };
 
 export type WaitForSelector = { type: "waitForSelector"; selector: string; timeoutMs?: number };
@@ -18,18 +31,150 @@ export type Press = { type: "press"; key: string; delay?: number };
 export type ScreenshotElement = { type: "screenshotElement"; selector: string; file?: string; timeoutMs?: number };
 export type MuteHeuristic = { type: "muteHeuristic" };
 
-export type Action =
-  | WaitForSelector | Click | Hover | TypeAction | ClickAt | WaitTime | WaitFn | WaitCanvas | Press | ScreenshotElement | MuteHeuristic;
+/** Text expectation: exactly one of equals, contains or matches ("/regex/flags" or a bare regex). */
+export type TextMatch = { equals: string } | { contains: string } | { matches: string };
+
+export type AssertText = { type: "assertText"; selector: string; timeoutMs?: number } & TextMatch;
+export type AssertVisible = { type: "assertVisible"; selector: string; visible?: boolean; timeoutMs?: number };
+export type AssertUrl = { type: "assertUrl"; timeoutMs?: number } & TextMatch;
+export type AssertCount = { type: "assertCount"; selector: string; equals?: number; min?: number; max?: number; timeoutMs?: number };
+export type AssertNoConsoleErrors = { type: "assertNoConsoleErrors"; ignore?: string[] };
+
+/** Exactly one of selector or expression. */
+export type Condition = { selector?: string; visible?: boolean; expression?: string; not?: boolean };
+
+export type If = { type: "if"; then: Action[]; else?: Action[]; timeoutMs?: number } & Condition;
+export type Repeat = { type: "repeat"; times: number; actions: Action[]; until?: Condition };
+export type RetryUntil = { type: "retryUntil"; actions: Action[]; until: Condition; maxAttempts?: number; intervalMs?: number };
+export type Call = { type: "call"; sequence: string };
+
+/** Allowed on every action: a failure is recorded in steps.json as "ignored" and the script goes on. */
+export type StepFlags = { continueOnError?: boolean; optional?: boolean };
+
+export type Action = (
+  | WaitForSelector | Click | Hover | TypeAction | ClickAt | WaitTime | WaitFn | WaitCanvas | Press | ScreenshotElement | MuteHeuristic
+  | AssertText | AssertVisible | AssertUrl | AssertCount | AssertNoConsoleErrors
+  | If | Repeat | RetryUntil | Call
+) & StepFlags;
 
 export type ExtractText = { type: "text"; selector: string; all?: boolean; name?: string };
 export type ExtractAttr = { type: "attr"; selector: string; name: string; all?: boolean; key?: string };
 export type ExtractHtml = { type: "html"; selector: string; all?: boolean; name?: string };
 export type ExtractExists = { type: "exists"; selector: string; name?: string };
-export type ExtractSpec = ExtractText | ExtractAttr | ExtractHtml | ExtractExists;
+/** HTML table → row objects keyed by header text (cell arrays when there is no header row). */
+export type ExtractTable = { type: "table"; selector: string; all?: boolean; headers?: string[]; name?: string };
+/** title, lang, canonical, description, meta, openGraph, twitter, jsonLd. */
+export type ExtractMetadata = { type: "metadata"; name?: string };
+/** [{ text, href (absolute), rel?, target? }]; selector defaults to all a[href]/area[href]. */
+export type ExtractLinks = { type: "links"; selector?: string; sameOrigin?: boolean; unique?: boolean; name?: string };
+/** [{ id, name, action, method, values, fields }]; password values are never reported. */
+export type ExtractForms = { type: "forms"; selector?: string; name?: string };
+/** { box: { x, y, width, height }, visible, styles } per element. */
+export type ExtractStyle = { type: "style"; selector: string; properties?: string[]; all?: boolean; name?: string };
+
+/** A selector (text of the first match, relative to the container) or a field object; `fields` nests a record list. */
+export type SchemaField = string | {
+  selector?: string;
+  type?: "text" | "html" | "attr" | "url" | "number" | "exists";
+  attr?: string;
+  all?: boolean;
+  container?: string;
+  fields?: Record<string, SchemaField>;
+};
+/** One record per `container` match. */
+export type ExtractSchema = { type: "schema"; container: string; fields: Record<string, SchemaField>; limit?: number; name?: string };
+
+export type ExtractSpec =
+  | ExtractText | ExtractAttr | ExtractHtml | ExtractExists
+  | ExtractTable | ExtractMetadata | ExtractLinks | ExtractForms | ExtractStyle | ExtractSchema;
+
+/** Puppeteer KnownDevices name (e.g. "iPhone 13", "Pixel 5 landscape") or "desktop" | "desktop-hd" | "laptop". */
+export type DevicePreset = string;
+
+export type DeviceProfile = DevicePreset | {
+  name?: string;
+  device?: DevicePreset;
+  viewport?: Viewport;
+  userAgent?: string;
+  isMobile?: boolean;
+  hasTouch?: boolean;
+  deviceScaleFactor?: number;
+};
+
+export type PdfMargin = { top?: string | number; right?: string | number; bottom?: string | number; left?: string | number };
+
+export type PdfOptions = {
+  format?: "Letter" | "Legal" | "Tabloid" | "Ledger" | "A0" | "A1" | "A2" | "A3" | "A4" | "A5" | "A6";
+  width?: string | number;
+  height?: string | number;
+  margin?: PdfMargin;
+  landscape?: boolean;
+  printBackground?: boolean;
+  headerTemplate?: string;
+  footerTemplate?: string;
+  pageRanges?: string;
+  scale?: number;
+  preferCSSPageSize?: boolean;
+};
+
+export type ResourceType =
+  | "document" | "stylesheet" | "image" | "media" | "font" | "script" | "texttrack" | "xhr" | "fetch"
+  | "prefetch" | "eventsource" | "websocket" | "manifest" | "signedexchange" | "ping" | "cspviolationreport"
+  | "preflight" | "other";
+
+/** Fulfil matching requests locally; exactly one of body, json or file. */
+export type MockSpec = {
+  /** Glob or "/regex/flags" matched against the full URL. */
+  url: string;
+  method?: string;
+  status?: number;
+  headers?: Record<string, string>;
+  contentType?: string;
+} & ({ body: string } | { json: unknown } | { file: string });
+
+export interface InterceptOptions {
+  blockResourceTypes?: ResourceType[];
+  /** URL patterns to abort. */
+  block?: string[];
+  /** URL patterns that are never blocked. */
+  allow?: string[];
+  mocks?: MockSpec[];
+  /** Abort every request that is not mocked or allowed. */
+  offline?: boolean;
+}
+
+export interface HarOptions {
+  /** Include response bodies in network.har (written with captureNetwork). */
+  bodies?: boolean;
+  maxBodyBytes?: number;
+}
+
+export interface CompareOptions {
+  /** Baseline name; images live in baselines/<name>/ (per device in <name>/<device dir>/). */
+  baseline: string;
+  /** Largest changed-pixel ratio that still passes (0–1, default 0). */
+  threshold?: number;
+  /** Per-channel difference (0–255) still treated as equal (default 0). */
+  tolerance?: number;
+  /** CSS-pixel rectangles left out of the comparison; `file` defaults to screenshot.png. */
+  ignoreRegions?: Array<{ x: number; y: number; width: number; height: number; file?: string }>;
+  /** Selectors whose boxes are left out of the comparison. */
+  mask?: string[];
+  /** Also compare screenshotElement captures (default true). */
+  elements?: boolean;
+  /** Which baselines to (re)write: "missing" (default), "all" or "none". */
+  update?: "missing" | "all" | "none";
+  /** Fail the job when an image differs beyond the threshold (default true). */
+  failOnMismatch?: boolean;
+}
 
 export interface BaseOpts {
   id?: string;
+  /** Preset from the watcher's webwatcher.config.json; its fields apply where these options set none. */
+  preset?: string;
   viewport?: Viewport;
+  /** Render once per profile into responses/<id>/<device dir>/ instead of using `viewport`. */
+  devices?: DeviceProfile[];
   fullPage?: boolean;
   waitUntil?: LifeCycle;
   timeoutMs?: number;
@@ -37,27 +182,320 @@ export interface BaseOpts {
   extraHeaders?: Record<string, string>;
   screenshot?: boolean;
   htmlOutput?: boolean;
+  /** Write page.txt with the visible text of the page (`true`) or of the elements matching a selector. */
+  textOutput?: boolean | string;
+  /** Print responses/<id>/page.pdf after actions; `true` uses A4 with backgrounds. */
+  pdf?: boolean | PdfOptions;
   postWaitMs?: number;
   actions?: Action[];
+  /** Named action lists, run with `{ type: "call", sequence: name }`. */
+  sequences?: Record<string, Action[]>;
   sessionId?: string;
   extract?: ExtractSpec[];
   captureConsole?: boolean;
   captureNetwork?: boolean;
+  /** Write perf.json (navigation/paint timing, LCP/CLS/TBT, page metrics); `trace` adds trace.json. */
+  capturePerformance?: boolean | { trace?: boolean };
   screenshotOnEachAction?: boolean;
+  /** What a failing action does: "stop" (default), "continue" (run the rest, then fail) or "ignore". */
+  onActionError?: "stop" | "continue" | "ignore";
+  /** Save step-<n>-failed.png/.html when an action fails. */
+  snapshotOnFailure?: boolean;
+  /** Record a CDP screencast to video/ (frames + timeline.json, plus video.webm/mp4 when ffmpeg exists). */
+  recordVideo?: boolean | {
+    format?: "jpeg" | "png";
+    quality?: number;
+    maxWidth?: number;
+    maxHeight?: number;
+    everyNthFrame?: number;
+    maxFrames?: number;
+    encode?: "webm" | "mp4" | false;
+    fps?: number;
+  };
+  /** Block, allow or mock network requests. */
+  intercept?: InterceptOptions;
+  /** network.har options; the HAR itself is written with `captureNetwork`. */
+  har?: HarOptions;
+  /** Compare screenshots against stored baselines and write compare.json and diff images. */
+  compare?: CompareOptions;
+  /** Integer; higher values run earlier; jobs with equal priority run in submission order. Default 0. */
+  priority?: number;
+  /** Never remove this job's outputs in retention garbage collection. */
+  pin?: boolean;
   clientTimeoutMs?: number;
   pollIntervalMs?: number;
+  /** Aborting cancels the job (requests/cancel/<id>) and rejects with the signal's reason. */
+  signal?: AbortSignal;
+  onProgress?: (state: JobState) => void;
+}
+
+export type ArtifactKind =
+  | "meta" | "html" | "text" | "screenshot" | "pdf" | "extract" | "console" | "network" | "har"
+  | "steps" | "step" | "failure" | "element" | "perf" | "trace" | "compare" | "diff"
+  | "frame" | "timeline" | "video" | "request" | "crawl" | "other";
+
+/** One file in responses/<id>/manifest.json. */
+export interface ManifestEntry {
+  /** Relative to responses/<id>/, e.g. "iphone-13/screenshot.png" or "pages/3/page.html". */
+  path: string;
+  kind: ArtifactKind;
+  size: number;
+  /** MIME type. */
+  type: string;
+  sha256: string;
+  /** Device-matrix profile the file belongs to. */
+  device?: string;
+  /** Crawled page number the file belongs to. */
+  page?: number;
 }
 
-export interface RenderResult {
+export interface Manifest {
   id: string;
-  paths: {
-    meta: string;
-    html: string;
-    screenshot: string;
-  };
+  createdAt: string;
+  totalBytes: number;
+  files: ManifestEntry[];
+  /** More files than the watcher lists (20000). */
+  truncated?: boolean;
+}
+
+/** Absolute paths of the outputs a page directory actually has. */
+export interface OutputPaths {
+  html?: string;
+  /** Visible text, written with `textOutput`. */
+  text?: string;
+  screenshot?: string;
+  pdf?: string;
+  extract?: string;
+  console?: string;
+  network?: string;
+  har?: string;
+  perf?: string;
+  /** Directory with frame-NNNNN.jpg, timeline.json and the encoded video. */
+  video?: string;
+  /** Per-step report, written when the request has actions. */
+  steps?: string;
+  /** Visual comparison report, written with `compare`. */
+  compare?: string;
+  /** Diff image, written when screenshot.png differs from its baseline. */
+  diff?: string;
+}
+
+/** One extract.json entry per spec (`key` for attr specs). */
+export interface ExtractResult {
+  type: ExtractSpec["type"];
+  name?: string;
+  key?: string;
+  selector?: string;
+  value: any;
+}
+
+export interface PageOutputs {
+  paths: OutputPaths;
+  /** Parsed extract.json (with `extract`). */
+  extract?: ExtractResult[];
+  /** Parsed console.log.json (with `captureConsole`). */
+  console?: any[];
+  /** Parsed network.log.json (with `captureNetwork`). */
+  network?: any[];
+}
+
+export interface RenderResult extends PageOutputs {
+  id: string;
+  /** `log`: the job's JSON-lines job.log (claim, queue wait, navigation, actions, writes, with timings). */
+  paths: OutputPaths & { meta: string; log?: string };
+  /** Every file the job wrote, with size, MIME type and sha256 (undefined if the watcher wrote none). */
+  manifest?: Manifest;
+  /** Present when `devices` was given. */
+  devices?: Array<PageOutputs & { name: string; dir: string }>;
   done: any;
 }
 
 export function renderURL(url: string, opts?: BaseOpts): Promise<RenderResult>;
 export function renderHTML(html: string, opts?: BaseOpts): Promise<RenderResult>;
+export interface CrawlOptions {
+  /** Link hops from the start URL (default 2; 0 = start page only). */
+  maxDepth?: number;
+  /** Pages to render at most (default 50, max 1000). */
+  maxPages?: number;
+  /** Follow only URLs matching one of these globs or "/regex/flags". */
+  include?: string[];
+  /** Never follow URLs matching these patterns. */
+  exclude?: string[];
+  /** Follow only links on the start URL's origin (default true; false requires `include`). */
+  sameOrigin?: boolean;
+  /** Seed the queue from <origin>/sitemap.xml (true) or the given sitemap URL. */
+  sitemap?: boolean | string;
+  /** Treat URLs that differ only in ?query as one page. */
+  ignoreQuery?: boolean;
+  /** Elements whose href is followed (default "a[href], area[href]"). */
+  linkSelector?: string;
+  /** Pause between pages in ms. */
+  delayMs?: number;
+}
+
+export interface CrawlPage {
+  n: number;
+  url: string;
+  finalUrl?: string;
+  depth: number;
+  /** Page number the URL was found on (null for the start URL and sitemap seeds). */
+  from: number | null;
+  /** Output directory relative to responses/<id>/, e.g. "pages/3". */
+  dir: string;
+  status: number | null;
+  ok: boolean;
+  error?: string;
+  durationMs: number;
+  /** In-scope links found on the page (absolute, without #fragment). */
+  links: string[];
+  outOfScopeLinks?: number;
+}
+
+export interface CrawlIndex {
+  startUrl: string;
+  startedAt: string;
+  finishedAt: string;
+  options: Required<CrawlOptions>;
+  stoppedBy: "complete" | "maxPages" | "cancelled" | "interrupted";
+  sitemap?: { url: string; listed: number; queued: number; error?: string };
+  summary: { pages: number; ok: number; failed: number; pending: number };
+  pages: CrawlPage[];
+  /** [from page n, to page n] for every link between visited pages. */
+  graph: { edges: Array<[number, number]> };
+  pending: Array<{ url: string; depth: number; from: number | null }>;
+}
+
+export interface CrawlResult {
+  id: string;
+  paths: { meta: string; index: string; pages: string };
+  index: CrawlIndex;
+  /** Files of all pages, tagged with `page`. */
+  manifest?: Manifest;
+  done: any;
+}
+
+export interface AcceptBaselineOptions {
+  id?: string;
+  /** Save under this baseline name instead of the one the job compared against. */
+  baseline?: string;
+  /** Accept only these images (default: every image in compare.json). */
+  files?: string[];
+  clientTimeoutMs?: number;
+  pollIntervalMs?: number;
+  signal?: AbortSignal;
+}
+
+export interface AcceptBaselineResult {
+  id: string;
+  result: { jobId: string; baseline: string; accepted: Array<{ file: string; device?: string; path: string }> };
+}
+
+/** Copy a finished `compare` job's screenshots over its baselines. */
+export function acceptBaseline(jobId: string, opts?: AcceptBaselineOptions): Promise<AcceptBaselineResult>;
+export function cancel(id: string): Promise<void>;
+/** Keep a job from being removed by the watcher's retention rules; `pinned: false` unpins. */
+export function pin(id: string, pinned?: boolean): Promise<void>;
+/** Rejects when the crawl was cancelled or a page failed; the error has `id` and `index`. */
+export function crawl(url: string, opts?: Omit<BaseOpts, "compare"> & { crawl?: CrawlOptions }): Promise<CrawlResult>;
+
+
+export interface JobState {
+  id: string;
+  /**
+   * queued: the request file waits in requests/; claimed: the watcher took it (requests/processing/);
+   * running: responses/<id>/ exists; ok/error/cancelled: done.json status; unknown: nothing on disk (yet).
+   */
+  state: "queued" | "claimed" | "running" | "ok" | "error" | "cancelled" | "unknown";
+  /** Latest worker phase while running, from progress.json. */
+  phase?: "navigate" | "action" | "output" | "extract" | "compare" | "crawl";
+  /** 1-based action step with phase "action". */
+  step?: number;
+  /** Number of top-level action steps. */
+  total?: number;
+  /** Action type with phase "action". */
+  type?: string;
+  /** Device name in a device matrix. */
+  device?: string;
+  /** Page number in a crawl. */
+  page?: number;
+  /** Parsed done.json once finished. */
+  done?: any;
+  [key: string]: any;
+}
+
+export interface WaitOptions {
+  /** Aborting cancels the job (requests/cancel/<id>) and rejects with the signal's reason. */
+  signal?: AbortSignal;
+  /** Called on every state change and step. */
+  onProgress?: (state: JobState) => void;
+  /** Reject when done.json has not appeared in time (default: wait forever). */
+  clientTimeoutMs?: number;
+  /** Polling interval when fs.watch is unavailable (default 300). */
+  pollIntervalMs?: number;
+}
+
+export interface JobHandle {
+  id: string;
+  /** responses/<id>/ */
+  dir: string;
+  /** Resolves with done.json once the job finished (any status); rejects on abort or client timeout. */
+  wait(): Promise<any>;
+  cancel(): Promise<void>;
+  /** Current state from disk. */
+  state(): Promise<JobState>;
+}
+
+export interface SubmitManyOptions extends Omit<WaitOptions, "onProgress"> {
+  /** Jobs unfinished at a time (default 4). */
+  concurrency?: number;
+  /** Like WaitOptions.onProgress, with the request's index. */
+  onProgress?: (state: JobState & { index: number }) => void;
+}
+
+/** Write any request (id and schemaVersion are filled in); resolves once the file is written. */
+export function submit(request: Record<string, any>, opts?: WaitOptions): Promise<JobHandle>;
+/**
+ * Run requests with a concurrency cap. Failed jobs are results; abort, submit errors and client
+ * timeouts cancel the jobs in flight and reject.
+ */
+export function submitMany(requests: Array<Record<string, any>>, opts?: SubmitManyOptions): Promise<Array<{ id: string; done: any }>>;
+export function getJobState(id: string): Promise<JobState>;
+/** Follow a job submitted elsewhere; aborting `signal` cancels it, as with submit(). */
+export function attach(id: string, opts?: WaitOptions): JobHandle;
+/** State plus the stored request (responses/<id>/request.json), meta.json and manifest.json. */
+export function inspectJob(id: string): Promise<JobState & { dir: string; request?: Record<string, any>; meta?: any; manifest?: Manifest; pinned: boolean }>;
+
+export interface JobSummary {
+  id: string;
+  state: JobState["state"];
+  phase?: string;
+  step?: number;
+  total?: number;
+  op?: string;
+  url?: string;
+  /** When the request was written (queued) or claimed. */
+  submittedAt?: string;
+  startedAt?: string;
+  finishedAt?: string;
+  durationMs?: number;
+  /** Error message of a failed job. */
+  error?: string;
+  /** Kept by retention (finished jobs only). */
+  pinned?: boolean;
+}
+
+export interface ListJobsFilter {
+  /** One or more states. */
+  state?: JobState["state"] | Array<JobState["state"]>;
+  op?: string;
+  /** Substring of the URL. */
+  url?: string;
+  /** Started (or submitted) at or after. */
+  since?: Date | string | number;
+  limit?: number;
+}
 
+/** Queued, claimed and finished jobs on disk, newest first. */
+export function listJobs(filter?: ListJobsFilter): Promise<JobSummary[]>;
+/** The request renderURL / renderHTML / crawl would submit, without submitting it. */
+export function buildRenderRequest(op: "render_url" | "render_html" | "crawl", fields: Record<string, any>, opts: BaseOpts & { id?: string }): Record<string, any>;
@@ -4,22 +4,54 @@
  * via filesystem IPC and awaiting completion.
  *
  * Usage (ESM):
- *   import { renderURL, renderHTML } from "./client/codex-webviz-client.js";
+ *   import { renderURL, renderHTML, crawl, submit, submitMany } from "./client/codex-webviz-client.js";
  *   const job = await renderURL("https://example.com", { screenshot: true });
+ *   const site = await crawl("https://docs.example.com/", { crawl: { maxPages: 200 } });
+ *   const handle = await submit({ op: "render_url", url: "https://example.com" }, { signal, onProgress });
+ *   const done = await handle.wait();
  *
- * The helper writes a JSON request into requests/<id>.json and then polls for
- * responses/<id>/done.json. When finished, it returns convenient file paths.
+ * submit() writes a JSON request into requests/<id>.json and follows the job
+ * on disk: requests/processing/<id>.json (claimed), responses/<id>/meta.json
+ * and progress.json (running, step N) and finally responses/<id>/done.json.
+ * Changes are picked up with fs.watch; polling is only a fallback for file
+ * systems where watching does not work. The render helpers are built on it
+ * and return the job's manifest.json, paths of the outputs that exist and
+ * the parsed extract, console and network data.
+ *
+ * WEBWATCHER_REQUESTS_DIR and WEBWATCHER_RESPONSES_DIR select the watcher's
+ * folders, as they do for the watcher itself (default requests/ and
+ * responses/ under the cwd).
  */
 
-import { promises as fs } from 'fs';
+import { watch, promises as fs } from 'fs';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 
-const REQUESTS_DIR = path.resolve(process.cwd(), 'requests');
-const RESPONSES_DIR = path.resolve(process.cwd(), 'responses');
+const REQUESTS_DIR = path.resolve(process.cwd(), process.env.WEBWATCHER_REQUESTS_DIR || 'requests');
+const PROCESSING_DIR = path.join(REQUESTS_DIR, 'processing');
+const CANCEL_DIR = path.join(REQUESTS_DIR, 'cancel');
+const RESPONSES_DIR = path.resolve(process.cwd(), process.env.WEBWATCHER_RESPONSES_DIR || 'responses');
+/** Marker that keeps a job from being garbage-collected (src/retention.js). */
+const PIN_FILE = '.pinned';
+
+/** Request schema version these helpers write (schema/request.schema.json). */
+export const SCHEMA_VERSION = 1;
+
+/** Polling interval when fs.watch is unavailable. */
+const DEFAULT_POLL_MS = 300;
+/** Re-check interval while fs.watch works, in case an event was missed. */
+const WATCH_RECHECK_MS = 5000;
 
-/** Sleep helper */
-const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
+/**
+ * Request fields the render helpers copy from their options; everything
+ * else in the options (clientTimeoutMs, signal, onProgress, …) is client-side.
+ */
+const RENDER_FIELDS = [
+  'preset', 'viewport', 'devices', 'fullPage', 'waitUntil', 'timeoutMs', 'userAgent', 'extraHeaders',
+  'screenshot', 'htmlOutput', 'textOutput', 'pdf', 'postWaitMs', 'actions', 'sequences', 'sessionId',
+  'extract', 'captureConsole', 'captureNetwork', 'capturePerformance', 'screenshotOnEachAction',
+  'onActionError', 'snapshotOnFailure', 'compare', 'recordVideo', 'intercept', 'har', 'priority', 'pin',
+];
 
 /**
  * Atomically write a file by writing to a temp file then renaming.
@@ -36,124 +68,652 @@ async function writeFileAtomic(filePath, data) {
 }
 
 /**
- * Wait for responses/<id>/done.json with an optional timeout.
+ * Parse a JSON file, or undefined when it does not exist (yet).
+ * @param {string} filePath
+ */
+async function readJSONFile(filePath) {
+  return fs.readFile(filePath, 'utf8').then((d) => JSON.parse(d), () => undefined);
+}
+
+/** @param {string} filePath */
+async function exists(filePath) {
+  return fs.stat(filePath).then(() => true, () => false);
+}
+
+/** Job ids the watcher accepts (the request schema's `id` pattern). */
+const JOB_ID = /^[A-Za-z0-9][\w.-]*$/;
+
+/** @param {string} id */
+function checkId(id) {
+  if (typeof id !== 'string' || !JOB_ID.test(id)) throw new Error(`Invalid job id: ${id}`);
+}
+
+/**
+ * @typedef {Object} JobState
+ * @property {string} id
+ * @property {'queued'|'claimed'|'running'|'ok'|'error'|'cancelled'|'unknown'} state queued: the request
+ *   file waits in requests/; claimed: the watcher took it (requests/processing/); running:
+ *   responses/<id>/ has meta.json; ok/error/cancelled: done.json status; unknown: no trace
+ *   of the id (yet), e.g. a request file named differently from its id.
+ * @property {string=} phase Latest worker phase while running (navigate, action, output, extract, compare, crawl).
+ * @property {number=} step Action step (1-based) with phase "action".
+ * @property {number=} total Number of top-level action steps.
+ * @property {any=} done Parsed done.json once finished.
+ */
+
+/**
+ * Read a job's current state from disk.
  * @param {string} id Request ID.
- * @param {number} timeoutMs Maximum time to wait.
- * @param {number} pollIntervalMs Polling interval.
+ * @returns {Promise<JobState>}
  */
-async function waitForDone(id, timeoutMs, pollIntervalMs) {
-  const donePath = path.join(RESPONSES_DIR, id, 'done.json');
-  const t0 = Date.now();
-  while (true) {
-    try {
-      const data = await fs.readFile(donePath, 'utf8');
-      return JSON.parse(data);
-    } catch {}
-    if (Date.now() - t0 > timeoutMs) {
-      throw new Error(`Timeout waiting for ${path.relative(process.cwd(), donePath)}`);
-    }
-    await sleep(pollIntervalMs);
+export async function getJobState(id) {
+  checkId(id);
+  const dir = path.join(RESPONSES_DIR, id);
+  const done = await readJSONFile(path.join(dir, 'done.json'));
+  if (done) return { id, state: done.status, done };
+  const progress = await readJSONFile(path.join(dir, 'progress.json'));
+  if (progress) {
+    const { seq, updatedAt, ...fields } = progress;
+    return { id, state: 'running', ...fields };
   }
+  if (await exists(path.join(dir, 'meta.json'))) return { id, state: 'running' };
+  if (await exists(path.join(PROCESSING_DIR, `${id}.json`))) return { id, state: 'claimed' };
+  if (await exists(path.join(REQUESTS_DIR, `${id}.json`))) return { id, state: 'queued' };
+  return { id, state: 'unknown' };
 }
 
 /**
- * Submit a render URL request and await completion.
- * @param {string} url Target URL to navigate to.
- * @param {Partial<{ id:string, viewport:{width:number,height:number,deviceScaleFactor?:number}, fullPage:boolean, waitUntil:string, timeoutMs:number, userAgent:string, extraHeaders:Record<string,string>, screenshot:boolean, htmlOutput:boolean, postWaitMs:number, actions:any[], clientTimeoutMs:number, pollIntervalMs:number }>} opts Options controlling rendering and client wait.
- * @returns {Promise<{ id:string, paths:{ meta:string, html:string, screenshot:string }, done:any }>} Resolved with paths to outputs.
+ * A job's state plus what is on disk about it: the stored request, meta.json
+ * and manifest.json (each undefined until written), and whether it is pinned.
+ * @param {string} id Request ID.
+ * @returns {Promise<JobState & { dir: string, request?: any, meta?: any, manifest?: Manifest, pinned: boolean }>}
  */
-export async function renderURL(url, opts = {}) {
-  const id = opts.id || uuidv4();
-  const req = {
-    id,
-    op: 'render_url',
-    url,
-    viewport: opts.viewport,
-    fullPage: opts.fullPage,
-    waitUntil: opts.waitUntil,
-    timeoutMs: opts.timeoutMs,
-    userAgent: opts.userAgent,
-    extraHeaders: opts.extraHeaders,
-    screenshot: opts.screenshot ?? true,
-    htmlOutput: opts.htmlOutput ?? true,
-    postWaitMs: opts.postWaitMs,
-    actions: opts.actions,
-    sessionId: opts.sessionId,
-    extract: opts.extract,
-    captureConsole: opts.captureConsole,
-    captureNetwork: opts.captureNetwork,
-    screenshotOnEachAction: opts.screenshotOnEachAction,
+export async function inspectJob(id) {
+  const state = await getJobState(id);
+  const dir = path.join(RESPONSES_DIR, id);
+  const stored = await readJSONFile(path.join(dir, 'request.json'))
+    ?? await readJSONFile(path.join(PROCESSING_DIR, `${id}.json`))
+    ?? await readJSONFile(path.join(REQUESTS_DIR, `${id}.json`));
+  const { _job, ...request } = stored || {};
+  return {
+    ...state,
+    dir,
+    request: stored ? request : undefined,
+    meta: await readJSONFile(path.join(dir, 'meta.json')),
+    manifest: await readManifest(id),
+    pinned: await exists(path.join(dir, PIN_FILE)),
   };
-  const reqPath = path.join(REQUESTS_DIR, `${id}.json`);
-  await writeFileAtomic(reqPath, JSON.stringify(req, null, 2));
+}
+
+/**
+ * @typedef {Object} JobSummary
+ * @property {string} id
+ * @property {JobState['state']} state
+ * @property {string=} phase Latest phase of a running job.
+ * @property {number=} step
+ * @property {number=} total
+ * @property {string=} op
+ * @property {string=} url
+ * @property {string=} submittedAt When the request was written (queued) or claimed.
+ * @property {string=} startedAt
+ * @property {string=} finishedAt
+ * @property {number=} durationMs
+ * @property {string=} error Error message of a failed job.
+ * @property {boolean=} pinned Kept by retention (finished jobs only).
+ */
+
+/** @param {string} dir */
+async function requestFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  return entries.filter((e) => e.isFile() && e.name.endsWith('.json') && !e.name.startsWith('.')).map((e) => e.name);
+}
+
+/**
+ * List the jobs on disk, newest first: request files waiting in requests/,
+ * claimed jobs in requests/processing/ and every job under responses/.
+ * @param {{ state?: string|string[], op?: string, url?: string, since?: Date|string|number, limit?: number }=} filter
+ *   state: one or more states; url: substring of the URL; since: started (or submitted) at or after.
+ * @returns {Promise<JobSummary[]>}
+ */
+export async function listJobs(filter = {}) {
+  /** @type {JobSummary[]} */
+  const jobs = [];
+  const seen = new Set();
+  for (const name of await requestFiles(REQUESTS_DIR)) {
+    const file = path.join(REQUESTS_DIR, name);
+    const stat = await fs.stat(file).catch(() => undefined);
+    // Claimed while we were looking: it shows up below.
+    if (!stat) continue;
+    const raw = await readJSONFile(file);
+    const id = typeof raw?.id === 'string' && raw.id ? raw.id : name.slice(0, -'.json'.length);
+    seen.add(id);
+    jobs.push({ id, state: 'queued', op: raw?.op, url: raw?.url, submittedAt: stat.mtime.toISOString() });
+  }
+  for (const name of await requestFiles(PROCESSING_DIR)) {
+    const id = name.slice(0, -'.json'.length);
+    if (seen.has(id)) continue;
+    seen.add(id);
+    const raw = await readJSONFile(path.join(PROCESSING_DIR, name));
+    const { done, ...state } = await getJobState(id);
+    const meta = await readJSONFile(path.join(RESPONSES_DIR, id, 'meta.json'));
+    jobs.push({ ...state, op: raw?.op, url: raw?.url, submittedAt: raw?._job?.claimedAt, startedAt: meta?.startedAt });
+  }
+  const dirs = await fs.readdir(RESPONSES_DIR, { withFileTypes: true }).catch(() => []);
+  for (const e of dirs) {
+    if (!e.isDirectory() || e.name.startsWith('.') || seen.has(e.name)) continue;
+    const dir = path.join(RESPONSES_DIR, e.name);
+    const meta = await readJSONFile(path.join(dir, 'meta.json'));
+    const done = await readJSONFile(path.join(dir, 'done.json'));
+    // Only request.json so far: the claim is still being written.
+    if (!meta && !done) continue;
+    jobs.push({
+      id: e.name,
+      state: done ? done.status : 'running',
+      op: meta?.op,
+      url: meta?.url,
+      startedAt: meta?.startedAt,
+      finishedAt: meta?.finishedAt,
+      durationMs: meta?.durationMs,
+      error: done?.status === 'error' ? meta?.errorMessage || done.error : undefined,
+      pinned: (await exists(path.join(dir, PIN_FILE))) || undefined,
+    });
+  }
 
-  const clientTimeoutMs = opts.clientTimeoutMs ?? Math.max(60000, (opts.timeoutMs ?? 30000) + 30000);
-  const pollIntervalMs = opts.pollIntervalMs ?? 300;
-  const done = await waitForDone(id, clientTimeoutMs, pollIntervalMs);
+  const states = filter.state === undefined ? undefined : [].concat(/** @type {any} */ (filter.state));
+  const since = filter.since === undefined ? undefined : new Date(filter.since).getTime();
+  /** @param {JobSummary} j */
+  const time = (j) => Date.parse(j.startedAt || j.submittedAt || '') || 0;
+  const matching = jobs
+    .filter((j) => !states || states.includes(j.state))
+    .filter((j) => !filter.op || j.op === filter.op)
+    .filter((j) => !filter.url || (j.url || '').includes(filter.url))
+    .filter((j) => since === undefined || time(j) >= since)
+    .sort((a, b) => time(b) - time(a));
+  return filter.limit !== undefined ? matching.slice(0, filter.limit) : matching;
+}
 
-  const metaPath = path.join(RESPONSES_DIR, id, 'meta.json');
-  const htmlPath = path.join(RESPONSES_DIR, id, 'page.html');
-  const screenshotPath = path.join(RESPONSES_DIR, id, 'screenshot.png');
+/** @type {Map<string, { watcher: import('fs').FSWatcher, listeners: Set<(name: string) => void> }>} */
+const dirWatches = new Map();
 
-  if (done?.status === 'error') {
+/**
+ * Listen for entry changes in a directory. All pending jobs share one
+ * fs.watch per directory.
+ * @param {string} dir Directory to watch.
+ * @param {(name: string) => void} listener Called with the changed entry name ("" if unknown).
+ * @returns {(() => void)|undefined} Unsubscribe, or undefined when the directory
+ *   cannot be watched (missing, or fs.watch unsupported).
+ */
+function watchDir(dir, listener) {
+  let entry = dirWatches.get(dir);
+  if (!entry) {
+    /** @type {Set<(name: string) => void>} */
+    const listeners = new Set();
+    /** @type {import('fs').FSWatcher} */
+    let watcher;
     try {
-      const meta = JSON.parse(await fs.readFile(metaPath, 'utf8'));
-      throw new Error(meta?.errorMessage || done.error || 'Unknown error');
+      watcher = watch(dir, { persistent: false }, (_event, name) => {
+        for (const l of [...listeners]) l(name ? String(name) : '');
+      });
     } catch {
-      throw new Error(done.error || 'Unknown error');
+      return undefined;
     }
+    const created = { watcher, listeners };
+    // A broken watch (e.g. the directory was removed) is dropped; jobs fall back to re-checking.
+    watcher.on('error', () => {
+      watcher.close();
+      if (dirWatches.get(dir) === created) dirWatches.delete(dir);
+      for (const l of [...listeners]) l('');
+    });
+    dirWatches.set(dir, created);
+    entry = created;
   }
+  const subscribed = entry;
+  subscribed.listeners.add(listener);
+  return () => {
+    subscribed.listeners.delete(listener);
+    if (subscribed.listeners.size === 0 && dirWatches.get(dir) === subscribed) {
+      subscribed.watcher.close();
+      dirWatches.delete(dir);
+    }
+  };
+}
+
+/**
+ * @typedef {Object} WaitOptions
+ * @property {AbortSignal=} signal Cancels the job (requests/cancel/<id>) and rejects with the signal's reason.
+ * @property {(state: JobState) => void=} onProgress Called on every state change and step.
+ * @property {number=} clientTimeoutMs Reject when done.json has not appeared in time (default: wait forever).
+ * @property {number=} pollIntervalMs Polling interval when fs.watch is unavailable (default 300).
+ */
+
+/**
+ * Follow a submitted job until responses/<id>/done.json appears.
+ * @param {string} id Request ID.
+ * @param {WaitOptions} opts
+ * @returns {Promise<any>} Parsed done.json, whatever its status.
+ */
+function waitForJob(id, opts) {
+  const { signal, onProgress } = opts;
+  const jobDir = path.join(RESPONSES_DIR, id);
+  return new Promise((resolve, reject) => {
+    /** @type {Array<() => void>} */
+    const unwatch = [];
+    let watchingJobDir = false;
+    let finished = false;
+    let checking = false;
+    let again = false;
+    let lastReported = '';
+    /** @type {NodeJS.Timeout|undefined} */
+    let timer;
+    /** @type {NodeJS.Timeout|undefined} */
+    let deadline;
 
-  return { id, paths: { meta: metaPath, html: htmlPath, screenshot: screenshotPath }, done };
+    /** @param {any} err @param {any=} done */
+    const finish = (err, done) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      clearTimeout(deadline);
+      for (const u of unwatch) u();
+      signal?.removeEventListener('abort', onAbort);
+      if (err) reject(err);
+      else resolve(done);
+    };
+    const onAbort = () => {
+      if (finished) return;
+      cancel(id).then(() => finish(signal?.reason), () => finish(signal?.reason));
+    };
+    /** @param {string} dir @param {(name: string) => boolean} relevant */
+    const follow = (dir, relevant) => {
+      const u = watchDir(dir, (name) => { if (!name || relevant(name)) check(); });
+      if (u) unwatch.push(u);
+      return !!u;
+    };
+    const check = async () => {
+      if (checking) { again = true; return; }
+      checking = true;
+      try {
+        do {
+          again = false;
+          const state = await getJobState(id);
+          if (finished) return;
+          const key = JSON.stringify(state);
+          if (key !== lastReported) {
+            lastReported = key;
+            try { onProgress?.(state); } catch {}
+          }
+          if (state.done) return finish(undefined, state.done);
+          // responses/<id>/ appears when the job starts; watch it from then on.
+          if (!watchingJobDir) {
+            watchingJobDir = follow(jobDir, (name) => !name.startsWith('.'));
+            if (watchingJobDir) again = true;
+          }
+        } while (again && !finished);
+      } catch (err) {
+        finish(err);
+      } finally {
+        checking = false;
+      }
+    };
+
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (opts.clientTimeoutMs !== undefined) {
+      deadline = setTimeout(() => {
+        finish(new Error(`Timeout waiting for ${path.relative(process.cwd(), path.join(jobDir, 'done.json'))}`));
+      }, opts.clientTimeoutMs);
+    }
+    const watchingResponses = follow(RESPONSES_DIR, (name) => name === id);
+    const watchingClaims = follow(PROCESSING_DIR, (name) => name === `${id}.json`);
+    const watching = watchingResponses && watchingClaims;
+    const interval = watching ? WATCH_RECHECK_MS : opts.pollIntervalMs ?? DEFAULT_POLL_MS;
+    const tick = () => {
+      check().finally(() => { if (!finished) timer = setTimeout(tick, interval); });
+    };
+    tick();
+  });
 }
 
 /**
- * Submit a render HTML request and await completion.
- * @param {string} html HTML string to render in a blank page.
- * @param {Partial<{ id:string, viewport:{width:number,height:number,deviceScaleFactor?:number}, fullPage:boolean, waitUntil:string, timeoutMs:number, userAgent:string, extraHeaders:Record<string,string>, screenshot:boolean, htmlOutput:boolean, postWaitMs:number, actions:any[], clientTimeoutMs:number, pollIntervalMs:number }>} opts Options controlling rendering and client wait.
- * @returns {Promise<{ id:string, paths:{ meta:string, html:string, screenshot:string }, done:any }>} Resolved with paths to outputs.
+ * @typedef {Object} JobHandle
+ * @property {string} id Request ID.
+ * @property {string} dir responses/<id>/.
+ * @property {() => Promise<any>} wait Resolves with done.json once the job finished
+ *   (any status); rejects on abort or client timeout.
+ * @property {() => Promise<void>} cancel Ask the watcher to cancel the job.
+ * @property {() => Promise<JobState>} state Current state from disk.
  */
-export async function renderHTML(html, opts = {}) {
-  const id = opts.id || uuidv4();
-  const req = {
+
+/**
+ * Submit any request (render_url, render_html, crawl, baseline_accept, session
+ * ops) and follow it. Progress is reported from the moment the file is written.
+ * @param {Record<string, any>} request Request JSON; `id` and `schemaVersion` are filled in.
+ * @param {WaitOptions=} opts
+ * @returns {Promise<JobHandle>} Resolves once the request file is written.
+ */
+export async function submit(request, opts = {}) {
+  opts.signal?.throwIfAborted();
+  const id = request.id || uuidv4();
+  checkId(id);
+  const req = { schemaVersion: SCHEMA_VERSION, ...request, id };
+  await writeFileAtomic(path.join(REQUESTS_DIR, `${id}.json`), JSON.stringify(req, null, 2));
+  return attach(id, opts);
+}
+
+/**
+ * Follow a job that was submitted elsewhere (another process, the HTTP API,
+ * a scheduled watch). Aborting `signal` cancels the job, as with submit().
+ * @param {string} id Request ID.
+ * @param {WaitOptions=} opts
+ * @returns {JobHandle}
+ */
+export function attach(id, opts = {}) {
+  checkId(id);
+  const done = waitForJob(id, opts);
+  // Rejections surface through wait(); don't report them as unhandled before it is called.
+  done.catch(() => {});
+  return {
     id,
-    op: 'render_html',
-    html,
-    viewport: opts.viewport,
-    fullPage: opts.fullPage,
-    waitUntil: opts.waitUntil,
-    timeoutMs: opts.timeoutMs,
-    userAgent: opts.userAgent,
-    extraHeaders: opts.extraHeaders,
-    screenshot: opts.screenshot ?? true,
-    htmlOutput: opts.htmlOutput ?? true,
-    postWaitMs: opts.postWaitMs,
-    actions: opts.actions,
-    sessionId: opts.sessionId,
-    extract: opts.extract,
-    captureConsole: opts.captureConsole,
-    captureNetwork: opts.captureNetwork,
-    screenshotOnEachAction: opts.screenshotOnEachAction,
+    dir: path.join(RESPONSES_DIR, id),
+    wait: () => done,
+    cancel: () => cancel(id),
+    state: () => getJobState(id),
   };
-  const reqPath = path.join(REQUESTS_DIR, `${id}.json`);
-  await writeFileAtomic(reqPath, JSON.stringify(req, null, 2));
+}
 
-  const clientTimeoutMs = opts.clientTimeoutMs ?? Math.max(60000, (opts.timeoutMs ?? 30000) + 30000);
-  const pollIntervalMs = opts.pollIntervalMs ?? 300;
-  const done = await waitForDone(id, clientTimeoutMs, pollIntervalMs);
+/**
+ * Submit many requests with at most `concurrency` unfinished at a time and
+ * wait for all of them. Jobs that end with status error or cancelled are
+ * results, not rejections. When `signal` aborts or a job cannot be submitted
+ * or times out, the jobs still in flight are cancelled, nothing more is
+ * submitted and the promise rejects.
+ * @param {Array<Record<string, any>>} requests
+ * @param {Omit<WaitOptions, 'onProgress'> & { concurrency?: number, onProgress?: (state: JobState & { index: number }) => void }} opts
+ *   concurrency: default 4; onProgress also gets the request's index.
+ * @returns {Promise<Array<{ id: string, done: any }>>} In request order.
+ */
+export async function submitMany(requests, opts = {}) {
+  const concurrency = opts.concurrency ?? 4;
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error('concurrency must be a positive integer');
+  opts.signal?.throwIfAborted();
+  const bail = new AbortController();
+  const onAbort = () => bail.abort(opts.signal?.reason);
+  opts.signal?.addEventListener('abort', onAbort, { once: true });
+  /** @type {Array<{ id: string, done: any }>} */
+  const results = new Array(requests.length);
+  let next = 0;
+  const lane = async () => {
+    while (next < requests.length && !bail.signal.aborted) {
+      const index = next++;
+      try {
+        const job = await submit(requests[index], {
+          signal: bail.signal,
+          clientTimeoutMs: opts.clientTimeoutMs,
+          pollIntervalMs: opts.pollIntervalMs,
+          onProgress: opts.onProgress && ((state) => opts.onProgress?.({ ...state, index })),
+        });
+        results[index] = { id: job.id, done: await job.wait() };
+      } catch (err) {
+        if (!bail.signal.aborted) bail.abort(err);
+        throw err;
+      }
+    }
+  };
+  try {
+    await Promise.allSettled(Array.from({ length: Math.min(concurrency, requests.length) }, lane));
+    // A failing lane aborts `bail`, so its reason is the first error (or the caller's abort).
+    if (bail.signal.aborted) throw bail.signal.reason;
+    return results;
+  } finally {
+    opts.signal?.removeEventListener('abort', onAbort);
+  }
+}
 
-  const metaPath = path.join(RESPONSES_DIR, id, 'meta.json');
-  const htmlPath = path.join(RESPONSES_DIR, id, 'page.html');
-  const screenshotPath = path.join(RESPONSES_DIR, id, 'screenshot.png');
+/**
+ * Parsed responses/<id>/manifest.json (undefined if the job wrote none).
+ * @param {string} id Request ID.
+ * @returns {Promise<Manifest|undefined>}
+ */
+async function readManifest(id) {
+  return readJSONFile(path.join(RESPONSES_DIR, id, 'manifest.json'));
+}
 
-  if (done?.status === 'error') {
-    try {
-      const meta = JSON.parse(await fs.readFile(metaPath, 'utf8'));
-      throw new Error(meta?.errorMessage || done.error || 'Unknown error');
-    } catch {
-      throw new Error(done.error || 'Unknown error');
+/**
+ * Error for a finished job whose done.json status is not "ok". Carries the
+ * job `id` and its `manifest` (failure snapshots, partial outputs), and for
+ * schema rejections the list as `errors` ({ path, message }).
+ * @param {string} id Request ID.
+ * @param {any} done Parsed done.json.
+ */
+async function jobError(id, done) {
+  const manifest = await readManifest(id);
+  if (done?.status === 'cancelled') return Object.assign(new Error(`Job ${id} was cancelled`), { id, code: 'ECANCELLED', manifest });
+  const meta = await readJSONFile(path.join(RESPONSES_DIR, id, 'meta.json'));
+  const message = meta?.errorMessage || done?.error || `Job ${id} ${done?.status || 'failed'}`;
+  return Object.assign(new Error(message), { id, manifest }, done?.errors ? { errors: done.errors } : {});
+}
+
+/**
+ * @typedef {Object} ManifestEntry
+ * @property {string} path Relative to responses/<id>/.
+ * @property {string} kind screenshot, html, text, pdf, extract, console, network, har, steps, step,
+ *   failure, element, perf, trace, compare, diff, frame, timeline, video, meta, request, crawl or other.
+ * @property {number} size
+ * @property {string} type MIME type.
+ * @property {string} sha256
+ * @property {string=} device
+ * @property {number=} page
+ */
+
+/**
+ * @typedef {{ id:string, createdAt:string, totalBytes:number, files:ManifestEntry[], truncated?:boolean }} Manifest
+ */
+
+/** Fixed output files of a rendered page, by result key. */
+const OUTPUT_FILES = {
+  html: 'page.html',
+  text: 'page.txt',
+  screenshot: 'screenshot.png',
+  pdf: 'page.pdf',
+  extract: 'extract.json',
+  console: 'console.log.json',
+  network: 'network.log.json',
+  har: 'network.har',
+  perf: 'perf.json',
+  video: 'video',
+  steps: 'steps.json',
+  compare: 'compare.json',
+  diff: 'diff.png',
+};
+
+/**
+ * Paths of the outputs a rendered page directory actually has, plus its
+ * parsed extract.json, console.log.json and network.log.json.
+ * @param {string} dir Page directory (the job's, or a device's).
+ * @param {Set<string>} present Files in `dir`, relative to it.
+ */
+async function pageResult(dir, present) {
+  /** @type {Partial<Record<keyof typeof OUTPUT_FILES, string>>} */
+  const paths = {};
+  for (const [key, file] of Object.entries(OUTPUT_FILES)) {
+    if (present.has(file) || (key === 'video' && [...present].some((f) => f.startsWith('video/')))) {
+      paths[/** @type {keyof typeof OUTPUT_FILES} */ (key)] = path.join(dir, file);
     }
   }
+  /** @param {string} file */
+  const parsed = (file) => (present.has(file) ? readJSONFile(path.join(dir, file)) : undefined);
+  return {
+    paths,
+    extract: await parsed('extract.json'),
+    console: await parsed('console.log.json'),
+    network: await parsed('network.log.json'),
+  };
+}
 
-  return { id, paths: { meta: metaPath, html: htmlPath, screenshot: screenshotPath }, done };
+/**
+ * @typedef {{ name:string, dir:string } & Awaited<ReturnType<typeof pageResult>>} DeviceResult
+ */
+
+/**
+ * Result of a finished render job: the manifest, and per page directory the
+ * produced paths and parsed data. Without a manifest (written by older
+ * watchers) the directory listing is used instead.
+ * @param {string} id Request ID.
+ * @param {boolean} matrix The request had `devices`.
+ */
+async function renderResult(id, matrix) {
+  const dir = path.join(RESPONSES_DIR, id);
+  const manifest = await readManifest(id);
+  const files = manifest
+    ? manifest.files
+    : (await fs.readdir(dir, { recursive: true })).map((f) => ({ path: String(f).split(path.sep).join('/'), device: undefined }));
+  const meta = JSON.parse(await fs.readFile(path.join(dir, 'meta.json'), 'utf8'));
+  /** @param {string} prefix */
+  const under = (prefix) => new Set(files.filter((f) => f.path.startsWith(prefix)).map((f) => f.path.slice(prefix.length)));
+  const top = await pageResult(dir, under(''));
+  /** @type {Array<DeviceResult>|undefined} */
+  let devices;
+  if (matrix) {
+    devices = [];
+    for (const d of meta.devices || []) {
+      devices.push({ name: d.name, dir: path.join(dir, d.dir), ...await pageResult(path.join(dir, d.dir), under(`${d.dir}/`)) });
+    }
+  }
+  // job.log is not in the manifest: the watcher still appends to it after done.json.
+  const log = path.join(dir, 'job.log');
+  const hasLog = await fs.stat(log).then(() => true, () => false);
+  return { paths: { meta: path.join(dir, 'meta.json'), ...(hasLog ? { log } : {}), ...top.paths }, manifest, extract: top.extract, console: top.console, network: top.network, devices };
+}
+
+/**
+ * Build a render_url / render_html / crawl request from helper options, as
+ * renderURL/renderHTML/crawl do; pass it to submit() to not wait for it.
+ * Screenshot and HTML output default to on (unless a `preset` sets them).
+ * @param {string} op
+ * @param {Record<string, any>} fields Op-specific fields (url, html, crawl).
+ * @param {Record<string, any>} opts Helper options.
+ * @returns {Record<string, any>}
+ */
+export function buildRenderRequest(op, fields, opts) {
+  /** @type {Record<string, any>} */
+  const req = { id: opts.id, op, ...fields };
+  for (const key of RENDER_FIELDS) {
+    if (opts[key] !== undefined) req[key] = opts[key];
+  }
+  // Leave them to the preset; the watcher turns both on when neither sets them.
+  if (!opts.preset || opts.screenshot !== undefined) req.screenshot = opts.screenshot ?? true;
+  if (!opts.preset || opts.htmlOutput !== undefined) req.htmlOutput = opts.htmlOutput ?? true;
+  return req;
+}
+
+/**
+ * Submit a render_url / render_html request and await its outputs.
+ * @param {Record<string, any>} req
+ * @param {Record<string, any>} opts Helper options (client wait options included).
+ */
+async function render(req, opts) {
+  const job = await submit(req, {
+    signal: opts.signal,
+    onProgress: opts.onProgress,
+    clientTimeoutMs: opts.clientTimeoutMs ?? Math.max(60000, (opts.timeoutMs ?? 30000) + 30000),
+    pollIntervalMs: opts.pollIntervalMs,
+  });
+  const done = await job.wait();
+  if (done?.status !== 'ok') throw await jobError(job.id, done);
+  return { id: job.id, ...await renderResult(job.id, !!opts.devices), done };
+}
+
+/**
+ * Submit a render URL request and await completion.
+ * @param {string} url Target URL to navigate to.
+ * @param {Partial<{ id:string, viewport:{width:number,height:number,deviceScaleFactor?:number}, devices:Array<string|Record<string, any>>, fullPage:boolean, waitUntil:string, timeoutMs:number, userAgent:string, extraHeaders:Record<string,string>, screenshot:boolean, htmlOutput:boolean, textOutput:boolean|string, pdf:boolean|Record<string, any>, postWaitMs:number, capturePerformance:boolean|{trace?:boolean}, recordVideo:boolean|Record<string, any>, intercept:Record<string, any>, har:{ bodies?:boolean, maxBodyBytes?:number }, actions:any[], sequences:Record<string, any[]>, onActionError:'stop'|'continue'|'ignore', snapshotOnFailure:boolean, compare:{ baseline:string, threshold?:number, tolerance?:number, ignoreRegions?:Array<{ x:number, y:number, width:number, height:number, file?:string }>, mask?:string[], elements?:boolean, update?:'missing'|'all'|'none', failOnMismatch?:boolean }, priority:number, clientTimeoutMs:number, pollIntervalMs:number, signal:AbortSignal, onProgress:(state: JobState) => void }>} opts Options controlling rendering and client wait.
+ * @returns {Promise<{ id:string, done:any } & Awaited<ReturnType<typeof renderResult>>>} Resolved with the manifest,
+ *   paths of the outputs that were written and parsed extract/console/network data.
+ */
+export async function renderURL(url, opts = {}) {
+  return render(buildRenderRequest('render_url', { url }, opts), opts);
+}
+
+/**
+ * Submit a render HTML request and await completion.
+ * @param {string} html HTML string to render in a blank page.
+ * @param {Parameters<typeof renderURL>[1]} opts Options controlling rendering and client wait.
+ * @returns {ReturnType<typeof renderURL>} Resolved with paths to outputs.
+ */
+export async function renderHTML(html, opts = {}) {
+  return render(buildRenderRequest('render_html', { html }, opts), opts);
+}
+
+/**
+ * Submit a crawl request (op "crawl") and await completion. Every page found
+ * is rendered with the same options as renderURL into responses/<id>/pages/<n>/.
+ * Rejects when the crawl was cancelled or any page failed; the error then
+ * carries `id` and the parsed crawl.json as `index`.
+ * @param {string} url Start URL (http or https).
+ * @param {Omit<Parameters<typeof renderURL>[1], 'compare'> & Partial<{ crawl:{ maxDepth?:number, maxPages?:number, include?:string[], exclude?:string[], sameOrigin?:boolean, sitemap?:boolean|string, ignoreQuery?:boolean, linkSelector?:string, delayMs?:number } }>} opts Crawl options, per-page render options and client wait.
+ * @returns {Promise<{ id:string, paths:{ meta:string, index:string, pages:string }, index:any, manifest:Manifest|undefined, done:any }>}
+ *   Resolved with the crawl index and the manifest of all pages' outputs.
+ */
+export async function crawl(url, opts = {}) {
+  // Pages render one after another; allow each its navigation timeout.
+  const perPageMs = (opts.timeoutMs ?? 30000) + 5000;
+  const job = await submit(buildRenderRequest('crawl', { url, crawl: opts.crawl }, { ...opts, compare: undefined }), {
+    signal: opts.signal,
+    onProgress: opts.onProgress,
+    clientTimeoutMs: opts.clientTimeoutMs ?? Math.max(60000, (opts.crawl?.maxPages ?? 50) * perPageMs),
+    pollIntervalMs: opts.pollIntervalMs,
+  });
+  const done = await job.wait();
+  const indexPath = path.join(job.dir, 'crawl.json');
+  const index = await readJSONFile(indexPath);
+  if (done?.status !== 'ok') throw Object.assign(await jobError(job.id, done), { index });
+  const manifest = await readManifest(job.id);
+  return { id: job.id, paths: { meta: path.join(job.dir, 'meta.json'), index: indexPath, pages: path.join(job.dir, 'pages') }, index, manifest, done };
+}
+
+/**
+ * Accept a finished job's screenshots as the new baselines (op "baseline_accept").
+ * Copies the images listed in the job's compare.json over baselines/<baseline>/.
+ * @param {string} jobId Job that ran with `compare`.
+ * @param {Partial<{ id:string, baseline:string, files:string[], clientTimeoutMs:number, pollIntervalMs:number, signal:AbortSignal }>} opts
+ *   baseline: save under another baseline name; files: accept only these images.
+ * @returns {Promise<{ id:string, result:{ jobId:string, baseline:string, accepted:Array<{ file:string, device?:string, path:string }> } }>}
+ */
+export async function acceptBaseline(jobId, opts = {}) {
+  const job = await submit({ id: opts.id, op: 'baseline_accept', jobId, baseline: opts.baseline, files: opts.files }, {
+    signal: opts.signal,
+    clientTimeoutMs: opts.clientTimeoutMs ?? 60000,
+    pollIntervalMs: opts.pollIntervalMs,
+  });
+  const done = await job.wait();
+  if (done?.status !== 'ok') throw await jobError(job.id, done);
+  const result = JSON.parse(await fs.readFile(path.join(job.dir, 'result.json'), 'utf8'));
+  return { id: job.id, result };
+}
+
+/**
+ * Ask the watcher to cancel a queued or running job by dropping
+ * requests/cancel/<id>. The job then finishes with done.json
+ * `{ status: "cancelled" }`, which makes a pending renderURL/renderHTML reject.
+ * Aborting the `signal` passed to submit() or a helper does the same.
+ * @param {string} id Request ID to cancel.
+ * @returns {Promise<void>} Resolves once the cancel request is written.
+ */
+export async function cancel(id) {
+  checkId(id);
+  await writeFileAtomic(path.join(CANCEL_DIR, id), '');
+}
+
+/**
+ * Pin a job so the watcher's retention rules never remove it.
+ * @param {string} id Request ID.
+ * @param {boolean=} pinned false unpins.
+ * @returns {Promise<void>}
+ */
+export async function pin(id, pinned = true) {
+  checkId(id);
+  const dir = path.join(RESPONSES_DIR, id);
+  if (!(await exists(dir))) throw new Error(`Unknown job ${id} (no responses/${id}/)`);
+  if (pinned) await fs.writeFile(path.join(dir, PIN_FILE), `${new Date().toISOString()}\n`);
+  else await fs.rm(path.join(dir, PIN_FILE), { force: true });
 }
@@ -1,10 +1,107 @@
 // @ts-check
-import { promises as fs } from 'fs';
+/**
+ * Clean up requests/ and responses/.
+ *
+ *   node scripts/clean.mjs                       wipe everything (queued jobs included)
+ *   node scripts/clean.mjs --older-than 7d       remove finished jobs older than 7 days
+ *   node scripts/clean.mjs --keep-last 200       keep only the newest 200 finished jobs
+ *
+ * With any retention option only finished jobs under responses/ are removed,
+ * using the same rules as the watcher (see src/retention.js): pinned jobs are
+ * kept, and --failed-older-than / --failed-keep-last set separate rules for
+ * error and cancelled jobs. --max-size 2G removes the oldest jobs until the
+ * rest fit. --dry-run lists what would be removed without removing it.
+ *
+ * The folders are the watcher's (webwatcher.config.json, --config FILE,
+ * WEBWATCHER_REQUESTS_DIR / WEBWATCHER_RESPONSES_DIR; see src/config.js).
+ */
+import { promises as fs, existsSync } from 'fs';
 import path from 'path';
+import { collectGarbage, hasRetentionRules } from '../src/retention.js';
+import { loadConfig, spliceConfigArgs } from '../src/config.js';
 
 const ROOT = process.cwd();
-const responses = path.join(ROOT, 'responses');
-const requests = path.join(ROOT, 'requests');
+
+const DURATION_UNITS = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+const SIZE_UNITS = { K: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+
+/**
+ * @param {string} flag
+ * @param {string|undefined} v e.g. 30m, 12h, 7d, 2w
+ */
+function parseDuration(flag, v) {
+  const m = /^(\d+(?:\.\d+)?)(m|h|d|w)$/.exec(String(v));
+  if (!m) usage(`${flag}: expected e.g. 12h, 7d or 2w, got ${v}`);
+  return Math.round(Number(m[1]) * DURATION_UNITS[/** @type {keyof typeof DURATION_UNITS} */ (m[2])]);
+}
+
+/**
+ * @param {string} flag
+ * @param {string|undefined} v e.g. 500M, 2G
+ */
+function parseSize(flag, v) {
+  const m = /^(\d+(?:\.\d+)?)([KMG])B?$/i.exec(String(v));
+  if (!m) usage(`${flag}: expected e.g. 500M or 2G, got ${v}`);
+  return Math.round(Number(m[1]) * SIZE_UNITS[/** @type {keyof typeof SIZE_UNITS} */ (m[2].toUpperCase())]);
+}
+
+/**
+ * @param {string} flag
+ * @param {string|undefined} v
+ */
+function parseCount(flag, v) {
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1) usage(`${flag}: expected a positive integer, got ${v}`);
+  return n;
+}
+
+/**
+ * @param {string} msg
+ * @returns {never}
+ */
+function usage(msg) {
+  console.error(msg);
+  console.error('Usage: clean.mjs [--older-than 7d] [--keep-last N] [--failed-older-than 1d] [--failed-keep-last N] [--max-size 2G] [--dry-run] [--config FILE]');
+  process.exit(2);
+}
+
+/** @type {import('../src/retention.js').RetentionPolicy & { failed: import('../src/retention.js').RetentionRules }} */
+const policy = { failed: {} };
+let dryRun = false;
+const argv = process.argv.slice(2);
+const configArgs = spliceConfigArgs(argv);
+for (let i = 0; i < argv.length; i++) {
+  const a = argv[i];
+  if (a === '--older-than') policy.maxAgeMs = parseDuration(a, argv[++i]);
+  else if (a === '--keep-last') policy.keepLast = parseCount(a, argv[++i]);
+  else if (a === '--failed-older-than') policy.failed.maxAgeMs = parseDuration(a, argv[++i]);
+  else if (a === '--failed-keep-last') policy.failed.keepLast = parseCount(a, argv[++i]);
+  else if (a === '--max-size') policy.maxBytes = parseSize(a, argv[++i]);
+  else if (a === '--dry-run') dryRun = true;
+  else usage(`Unknown option ${a}`);
+}
+
+let requests;
+let responses;
+try {
+  ({ requestsDir: requests, responsesDir: responses } = loadConfig({ argv: configArgs }).config);
+} catch (err) {
+  usage([err.message, ...(err.errors || []).map((e) => `  - ${e}`)].join('\n'));
+}
+
+/** @param {number} bytes */
+const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+if (hasRetentionRules(policy)) {
+  // Jobs claimed by a running watcher are still in flight.
+  const isActive = (/** @type {string} */ id) => existsSync(path.join(requests, 'processing', `${id}.json`));
+  const { removed, freedBytes, keptJobs, keptBytes } = await collectGarbage(responses, policy, { dryRun, isActive });
+  for (const r of removed) {
+    console.log(`${dryRun ? 'Would remove' : 'Removed'} ${r.id} (${r.status}, finished ${r.finishedAt}, ${mb(r.bytes)}, ${r.reason})`);
+  }
+  console.log(`${dryRun ? 'Would remove' : 'Removed'} ${removed.length} job(s), ${mb(freedBytes)}; ${keptJobs} job(s), ${mb(keptBytes)} kept.`);
+  process.exit(0);
+}
 
 async function emptyDir(dir, keepGitkeep = true) {
   try {
@@ -12,6 +109,10 @@ async function emptyDir(dir, keepGitkeep = true) {
     for (const e of entries) {
       if (keepGitkeep && e.name === '.gitkeep') continue;
       const p = path.join(dir, e.name);
+      if (dryRun) {
+        console.log(`Would remove ${path.relative(ROOT, p)}`);
+        continue;
+      }
       if (e.isDirectory()) {
         await fs.rm(p, { recursive: true, force: true });
       } else {
@@ -19,12 +120,13 @@ async function emptyDir(dir, keepGitkeep = true) {
       }
     }
   } catch {
-    await fs.mkdir(dir, { recursive: true });
+    if (!dryRun) await fs.mkdir(dir, { recursive: true });
   }
 }
 
 await emptyDir(responses, true);
 await emptyDir(requests, true);
+if (dryRun) process.exit(0);
 await fs.mkdir(path.join(requests, 'processing'), { recursive: true });
 
 // re-create .gitkeep files if missing
@@ -34,4 +136,3 @@ await touch(path.join(requests, '.gitkeep'));
 await touch(path.join(requests, 'processing', '.gitkeep'));
 
 console.log('Cleaned responses/ and requests/');
-
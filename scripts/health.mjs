@@ -0,0 +1,67 @@
+// @ts-check
+/**
+ * Health check for supervisors: exits 0 when the watcher's status.json
+ * heartbeat is fresh and says "running", 1 otherwise, and prints one line.
+ *
+ *   node scripts/health.mjs                 stale after 3 heartbeats
+ *   node scripts/health.mjs --max-age 30s   stale after 30 seconds
+ *   node scripts/health.mjs --file /srv/ww/status.json
+ *   node scripts/health.mjs --config /srv/ww/webwatcher.config.json
+ *
+ * The default file is the watcher's status file: `health.statusFile` in
+ * webwatcher.config.json (or --config FILE), or WEBWATCHER_STATUS_FILE.
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import { loadConfig, spliceConfigArgs } from '../src/config.js';
+
+const argv = process.argv.slice(2);
+const configArgs = spliceConfigArgs(argv);
+/** @type {string|undefined} */
+let file;
+/** @type {number|undefined} */
+let maxAgeMs;
+for (let i = 0; i < argv.length; i++) {
+  const a = argv[i];
+  if (a === '--file') file = argv[++i];
+  else if (a === '--max-age') {
+    const m = /^(\d+)(ms|s|m)?$/.exec(String(argv[++i]));
+    if (!m) unhealthy(`--max-age: expected e.g. 500ms, 30s or 2m, got ${argv[i]}`, 2);
+    maxAgeMs = Number(m[1]) * { ms: 1, s: 1000, m: 60_000 }[m[2] || 's'];
+  } else unhealthy(`Unknown option ${a}`, 2);
+}
+
+/**
+ * @param {string} msg
+ * @param {number=} code
+ * @returns {never}
+ */
+function unhealthy(msg, code = 1) {
+  console.log(`UNHEALTHY ${msg}`);
+  process.exit(code);
+}
+
+if (file === undefined) {
+  try {
+    file = loadConfig({ argv: configArgs }).config.health.statusFile;
+  } catch (err) {
+    unhealthy(`${err.message}: ${(err.errors || []).join('; ')}`, 2);
+  }
+}
+
+/** @type {any} */
+let status;
+try {
+  status = JSON.parse(await fs.readFile(path.resolve(process.cwd(), file), 'utf8'));
+} catch (err) {
+  unhealthy(`cannot read ${file}: ${err instanceof Error ? err.message : String(err)}`);
+}
+
+const age = Date.now() - Date.parse(status.updatedAt);
+const limit = maxAgeMs ?? 3 * (status.heartbeatMs || 5000);
+if (!(age <= limit)) unhealthy(`heartbeat is ${Math.round(age / 1000)}s old (limit ${Math.round(limit / 1000)}s), pid ${status.pid}`);
+if (status.state !== 'running') unhealthy(`state ${status.state}, pid ${status.pid}`);
+
+// A relaunch after a crash leaves the browser down for a while; that alone is not fatal.
+const browser = status.browser?.connected ? status.browser.version || 'connected' : 'browser down (relaunching)';
+console.log(`OK pid ${status.pid}, up ${Math.round(status.uptimeMs / 1000)}s, ${browser}, queue ${status.queue.depth}, running ${status.queue.active}/${status.queue.concurrency}, ok ${status.counts.ok}, error ${status.counts.error}`);
@@ -0,0 +1,717 @@
+// @ts-check
+/**
+ * Actions DSL: scripted interaction run after navigation (`actions` request
+ * field), plus reusable named sub-sequences (`sequences`).
+ *
+ * - Page actions: waitForSelector, click, hover, type, press, clickAt,
+ *   waitForTime, waitForFunction, waitForCanvasPaint, muteHeuristic,
+ *   screenshotElement.
+ * - Assertions: assertText, assertVisible, assertUrl, assertCount,
+ *   assertNoConsoleErrors. They poll until they pass or `timeoutMs`
+ *   (default 5s) runs out, then fail the job with code EASSERT.
+ * - Control flow: `if` (selector or expression, with then/else), `repeat`
+ *   (fixed count, optional `until`), `retryUntil` (re-run until a condition
+ *   holds) and `call` (run a named sequence).
+ *
+ * Every action has a step path used in progress events, errors and the step
+ * report: "3" for the third top-level action, "3.then.1", "3.iter2.1",
+ * "3.try2.1" and "3.call.1" inside blocks.
+ *
+ * Error handling: a failing action stops the script unless it is marked
+ * `continueOnError` (alias `optional`) or the job policy says otherwise:
+ * - "stop" (default): fail fast.
+ * - "continue": run the remaining steps, then fail with every error.
+ * - "ignore": record failures but never fail the job.
+ * Each executed step (blocks included) is recorded for steps.json.
+ */
+import path from 'path';
+import { sleep, writeFileAtomic } from './files.js';
+
+/** Default wait for selector-based page actions. */
+const DEFAULT_TIMEOUT_MS = 30000;
+/** Default polling window for assertions. */
+const DEFAULT_ASSERT_TIMEOUT_MS = 5000;
+const ASSERT_POLL_MS = 100;
+/** Guards against runaway scripts (nested loops, recursive calls). */
+const MAX_REPEAT = 1000;
+const MAX_RETRY_ATTEMPTS = 100;
+const MAX_CALL_DEPTH = 10;
+const MAX_EXECUTED_ACTIONS = 10000;
+
+/** Job-level policies for failing actions (`onActionError`). */
+export const ACTION_ERROR_POLICIES = ['stop', 'continue', 'ignore'];
+
+/**
+ * @typedef {Object} Condition
+ * @property {string=} selector True when a matching element exists (and is visible with `visible`).
+ * @property {boolean=} visible Require the element to be visible.
+ * @property {string=} expression JavaScript expression evaluated in the page; truthy = true.
+ * @property {boolean=} not Negate the result.
+ */
+
+/**
+ * @typedef {(
+ *   | { type: 'waitForSelector', selector: string, timeoutMs?: number }
+ *   | { type: 'click', selector: string, timeoutMs?: number }
+ *   | { type: 'hover', selector: string, timeoutMs?: number }
+ *   | { type: 'type', selector: string, text: string, delay?: number, timeoutMs?: number }
+ *   | { type: 'press', key: string, delay?: number }
+ *   | { type: 'clickAt', x: number, y: number }
+ *   | { type: 'waitForTime', ms: number }
+ *   | { type: 'waitForFunction', fn: string, timeoutMs?: number }
+ *   | { type: 'waitForCanvasPaint', timeoutMs?: number, intervalMs?: number }
+ *   | { type: 'muteHeuristic' }
+ *   | { type: 'screenshotElement', selector: string, file?: string, timeoutMs?: number }
+ *   | { type: 'assertText', selector: string, equals?: string, contains?: string, matches?: string, timeoutMs?: number }
+ *   | { type: 'assertVisible', selector: string, visible?: boolean, timeoutMs?: number }
+ *   | { type: 'assertUrl', equals?: string, contains?: string, matches?: string, timeoutMs?: number }
+ *   | { type: 'assertCount', selector: string, equals?: number, min?: number, max?: number, timeoutMs?: number }
+ *   | { type: 'assertNoConsoleErrors', ignore?: string[] }
+ *   | ({ type: 'if', then: PageAction[], else?: PageAction[], timeoutMs?: number } & Condition)
+ *   | { type: 'repeat', times: number, actions: PageAction[], until?: Condition }
+ *   | { type: 'retryUntil', actions: PageAction[], until: Condition, maxAttempts?: number, intervalMs?: number }
+ *   | { type: 'call', sequence: string }
+ * ) & { continueOnError?: boolean, optional?: boolean }} PageAction
+ * `continueOnError` (alias `optional`) on any action: record a failure and carry on.
+ */
+
+/**
+ * @typedef {Object} RunContext
+ * @property {string} outDir Output directory for step/element screenshots.
+ * @property {boolean=} snapAfterEach Screenshot after each page action or assertion.
+ * @property {(p: { phase: string, [key: string]: any }) => void=} onProgress Reports each step.
+ * @property {AbortSignal=} signal Stops the script between (and during waits of) steps.
+ * @property {Record<string, PageAction[]>=} sequences Named sub-sequences for `call`.
+ * @property {Array<{ type: string, text: string }>=} consoleErrors Console errors and uncaught
+ *   exceptions seen so far, checked by assertNoConsoleErrors.
+ * @property {'stop'|'continue'|'ignore'=} policy What a failing action does (default "stop").
+ * @property {boolean=} snapshotOnFailure Save a screenshot and HTML of the page when a step fails.
+ * @property {StepRecord[]=} report Receives one record per executed step.
+ * @property {(record: StepRecord) => void=} onStepDone Called with each step's record once it
+ *   has finished, whatever the outcome.
+ * @property {(el: import('puppeteer').ElementHandle<Element>, file: string) => Promise<void>=} onElementShot
+ *   Called after screenshotElement saved `file`, with the element still on screen.
+ */
+
+/**
+ * @typedef {Object} StepRecord
+ * @property {string} step Step path.
+ * @property {string} type Action type.
+ * @property {'running'|'ok'|'failed'|'ignored'|'cancelled'} status
+ *   "ignored": failed, but continueOnError/optional or the "ignore" policy let the script go on.
+ * @property {string} startedAt
+ * @property {number=} durationMs
+ * @property {string=} error
+ * @property {boolean=} assertion True when a failed assertion caused the error.
+ * @property {string=} screenshot Failure screenshot file (with snapshotOnFailure).
+ * @property {string=} html Failure HTML snapshot file (with snapshotOnFailure).
+ * @property {string=} branch `if`: branch taken ("then"/"else"/"none").
+ * @property {number=} iterations `repeat`: iterations run.
+ * @property {number=} attempts `retryUntil`: attempts made.
+ */
+
+const TEXT_MATCHERS = ['equals', 'contains', 'matches'];
+
+/**
+ * Required fields per action type; `check` returns an error message or undefined.
+ * @type {Record<string, (a: any) => string|undefined>}
+ */
+const LEAF_CHECKS = {
+  waitForSelector: (a) => needString(a, 'selector'),
+  click: (a) => needString(a, 'selector'),
+  hover: (a) => needString(a, 'selector'),
+  type: (a) => needString(a, 'selector') || (typeof a.text !== 'string' ? 'text must be a string' : undefined),
+  press: (a) => needString(a, 'key'),
+  clickAt: (a) => (typeof a.x !== 'number' || typeof a.y !== 'number' ? 'x and y must be numbers' : undefined),
+  waitForTime: (a) => (typeof a.ms !== 'number' || a.ms < 0 ? 'ms must be a non-negative number' : undefined),
+  waitForFunction: (a) => needString(a, 'fn'),
+  waitForCanvasPaint: () => undefined,
+  muteHeuristic: () => undefined,
+  screenshotElement: (a) => needString(a, 'selector')
+    || (a.file !== undefined && (typeof a.file !== 'string' || !/^[\w.-]+$/.test(a.file)) ? 'file must be a plain file name' : undefined),
+  assertText: (a) => needString(a, 'selector') || oneMatcher(a),
+  assertVisible: (a) => needString(a, 'selector'),
+  assertUrl: (a) => oneMatcher(a),
+  assertCount: (a) => needString(a, 'selector')
+    || (['equals', 'min', 'max'].every((k) => a[k] === undefined) ? 'needs equals, min or max' : undefined)
+    || (['equals', 'min', 'max'].some((k) => a[k] !== undefined && !(Number.isInteger(a[k]) && a[k] >= 0))
+      ? 'equals/min/max must be non-negative integers' : undefined),
+  assertNoConsoleErrors: (a) => (a.ignore !== undefined && (!Array.isArray(a.ignore) || a.ignore.some((p) => typeof p !== 'string'))
+    ? 'ignore must be an array of strings' : undefined),
+};
+
+const BLOCK_TYPES = ['if', 'repeat', 'retryUntil', 'call'];
+
+/** @param {any} a @param {string} key */
+function needString(a, key) {
+  return typeof a[key] === 'string' && a[key] ? undefined : `${key} is required`;
+}
+
+/** @param {any} a */
+function oneMatcher(a) {
+  const given = TEXT_MATCHERS.filter((k) => a[k] !== undefined);
+  if (given.length !== 1) return 'needs exactly one of equals, contains or matches';
+  if (typeof a[given[0]] !== 'string') return `${given[0]} must be a string`;
+  if (given[0] === 'matches') {
+    try { toRegExp(a.matches); } catch (e) { return `matches: ${e instanceof Error ? e.message : e}`; }
+  }
+  return undefined;
+}
+
+/**
+ * "/source/flags" or a bare regex source.
+ * @param {string} s
+ */
+function toRegExp(s) {
+  const m = /^\/(.+)\/([a-z]*)$/.exec(s);
+  return m ? new RegExp(m[1], m[2]) : new RegExp(s);
+}
+
+/**
+ * @param {any} c
+ * @param {string} where
+ */
+function checkCondition(c, where) {
+  if (!c || typeof c !== 'object') throw new Error(`${where} must be an object`);
+  const keys = ['selector', 'expression'].filter((k) => c[k] !== undefined);
+  if (keys.length !== 1 || typeof c[keys[0]] !== 'string' || !c[keys[0]]) {
+    throw new Error(`${where} needs exactly one of selector or expression`);
+  }
+}
+
+/**
+ * Validate an action list (recursively).
+ * @param {any} list
+ * @param {string} where Field path for messages, e.g. "actions".
+ * @param {Set<string>} names Known sequence names.
+ * @returns {PageAction[]}
+ */
+function checkList(list, where, names) {
+  if (!Array.isArray(list)) throw new Error(`${where} must be an array`);
+  list.forEach((a, i) => {
+    const at = `${where}[${i}]`;
+    if (!a || typeof a !== 'object' || typeof a.type !== 'string') throw new Error(`${at}.type is required`);
+    for (const flag of ['continueOnError', 'optional']) {
+      if (a[flag] !== undefined && typeof a[flag] !== 'boolean') throw new Error(`${at}.${flag} must be a boolean`);
+    }
+    const leaf = LEAF_CHECKS[a.type];
+    if (leaf) {
+      const msg = leaf(a);
+      if (msg) throw new Error(`${at} (${a.type}): ${msg}`);
+    } else if (a.type === 'if') {
+      checkCondition(a, at);
+      checkList(a.then, `${at}.then`, names);
+      if (a.else !== undefined) checkList(a.else, `${at}.else`, names);
+    } else if (a.type === 'repeat') {
+      if (!(Number.isInteger(a.times) && a.times >= 1 && a.times <= MAX_REPEAT)) throw new Error(`${at}.times must be an integer between 1 and ${MAX_REPEAT}`);
+      if (a.until !== undefined) checkCondition(a.until, `${at}.until`);
+      checkList(a.actions, `${at}.actions`, names);
+    } else if (a.type === 'retryUntil') {
+      checkCondition(a.until, `${at}.until`);
+      if (a.maxAttempts !== undefined && !(Number.isInteger(a.maxAttempts) && a.maxAttempts >= 1 && a.maxAttempts <= MAX_RETRY_ATTEMPTS)) {
+        throw new Error(`${at}.maxAttempts must be an integer between 1 and ${MAX_RETRY_ATTEMPTS}`);
+      }
+      checkList(a.actions, `${at}.actions`, names);
+    } else if (a.type === 'call') {
+      if (!names.has(a.sequence)) throw new Error(`${at}: unknown sequence ${JSON.stringify(a.sequence)}`);
+    } else {
+      throw new Error(`${at}: unknown action type ${JSON.stringify(a.type)} (known: ${[...Object.keys(LEAF_CHECKS), ...BLOCK_TYPES].join(', ')})`);
+    }
+  });
+  return list;
+}
+
+/**
+ * Sequence names called (directly) from an action list.
+ * @param {any[]} list
+ * @returns {string[]}
+ */
+function callsIn(list) {
+  return list.flatMap((a) => (a.type === 'call' ? [a.sequence] : callsIn([...(a.then || []), ...(a.else || []), ...(a.actions || [])])));
+}
+
+/**
+ * Validate the `actions` and `sequences` request fields. Unknown action types,
+ * missing fields, unknown or recursive sequence calls are rejected up front.
+ * @param {any} rawActions
+ * @param {any} rawSequences
+ * @returns {{ actions: PageAction[]|undefined, sequences: Record<string, PageAction[]>|undefined }}
+ */
+export function normalizeActions(rawActions, rawSequences) {
+  /** @type {Record<string, PageAction[]>|undefined} */
+  let sequences;
+  if (rawSequences !== undefined && rawSequences !== null) {
+    if (typeof rawSequences !== 'object' || Array.isArray(rawSequences)) throw new Error('sequences must be an object of named action lists');
+    const names = new Set(Object.keys(rawSequences));
+    sequences = {};
+    for (const [name, list] of Object.entries(rawSequences)) sequences[name] = checkList(list, `sequences.${name}`, names);
+    // Reject call cycles (a → b → a); they could never finish.
+    /** @param {string} name @param {string[]} chain */
+    const visit = (name, chain) => {
+      if (chain.includes(name)) throw new Error(`sequences: recursive call ${[...chain, name].join(' → ')}`);
+      for (const next of callsIn(/** @type {any} */ (sequences)[name])) visit(next, [...chain, name]);
+    };
+    for (const name of names) visit(name, []);
+  }
+  const actions = rawActions === undefined || rawActions === null
+    ? undefined
+    : checkList(rawActions, 'actions', new Set(Object.keys(sequences || {})));
+  return { actions, sequences };
+}
+
+/**
+ * Execute a list of actions on the page.
+ *
+ * Tips:
+ * - Prefer selector-based actions where possible; use clickAt for canvas-only UIs.
+ * - Use waitForCanvasPaint when the game paints into a canvas and has no stable DOM.
+ * - Wrap optional UI (consent dialogs, popups) in `if` with a short `timeoutMs`.
+ *
+ * Failures are rethrown with the step path in the message and on `err.step`;
+ * failed assertions carry code EASSERT. With the "continue" policy the
+ * error is thrown after the last step and lists every failed step.
+ * @param {import('puppeteer').Page} page Puppeteer page instance.
+ * @param {PageAction[]} actions Sequence of actions to execute.
+ * @param {RunContext} ctx
+ */
+export async function runActions(page, actions, ctx) {
+  /** @type {RunState} */
+  const state = { executed: 0, failures: [], snapshots: 0 };
+  await runList(page, actions, ctx, state, '', actions.length, 0);
+  if (state.failures.length === 0) return;
+  const [first] = state.failures;
+  if (state.failures.length === 1) throw first;
+  const msg = `${state.failures.length} steps failed: ${state.failures.map((e) => e.message).join('; ')}`;
+  throw Object.assign(new Error(msg), {
+    code: state.failures.every((e) => e.code === 'EASSERT') ? 'EASSERT' : 'EACTION',
+    step: first.step,
+  });
+}
+
+/**
+ * Summary written to steps.json.
+ * @param {StepRecord[]} steps
+ * @param {string} policy
+ */
+export function stepsReport(steps, policy) {
+  const count = (status) => steps.filter((s) => s.status === status).length;
+  return {
+    policy,
+    summary: { executed: steps.length, ok: count('ok'), failed: count('failed'), ignored: count('ignored'), cancelled: count('cancelled') },
+    steps,
+  };
+}
+
+/**
+ * @typedef {Object} RunState
+ * @property {number} executed Actions started so far (runaway guard).
+ * @property {Array<any>} failures Errors deferred by the "continue" policy.
+ * @property {number} snapshots Failure snapshots taken (capped).
+ */
+
+/** Failure snapshots per run; a looping script could otherwise write hundreds. */
+const MAX_FAILURE_SNAPSHOTS = 20;
+
+/**
+ * @param {import('puppeteer').Page} page
+ * @param {PageAction[]} list
+ * @param {RunContext} ctx
+ * @param {RunState} state
+ * @param {string} prefix Step path of the enclosing block ("" at top level).
+ * @param {number} total Number of top-level actions (for progress).
+ * @param {number} depth Sequence call depth.
+ */
+async function runList(page, list, ctx, state, prefix, total, depth) {
+  const policy = ctx.policy || 'stop';
+  for (let i = 0; i < list.length; i++) {
+    ctx.signal?.throwIfAborted();
+    const a = list[i];
+    const optional = !!(a.continueOnError || a.optional);
+    const step = prefix ? `${prefix}.${i + 1}` : String(i + 1);
+    if (++state.executed > MAX_EXECUTED_ACTIONS) throw new Error(`Script exceeded ${MAX_EXECUTED_ACTIONS} executed actions`);
+    ctx.onProgress?.({ phase: 'action', step: Number(step.split('.')[0]), total, type: a.type, path: step });
+    /** @type {StepRecord} */
+    const record = { step, type: a.type, status: 'running', startedAt: new Date().toISOString() };
+    ctx.report?.push(record);
+    const t0 = Date.now();
+    const failuresBefore = state.failures.length;
+    // Failures inside an optional block must not fail the job later either.
+    const inner = optional && policy === 'continue' ? { ...ctx, policy: /** @type {'ignore'} */ ('ignore') } : ctx;
+    try {
+      Object.assign(record, await runOne(page, a, inner, state, step, total, depth));
+      record.status = state.failures.length > failuresBefore ? 'failed' : 'ok';
+      record.durationMs = Date.now() - t0;
+    } catch (e) {
+      record.durationMs = Date.now() - t0;
+      if (ctx.signal?.aborted) {
+        record.status = 'cancelled';
+        throw e;
+      }
+      let err = /** @type {any} */ (e);
+      // Errors from nested steps already name their step (and were snapshotted there).
+      if (!err?.step) {
+        const msg = err instanceof Error ? err.message : String(err);
+        const text = err?.code === 'EASSERT'
+          ? `Assertion failed at step ${step} (${a.type}): ${msg}`
+          : `Step ${step} (${a.type}) failed: ${msg}`;
+        err = Object.assign(new Error(text), { code: err?.code === 'EASSERT' ? 'EASSERT' : 'EACTION', step });
+        if (ctx.snapshotOnFailure) Object.assign(record, await failureSnapshot(page, ctx.outDir, step, state));
+      }
+      record.error = err.message;
+      if (err.code === 'EASSERT') record.assertion = true;
+      if (optional || policy === 'ignore') {
+        record.status = 'ignored';
+        continue;
+      }
+      record.status = 'failed';
+      if (policy === 'continue') {
+        state.failures.push(err);
+        continue;
+      }
+      throw err;
+    } finally {
+      ctx.onStepDone?.(record);
+    }
+  }
+}
+
+/**
+ * Save a screenshot and the HTML of the page as it was when a step failed.
+ * Best-effort: returns the file names that could be written.
+ * @param {import('puppeteer').Page} page
+ * @param {string} outDir
+ * @param {string} step
+ * @param {RunState} state
+ * @returns {Promise<{ screenshot?: string, html?: string }>}
+ */
+async function failureSnapshot(page, outDir, step, state) {
+  if (state.snapshots >= MAX_FAILURE_SNAPSHOTS || page.isClosed()) return {};
+  state.snapshots++;
+  const base = `step-${stepFileName(step)}-failed`;
+  /** @type {{ screenshot?: string, html?: string }} */
+  const files = {};
+  try {
+    await page.screenshot({ path: path.join(outDir, `${base}.png`), fullPage: true });
+    files.screenshot = `${base}.png`;
+  } catch {}
+  try {
+    await writeFileAtomic(path.join(outDir, `${base}.html`), await page.content());
+    files.html = `${base}.html`;
+  } catch {}
+  return files;
+}
+
+/**
+ * Run one action; blocks return extra fields for their step record.
+ * @param {import('puppeteer').Page} page
+ * @param {PageAction} a
+ * @param {RunContext} ctx
+ * @param {RunState} state
+ * @param {string} step
+ * @param {number} total
+ * @param {number} depth
+ * @returns {Promise<Partial<StepRecord>|undefined>}
+ */
+async function runOne(page, a, ctx, state, step, total, depth) {
+  const { signal } = ctx;
+  switch (a.type) {
+    case 'if': {
+      const ok = await waitForCondition(page, a, a.timeoutMs ?? 0, signal);
+      const branch = ok ? a.then : a.else;
+      if (branch) await runList(page, branch, ctx, state, `${step}.${ok ? 'then' : 'else'}`, total, depth);
+      return { branch: branch ? (ok ? 'then' : 'else') : 'none' };
+    }
+    case 'repeat': {
+      let n = 0;
+      while (n < a.times) {
+        if (a.until && await evalCondition(page, a.until)) break;
+        n++;
+        await runList(page, a.actions, ctx, state, `${step}.iter${n}`, total, depth);
+      }
+      return { iterations: n };
+    }
+    case 'retryUntil': {
+      const maxAttempts = a.maxAttempts ?? 3;
+      /** @type {string|undefined} */
+      let lastError;
+      // Inside an attempt every error must reach this loop, whatever the job policy.
+      const attemptCtx = { ...ctx, policy: /** @type {'stop'} */ ('stop') };
+      for (let n = 1; n <= maxAttempts; n++) {
+        try {
+          await runList(page, a.actions, attemptCtx, state, `${step}.try${n}`, total, depth);
+          lastError = undefined;
+        } catch (e) {
+          if (signal?.aborted) throw e;
+          lastError = e instanceof Error ? e.message : String(e);
+        }
+        if (await evalCondition(page, a.until)) return { attempts: n };
+        if (n < maxAttempts) await sleep(a.intervalMs ?? 500, signal);
+      }
+      throw new Error(`condition ${describeCondition(a.until)} not met after ${maxAttempts} attempt(s)${lastError ? `; last error: ${lastError}` : ''}`);
+    }
+    case 'call': {
+      if (depth >= MAX_CALL_DEPTH) throw new Error(`sequence calls nested deeper than ${MAX_CALL_DEPTH}`);
+      const seq = ctx.sequences?.[a.sequence];
+      if (!seq) throw new Error(`unknown sequence ${JSON.stringify(a.sequence)}`);
+      await runList(page, seq, ctx, state, `${step}.call`, total, depth + 1);
+      return undefined;
+    }
+    default:
+      await runLeaf(page, a, ctx, step);
+      if (ctx.snapAfterEach) {
+        await page.screenshot({ path: path.join(ctx.outDir, `step-${stepFileName(step)}.png`), fullPage: true });
+      }
+      return undefined;
+  }
+}
+
+/**
+ * "3" → "03", "3.then.1" → "03-then-01".
+ * @param {string} step
+ */
+function stepFileName(step) {
+  return step.split('.').map((p) => (/^\d+$/.test(p) ? p.padStart(2, '0') : p)).join('-');
+}
+
+/**
+ * @param {import('puppeteer').Page} page
+ * @param {PageAction} a
+ * @param {RunContext} ctx
+ * @param {string} step
+ */
+async function runLeaf(page, a, ctx, step) {
+  const { signal } = ctx;
+  switch (a.type) {
+    case 'waitForSelector':
+      await page.waitForSelector(a.selector, { timeout: a.timeoutMs ?? DEFAULT_TIMEOUT_MS });
+      return;
+    case 'click':
+      await page.waitForSelector(a.selector, { timeout: a.timeoutMs ?? DEFAULT_TIMEOUT_MS });
+      await page.click(a.selector);
+      return;
+    case 'hover':
+      await page.waitForSelector(a.selector, { timeout: a.timeoutMs ?? DEFAULT_TIMEOUT_MS });
+      await page.hover(a.selector);
+      return;
+    case 'type':
+      await page.waitForSelector(a.selector, { timeout: a.timeoutMs ?? DEFAULT_TIMEOUT_MS });
+      await page.type(a.selector, a.text, { delay: a.delay ?? 0 });
+      return;
+    case 'press':
+      await page.keyboard.press(/** @type {import('puppeteer').KeyInput} */ (a.key), { delay: a.delay ?? 0 });
+      return;
+    case 'clickAt':
+      await page.mouse.click(a.x, a.y);
+      return;
+    case 'waitForTime':
+      await sleep(a.ms, signal);
+      return;
+    case 'waitForFunction':
+      await page.waitForFunction(a.fn, { timeout: a.timeoutMs ?? DEFAULT_TIMEOUT_MS });
+      return;
+    case 'waitForCanvasPaint':
+      await waitForCanvasPaint(page, a.timeoutMs ?? 60000, a.intervalMs ?? 500);
+      return;
+    case 'muteHeuristic':
+      await clickMuteHeuristic(page);
+      return;
+    case 'screenshotElement': {
+      const el = await page.waitForSelector(a.selector, { timeout: a.timeoutMs ?? DEFAULT_TIMEOUT_MS });
+      if (el) {
+        const file = a.file || `step-${stepFileName(step)}-element.png`;
+        await el.screenshot({ path: path.join(ctx.outDir, file) });
+        await ctx.onElementShot?.(el, file);
+      }
+      return;
+    }
+    case 'assertText':
+      await assertEventually(a.timeoutMs, signal, async () => {
+        const text = await page.evaluate((sel) => {
+          const el = document.querySelector(sel);
+          return el ? (/** @type {HTMLElement} */ (el).innerText ?? el.textContent ?? '').trim() : null;
+        }, a.selector);
+        if (text === null) return `no element matches ${JSON.stringify(a.selector)}`;
+        const why = matchText(text, a);
+        return why && `${JSON.stringify(a.selector)} text ${why}`;
+      });
+      return;
+    case 'assertVisible': {
+      const want = a.visible ?? true;
+      await assertEventually(a.timeoutMs, signal, async () => {
+        const visible = await evalCondition(page, { selector: a.selector, visible: true });
+        if (visible === want) return undefined;
+        return `expected ${JSON.stringify(a.selector)} to be ${want ? 'visible' : 'hidden or absent'}`;
+      });
+      return;
+    }
+    case 'assertUrl':
+      await assertEventually(a.timeoutMs, signal, async () => {
+        const why = matchText(page.url(), a);
+        return why && `URL ${why}`;
+      });
+      return;
+    case 'assertCount':
+      await assertEventually(a.timeoutMs, signal, async () => {
+        const n = await page.evaluate((sel) => document.querySelectorAll(sel).length, a.selector);
+        const bad = (a.equals !== undefined && n !== a.equals) || (a.min !== undefined && n < a.min) || (a.max !== undefined && n > a.max);
+        if (!bad) return undefined;
+        const want = a.equals !== undefined ? `${a.equals}` : [a.min !== undefined && `>= ${a.min}`, a.max !== undefined && `<= ${a.max}`].filter(Boolean).join(' and ');
+        return `expected ${want} elements matching ${JSON.stringify(a.selector)}, found ${n}`;
+      });
+      return;
+    case 'assertNoConsoleErrors': {
+      const ignore = (a.ignore || []).map((p) => (/^\/.+\/[a-z]*$/.test(p) ? toRegExp(p) : p));
+      const errors = (ctx.consoleErrors || []).filter((e) => !ignore.some((p) => (typeof p === 'string' ? e.text.includes(p) : p.test(e.text))));
+      if (errors.length > 0) {
+        const first = errors.slice(0, 3).map((e) => `${e.type}: ${e.text}`).join(' | ');
+        throw Object.assign(new Error(`${errors.length} console error(s): ${first}${errors.length > 3 ? ' | …' : ''}`), { code: 'EASSERT' });
+      }
+      return;
+    }
+    default:
+      throw new Error(`Unknown action type: ${/** @type {any} */ (a).type}`);
+  }
+}
+
+/**
+ * Compare text against an equals/contains/matches expectation.
+ * @param {string} text
+ * @param {{ equals?: string, contains?: string, matches?: string }} a
+ * @returns {string|undefined} Why it does not match, or undefined.
+ */
+function matchText(text, a) {
+  if (a.equals !== undefined && text !== a.equals) return `expected to equal ${JSON.stringify(a.equals)}, got ${JSON.stringify(text)}`;
+  if (a.contains !== undefined && !text.includes(a.contains)) return `expected to contain ${JSON.stringify(a.contains)}, got ${JSON.stringify(text)}`;
+  if (a.matches !== undefined && !toRegExp(a.matches).test(text)) return `expected to match ${a.matches}, got ${JSON.stringify(text)}`;
+  return undefined;
+}
+
+/**
+ * Poll a check until it passes or the timeout runs out.
+ * @param {number|undefined} timeoutMs
+ * @param {AbortSignal|undefined} signal
+ * @param {() => Promise<string|undefined>} check Returns a failure reason, or undefined when passing.
+ */
+async function assertEventually(timeoutMs, signal, check) {
+  const deadline = Date.now() + (timeoutMs ?? DEFAULT_ASSERT_TIMEOUT_MS);
+  for (;;) {
+    const why = await check();
+    if (!why) return;
+    if (Date.now() >= deadline) throw Object.assign(new Error(why), { code: 'EASSERT' });
+    await sleep(ASSERT_POLL_MS, signal);
+  }
+}
+
+/**
+ * Evaluate a condition once.
+ * @param {import('puppeteer').Page} page
+ * @param {Condition} c
+ */
+async function evalCondition(page, c) {
+  let ok;
+  if (c.selector !== undefined) {
+    ok = await page.evaluate((sel, visible) => {
+      const el = document.querySelector(sel);
+      if (!el) return false;
+      if (!visible) return true;
+      const style = getComputedStyle(el);
+      const rect = el.getBoundingClientRect();
+      return style.visibility !== 'hidden' && style.display !== 'none' && rect.width > 0 && rect.height > 0;
+    }, c.selector, !!c.visible);
+  } else {
+    ok = !!(await page.evaluate(/** @type {string} */ (c.expression)));
+  }
+  return c.not ? !ok : ok;
+}
+
+/**
+ * Evaluate a condition, re-checking for up to timeoutMs while it is false.
+ * @param {import('puppeteer').Page} page
+ * @param {Condition} c
+ * @param {number} timeoutMs 0 = check once.
+ * @param {AbortSignal|undefined} signal
+ */
+async function waitForCondition(page, c, timeoutMs, signal) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    if (await evalCondition(page, c)) return true;
+    if (Date.now() >= deadline) return false;
+    await sleep(ASSERT_POLL_MS, signal);
+  }
+}
+
+/** @param {Condition} c */
+function describeCondition(c) {
+  const what = c.selector !== undefined ? `${JSON.stringify(c.selector)}${c.visible ? ' visible' : ' present'}` : `(${c.expression})`;
+  return c.not ? `not ${what}` : what;
+}
+
+/**
+ * Try to detect and click a "no sounds/mute" UI element heuristically.
+ * Heuristic: scan buttons-like elements for text tokens related to
+ * sound/audio/music and negative modifiers (no/off/mute/bez/vyp...).
+ * Best-effort; safe if not found.
+ * @param {import('puppeteer').Page} page Puppeteer page.
+ */
+async function clickMuteHeuristic(page) {
+  // Strategy: find buttons/links/divs with text containing sound/audio/music/zvuk/hudba and also no/off/mute/disable/bez/vyp
+  const selector = await page.evaluate(() => {
+    const score = (el) => {
+      const t = (el.innerText || el.textContent || '').toLowerCase();
+      let s = 0;
+      if (/sound|audio|music|zvuk|zvuky|hudba/.test(t)) s += 2;
+      if (/no|off|mute|disable|bez|vyp/.test(t)) s += 3;
+      if (/accept|ok|yes|ano/.test(t)) s -= 1; // avoid clicking accept
+      return s;
+    };
+    const candidates = Array.from(document.querySelectorAll('button, [role="button"], a, .btn'));
+    let best = null;
+    let bestScore = 0;
+    for (const el of candidates) {
+      const s = score(el);
+      if (s > bestScore) { bestScore = s; best = el; }
+    }
+    if (best && bestScore >= 3) {
+      best.setAttribute('data-ww-click', '1');
+      return '[data-ww-click="1"]';
+    }
+    return null;
+  });
+  if (selector) {
+    await page.click(selector);
+  }
+}
+
+/**
+ * Wait until a canvas appears and seems to have non-blank pixels (best-effort).
+ * For WebGL-only canvases or tainted contexts, we assume rendered content once present.
+ * @param {import('puppeteer').Page} page Puppeteer page.
+ * @param {number} timeoutMs Max time to wait in milliseconds.
+ * @param {number} intervalMs Polling interval in milliseconds.
+ */
+async function waitForCanvasPaint(page, timeoutMs, intervalMs) {
+  const t0 = Date.now();
+  for (;;) {
+    const painted = await page.evaluate(() => {
+      const c = document.querySelector('canvas');
+      if (!c) return false;
+      try {
+        const ctx = c.getContext('2d');
+        if (!ctx) return true; // WebGL only; assume painted once present
+        const w = Math.min(64, c.width);
+        const h = Math.min(64, c.height);
+        const img = ctx.getImageData(0, 0, w, h).data;
+        for (let i = 0; i < img.length; i += 4) {
+          const r = img[i], g = img[i+1], b = img[i+2], a = img[i+3];
+          if (a !== 0 && !(r === 255 && g === 255 && b === 255)) return true;
+        }
+        return false;
+      } catch {
+        return true; // Tainted canvas — assume painted
+      }
+    });
+    if (painted) return;
+    if (Date.now() - t0 > timeoutMs) throw new Error('waitForCanvasPaint timeout');
+    await new Promise((r) => setTimeout(r, intervalMs));
+  }
+}
@@ -0,0 +1,229 @@
+// @ts-check
+/**
+ * Browser manager: owns the watcher's long-lived Puppeteer browser.
+ *
+ * - Detects crashes via the `disconnected` event and relaunches with backoff.
+ * - Recycles the browser once it served N jobs or its process tree uses more
+ *   than a memory threshold. Recycling waits until no job holds the browser.
+ * - Jobs bracket their use with acquire()/release(); acquire() waits while a
+ *   relaunch or recycle is in progress.
+ */
+import { promises as fs } from 'fs';
+import puppeteer from 'puppeteer';
+import { sleep } from './files.js';
+
+/** Relaunch backoff bounds after a crash or failed launch. */
+const RELAUNCH_MIN_DELAY_MS = 1000;
+const RELAUNCH_MAX_DELAY_MS = 30000;
+
+/**
+ * @typedef {Object} BrowserEvent
+ * @property {'launch'|'crash'|'recycle'|'launch_failed'} type
+ * @property {number} generation Launch counter (1 = first browser).
+ * @property {string=} reason Why the browser was replaced or failed.
+ * @property {string=} version Browser version string after a launch.
+ */
+
+/**
+ * @typedef {Object} BrowserManagerOptions
+ * @property {import('puppeteer').PuppeteerLaunchOptions} launchOptions Options for puppeteer.launch().
+ * @property {number=} recycleAfterJobs Relaunch after this many jobs (0 disables).
+ * @property {number=} maxMemoryMb Relaunch once the browser process tree exceeds this RSS (0 disables).
+ * @property {(evt: BrowserEvent) => void=} onEvent Lifecycle notifications (logging, meta, sessions).
+ */
+
+/**
+ * Create a browser manager. Call start() before acquire().
+ * @param {BrowserManagerOptions} opts
+ */
+export function createBrowserManager(opts) {
+  const recycleAfterJobs = Math.max(0, opts.recycleAfterJobs || 0);
+  const maxMemoryMb = Math.max(0, opts.maxMemoryMb || 0);
+  const emit = (evt) => { try { opts.onEvent?.(evt); } catch {} };
+
+  /** @type {import('puppeteer').Browser|undefined} */
+  let browser;
+  let generation = 0;
+  let relaunches = 0;
+  /** @type {string|undefined} */
+  let version;
+  let jobsOnBrowser = 0;
+  let holders = 0;
+  let closing = false;
+  /** @type {string|undefined} Pending recycle reason; set while waiting for holders to release. */
+  let recycleReason;
+  /** @type {Promise<void>|undefined} Resolves when the current (re)launch finishes. */
+  let launching;
+
+  const launchOnce = async () => {
+    const b = await puppeteer.launch(opts.launchOptions);
+    generation++;
+    jobsOnBrowser = 0;
+    // A fresh browser replaces any recycle still waiting for holders (e.g. the
+    // old one crashed first); acquire() would otherwise wait on it forever.
+    recycleReason = undefined;
+    browser = b;
+    b.on('disconnected', () => {
+      if (browser !== b || closing) return;
+      browser = undefined;
+      relaunches++;
+      emit({ type: 'crash', generation, reason: 'Browser disconnected' });
+      relaunch();
+    });
+    version = undefined;
+    try { version = await b.version(); } catch {}
+    emit({ type: 'launch', generation, version });
+  };
+
+  /** Launch until it succeeds (or shutdown starts), backing off between failures. */
+  const relaunch = () => {
+    if (launching) return launching;
+    launching = (async () => {
+      let delay = RELAUNCH_MIN_DELAY_MS;
+      while (!closing) {
+        try {
+          await launchOnce();
+          return;
+        } catch (err) {
+          const msg = err instanceof Error ? err.message : String(err);
+          emit({ type: 'launch_failed', generation, reason: msg });
+          await sleep(delay);
+          delay = Math.min(delay * 2, RELAUNCH_MAX_DELAY_MS);
+        }
+      }
+    })().finally(() => { launching = undefined; });
+    return launching;
+  };
+
+  /** Close and relaunch once no job holds the browser. */
+  const maybeRecycle = async () => {
+    if (!recycleReason || holders > 0 || launching || closing) return;
+    const reason = recycleReason;
+    recycleReason = undefined;
+    const old = browser;
+    browser = undefined;
+    relaunches++;
+    emit({ type: 'recycle', generation, reason });
+    launching = (async () => {
+      try { await old?.close(); } catch {}
+    })().finally(() => { launching = undefined; });
+    await launching;
+    await relaunch();
+  };
+
+  return {
+    /** Launch the first browser; rejects if that launch fails. */
+    async start() {
+      await launchOnce();
+    },
+
+    /**
+     * Wait for a usable browser and register the caller as a holder.
+     * Every successful acquire() must be paired with release().
+     * @returns {Promise<{ browser: import('puppeteer').Browser, generation: number, relaunches: number }>}
+     */
+    async acquire() {
+      for (;;) {
+        if (closing) throw new Error('Browser manager is closed');
+        if (launching) {
+          await launching;
+          continue;
+        }
+        if (recycleReason) {
+          // A recycle is pending; let current holders finish first.
+          await sleep(50);
+          continue;
+        }
+        if (!browser) {
+          await relaunch();
+          continue;
+        }
+        holders++;
+        return { browser, generation, relaunches };
+      }
+    },
+
+    /**
+     * Release a browser obtained with acquire() and check recycle thresholds.
+     * Jobs are only counted against the browser they ran on.
+     * @param {{ generation: number }} lease Value returned by acquire().
+     */
+    async release(lease) {
+      holders = Math.max(0, holders - 1);
+      if (lease.generation === generation) jobsOnBrowser++;
+      if (!recycleReason && browser) {
+        if (recycleAfterJobs > 0 && jobsOnBrowser >= recycleAfterJobs) {
+          recycleReason = `served ${jobsOnBrowser} jobs`;
+        } else if (maxMemoryMb > 0) {
+          const mb = await processTreeRssMb(browser.process()?.pid);
+          if (mb !== undefined && mb > maxMemoryMb) recycleReason = `memory ${Math.round(mb)}MB > ${maxMemoryMb}MB`;
+        }
+      }
+      await maybeRecycle();
+    },
+
+    /** Current browser, if one is running. */
+    get browser() {
+      return browser;
+    },
+    /** Launch counter (1 = first browser). */
+    get generation() {
+      return generation;
+    },
+    /** How many times the browser was replaced after a crash or recycle. */
+    get relaunches() {
+      return relaunches;
+    },
+    /** Version string of the last launched browser, e.g. "HeadlessChrome/126.0.6478.126". */
+    get version() {
+      return version;
+    },
+
+    /** Close the browser for good; later disconnects are not treated as crashes. */
+    async close() {
+      closing = true;
+      try { await browser?.close(); } catch {}
+      browser = undefined;
+    },
+  };
+}
+
+/**
+ * Resident memory of a process and all its descendants, in MB.
+ * Reads /proc, so it only works on Linux; returns undefined elsewhere.
+ * @param {number|undefined} rootPid Root process id (the browser).
+ * @returns {Promise<number|undefined>}
+ */
+async function processTreeRssMb(rootPid) {
+  if (!rootPid || process.platform !== 'linux') return undefined;
+  let entries;
+  try {
+    entries = await fs.readdir('/proc');
+  } catch {
+    return undefined;
+  }
+  /** @type {Map<number, number[]>} */
+  const children = new Map();
+  for (const name of entries) {
+    if (!/^\d+$/.test(name)) continue;
+    try {
+      const stat = await fs.readFile(`/proc/${name}/stat`, 'utf8');
+      // Field 4 (ppid) follows the parenthesised command name, which may contain spaces.
+      const ppid = Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+      if (!children.has(ppid)) children.set(ppid, []);
+      children.get(ppid)?.push(Number(name));
+    } catch {}
+  }
+  let totalKb = 0;
+  const stack = [rootPid];
+  while (stack.length > 0) {
+    const pid = /** @type {number} */ (stack.pop());
+    try {
+      const status = await fs.readFile(`/proc/${pid}/status`, 'utf8');
+      const m = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+      if (m) totalKb += Number(m[1]);
+    } catch {}
+    stack.push(...(children.get(pid) || []));
+  }
+  return totalKb / 1024;
+}
@@ -0,0 +1,26 @@
+// @ts-check
+/**
+ * Claiming: a request is claimed by writing or moving it to
+ * requests/processing/<id>.json. Request files and POST /jobs share the rule
+ * below, so both reject an id this watcher already has queued or running
+ * instead of overwriting its claimed file and running it twice into one
+ * responses/<id>/.
+ */
+import { safeJoin } from './files.js';
+
+/**
+ * Path a request is claimed at.
+ * @param {string} processingDir requests/processing/
+ * @param {string} id Job id.
+ * @param {{ has(id: string): boolean }} live Jobs queued or running in this watcher.
+ * @returns {string}
+ * @throws {Error & { code: 'EJOBEXISTS' }} When the id is queued or running.
+ * @throws {Error} When the id would resolve outside processingDir.
+ */
+export function claimPath(processingDir, id, live) {
+  const file = safeJoin(processingDir, `${id}.json`);
+  if (live.has(id)) {
+    throw Object.assign(new Error(`Job ${id} is already queued or running`), { code: 'EJOBEXISTS' });
+  }
+  return file;
+}
@@ -0,0 +1,389 @@
+// @ts-check
+/**
+ * Watcher configuration: built-in defaults, then webwatcher.config.json, then
+ * environment variables, then command-line flags (later wins). Everything is
+ * validated before the watcher touches a directory or launches a browser;
+ * all problems are reported together.
+ *
+ * - The file is `--config <file>`, WEBWATCHER_CONFIG, or webwatcher.config.json
+ *   in the working directory; only the last may be missing.
+ * - Every setting has one env var and one flag (see SETTINGS). Env vars are
+ *   prefixed WEBWATCHER_ so generic names a container or CI sets for other
+ *   tools (CONCURRENCY, LOG_LEVEL, …) leave the watcher alone. Request
+ *   `presets` can only be set in the file.
+ * - Relative paths in the file resolve against the file's directory, so one
+ *   checkout can serve several watchers each pointed at its own config;
+ *   paths from env vars and flags resolve against the working directory.
+ */
+import path from 'path';
+import { readFileSync } from 'fs';
+import { LEVELS } from './log.js';
+import { checkPresetSchema } from './schema.js';
+
+/** Config file looked up in the working directory. */
+export const CONFIG_FILE = 'webwatcher.config.json';
+
+/** Chromium flags used unless `browser.args` says otherwise. */
+export const DEFAULT_BROWSER_ARGS = ['--use-gl=swiftshader', '--enable-webgl', '--ignore-gpu-blocklist', '--no-sandbox'];
+
+const WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+
+/** Preset names: also used in request files and on the command line. */
+const PRESET_NAME = /^[A-Za-z0-9][\w.-]*$/;
+
+/**
+ * @typedef {'int'|'string'|'path'|'enum'|'headless'|'args'|'viewport'} SettingType
+ * int: integer within min/max; path: resolved to an absolute path; args: list
+ * of strings (env/flag: a JSON array or whitespace-separated); viewport:
+ * `{ width, height, deviceScaleFactor? }` (env/flag: "1280x800" or "390x844@3").
+ */
+
+/**
+ * @typedef {Object} Setting
+ * @property {string} key Dotted path in the config file and the result.
+ * @property {string} env
+ * @property {string} flag
+ * @property {SettingType} type
+ * @property {any=} default
+ * @property {boolean=} optional Unset by default; for paths, null or "" turns the feature off.
+ * @property {number=} min
+ * @property {number=} max
+ * @property {readonly string[]=} values Allowed values (enum).
+ * @property {string} doc
+ */
+
+/** @type {Setting[]} */
+const SETTINGS = [
+  { key: 'requestsDir', env: 'WEBWATCHER_REQUESTS_DIR', flag: '--requests-dir', type: 'path', default: 'requests', doc: 'request inbox; processing/ and cancel/ live inside it' },
+  { key: 'responsesDir', env: 'WEBWATCHER_RESPONSES_DIR', flag: '--responses-dir', type: 'path', default: 'responses', doc: 'job outputs' },
+  { key: 'sessionsDir', env: 'WEBWATCHER_SESSIONS_DIR', flag: '--sessions-dir', type: 'path', default: 'sessions', doc: 'saved session state' },
+  { key: 'fixturesDir', env: 'WEBWATCHER_FIXTURES_DIR', flag: '--fixtures-dir', type: 'path', default: 'fixtures', doc: 'intercept mock fixtures' },
+  { key: 'watchesDir', env: 'WEBWATCHER_WATCHES_DIR', flag: '--watches-dir', type: 'path', default: 'watches', doc: 'watch definitions' },
+  { key: 'historyDir', env: 'WEBWATCHER_HISTORY_DIR', flag: '--history-dir', type: 'path', default: 'history', doc: 'watch runs and changes' },
+  { key: 'baselinesDir', env: 'WEBWATCHER_BASELINES_DIR', flag: '--baselines-dir', type: 'path', default: 'baselines', doc: 'baseline images for compare' },
+  { key: 'concurrency', env: 'WEBWATCHER_CONCURRENCY', flag: '--concurrency', type: 'int', default: 1, min: 1, doc: 'jobs rendered at once' },
+  { key: 'pollIntervalMs', env: 'WEBWATCHER_POLL_INTERVAL_MS', flag: '--poll-interval', type: 'int', default: 200, min: 10, doc: 'how often requests/ and requests/cancel/ are polled' },
+  { key: 'maxAttempts', env: 'WEBWATCHER_MAX_ATTEMPTS', flag: '--max-attempts', type: 'int', default: 2, min: 1, doc: 'runs a job may start before recovery gives up' },
+  { key: 'shutdownGraceMs', env: 'WEBWATCHER_SHUTDOWN_GRACE_MS', flag: '--shutdown-grace', type: 'int', default: 30000, min: 0, doc: 'wait for running jobs on shutdown' },
+  { key: 'ffmpegPath', env: 'WEBWATCHER_FFMPEG_PATH', flag: '--ffmpeg', type: 'string', default: 'ffmpeg', doc: 'ffmpeg binary for recordVideo' },
+  { key: 'http.port', env: 'WEBWATCHER_HTTP_PORT', flag: '--http-port', type: 'int', optional: true, min: 0, max: 65535, doc: 'HTTP API port (off when unset)' },
+  { key: 'http.host', env: 'WEBWATCHER_HTTP_HOST', flag: '--http-host', type: 'string', default: '127.0.0.1', doc: 'HTTP API bind address' },
+  { key: 'browser.headless', env: 'WEBWATCHER_HEADLESS', flag: '--headless', type: 'headless', default: true, doc: 'true, false or "shell"' },
+  { key: 'browser.args', env: 'WEBWATCHER_BROWSER_ARGS', flag: '--browser-args', type: 'args', default: DEFAULT_BROWSER_ARGS, doc: 'Chromium command-line flags' },
+  { key: 'browser.executablePath', env: 'WEBWATCHER_BROWSER_EXECUTABLE_PATH', flag: '--browser-executable', type: 'path', optional: true, doc: 'Chromium binary (default: Puppeteer\'s)' },
+  { key: 'browser.recycleJobs', env: 'WEBWATCHER_BROWSER_RECYCLE_JOBS', flag: '--browser-recycle-jobs', type: 'int', default: 0, min: 0, doc: 'relaunch after this many jobs (0 = never)' },
+  { key: 'browser.maxMemoryMb', env: 'WEBWATCHER_BROWSER_MAX_MEMORY_MB', flag: '--browser-max-memory', type: 'int', default: 0, min: 0, doc: 'relaunch above this RSS (0 = off)' },
+  { key: 'sessions.idleMs', env: 'WEBWATCHER_SESSION_IDLE_MS', flag: '--session-idle', type: 'int', default: 900000, min: 0, doc: 'close idle session contexts (0 = never)' },
+  { key: 'sessions.ttlMs', env: 'WEBWATCHER_SESSION_TTL_MS', flag: '--session-ttl', type: 'int', default: 0, min: 0, doc: 'delete unused session state (0 = never)' },
+  { key: 'retention.maxAgeMs', env: 'WEBWATCHER_RETENTION_MAX_AGE_MS', flag: '--retention-max-age', type: 'int', optional: true, min: 0, doc: 'remove finished jobs older than this' },
+  { key: 'retention.keepLast', env: 'WEBWATCHER_RETENTION_KEEP_LAST', flag: '--retention-keep-last', type: 'int', optional: true, min: 0, doc: 'keep only the newest N finished jobs' },
+  { key: 'retention.maxSizeMb', env: 'WEBWATCHER_RETENTION_MAX_SIZE_MB', flag: '--retention-max-size', type: 'int', optional: true, min: 0, doc: 'cap responses/ at this size' },
+  { key: 'retention.failed.maxAgeMs', env: 'WEBWATCHER_RETENTION_FAILED_MAX_AGE_MS', flag: '--retention-failed-max-age', type: 'int', optional: true, min: 0, doc: 'maxAgeMs for error and cancelled jobs' },
+  { key: 'retention.failed.keepLast', env: 'WEBWATCHER_RETENTION_FAILED_KEEP_LAST', flag: '--retention-failed-keep-last', type: 'int', optional: true, min: 0, doc: 'keepLast for error and cancelled jobs' },
+  { key: 'retention.intervalMs', env: 'WEBWATCHER_RETENTION_INTERVAL_MS', flag: '--retention-interval', type: 'int', default: 600000, min: 1000, doc: 'how often retention runs' },
+  { key: 'health.statusFile', env: 'WEBWATCHER_STATUS_FILE', flag: '--status-file', type: 'path', default: 'status.json', doc: 'heartbeat file' },
+  { key: 'health.pidFile', env: 'WEBWATCHER_PID_FILE', flag: '--pid-file', type: 'path', default: '.watcher.pid', doc: 'PID file' },
+  { key: 'health.heartbeatMs', env: 'WEBWATCHER_HEARTBEAT_MS', flag: '--heartbeat', type: 'int', default: 5000, min: 1000, doc: 'how often status.json is rewritten' },
+  { key: 'health.metricsFile', env: 'WEBWATCHER_METRICS_FILE', flag: '--metrics-file', type: 'path', optional: true, doc: 'Prometheus text file (off when unset)' },
+  { key: 'log.level', env: 'WEBWATCHER_LOG_LEVEL', flag: '--log-level', type: 'enum', values: LEVELS, default: 'info', doc: 'console and log file level' },
+  { key: 'log.format', env: 'WEBWATCHER_LOG_FORMAT', flag: '--log-format', type: 'enum', values: ['text', 'json'], default: 'text', doc: 'console format' },
+  { key: 'log.file', env: 'WEBWATCHER_LOG_FILE', flag: '--log-file', type: 'path', optional: true, default: '.watcher.log', doc: 'rotating JSON-lines log ("" = off)' },
+  { key: 'log.maxSizeMb', env: 'WEBWATCHER_LOG_MAX_SIZE_MB', flag: '--log-max-size', type: 'int', default: 10, min: 0, doc: 'rotate the log file at this size' },
+  { key: 'log.maxFiles', env: 'WEBWATCHER_LOG_MAX_FILES', flag: '--log-max-files', type: 'int', default: 5, min: 1, doc: 'log files kept' },
+  { key: 'defaults.viewport', env: 'WEBWATCHER_DEFAULT_VIEWPORT', flag: '--viewport', type: 'viewport', default: { width: 1280, height: 800, deviceScaleFactor: 1 }, doc: 'viewport of requests without one' },
+  { key: 'defaults.timeoutMs', env: 'WEBWATCHER_DEFAULT_TIMEOUT_MS', flag: '--timeout', type: 'int', default: 30000, min: 0, doc: 'timeoutMs of requests without one' },
+  { key: 'defaults.waitUntil', env: 'WEBWATCHER_DEFAULT_WAIT_UNTIL', flag: '--wait-until', type: 'enum', values: WAIT_UNTIL, default: 'networkidle2', doc: 'waitUntil of requests without one' },
+];
+
+/**
+ * @typedef {Object} WatcherConfig
+ * @property {string|undefined} configFile The file that was read, if any.
+ * @property {string} requestsDir
+ * @property {string} responsesDir
+ * @property {string} sessionsDir
+ * @property {string} fixturesDir
+ * @property {string} watchesDir
+ * @property {string} historyDir
+ * @property {string} baselinesDir
+ * @property {number} concurrency
+ * @property {number} pollIntervalMs
+ * @property {number} maxAttempts
+ * @property {number} shutdownGraceMs
+ * @property {string} ffmpegPath
+ * @property {{ port?: number, host: string }} http
+ * @property {{ headless: boolean|'shell', args: string[], executablePath?: string, recycleJobs: number, maxMemoryMb: number }} browser
+ * @property {{ idleMs: number, ttlMs: number }} sessions
+ * @property {{ maxAgeMs?: number, keepLast?: number, maxSizeMb?: number, failed: { maxAgeMs?: number, keepLast?: number }, intervalMs: number }} retention
+ * @property {{ statusFile: string, pidFile: string, heartbeatMs: number, metricsFile?: string }} health
+ * @property {{ level: import('./log.js').Level, format: 'text'|'json', file?: string, maxSizeMb: number, maxFiles: number }} log
+ * @property {{ viewport: { width: number, height: number, deviceScaleFactor?: number }, timeoutMs: number, waitUntil: string }} defaults
+ * @property {Record<string, Record<string, any>>} presets Request presets by name.
+ */
+
+/**
+ * Parse one value: JSON from the file, or text from an env var or flag.
+ * @param {Setting} s
+ * @param {any} v
+ * @param {string} base Directory relative paths resolve against.
+ * @param {boolean} fromText The value is env var or flag text.
+ * @returns {{ value: any } | { error: string }}
+ */
+function parseValue(s, v, base, fromText) {
+  switch (s.type) {
+    case 'int': {
+      const n = fromText && /^-?\d+$/.test(v.trim()) ? Number(v) : v;
+      if (!Number.isInteger(n)) return { error: 'must be an integer' };
+      if (s.min !== undefined && n < s.min) return { error: `must be at least ${s.min}` };
+      if (s.max !== undefined && n > s.max) return { error: `must be at most ${s.max}` };
+      return { value: n };
+    }
+    case 'string':
+      return typeof v === 'string' && v !== '' ? { value: v } : { error: 'must be a non-empty string' };
+    case 'path':
+      if (s.optional && (v === null || v === '')) return { value: undefined };
+      return typeof v === 'string' && v !== '' ? { value: path.resolve(base, v) } : { error: 'must be a non-empty path' };
+    case 'enum':
+      return s.values?.includes(v) ? { value: v } : { error: `must be one of: ${s.values?.join(', ')}` };
+    case 'headless': {
+      const h = fromText ? ({ true: true, false: false, shell: 'shell' })[v] : v;
+      return h === true || h === false || h === 'shell' ? { value: h } : { error: 'must be true, false or "shell"' };
+    }
+    case 'args': {
+      let list = v;
+      if (fromText) {
+        try {
+          list = v.trim().startsWith('[') ? JSON.parse(v) : v.split(/\s+/).filter(Boolean);
+        } catch {
+          return { error: 'must be a JSON array or whitespace-separated flags' };
+        }
+      }
+      return Array.isArray(list) && list.every((a) => typeof a === 'string' && a !== '') ? { value: list } : { error: 'must be an array of strings' };
+    }
+    case 'viewport': {
+      let vp = v;
+      if (fromText) {
+        const m = /^(\d+)x(\d+)(?:@(\d+(?:\.\d+)?))?$/.exec(v.trim());
+        if (!m) return { error: 'must look like 1280x800 or 390x844@3' };
+        vp = { width: Number(m[1]), height: Number(m[2]), ...(m[3] ? { deviceScaleFactor: Number(m[3]) } : {}) };
+      }
+      const ok = vp && typeof vp === 'object' && !Array.isArray(vp)
+        && Number.isInteger(vp.width) && vp.width > 0 && Number.isInteger(vp.height) && vp.height > 0
+        && (vp.deviceScaleFactor === undefined || (typeof vp.deviceScaleFactor === 'number' && vp.deviceScaleFactor > 0))
+        && Object.keys(vp).every((k) => ['width', 'height', 'deviceScaleFactor'].includes(k));
+      return ok ? { value: vp } : { error: 'must be { width, height, deviceScaleFactor? } with positive numbers' };
+    }
+    default:
+      return { error: 'unsupported setting type' };
+  }
+}
+
+/**
+ * Split the watcher's arguments into config flags.
+ * @param {string[]} argv
+ * @param {string[]} errors Receives unknown or incomplete flags.
+ */
+function parseArgs(argv, errors) {
+  /** @type {Map<string, string>} */
+  const flags = new Map();
+  let file;
+  let help = false;
+  let print = false;
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--help' || a === '-h') { help = true; continue; }
+    if (a === '--print-config') { print = true; continue; }
+    const eq = a.indexOf('=');
+    const name = eq > 0 ? a.slice(0, eq) : a;
+    if (name !== '--config' && !SETTINGS.some((s) => s.flag === name)) {
+      errors.push(`${a}: unknown option`);
+      continue;
+    }
+    const value = eq > 0 ? a.slice(eq + 1) : argv[++i];
+    if (value === undefined) {
+      errors.push(`${name}: missing value`);
+      continue;
+    }
+    if (name === '--config') file = value;
+    else flags.set(name, value);
+  }
+  return { flags, file, help, print };
+}
+
+/**
+ * @param {Record<string, any>} obj
+ * @param {string} key Dotted path.
+ * @param {any} value
+ */
+function setPath(obj, key, value) {
+  const parts = key.split('.');
+  let node = obj;
+  for (const p of parts.slice(0, -1)) node = node[p] ??= {};
+  node[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Check the file's keys: every leaf must be a known setting, every object a known group.
+ * @param {Record<string, any>} obj
+ * @param {string} prefix
+ * @param {string} label File name for messages.
+ * @param {Map<string, any>} into Receives dotted key → value.
+ * @param {string[]} errors
+ */
+function flattenFile(obj, prefix, label, into, errors) {
+  for (const [k, v] of Object.entries(obj)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (!prefix && (k === '$schema' || k === 'presets')) continue;
+    if (SETTINGS.some((s) => s.key === key)) into.set(key, v);
+    else if (SETTINGS.some((s) => s.key.startsWith(`${key}.`))) {
+      if (v && typeof v === 'object' && !Array.isArray(v)) flattenFile(v, key, label, into, errors);
+      else errors.push(`${label} ${key}: must be an object`);
+    } else errors.push(`${label} ${key}: unknown setting`);
+  }
+}
+
+/**
+ * Validate the file's request presets.
+ * @param {any} presets
+ * @param {string} label
+ * @param {string[]} errors
+ * @returns {Record<string, Record<string, any>>}
+ */
+function checkPresets(presets, label, errors) {
+  if (presets === undefined) return {};
+  if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+    errors.push(`${label} presets: must be an object of name → request fields`);
+    return {};
+  }
+  for (const [name, preset] of Object.entries(presets)) {
+    const at = `presets[${JSON.stringify(name)}]`;
+    if (!PRESET_NAME.test(name)) errors.push(`${label} ${at}: name must be letters, digits, ".", "_" or "-"`);
+    if (preset && typeof preset === 'object' && 'preset' in preset) errors.push(`${label} ${at}.preset: presets cannot name other presets`);
+    for (const e of checkPresetSchema(preset, at)) errors.push(`${label} ${e.path}: ${e.message}`);
+  }
+  return presets;
+}
+
+/**
+ * Load and validate the watcher configuration.
+ * @param {Object=} opts
+ * @param {string[]=} opts.argv Command-line arguments (config flags, --config, --help, --print-config).
+ * @param {Record<string, string|undefined>=} opts.env
+ * @param {string=} opts.cwd
+ * @returns {{ config: WatcherConfig, help: boolean, print: boolean }}
+ * @throws {Error & { code: 'ECONFIG', errors: string[] }} With every problem found.
+ */
+export function loadConfig({ argv = [], env = process.env, cwd = process.cwd() } = {}) {
+  /** @type {string[]} */
+  const errors = [];
+  const args = parseArgs(argv, errors);
+
+  // The file: explicit ones must exist, the default one may not.
+  const explicit = args.file ?? (env.WEBWATCHER_CONFIG || undefined);
+  const configFile = path.resolve(cwd, explicit ?? CONFIG_FILE);
+  const label = path.basename(configFile);
+  /** @type {Record<string, any>} */
+  let fileData = {};
+  let loaded = false;
+  try {
+    fileData = JSON.parse(readFileSync(configFile, 'utf8'));
+    loaded = true;
+    if (!fileData || typeof fileData !== 'object' || Array.isArray(fileData)) {
+      errors.push(`${label}: must contain a JSON object`);
+      fileData = {};
+    }
+  } catch (err) {
+    const code = /** @type {any} */ (err)?.code;
+    if (code !== 'ENOENT' || explicit) errors.push(`${label}: ${err instanceof Error ? err.message : String(err)}`);
+  }
+  /** @type {Map<string, any>} */
+  const fromFile = new Map();
+  flattenFile(fileData, '', label, fromFile, errors);
+  const presets = checkPresets(fileData.presets, label, errors);
+
+  /** @type {Record<string, any>} */
+  const config = { configFile: loaded ? configFile : undefined, presets };
+  for (const s of SETTINGS) {
+    /** @type {Array<[string, any, string, boolean]>} Later sources win: [label, value, base dir, text]. */
+    const sources = [];
+    if (fromFile.has(s.key)) sources.push([`${label} ${s.key}`, fromFile.get(s.key), path.dirname(configFile), false]);
+    // An empty env var counts as unset, except that it turns optional paths off.
+    const ev = env[s.env];
+    if (ev !== undefined && (ev !== '' || (s.optional && s.type === 'path'))) sources.push([s.env, ev, cwd, true]);
+    if (args.flags.has(s.flag)) sources.push([s.flag, args.flags.get(s.flag), cwd, true]);
+
+    let value = s.type === 'path' && s.default !== undefined ? path.resolve(cwd, s.default) : s.default;
+    const last = sources[sources.length - 1];
+    if (last) {
+      const parsed = parseValue(s, last[1], last[2], last[3]);
+      if ('error' in parsed) errors.push(`${last[0]}: ${parsed.error}`);
+      else value = parsed.value;
+    }
+    setPath(config, s.key, value);
+  }
+
+  if (errors.length > 0) {
+    throw Object.assign(new Error(`Invalid configuration: ${errors.length} problem(s)`), { code: 'ECONFIG', errors });
+  }
+  return { config: /** @type {WatcherConfig} */ (config), help: args.help, print: args.print };
+}
+
+/**
+ * Apply the preset a request names: its fields fill in whatever the request
+ * leaves unset (top-level fields only; a request's `viewport` replaces the
+ * preset's whole).
+ * @param {any} raw Untrusted request JSON.
+ * @param {Record<string, Record<string, any>>} presets
+ * @returns {any} The request to validate.
+ * @throws {Error & { code: 'EINVALID', errors: import('./schema.js').SchemaError[] }} For an unknown preset.
+ */
+export function applyPreset(raw, presets) {
+  if (!raw || typeof raw !== 'object' || typeof raw.preset !== 'string') return raw;
+  const preset = Object.hasOwn(presets, raw.preset) ? presets[raw.preset] : undefined;
+  if (!preset) {
+    const known = Object.keys(presets);
+    const message = `"${raw.preset}" is not a preset of this watcher${known.length > 0 ? ` (known: ${known.join(', ')})` : ''}`;
+    throw Object.assign(new Error(`preset ${message}`), { code: 'EINVALID', errors: [{ path: 'preset', message }] });
+  }
+  return { ...structuredClone(preset), ...raw };
+}
+
+/**
+ * Take `--config FILE` / `--config=FILE` out of another tool's arguments
+ * (ww-submit, clean.mjs, health.mjs), to pass to loadConfig().
+ * @param {string[]} argv Modified in place.
+ * @returns {string[]} The arguments removed.
+ */
+export function spliceConfigArgs(argv) {
+  /** @type {string[]} */
+  const taken = [];
+  for (let i = 0; i < argv.length;) {
+    if (argv[i] === '--config') taken.push(...argv.splice(i, 2));
+    else if (argv[i].startsWith('--config=')) taken.push(...argv.splice(i, 1));
+    else i++;
+  }
+  return taken;
+}
+
+/** Help text listing every flag with its env var and default. */
+export function configUsage() {
+  /** @param {Setting} s */
+  const shown = (s) => {
+    if (s.default === undefined) return '';
+    if (s.type === 'viewport') return ` (default ${s.default.width}x${s.default.height})`;
+    if (s.type === 'args') return '';
+    return ` (default ${s.default})`;
+  };
+  const rows = SETTINGS.map((s) => [`  ${s.flag} <value>`, s.env, `${s.doc}${shown(s)}`]);
+  const w0 = Math.max(...rows.map((r) => r[0].length));
+  const w1 = Math.max(...rows.map((r) => r[1].length));
+  return [
+    'Usage: node src/watcher.js [--config FILE] [options]',
+    '',
+    `Settings come from ${CONFIG_FILE} (or --config / WEBWATCHER_CONFIG), then env vars, then these flags:`,
+    '',
+    ...rows.map(([a, b, c]) => `${a.padEnd(w0)}  ${b.padEnd(w1)}  ${c}`),
+    '',
+    '  --print-config  print the effective configuration as JSON and exit',
+    '  --help          show this help',
+  ].join('\n');
+}
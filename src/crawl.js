@@ -0,0 +1,421 @@
+// @ts-check
+/**
+ * Crawl op (`op: "crawl"`): start at `url`, follow links breadth-first and
+ * render every page found with the normal pipeline (processRequest), using
+ * the request's render fields (viewport, actions, extract, screenshot, …)
+ * for each page. Outputs:
+ *
+ *   responses/<id>/pages/<n>/   meta.json, done.json and page outputs per page
+ *   responses/<id>/crawl.json   index: visited URLs, statuses, link graph
+ *   responses/<id>/meta.json, progress.json, manifest.json, done.json
+ *
+ * URLs are deduplicated after dropping the #fragment (and the query with
+ * `ignoreQuery`). Only same-origin links are followed unless `sameOrigin` is
+ * false; `include`/`exclude` patterns (globs or "/regex/flags", matched
+ * against the full URL) narrow the scope further. The start URL is always
+ * rendered. The job fails when any page failed (including HTTP 4xx/5xx
+ * responses), after crawling the rest.
+ */
+import path from 'path';
+import { compilePattern } from './intercept.js';
+import { processRequest } from './worker.js';
+import { writeJSONAtomic, ensureDir, readJSON, sleep, createStatusFile } from './files.js';
+import { writeManifest } from './manifest.js';
+
+/** Hard limits; a crawl renders every page it visits. */
+const MAX_PAGES = 1000;
+const MAX_DEPTH = 20;
+
+/** Unvisited URLs listed in crawl.json. */
+const MAX_PENDING_LISTED = 1000;
+
+/** Sitemaps fetched per crawl (index files count too), time allowed and redirects followed for each. */
+const MAX_SITEMAPS = 20;
+const SITEMAP_TIMEOUT_MS = 15000;
+const MAX_SITEMAP_REDIRECTS = 5;
+
+/**
+ * @typedef {Object} CrawlOptions
+ * @property {number} maxDepth Link hops from the start URL (default 2; 0 = start page only).
+ * @property {number} maxPages Pages to render at most (default 50).
+ * @property {string[]} include Follow only URLs matching one of these patterns.
+ * @property {string[]} exclude Never follow URLs matching these patterns.
+ * @property {boolean} sameOrigin Follow only links on the start URL's origin (default true).
+ * @property {boolean|string} sitemap Seed from sitemap.xml: true = <origin>/sitemap.xml, or a sitemap URL
+ *   (on the start URL's origin unless sameOrigin is false: the watcher fetches it itself, not the page).
+ * @property {boolean} ignoreQuery Treat URLs that differ only in ?query as the same page.
+ * @property {string} linkSelector Elements whose href is followed (default "a[href], area[href]").
+ * @property {number} delayMs Pause between pages.
+ */
+
+/**
+ * Validate the `crawl` request field (options of op=crawl).
+ * @param {any} raw Untrusted value (may be undefined).
+ * @param {string} startUrl The request's `url`.
+ * @returns {CrawlOptions}
+ */
+export function normalizeCrawlOptions(raw, startUrl) {
+  const o = raw === undefined || raw === null ? {} : raw;
+  if (typeof o !== 'object' || Array.isArray(o)) throw new Error('crawl must be an object');
+  /** @param {string} key @param {number} min @param {number} max @param {number} def */
+  const int = (key, min, max, def) => {
+    const v = o[key];
+    if (v === undefined) return def;
+    if (!Number.isInteger(v) || v < min || v > max) throw new Error(`crawl.${key} must be an integer between ${min} and ${max}`);
+    return v;
+  };
+  /** @param {string} key */
+  const patterns = (key) => {
+    const v = o[key];
+    if (v === undefined) return [];
+    if (!Array.isArray(v) || !v.every((p) => typeof p === 'string' && p)) throw new Error(`crawl.${key} must be an array of URL patterns`);
+    for (const p of v) {
+      try { compilePattern(p); } catch (err) {
+        throw new Error(`crawl.${key}: invalid pattern ${JSON.stringify(p)}: ${err instanceof Error ? err.message : err}`);
+      }
+    }
+    return v;
+  };
+  if (o.sitemap !== undefined && typeof o.sitemap !== 'boolean') {
+    if (typeof o.sitemap !== 'string' || !/^https?:\/\//i.test(o.sitemap)) throw new Error('crawl.sitemap must be a boolean or an http(s) URL');
+  }
+  if (o.linkSelector !== undefined && (typeof o.linkSelector !== 'string' || !o.linkSelector)) throw new Error('crawl.linkSelector must be a string');
+  const sameOrigin = o.sameOrigin !== undefined ? !!o.sameOrigin : true;
+  if (typeof o.sitemap === 'string' && sameOrigin && originOf(o.sitemap) !== originOf(startUrl)) {
+    throw new Error('crawl.sitemap must be on the start URL\'s origin unless crawl.sameOrigin is false');
+  }
+  const include = patterns('include');
+  if (!sameOrigin && include.length === 0) throw new Error('crawl.include is required when crawl.sameOrigin is false');
+  return {
+    maxDepth: int('maxDepth', 0, MAX_DEPTH, 2),
+    maxPages: int('maxPages', 1, MAX_PAGES, 50),
+    include,
+    exclude: patterns('exclude'),
+    sameOrigin,
+    sitemap: o.sitemap ?? false,
+    ignoreQuery: !!o.ignoreQuery,
+    linkSelector: o.linkSelector || 'a[href], area[href]',
+    delayMs: int('delayMs', 0, 60_000, 0),
+  };
+}
+
+/**
+ * @param {string} url
+ * @returns {string|undefined} Origin of an http(s) URL.
+ */
+function originOf(url) {
+  try {
+    const u = new URL(url);
+    return u.protocol === 'http:' || u.protocol === 'https:' ? u.origin : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Canonical form used for deduplication, or undefined for non-http(s) URLs.
+ * @param {string} url
+ * @param {string|undefined} base
+ * @param {boolean} ignoreQuery
+ */
+function canonicalUrl(url, base, ignoreQuery) {
+  let u;
+  try { u = new URL(url, base); } catch { return undefined; }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return undefined;
+  u.hash = '';
+  if (ignoreQuery) u.search = '';
+  return u.href;
+}
+
+/**
+ * GET a URL as text, following redirects only to URLs `allowed` accepts.
+ * @param {string} url
+ * @param {AbortSignal} signal
+ * @param {(url: string) => boolean} allowed
+ * @returns {Promise<string>}
+ */
+async function fetchAllowed(url, signal, allowed) {
+  let current = url;
+  for (let hops = 0; ; hops++) {
+    const res = await fetch(current, { signal, redirect: 'manual' });
+    const location = res.status >= 300 && res.status < 400 ? res.headers.get('location') : null;
+    if (!location) {
+      if (!res.ok) throw new Error(`${current}: HTTP ${res.status}`);
+      return res.text();
+    }
+    await res.body?.cancel();
+    if (hops >= MAX_SITEMAP_REDIRECTS) throw new Error(`${url}: more than ${MAX_SITEMAP_REDIRECTS} redirects`);
+    current = new URL(location, current).href;
+    if (!allowed(current)) throw new Error(`${url}: redirects off the crawl's origin to ${current}`);
+  }
+}
+
+/**
+ * Fetch a sitemap (or sitemap index) and return the page URLs it lists.
+ * Sitemaps (index entries and redirects included) outside `allowed` are not fetched.
+ * @param {string} url
+ * @param {AbortSignal|undefined} signal
+ * @param {(url: string) => boolean} allowed
+ * @returns {Promise<string[]>}
+ */
+async function fetchSitemap(url, signal, allowed) {
+  const urls = [];
+  const todo = [url];
+  let fetched = 0;
+  while (todo.length > 0 && fetched < MAX_SITEMAPS) {
+    const next = /** @type {string} */ (todo.shift());
+    if (!allowed(next)) continue;
+    fetched++;
+    const ac = new AbortController();
+    const timer = setTimeout(() => ac.abort(new Error(`timed out after ${SITEMAP_TIMEOUT_MS}ms`)), SITEMAP_TIMEOUT_MS);
+    const onAbort = () => ac.abort(signal?.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    let xml;
+    try {
+      xml = await fetchAllowed(next, ac.signal, allowed);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+    const locs = [...xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi)].map((m) => decodeXml(m[1]));
+    // A sitemap index lists further sitemaps instead of pages.
+    if (/<sitemapindex[\s>]/i.test(xml)) todo.push(...locs);
+    else urls.push(...locs);
+  }
+  return urls;
+}
+
+/** @param {string} s */
+function decodeXml(s) {
+  return s.replace(/&(amp|lt|gt|quot|apos);/g, (_, e) => ({ amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" })[e]);
+}
+
+/**
+ * Run a crawl job. Same contract as processRequest: writes meta.json and
+ * done.json (last) under responses/<id>/ and throws when the job did not
+ * succeed (ECANCELLED / EINTERRUPTED codes as there).
+ * @param {import('puppeteer').Browser} browser
+ * @param {import('./worker.js').RenderRequest & { crawl: CrawlOptions }} req Normalized request; url is an http(s) URL.
+ * @param {string} responsesDir
+ * @param {import('puppeteer').BrowserContext=} context
+ * @param {import('./worker.js').ProcessOptions=} opts
+ */
+export async function processCrawl(browser, req, responsesDir, context, opts = {}) {
+  const { signal } = opts;
+  const spec = req.crawl;
+  const outDir = path.join(responsesDir, req.id);
+  await ensureDir(outDir);
+  const status = createStatusFile(path.join(outDir, 'progress.json'));
+  const progress = (p) => {
+    status.update(p);
+    try { opts.onProgress?.(p); } catch {}
+  };
+  const startedAt = new Date();
+  /** @type {Record<string, any>} */
+  const meta = {
+    id: req.id,
+    op: req.op,
+    preset: req.preset,
+    startedAt: startedAt.toISOString(),
+    url: req.url,
+    crawl: spec,
+    attempt: opts.attempt,
+    browser: opts.browserInfo,
+    previousInterruption: opts.previousInterruption,
+    sessionId: req.sessionId,
+    hadError: false,
+  };
+  const metaPath = path.join(outDir, 'meta.json');
+  await writeJSONAtomic(metaPath, meta);
+
+  const start = canonicalUrl(/** @type {string} */ (req.url), undefined, spec.ignoreQuery);
+  if (!start) throw new Error('crawl url must be an http(s) URL');
+  const origin = new URL(start).origin;
+  const include = spec.include.map(compilePattern);
+  const exclude = spec.exclude.map(compilePattern);
+  /** @param {string} url */
+  const inScope = (url) => (!spec.sameOrigin || new URL(url).origin === origin)
+    && (include.length === 0 || include.some((re) => re.test(url)))
+    && !exclude.some((re) => re.test(url));
+
+  /** @type {Array<{ url: string, depth: number, from: number|null }>} */
+  const queue = [{ url: start, depth: 0, from: null }];
+  /** URLs queued or visited (canonical). */
+  const seen = new Set([start]);
+  /** Canonical URL (requested or final) → page number. */
+  const pageOf = new Map();
+  /** @type {Array<Record<string, any>>} */
+  const pages = [];
+  /** @type {Record<string, any>|undefined} */
+  let sitemap;
+
+  if (spec.sitemap) {
+    const sitemapUrl = typeof spec.sitemap === 'string' ? spec.sitemap : `${origin}/sitemap.xml`;
+    sitemap = { url: sitemapUrl, listed: 0, queued: 0 };
+    try {
+      const listed = await fetchSitemap(sitemapUrl, signal, (url) => !spec.sameOrigin || originOf(url) === origin);
+      sitemap.listed = listed.length;
+      for (const raw of listed) {
+        const url = canonicalUrl(raw, sitemapUrl, spec.ignoreQuery);
+        if (!url || seen.has(url) || !inScope(url)) continue;
+        seen.add(url);
+        queue.push({ url, depth: 0, from: null });
+        sitemap.queued++;
+      }
+    } catch (err) {
+      if (signal?.aborted) throw Object.assign(new Error('Job cancelled'), { code: 'ECANCELLED' });
+      sitemap.error = err instanceof Error ? err.message : String(err);
+      opts.log?.warn(`sitemap ${sitemapUrl}: ${sitemap.error}`, { phase: 'crawl', sitemap: sitemapUrl });
+    }
+  }
+
+  let cancelled = false;
+  /** @type {string|undefined} */
+  let interruption;
+  while (queue.length > 0 && pages.length < spec.maxPages) {
+    if (signal?.aborted) {
+      // A browser crash aborts with EBROWSERGONE; the crawl cannot go on without it.
+      if (signal.reason?.code === 'EBROWSERGONE') interruption = signal.reason.message;
+      else cancelled = true;
+      break;
+    }
+    const item = /** @type {{ url: string, depth: number, from: number|null }} */ (queue.shift());
+    // A redirect may have landed an earlier page on this URL already.
+    if (pageOf.has(item.url)) continue;
+    const n = pages.length + 1;
+    const dir = `pages/${n}`;
+    /** @type {string[]} */
+    let found = [];
+    progress({ phase: 'crawl', page: n, url: item.url, depth: item.depth, queued: queue.length });
+    const t0 = Date.now();
+    /** @type {string|undefined} */
+    let error;
+    try {
+      await processRequest(browser, { ...req, op: 'render_url', url: item.url }, responsesDir, context, {
+        ...opts,
+        outDir: path.join(outDir, dir),
+        onProgress: (p) => progress({ ...p, page: n }),
+        log: opts.log?.child({ page: n }),
+        onRendered: async (page) => {
+          found = await page.evaluate((sel) => Array.from(document.querySelectorAll(sel))
+            .map((el) => el.getAttribute('href'))
+            .filter((h) => h !== null), spec.linkSelector);
+        },
+      });
+    } catch (err) {
+      const code = /** @type {any} */ (err)?.code;
+      if (code === 'EINTERRUPTED') throw err;
+      if (code === 'ECANCELLED') cancelled = true;
+      else error = err instanceof Error ? err.message : String(err);
+      if (signal?.reason?.code === 'EBROWSERGONE') interruption = signal.reason.message;
+    }
+    /** @type {Record<string, any>} */
+    const pageMeta = await readJSON(path.join(outDir, dir, 'meta.json')).catch(() => ({}));
+    const finalUrl = pageMeta.finalUrl ? canonicalUrl(pageMeta.finalUrl, undefined, spec.ignoreQuery) : undefined;
+    // Error pages still render fine, but they are broken links for a crawl.
+    if (!error && !cancelled && pageMeta.httpStatus >= 400) error = `HTTP ${pageMeta.httpStatus}`;
+    pageOf.set(item.url, n);
+    if (finalUrl) {
+      pageOf.set(finalUrl, n);
+      seen.add(finalUrl);
+    }
+
+    // Links resolve against the final URL (after redirects), like the browser does.
+    /** @type {string[]} */
+    const links = [];
+    let external = 0;
+    for (const href of found) {
+      const url = canonicalUrl(href, finalUrl || item.url, spec.ignoreQuery);
+      if (!url || links.includes(url)) continue;
+      if (!inScope(url)) {
+        external++;
+        continue;
+      }
+      links.push(url);
+      if (item.depth < spec.maxDepth && !seen.has(url)) {
+        seen.add(url);
+        queue.push({ url, depth: item.depth + 1, from: n });
+      }
+    }
+    pages.push({
+      n,
+      url: item.url,
+      finalUrl: finalUrl !== item.url ? finalUrl : undefined,
+      depth: item.depth,
+      from: item.from,
+      dir,
+      status: pageMeta.httpStatus ?? null,
+      ok: !error && !cancelled,
+      error,
+      durationMs: Date.now() - t0,
+      links,
+      outOfScopeLinks: external || undefined,
+    });
+    opts.log?.debug(`Page ${n} ${item.url} ${error ? `failed: ${error}` : cancelled ? 'cancelled' : 'ok'} in ${Date.now() - t0}ms (${links.length} link(s))`, {
+      phase: 'crawl', page: n, url: item.url, depth: item.depth, ok: !error && !cancelled, error, ms: Date.now() - t0, links: links.length,
+    });
+    if (cancelled || interruption) break;
+    if (spec.delayMs > 0 && queue.length > 0) {
+      try { await sleep(spec.delayMs, signal); } catch {}
+    }
+  }
+
+  /** @type {Array<[number, number]>} */
+  const edges = [];
+  for (const p of pages) {
+    for (const url of p.links) {
+      const to = pageOf.get(url);
+      if (to !== undefined && to !== p.n) edges.push([p.n, to]);
+    }
+  }
+  const failed = pages.filter((p) => p.error);
+  const finishedAt = new Date();
+  await writeJSONAtomic(path.join(outDir, 'crawl.json'), {
+    startUrl: start,
+    startedAt: meta.startedAt,
+    finishedAt: finishedAt.toISOString(),
+    options: spec,
+    stoppedBy: cancelled ? 'cancelled' : interruption ? 'interrupted' : queue.length > 0 ? 'maxPages' : 'complete',
+    sitemap,
+    summary: { pages: pages.length, ok: pages.filter((p) => p.ok).length, failed: failed.length, pending: queue.length },
+    pages,
+    graph: { edges },
+    pending: queue.slice(0, MAX_PENDING_LISTED),
+  });
+
+  let errorMessage = interruption;
+  if (!errorMessage && failed.length > 0) {
+    const sample = failed.slice(0, 3).map((p) => `${p.dir} (${p.url}): ${p.error}`).join('; ');
+    errorMessage = `${failed.length} of ${pages.length} page(s) failed: ${sample}${failed.length > 3 ? '; …' : ''}`;
+  }
+  meta.finishedAt = finishedAt.toISOString();
+  meta.durationMs = finishedAt.getTime() - startedAt.getTime();
+  meta.pages = pages.length;
+  meta.pagesFailed = failed.length;
+  if (errorMessage) {
+    meta.hadError = true;
+    meta.errorMessage = errorMessage;
+  }
+  if (cancelled) meta.cancelled = true;
+  if (interruption) meta.interrupted = interruption;
+  await writeJSONAtomic(metaPath, meta);
+  await status.flush();
+  try {
+    await writeManifest(outDir, req.id, pages.flatMap((p) => [
+      ...(req.devices || []).map((d) => ({ dir: `${p.dir}/${d.dir}`, page: p.n, device: d.name })),
+      { dir: p.dir, page: p.n },
+    ]));
+  } catch {}
+  await opts.log?.flush();
+
+  const donePath = path.join(outDir, 'done.json');
+  if (cancelled) {
+    await writeJSONAtomic(donePath, { status: 'cancelled' });
+    throw Object.assign(new Error('Job cancelled'), { code: 'ECANCELLED' });
+  } else if (errorMessage) {
+    await writeJSONAtomic(donePath, { status: 'error', error: errorMessage });
+    throw new Error(errorMessage);
+  } else {
+    await writeJSONAtomic(donePath, { status: 'ok' });
+  }
+}
@@ -0,0 +1,136 @@
+// @ts-check
+/**
+ * Five-field cron expressions ("minute hour day-of-month month day-of-week",
+ * local time) for watch schedules. Fields accept `*`, numbers, ranges
+ * (`1-5`), steps (`*\/15`, `8-18/2`), lists (`1,15`) and month/day names
+ * (`jan`, `mon`); day-of-week 0 and 7 are both Sunday. As in classic cron,
+ * when both day fields are restricted a day matching either one qualifies.
+ * `@hourly`, `@daily`, `@weekly`, `@monthly` and `@yearly` are accepted too.
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/** Field name, range and names (index + offset = value). */
+const FIELDS = /** @type {const} */ ([
+  ['minute', 0, 59, undefined, 0],
+  ['hour', 0, 23, undefined, 0],
+  ['day of month', 1, 31, undefined, 0],
+  ['month', 1, 12, MONTHS, 1],
+  ['day of week', 0, 7, DAYS, 0],
+]);
+
+/** Search horizon for the next match; covers leap days and rare weekday/date combinations. */
+const MAX_SEARCH_YEARS = 8;
+
+/**
+ * @typedef {Object} CronSchedule
+ * @property {Set<number>} minutes
+ * @property {Set<number>} hours
+ * @property {Set<number>} days Days of month 1–31.
+ * @property {Set<number>} months 1–12.
+ * @property {Set<number>} weekdays 0–6, Sunday = 0.
+ * @property {boolean} anyDay Day of month is `*`.
+ * @property {boolean} anyWeekday Day of week is `*`.
+ */
+
+/**
+ * Parse a cron expression.
+ * @param {string} expr
+ * @returns {CronSchedule}
+ */
+export function parseCron(expr) {
+  const text = String(expr).trim().toLowerCase();
+  const parts = (MACROS[/** @type {keyof typeof MACROS} */ (text)] || text).split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron "${expr}" must have 5 fields (minute hour day month weekday)`);
+  const sets = parts.map((part, i) => {
+    const [name, min, max, names, offset] = FIELDS[i];
+    /** @param {string} v */
+    const value = (v) => {
+      const named = names ? names.indexOf(/** @type {any} */ (v)) : -1;
+      const n = named >= 0 ? named + offset : /^\d+$/.test(v) ? Number(v) : NaN;
+      if (!(n >= min && n <= max)) throw new Error(`cron "${expr}": invalid ${name} "${v}"`);
+      return n;
+    };
+    /** @type {Set<number>} */
+    const set = new Set();
+    for (const item of part.split(',')) {
+      const m = /^([^/]+)(?:\/(\d+))?$/.exec(item);
+      if (!m) throw new Error(`cron "${expr}": invalid ${name} "${item}"`);
+      const step = m[2] !== undefined ? Number(m[2]) : 1;
+      if (step < 1) throw new Error(`cron "${expr}": invalid step in "${item}"`);
+      let lo;
+      let hi;
+      if (m[1] === '*') { lo = min; hi = max; }
+      else if (m[1].includes('-')) {
+        const [a, b] = m[1].split('-');
+        lo = value(a);
+        hi = value(b);
+        if (lo > hi) throw new Error(`cron "${expr}": empty range "${item}"`);
+      } else {
+        lo = value(m[1]);
+        // "5/15" means from 5 to the end in steps of 15.
+        hi = m[2] !== undefined ? max : lo;
+      }
+      for (let v = lo; v <= hi; v += step) set.add(v);
+    }
+    return set;
+  });
+  const weekdays = new Set([...sets[4]].map((d) => d % 7));
+  return {
+    minutes: sets[0],
+    hours: sets[1],
+    days: sets[2],
+    months: sets[3],
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*',
+  };
+}
+
+/**
+ * First time strictly after `after` (to the minute) matching the schedule.
+ * @param {CronSchedule} s
+ * @param {Date|number} after
+ * @returns {Date|undefined} undefined when the schedule never fires (e.g. "0 0 30 2 *").
+ */
+export function nextCronTime(s, after) {
+  const d = new Date(after);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = d.getFullYear() + MAX_SEARCH_YEARS;
+  /** @param {Date} x */
+  const dayMatches = (x) => {
+    const dom = s.days.has(x.getDate());
+    const dow = s.weekdays.has(x.getDay());
+    if (s.anyDay) return dow;
+    if (s.anyWeekday) return dom;
+    return dom || dow;
+  };
+  while (d.getFullYear() <= limit) {
+    if (!s.months.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!s.hours.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!s.minutes.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d;
+    }
+  }
+  return undefined;
+}
@@ -0,0 +1,114 @@
+// @ts-check
+/**
+ * Device matrix (`devices` request field): render the same request once per
+ * device profile, each into its own responses/<id>/<dir>/ subdirectory.
+ *
+ * A profile is either a preset name — any Puppeteer KnownDevices entry
+ * ("iPhone 13", "Pixel 5", "iPad Pro landscape", …, matched case-insensitively)
+ * or one of the desktop presets below — or an object:
+ *   { name?, device?, viewport?, userAgent?, isMobile?, hasTouch?, deviceScaleFactor? }
+ * where `device` picks a preset to start from and the other fields override it.
+ */
+import { KnownDevices } from 'puppeteer';
+
+/** Desktop presets (Puppeteer only ships mobile/tablet profiles). */
+const DESKTOP_PRESETS = {
+  desktop: { width: 1280, height: 800 },
+  'desktop-hd': { width: 1920, height: 1080 },
+  laptop: { width: 1366, height: 768 },
+};
+
+/** Upper bound on variants per request; each one is a full render. */
+const MAX_DEVICES = 20;
+
+/**
+ * @typedef {Object} DeviceViewport
+ * @property {number} width
+ * @property {number} height
+ * @property {number=} deviceScaleFactor
+ * @property {boolean=} isMobile
+ * @property {boolean=} hasTouch
+ * @property {boolean=} isLandscape
+ */
+
+/**
+ * @typedef {Object} DeviceProfile
+ * @property {string} name Display name (preset name or the custom `name`).
+ * @property {string} dir Output subdirectory under responses/<id>/ (unique per request).
+ * @property {DeviceViewport} viewport
+ * @property {string=} userAgent Overrides the request's userAgent when set.
+ */
+
+/**
+ * Look up a preset by name, case-insensitively.
+ * @param {string} name
+ * @returns {{ name: string, viewport: DeviceViewport, userAgent?: string }|undefined}
+ */
+function findPreset(name) {
+  const lower = name.toLowerCase();
+  for (const [key, vp] of Object.entries(DESKTOP_PRESETS)) {
+    if (key === lower) return { name: key, viewport: { ...vp, deviceScaleFactor: 1, isMobile: false, hasTouch: false } };
+  }
+  for (const [key, d] of Object.entries(KnownDevices)) {
+    if (key.toLowerCase() === lower) return { name: key, viewport: { ...d.viewport }, userAgent: d.userAgent };
+  }
+  return undefined;
+}
+
+/**
+ * Turn a device name into a safe directory name, e.g. "iPhone 13 landscape" → "iphone-13-landscape".
+ * @param {string} name
+ */
+function slug(name) {
+  return name.toLowerCase().replace(/\+/g, '-plus').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'device';
+}
+
+/**
+ * Validate the `devices` request field.
+ * @param {any} raw Untrusted value.
+ * @returns {DeviceProfile[]|undefined} Resolved profiles (undefined when absent).
+ */
+export function normalizeDevices(raw) {
+  if (raw === undefined || raw === null) return undefined;
+  if (!Array.isArray(raw) || raw.length === 0) throw new Error('devices must be a non-empty array');
+  if (raw.length > MAX_DEVICES) throw new Error(`devices supports at most ${MAX_DEVICES} entries`);
+
+  /** @type {Set<string>} */
+  const dirs = new Set();
+  return raw.map((entry, i) => {
+    const where = `devices[${i}]`;
+    const spec = typeof entry === 'string' ? { device: entry } : entry;
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error(`${where} must be a preset name or an object`);
+
+    let base;
+    if (spec.device !== undefined) {
+      base = typeof spec.device === 'string' ? findPreset(spec.device) : undefined;
+      if (!base) throw new Error(`${where}: unknown device ${JSON.stringify(spec.device)} (use a Puppeteer KnownDevices name or ${Object.keys(DESKTOP_PRESETS).join(', ')})`);
+    }
+    if (spec.name !== undefined && (typeof spec.name !== 'string' || !spec.name.trim())) throw new Error(`${where}.name must be a non-empty string`);
+    if (!base && !spec.name) throw new Error(`${where} needs a name when no device preset is given`);
+    if (!base && !spec.viewport) throw new Error(`${where}.viewport is required when no device preset is given`);
+    if (spec.viewport !== undefined) {
+      const vp = spec.viewport;
+      if (!vp || typeof vp !== 'object' || !(Number.isInteger(vp.width) && vp.width > 0) || !(Number.isInteger(vp.height) && vp.height > 0)) {
+        throw new Error(`${where}.viewport needs positive integer width and height`);
+      }
+    }
+    if (spec.userAgent !== undefined && typeof spec.userAgent !== 'string') throw new Error(`${where}.userAgent must be a string`);
+    if (spec.deviceScaleFactor !== undefined && !(typeof spec.deviceScaleFactor === 'number' && spec.deviceScaleFactor > 0)) {
+      throw new Error(`${where}.deviceScaleFactor must be a positive number`);
+    }
+
+    /** @type {DeviceViewport} */
+    const viewport = { ...(base?.viewport || {}), ...(spec.viewport || {}) };
+    if (spec.deviceScaleFactor !== undefined) viewport.deviceScaleFactor = spec.deviceScaleFactor;
+    if (spec.isMobile !== undefined) viewport.isMobile = !!spec.isMobile;
+    if (spec.hasTouch !== undefined) viewport.hasTouch = !!spec.hasTouch;
+
+    const name = spec.name ? String(spec.name).trim() : /** @type {{name:string}} */ (base).name;
+    let dir = slug(name);
+    for (let n = 2; dirs.has(dir); n++) dir = `${slug(name)}-${n}`;
+    dirs.add(dir);
+    return { name, dir, viewport, userAgent: spec.userAgent ?? base?.userAgent };
+  });
+}
@@ -0,0 +1,239 @@
+// @ts-check
+/**
+ * Diff helpers for comparing one run's outputs with another's: visible text
+ * (line diff), extract.json (structural diff) and screenshots (pixel diff).
+ * Results are plain JSON so they can be written straight into change events.
+ */
+
+/** Above this many cells the line diff falls back to "all removed, all added". */
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * @typedef {Object} TextHunk
+ * @property {number} line 1-based line in the new text where the hunk starts.
+ * @property {string[]} removed Lines only in the old text.
+ * @property {string[]} added Lines only in the new text.
+ */
+
+/**
+ * @typedef {Object} TextDiff
+ * @property {number} added Lines added in total.
+ * @property {number} removed Lines removed in total.
+ * @property {TextHunk[]} hunks Changed regions, in order.
+ * @property {boolean=} truncated Some hunks or lines were left out of `hunks`.
+ */
+
+/**
+ * Line diff of two texts (LCS on the part between the common prefix and suffix).
+ * @param {string} before
+ * @param {string} after
+ * @param {{ maxHunks?: number, maxLines?: number }=} limits Listed hunks (default 50)
+ *   and listed lines across all hunks (default 500); totals are always exact.
+ * @returns {TextDiff}
+ */
+export function diffText(before, after, limits = {}) {
+  const maxHunks = limits.maxHunks ?? 50;
+  const maxLines = limits.maxLines ?? 500;
+  const a = before === '' ? [] : before.split('\n');
+  const b = after === '' ? [] : after.split('\n');
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  /** @type {Array<['=', number, number] | ['-', number] | ['+', number]>} */
+  const ops = [];
+  const n = endA - start;
+  const m = endB - start;
+  if (n > 0 && m > 0 && (n + 1) * (m + 1) <= MAX_LCS_CELLS) {
+    // lcs[i][j] = LCS length of a[start+i..endA) and b[start+j..endB).
+    const w = m + 1;
+    const lcs = new Uint16Array((n + 1) * w);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * w + j] = a[start + i] === b[start + j]
+          ? lcs[(i + 1) * w + j + 1] + 1
+          : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) { ops.push(['=', start + i, start + j]); i++; j++; }
+      else if (j < m && (i === n || lcs[i * w + j + 1] >= lcs[(i + 1) * w + j])) { ops.push(['+', start + j]); j++; }
+      else { ops.push(['-', start + i]); i++; }
+    }
+  } else {
+    for (let i = start; i < endA; i++) ops.push(['-', i]);
+    for (let j = start; j < endB; j++) ops.push(['+', j]);
+  }
+
+  /** @type {TextDiff} */
+  const result = { added: 0, removed: 0, hunks: [] };
+  let listed = 0;
+  /** @type {TextHunk|undefined} */
+  let hunk;
+  let hunkListed = false;
+  let nextB = start;
+  for (const op of ops) {
+    if (op[0] === '=') { hunk = undefined; nextB = op[2] + 1; continue; }
+    if (!hunk) {
+      hunk = { line: nextB + 1, removed: [], added: [] };
+      hunkListed = result.hunks.length < maxHunks;
+      if (hunkListed) result.hunks.push(hunk);
+      else result.truncated = true;
+    }
+    const list = op[0] === '-' ? hunk.removed : hunk.added;
+    if (op[0] === '-') result.removed++;
+    else { result.added++; nextB = op[1] + 1; }
+    if (listed < maxLines && hunkListed) {
+      list.push(op[0] === '-' ? a[op[1]] : b[op[1]]);
+      listed++;
+    } else {
+      result.truncated = true;
+    }
+  }
+  return result;
+}
+
+/**
+ * @typedef {Object} JsonChange
+ * @property {string} path Location, e.g. `$[0].rows[2]["Plan name"]`.
+ * @property {'added'|'removed'|'changed'} op
+ * @property {any=} before
+ * @property {any=} after
+ */
+
+/**
+ * Structural diff of two JSON values. Arrays are compared by index.
+ * @param {any} before
+ * @param {any} after
+ * @param {{ max?: number }=} limits Changes listed (default 500); `count` is always exact.
+ * @returns {{ count: number, changes: JsonChange[], truncated?: boolean }}
+ */
+export function diffJSON(before, after, limits = {}) {
+  const max = limits.max ?? 500;
+  /** @type {{ count: number, changes: JsonChange[], truncated?: boolean }} */
+  const result = { count: 0, changes: [] };
+  /** @param {JsonChange} c */
+  const add = (c) => {
+    result.count++;
+    if (result.changes.length < max) result.changes.push(c);
+    else result.truncated = true;
+  };
+  /** @param {any} v */
+  const kind = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+  /** @param {any} x @param {any} y @param {string} at */
+  const walk = (x, y, at) => {
+    if (x === y) return;
+    const k = kind(x);
+    if (k !== kind(y) || (k !== 'object' && k !== 'array')) {
+      add({ path: at, op: 'changed', before: x, after: y });
+      return;
+    }
+    if (Array.isArray(x)) {
+      for (let i = 0; i < Math.max(x.length, y.length); i++) {
+        const p = `${at}[${i}]`;
+        if (i >= y.length) add({ path: p, op: 'removed', before: x[i] });
+        else if (i >= x.length) add({ path: p, op: 'added', after: y[i] });
+        else walk(x[i], y[i], p);
+      }
+      return;
+    }
+    for (const key of new Set([...Object.keys(x), ...Object.keys(y)])) {
+      const p = /^[A-Za-z_$][\w$]*$/.test(key) ? `${at}.${key}` : `${at}[${JSON.stringify(key)}]`;
+      if (!(key in y)) add({ path: p, op: 'removed', before: x[key] });
+      else if (!(key in x)) add({ path: p, op: 'added', after: y[key] });
+      else walk(x[key], y[key], p);
+    }
+  };
+  walk(before, after, '$');
+  return result;
+}
+
+/**
+ * @typedef {Object} ImageDiff
+ * @property {number} width Compared area (the larger of both images).
+ * @property {number} height
+ * @property {boolean} sizeChanged The images have different dimensions.
+ * @property {number} changedPixels Pixels differing by more than the tolerance
+ *   (pixels outside the smaller image always count).
+ * @property {number} totalPixels Compared pixels (ignored regions excluded).
+ * @property {number} ratio changedPixels / totalPixels.
+ * @property {import('./png.js').Image} image Visualization: changes in red over a faded copy of
+ *   `after`, ignored regions in blue.
+ */
+
+/**
+ * @typedef {Object} Region
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * Pixel diff of two RGBA images.
+ * @param {import('./png.js').Image} before
+ * @param {import('./png.js').Image} after
+ * @param {{ tolerance?: number, ignore?: Region[] }=} opts tolerance: per-channel difference
+ *   (0–255) still treated as equal (default 0); ignore: pixel regions left out of the comparison.
+ * @returns {ImageDiff}
+ */
+export function diffImages(before, after, opts = {}) {
+  const tolerance = opts.tolerance ?? 0;
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const out = new Uint8Array(width * height * 4);
+  const ignored = new Uint8Array(width * height);
+  for (const r of opts.ignore || []) {
+    const x0 = Math.max(0, Math.floor(r.x));
+    const y0 = Math.max(0, Math.floor(r.y));
+    const x1 = Math.min(width, Math.ceil(r.x + r.width));
+    const y1 = Math.min(height, Math.ceil(r.y + r.height));
+    for (let y = y0; y < y1; y++) ignored.fill(1, y * width + x0, Math.max(y * width + x0, y * width + x1));
+  }
+  let changed = 0;
+  let skipped = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      if (ignored[y * width + x]) {
+        skipped++;
+        out[o] = 120; out[o + 1] = 160; out[o + 2] = 255; out[o + 3] = 255;
+        continue;
+      }
+      const inA = x < before.width && y < before.height;
+      const inB = x < after.width && y < after.height;
+      const ia = (y * before.width + x) * 4;
+      const ib = (y * after.width + x) * 4;
+      let differs = inA !== inB;
+      if (inA && inB) {
+        for (let c = 0; c < 4 && !differs; c++) {
+          if (Math.abs(before.data[ia + c] - after.data[ib + c]) > tolerance) differs = true;
+        }
+      }
+      if (differs) {
+        changed++;
+        out[o] = 255; out[o + 1] = 0; out[o + 2] = 0; out[o + 3] = 255;
+      } else {
+        const src = inB ? after.data : before.data;
+        const i = inB ? ib : ia;
+        const luma = (src[i] * 299 + src[i + 1] * 587 + src[i + 2] * 114) / 1000;
+        out[o] = out[o + 1] = out[o + 2] = Math.round(180 + luma * 0.25);
+        out[o + 3] = 255;
+      }
+    }
+  }
+  const totalPixels = width * height - skipped;
+  return {
+    width,
+    height,
+    sizeChanged: before.width !== after.width || before.height !== after.height,
+    changedPixels: changed,
+    totalPixels,
+    ratio: totalPixels > 0 ? changed / totalPixels : 0,
+    image: { width, height, data: out },
+  };
+}
@@ -0,0 +1,438 @@
+// @ts-check
+/**
+ * Structured extraction (`extract` request field): reads data from the
+ * rendered page into responses/<id>/extract.json, one result per spec:
+ *   { type, name?, selector?, value }
+ *
+ * Besides single values (text/attr/html/exists) there are extractors for
+ * whole page structures: HTML tables as row objects, page metadata (meta,
+ * OpenGraph, JSON-LD), links with absolute URLs, form values, computed
+ * styles with bounding boxes, and `schema` — a container selector plus a map
+ * of fields that yields one record per container (fields may nest).
+ *
+ * The functions passed to page.evaluate run in the browser and must stay
+ * self-contained.
+ */
+
+/** Nesting limit for `schema` fields. */
+const MAX_SCHEMA_DEPTH = 5;
+
+/** Computed style properties reported by `style` when none are listed. */
+const DEFAULT_STYLE_PROPERTIES = ['display', 'visibility', 'opacity', 'color', 'background-color', 'font-family', 'font-size', 'font-weight'];
+
+/** Value kinds of a schema field. */
+const FIELD_TYPES = ['text', 'html', 'attr', 'url', 'number', 'exists'];
+
+/**
+ * @typedef {string | {
+ *   selector?: string,
+ *   type?: 'text'|'html'|'attr'|'url'|'number'|'exists',
+ *   attr?: string,
+ *   all?: boolean,
+ *   container?: string,
+ *   fields?: Record<string, any>,
+ * }} SchemaField
+ * A CSS selector (text of the first match) or an object. `selector` is
+ * relative to the record's container and defaults to the container itself.
+ * `url` resolves `attr` (default href) against the page URL; `number` parses
+ * the text ("$1,299.50" → 1299.5). With `fields` (and optional `container`)
+ * the field is a nested list of records.
+ */
+
+/**
+ * @typedef {(
+ *   | { type: 'text', selector: string, all?: boolean, name?: string }
+ *   | { type: 'attr', selector: string, name: string, all?: boolean, key?: string }
+ *   | { type: 'html', selector: string, all?: boolean, name?: string }
+ *   | { type: 'exists', selector: string, name?: string }
+ *   | { type: 'table', selector: string, all?: boolean, headers?: string[], name?: string }
+ *   | { type: 'metadata', name?: string }
+ *   | { type: 'links', selector?: string, sameOrigin?: boolean, unique?: boolean, name?: string }
+ *   | { type: 'forms', selector?: string, name?: string }
+ *   | { type: 'style', selector: string, properties?: string[], all?: boolean, name?: string }
+ *   | { type: 'schema', container: string, fields: Record<string, SchemaField>, limit?: number, name?: string }
+ * )} ExtractSpec
+ */
+
+/** @param {any} v */
+const isStr = (v) => typeof v === 'string' && v.length > 0;
+
+/**
+ * Per-type checks; each returns an error message or undefined.
+ * @type {Record<string, (s: any) => string|undefined>}
+ */
+const SPEC_CHECKS = {
+  text: (s) => (isStr(s.selector) ? undefined : 'selector is required'),
+  attr: (s) => (!isStr(s.selector) ? 'selector is required' : !isStr(s.name) ? 'name (the attribute) is required' : undefined),
+  html: (s) => (isStr(s.selector) ? undefined : 'selector is required'),
+  exists: (s) => (isStr(s.selector) ? undefined : 'selector is required'),
+  table: (s) => {
+    if (!isStr(s.selector)) return 'selector is required';
+    if (s.headers !== undefined && !(Array.isArray(s.headers) && s.headers.every(isStr))) return 'headers must be an array of strings';
+    return undefined;
+  },
+  metadata: () => undefined,
+  links: (s) => (s.selector !== undefined && !isStr(s.selector) ? 'selector must be a string' : undefined),
+  forms: (s) => (s.selector !== undefined && !isStr(s.selector) ? 'selector must be a string' : undefined),
+  style: (s) => {
+    if (!isStr(s.selector)) return 'selector is required';
+    if (s.properties !== undefined && !(Array.isArray(s.properties) && s.properties.every(isStr))) return 'properties must be an array of strings';
+    return undefined;
+  },
+  schema: (s) => {
+    if (!isStr(s.container)) return 'container is required';
+    if (s.limit !== undefined && !(Number.isInteger(s.limit) && s.limit > 0)) return 'limit must be a positive integer';
+    return checkFields(s.fields, 'fields', 1);
+  },
+};
+
+/**
+ * @param {any} fields
+ * @param {string} where
+ * @param {number} depth
+ * @returns {string|undefined}
+ */
+function checkFields(fields, where, depth) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    return `${where} must be a non-empty object of field specs`;
+  }
+  for (const [key, f] of Object.entries(fields)) {
+    const at = `${where}.${key}`;
+    if (typeof f === 'string') {
+      if (!f) return `${at} must not be empty`;
+      continue;
+    }
+    if (!f || typeof f !== 'object' || Array.isArray(f)) return `${at} must be a selector or an object`;
+    if (f.selector !== undefined && !isStr(f.selector)) return `${at}.selector must be a string`;
+    if (f.fields !== undefined) {
+      if (depth >= MAX_SCHEMA_DEPTH) return `${at}: schemas nest at most ${MAX_SCHEMA_DEPTH} levels`;
+      if (f.container !== undefined && !isStr(f.container)) return `${at}.container must be a string`;
+      const msg = checkFields(f.fields, `${at}.fields`, depth + 1);
+      if (msg) return msg;
+      continue;
+    }
+    if (f.type !== undefined && !FIELD_TYPES.includes(f.type)) return `${at}.type must be one of: ${FIELD_TYPES.join(', ')}`;
+    if (f.attr !== undefined && !isStr(f.attr)) return `${at}.attr must be a string`;
+    if (f.type === 'attr' && f.attr === undefined) return `${at}.attr is required for type "attr"`;
+  }
+  return undefined;
+}
+
+/**
+ * Validate the `extract` request field. Unknown types and missing selectors
+ * are rejected up front.
+ * @param {any} raw
+ * @returns {ExtractSpec[]|undefined}
+ */
+export function normalizeExtract(raw) {
+  if (raw === undefined || raw === null) return undefined;
+  if (!Array.isArray(raw)) throw new Error('extract must be an array');
+  raw.forEach((s, i) => {
+    const at = `extract[${i}]`;
+    if (!s || typeof s !== 'object' || typeof s.type !== 'string') throw new Error(`${at}.type is required`);
+    const check = SPEC_CHECKS[s.type];
+    if (!check) throw new Error(`${at}: unknown extract type ${JSON.stringify(s.type)} (known: ${Object.keys(SPEC_CHECKS).join(', ')})`);
+    const msg = check(s);
+    if (msg) throw new Error(`${at} (${s.type}): ${msg}`);
+  });
+  return raw;
+}
+
+/**
+ * Extract data from the page based on provided specs.
+ * Returns an array of extraction results in the same order as specs.
+ * @param {import('puppeteer').Page} page
+ * @param {Array<ExtractSpec>} specs
+ */
+export async function performExtracts(page, specs) {
+  /** @type {Array<any>} */
+  const results = [];
+  for (const s of specs) {
+    const type = s.type;
+    if (type === 'text') {
+      const { selector, all } = s;
+      const value = await page.evaluate(({ selector, all }) => {
+        const els = Array.from(document.querySelectorAll(selector));
+        if (all) return els.map((e) => (e.textContent || '').trim());
+        const el = els[0];
+        return el ? (el.textContent || '').trim() : null;
+      }, { selector, all: !!all });
+      results.push({ type, name: s.name, selector, value });
+    } else if (type === 'attr') {
+      const { selector, name, all } = s;
+      const value = await page.evaluate(({ selector, name, all }) => {
+        const els = Array.from(document.querySelectorAll(selector));
+        if (all) return els.map((e) => e.getAttribute(name));
+        const el = els[0];
+        return el ? el.getAttribute(name) : null;
+      }, { selector, name, all: !!all });
+      results.push({ type, key: s.key || name, selector, value });
+    } else if (type === 'html') {
+      const { selector, all } = s;
+      const value = await page.evaluate(({ selector, all }) => {
+        const els = Array.from(document.querySelectorAll(selector));
+        if (all) return els.map((e) => e.outerHTML);
+        const el = els[0];
+        return el ? el.outerHTML : null;
+      }, { selector, all: !!all });
+      results.push({ type, name: s.name, selector, value });
+    } else if (type === 'exists') {
+      const { selector } = s;
+      const value = await page.evaluate((selector) => !!document.querySelector(selector), selector);
+      results.push({ type, name: s.name, selector, value });
+    } else if (type === 'table') {
+      const value = await page.evaluate(extractTables, { selector: s.selector, all: !!s.all, headers: s.headers || null });
+      results.push({ type, name: s.name, selector: s.selector, value });
+    } else if (type === 'metadata') {
+      results.push({ type, name: s.name, value: await page.evaluate(extractMetadata) });
+    } else if (type === 'links') {
+      const selector = s.selector || 'a[href], area[href]';
+      const value = await page.evaluate(extractLinks, { selector, sameOrigin: !!s.sameOrigin, unique: !!s.unique });
+      results.push({ type, name: s.name, selector, value });
+    } else if (type === 'forms') {
+      const selector = s.selector || 'form';
+      results.push({ type, name: s.name, selector, value: await page.evaluate(extractForms, selector) });
+    } else if (type === 'style') {
+      const properties = s.properties || DEFAULT_STYLE_PROPERTIES;
+      const value = await page.evaluate(extractStyles, { selector: s.selector, properties, all: !!s.all });
+      results.push({ type, name: s.name, selector: s.selector, value });
+    } else if (type === 'schema') {
+      const value = await page.evaluate(extractSchema, { container: s.container, fields: s.fields, limit: s.limit ?? null });
+      results.push({ type, name: s.name, selector: s.container, value });
+    }
+  }
+  return results;
+}
+
+/**
+ * Tables → arrays of row objects keyed by header text (arrays of cells when
+ * the table has no header row). Runs in the page.
+ * @param {{ selector: string, all: boolean, headers: string[]|null }} arg
+ */
+function extractTables({ selector, all, headers }) {
+  const cellText = (/** @type {Element} */ c) => (/** @type {HTMLElement} */ (c).innerText ?? c.textContent ?? '').trim();
+  /** Cells of a row, repeating colspan cells so columns stay aligned. */
+  const cells = (/** @type {HTMLTableRowElement} */ row) => Array.from(row.cells).flatMap((c) => Array(Math.max(1, c.colSpan || 1)).fill(cellText(c)));
+  const toRows = (/** @type {HTMLTableElement} */ table) => {
+    const rows = Array.from(table.rows);
+    // Header row: the last <thead> row, else a first row made only of <th>.
+    const head = table.tHead?.rows[table.tHead.rows.length - 1]
+      || (rows[0] && Array.from(rows[0].cells).every((c) => c.tagName === 'TH') ? rows[0] : undefined);
+    let keys = headers;
+    if (!keys && head) {
+      /** @type {Record<string, number>} */
+      const seen = {};
+      keys = cells(head).map((k, i) => {
+        const base = k || `column${i + 1}`;
+        seen[base] = (seen[base] || 0) + 1;
+        return seen[base] > 1 ? `${base}_${seen[base]}` : base;
+      });
+    }
+    return rows.filter((r) => r !== head && r.parentElement?.tagName !== 'THEAD').map((r) => {
+      const values = cells(r);
+      if (!keys) return values;
+      /** @type {Record<string, string>} */
+      const rec = {};
+      keys.forEach((k, i) => { rec[k] = values[i] ?? ''; });
+      return rec;
+    });
+  };
+  const tables = /** @type {HTMLTableElement[]} */ (Array.from(document.querySelectorAll(selector)).filter((e) => e.tagName === 'TABLE'));
+  if (all) return tables.map(toRows);
+  return tables[0] ? toRows(tables[0]) : null;
+}
+
+/**
+ * Title, meta tags, OpenGraph/Twitter cards and JSON-LD blocks. Runs in the page.
+ */
+function extractMetadata() {
+  /** @type {Record<string, string|string[]>} */
+  const meta = {};
+  /** @type {Record<string, string|string[]>} */
+  const openGraph = {};
+  /** @type {Record<string, string|string[]>} */
+  const twitter = {};
+  /** Repeated keys (og:image, article:tag, …) become arrays. */
+  const add = (/** @type {Record<string, any>} */ obj, /** @type {string} */ key, /** @type {string} */ value) => {
+    if (!(key in obj)) obj[key] = value;
+    else obj[key] = [].concat(obj[key], value);
+  };
+  for (const m of Array.from(document.querySelectorAll('meta[content]'))) {
+    const key = m.getAttribute('property') || m.getAttribute('name') || m.getAttribute('itemprop') || m.getAttribute('http-equiv');
+    if (!key) continue;
+    const value = m.getAttribute('content') || '';
+    add(meta, key, value);
+    if (key.startsWith('og:')) add(openGraph, key.slice(3), value);
+    else if (key.startsWith('twitter:')) add(twitter, key.slice(8), value);
+  }
+  const jsonLd = [];
+  const jsonLdErrors = [];
+  for (const s of Array.from(document.querySelectorAll('script[type="application/ld+json"]'))) {
+    try {
+      jsonLd.push(JSON.parse(s.textContent || ''));
+    } catch (err) {
+      jsonLdErrors.push(err instanceof Error ? err.message : String(err));
+    }
+  }
+  const canonical = /** @type {HTMLLinkElement|null} */ (document.querySelector('link[rel="canonical"]'));
+  return {
+    title: document.title,
+    lang: document.documentElement.lang || null,
+    url: location.href,
+    canonical: canonical ? canonical.href : null,
+    description: typeof meta.description === 'string' ? meta.description : null,
+    meta,
+    openGraph,
+    twitter,
+    jsonLd,
+    jsonLdErrors: jsonLdErrors.length > 0 ? jsonLdErrors : undefined,
+  };
+}
+
+/**
+ * Links with absolute URLs. Runs in the page.
+ * @param {{ selector: string, sameOrigin: boolean, unique: boolean }} arg
+ */
+function extractLinks({ selector, sameOrigin, unique }) {
+  const out = [];
+  const seen = new Set();
+  for (const el of Array.from(document.querySelectorAll(selector))) {
+    const raw = el.getAttribute('href');
+    if (raw === null) continue;
+    let href;
+    try { href = new URL(raw, document.baseURI).href; } catch { continue; }
+    if (sameOrigin && new URL(href).origin !== location.origin) continue;
+    if (unique) {
+      if (seen.has(href)) continue;
+      seen.add(href);
+    }
+    out.push({
+      text: (/** @type {HTMLElement} */ (el).innerText ?? el.textContent ?? '').trim(),
+      href,
+      rel: el.getAttribute('rel') || undefined,
+      target: el.getAttribute('target') || undefined,
+    });
+  }
+  return out;
+}
+
+/**
+ * Forms with their current field values. Password values are not reported.
+ * Runs in the page.
+ * @param {string} selector
+ */
+function extractForms(selector) {
+  const forms = /** @type {HTMLFormElement[]} */ (Array.from(document.querySelectorAll(selector)).filter((e) => e.tagName === 'FORM'));
+  return forms.map((form) => {
+    /** @type {Record<string, any>} */
+    const values = {};
+    const fields = [];
+    for (const el of /** @type {any[]} */ (Array.from(form.elements))) {
+      const tag = el.tagName.toLowerCase();
+      if (tag === 'fieldset' || tag === 'object' || tag === 'output') continue;
+      const type = tag === 'input' ? (el.type || 'text') : tag === 'select' ? (el.multiple ? 'select-multiple' : 'select') : tag;
+      if (['submit', 'reset', 'button', 'image'].includes(type) || tag === 'button') continue;
+      /** @type {any} */
+      let value = type === 'password' ? null : el.value;
+      if (type === 'select-multiple') value = Array.from(el.selectedOptions).map((o) => /** @type {HTMLOptionElement} */ (o).value);
+      /** @type {Record<string, any>} */
+      const field = { name: el.name || null, id: el.id || null, type, value, required: !!el.required, disabled: !!el.disabled };
+      if (type === 'checkbox' || type === 'radio') field.checked = !!el.checked;
+      if (tag === 'select') field.options = Array.from(el.options).map((o) => ({ value: /** @type {HTMLOptionElement} */ (o).value, text: /** @type {HTMLOptionElement} */ (o).text }));
+      fields.push(field);
+      if (!el.name || type === 'password') continue;
+      // Same rules as form submission: unchecked boxes are absent, radios give the checked value.
+      if (type === 'checkbox') {
+        if (el.checked) values[el.name] = el.name in values ? [].concat(values[el.name], el.value) : el.value;
+      } else if (type === 'radio') {
+        if (el.checked) values[el.name] = el.value;
+      } else {
+        values[el.name] = value;
+      }
+    }
+    return {
+      id: form.id || null,
+      name: form.getAttribute('name'),
+      action: form.action,
+      method: (form.getAttribute('method') || 'get').toLowerCase(),
+      values,
+      fields,
+    };
+  });
+}
+
+/**
+ * Bounding boxes (page coordinates, CSS px) and computed styles. Runs in the page.
+ * @param {{ selector: string, properties: string[], all: boolean }} arg
+ */
+function extractStyles({ selector, properties, all }) {
+  const describe = (/** @type {Element} */ el) => {
+    const r = el.getBoundingClientRect();
+    const cs = getComputedStyle(el);
+    /** @type {Record<string, string>} */
+    const styles = {};
+    for (const p of properties) styles[p] = cs.getPropertyValue(p);
+    return {
+      box: { x: r.left + scrollX, y: r.top + scrollY, width: r.width, height: r.height },
+      visible: r.width > 0 && r.height > 0 && cs.visibility !== 'hidden' && cs.display !== 'none',
+      styles,
+    };
+  };
+  const els = Array.from(document.querySelectorAll(selector));
+  if (all) return els.map(describe);
+  return els[0] ? describe(els[0]) : null;
+}
+
+/**
+ * One record per container element, fields resolved relative to it. Runs in the page.
+ * @param {{ container: string, fields: Record<string, any>, limit: number|null }} arg
+ */
+function extractSchema({ container, fields, limit }) {
+  const text = (/** @type {Element} */ el) => (/** @type {HTMLElement} */ (el).innerText ?? el.textContent ?? '').trim();
+  const absolute = (/** @type {string|null} */ v) => {
+    if (v === null) return null;
+    try { return new URL(v, document.baseURI).href; } catch { return v; }
+  };
+  const toNumber = (/** @type {string} */ s) => {
+    const m = s.replace(/[\s ]/g, '').match(/-?\d[\d,.]*/);
+    if (!m) return null;
+    let n = m[0];
+    // "1.299,50" (decimal comma) vs "1,299.50"; a lone comma followed by 1–2 digits is a decimal comma.
+    if (/,\d{1,2}$/.test(n) && !/\.\d+$/.test(n)) n = n.replace(/\./g, '').replace(',', '.');
+    else n = n.replace(/,/g, '');
+    const v = parseFloat(n);
+    return Number.isFinite(v) ? v : null;
+  };
+  /** @param {Element} el @param {any} f */
+  const value = (el, f) => {
+    const type = f.type || (f.attr ? 'attr' : 'text');
+    switch (type) {
+      case 'html': return el.innerHTML;
+      case 'attr': return el.getAttribute(f.attr);
+      case 'url': return absolute(el.getAttribute(f.attr || 'href'));
+      case 'number': return toNumber(text(el));
+      default: return text(el);
+    }
+  };
+  /** @param {Element} root @param {Record<string, any>} spec */
+  const record = (root, spec) => {
+    /** @type {Record<string, any>} */
+    const rec = {};
+    for (const [key, raw] of Object.entries(spec)) {
+      const f = typeof raw === 'string' ? { selector: raw } : raw;
+      if (f.fields) {
+        const items = f.container ? Array.from(root.querySelectorAll(f.container)) : [root];
+        rec[key] = items.map((el) => record(el, f.fields));
+        continue;
+      }
+      const matches = f.selector ? Array.from(root.querySelectorAll(f.selector)) : [root];
+      if (f.type === 'exists') rec[key] = matches.length > 0;
+      else if (f.all) rec[key] = matches.map((el) => value(el, f));
+      else rec[key] = matches[0] ? value(matches[0], f) : null;
+    }
+    return rec;
+  };
+  let roots = Array.from(document.querySelectorAll(container));
+  if (limit) roots = roots.slice(0, limit);
+  return roots.map((el) => record(el, fields));
+}
@@ -6,7 +6,9 @@
  * - Creating directories recursively (mkdir -p behavior)
  * - Atomic file writes (write temp then rename) to avoid partial reads
  * - Reading/writing JSON with proper UTF-8 encoding
+ * - A coalescing writer for frequently updated status files
  * - Guarded path joining to keep outputs inside a base directory
+ * - Content-Type lookup for serving artifacts
  * - A minimal sleep utility for timing control
  */
 
@@ -49,6 +51,43 @@ export async function writeJSONAtomic(filePath, obj) {
   await writeFileAtomic(filePath, data);
 }
 
+/**
+ * Keep a small JSON status file (e.g. progress.json) current while a job
+ * runs. Writes are atomic and one at a time; updates that arrive while a
+ * write is in flight are coalesced, so only the newest is written next.
+ * Each value gets a running `seq` and an `updatedAt` timestamp. Write errors
+ * are ignored: the file is informational.
+ * @param {string} filePath Destination JSON file path.
+ * @returns {{ update: (value: Record<string, any>) => void, flush: () => Promise<void> }}
+ *   `flush` resolves once the last update is on disk.
+ */
+export function createStatusFile(filePath) {
+  let seq = 0;
+  /** @type {Record<string, any>|undefined} */
+  let latest;
+  let scheduled = false;
+  /** @type {Promise<void>} */
+  let writing = Promise.resolve();
+  const drain = async () => {
+    while (latest) {
+      const value = latest;
+      latest = undefined;
+      try { await writeJSONAtomic(filePath, value); } catch {}
+    }
+    scheduled = false;
+  };
+  return {
+    update(value) {
+      latest = { seq: ++seq, updatedAt: new Date().toISOString(), ...value };
+      if (!scheduled) {
+        scheduled = true;
+        writing = writing.then(drain);
+      }
+    },
+    flush: () => writing,
+  };
+}
+
 /**
  * Read a JSON file as UTF-8 and parse it.
  * @param {string} filePath JSON file path.
@@ -75,11 +114,55 @@ export function safeJoin(baseDir, target) {
   return resolved;
 }
 
+/** Known artifact extensions and their MIME types. */
+const CONTENT_TYPES = {
+  '.json': 'application/json; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.gif': 'image/gif',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8',
+  '.log': 'text/plain; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.har': 'application/json; charset=utf-8',
+  '.webm': 'video/webm',
+  '.mp4': 'video/mp4',
+};
+
+/**
+ * Guess a Content-Type from a file name's extension (artifacts and mock fixtures).
+ * Falls back to application/octet-stream for unknown extensions.
+ * @param {string} filePath File name or path.
+ * @returns {string} MIME type suitable for a Content-Type header.
+ */
+export function contentTypeFor(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return CONTENT_TYPES[ext] || 'application/octet-stream';
+}
+
 /**
  * Simple sleep helper using native promises.
  * @param {number} ms Milliseconds to wait.
+ * @param {AbortSignal=} signal Optional signal; rejects with its reason when aborted.
  * @returns {Promise<void>} Promise resolving after the delay.
  */
-export function sleep(ms) {
-  return new Promise((res) => setTimeout(res, ms));
+export function sleep(ms, signal) {
+  return new Promise((res, rej) => {
+    if (signal?.aborted) return rej(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      rej(signal?.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      res();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 }
@@ -0,0 +1,283 @@
+// @ts-check
+/**
+ * HAR recorder: builds a HAR 1.2 log (network.har) from CDP Network events.
+ *
+ * - One entry per request, including redirects (each hop is its own entry
+ *   with `redirectURL`) and failures (status 0 plus `_error`).
+ * - Headers, query strings, post data, sizes and timings come from
+ *   requestWillBeSent / responseReceived / loadingFinished / loadingFailed.
+ * - Response bodies are optional and capped; they must be fetched before the
+ *   page closes, so stop() waits for pending body reads.
+ */
+
+/** Default cap for recorded response bodies when `bodies` is on. */
+const DEFAULT_MAX_BODY_BYTES = 256 * 1024;
+
+/**
+ * @typedef {Object} HarOptions
+ * @property {boolean=} bodies Record response bodies (default false).
+ * @property {number=} maxBodyBytes Skip bodies larger than this (default 256 KiB).
+ */
+
+/**
+ * Validate the `har` request field.
+ * @param {any} raw Untrusted value.
+ * @returns {HarOptions|undefined}
+ */
+export function normalizeHarOptions(raw) {
+  if (raw === undefined || raw === null) return undefined;
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error('har must be an object');
+  if (raw.maxBodyBytes !== undefined && !(Number.isInteger(raw.maxBodyBytes) && raw.maxBodyBytes > 0)) {
+    throw new Error('har.maxBodyBytes must be a positive integer');
+  }
+  return { bodies: !!raw.bodies, maxBodyBytes: raw.maxBodyBytes };
+}
+
+/**
+ * @param {Record<string, string>|undefined} headers CDP header map.
+ * @returns {Array<{name:string,value:string}>}
+ */
+function headerList(headers) {
+  /** @type {Array<{name:string,value:string}>} */
+  const out = [];
+  for (const [name, value] of Object.entries(headers || {})) {
+    // CDP joins repeated headers with newlines.
+    for (const v of String(value).split('\n')) out.push({ name, value: v });
+  }
+  return out;
+}
+
+/**
+ * @param {Record<string, string>|undefined} headers
+ * @param {string} name Case-insensitive header name.
+ */
+function headerValue(headers, name) {
+  const lower = name.toLowerCase();
+  for (const [k, v] of Object.entries(headers || {})) if (k.toLowerCase() === lower) return String(v);
+  return undefined;
+}
+
+/** @param {string} url */
+function queryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+/** @param {string|undefined} protocol CDP response protocol, e.g. "h2", "http/1.1". */
+function httpVersion(protocol) {
+  if (!protocol) return '';
+  if (protocol === 'h2') return 'HTTP/2';
+  if (protocol === 'h3') return 'HTTP/3';
+  return protocol.toUpperCase();
+}
+
+/** Round a millisecond value to microsecond precision (keeps -1 markers). */
+const ms = (v) => Math.round(v * 1000) / 1000;
+
+/**
+ * Convert CDP ResourceTiming (+ end timestamp) into HAR timings.
+ * @param {any} t response.timing, times in ms relative to t.requestTime (seconds).
+ * @param {number|undefined} endTs Monotonic timestamp (seconds) when loading finished.
+ */
+function harTimings(t, endTs) {
+  if (!t) return { timings: { blocked: -1, dns: -1, connect: -1, send: 0, wait: 0, receive: 0, ssl: -1 }, total: 0 };
+  const span = (a, b) => (a >= 0 && b >= 0 ? Math.max(0, b - a) : -1);
+  const firstStart = [t.dnsStart, t.connectStart, t.sendStart].find((v) => v >= 0);
+  const blocked = firstStart !== undefined ? Math.max(0, firstStart) : -1;
+  const dns = span(t.dnsStart, t.dnsEnd);
+  const connect = span(t.connectStart, t.connectEnd);
+  const ssl = span(t.sslStart, t.sslEnd);
+  const send = Math.max(0, t.sendEnd - t.sendStart);
+  const wait = Math.max(0, t.receiveHeadersEnd - t.sendEnd);
+  const receive = endTs !== undefined ? Math.max(0, (endTs - t.requestTime) * 1000 - t.receiveHeadersEnd) : 0;
+  const total = [blocked, dns, connect, send, wait, receive].filter((v) => v > 0).reduce((a, b) => a + b, 0);
+  return {
+    timings: { blocked: ms(blocked), dns: ms(dns), connect: ms(connect), send: ms(send), wait: ms(wait), receive: ms(receive), ssl: ms(ssl) },
+    total: ms(total),
+  };
+}
+
+/**
+ * Start recording a page's network traffic. Call before navigation.
+ * @param {import('puppeteer').Page} page
+ * @param {HarOptions=} opts
+ * @returns {Promise<{ stop: () => Promise<any> }>} stop() returns the HAR object.
+ */
+export async function startHarRecorder(page, opts = {}) {
+  const bodies = !!opts.bodies;
+  const maxBodyBytes = opts.maxBodyBytes ?? DEFAULT_MAX_BODY_BYTES;
+  const cdp = await page.createCDPSession();
+
+  /** @type {Map<string, any>} In-flight entries by requestId. */
+  const inflight = new Map();
+  /** @type {Array<any>} */
+  const entries = [];
+  /** @type {Array<Promise<void>>} */
+  const pendingBodies = [];
+  /** @type {{ startedDateTime?: string, startTs?: number, onContentLoad?: number, onLoad?: number }} */
+  const pageInfo = {};
+
+  /**
+   * Turn an in-flight request into a HAR entry.
+   * @param {any} e In-flight entry (request, optional response, error).
+   * @param {number|undefined} endTs Monotonic end timestamp in seconds, if known.
+   * @param {number|undefined} encodedLength Bytes received on the wire.
+   */
+  const finalize = (e, endTs, encodedLength) => {
+    const r = e.response;
+    const { timings, total } = harTimings(r?.timing, endTs);
+    const elapsed = endTs !== undefined ? ms(Math.max(0, (endTs - e.ts) * 1000)) : total;
+    const mimeType = r?.mimeType || headerValue(r?.headers, 'content-type') || '';
+    const entry = {
+      pageref: 'page_1',
+      startedDateTime: e.startedDateTime,
+      time: total > 0 ? total : elapsed,
+      request: {
+        method: e.request.method,
+        url: e.request.url,
+        httpVersion: httpVersion(r?.protocol),
+        cookies: [],
+        headers: headerList(e.extraRequestHeaders || r?.requestHeaders || e.request.headers),
+        queryString: queryString(e.request.url),
+        ...(e.request.postData !== undefined
+          ? { postData: { mimeType: headerValue(e.request.headers, 'content-type') || '', text: e.request.postData } }
+          : {}),
+        headersSize: -1,
+        bodySize: e.request.postData !== undefined ? Buffer.byteLength(e.request.postData) : 0,
+      },
+      response: {
+        status: r?.status ?? 0,
+        statusText: r?.statusText ?? '',
+        httpVersion: httpVersion(r?.protocol),
+        cookies: [],
+        headers: headerList(e.extraResponseHeaders || r?.headers),
+        content: { size: e.dataLength ?? 0, mimeType },
+        redirectURL: e.redirectURL || '',
+        headersSize: -1,
+        bodySize: encodedLength ?? r?.encodedDataLength ?? -1,
+      },
+      cache: {},
+      timings,
+      serverIPAddress: r?.remoteIPAddress,
+      _resourceType: e.type ? String(e.type).toLowerCase() : undefined,
+      _fromCache: r?.fromDiskCache || r?.fromServiceWorker || r?.fromPrefetchCache || undefined,
+      _error: e.error,
+      _blockedReason: e.blockedReason,
+    };
+    entries.push(entry);
+    return entry;
+  };
+
+  cdp.on('Network.requestWillBeSent', (ev) => {
+    const prev = inflight.get(ev.requestId);
+    if (prev && ev.redirectResponse) {
+      // Same requestId continues after a redirect: close the previous hop.
+      prev.response = ev.redirectResponse;
+      prev.redirectURL = ev.request.url;
+      finalize(prev, ev.timestamp, ev.redirectResponse.encodedDataLength);
+    }
+    if (pageInfo.startTs === undefined) {
+      pageInfo.startTs = ev.timestamp;
+      pageInfo.startedDateTime = new Date(ev.wallTime * 1000).toISOString();
+    }
+    inflight.set(ev.requestId, {
+      request: ev.request,
+      ts: ev.timestamp,
+      startedDateTime: new Date(ev.wallTime * 1000).toISOString(),
+      type: ev.type,
+      dataLength: 0,
+    });
+  });
+  cdp.on('Network.requestWillBeSentExtraInfo', (ev) => {
+    const e = inflight.get(ev.requestId);
+    if (e) e.extraRequestHeaders = ev.headers;
+  });
+  cdp.on('Network.responseReceived', (ev) => {
+    const e = inflight.get(ev.requestId);
+    if (e) e.response = ev.response;
+  });
+  cdp.on('Network.responseReceivedExtraInfo', (ev) => {
+    const e = inflight.get(ev.requestId);
+    if (e) e.extraResponseHeaders = ev.headers;
+  });
+  cdp.on('Network.dataReceived', (ev) => {
+    const e = inflight.get(ev.requestId);
+    if (e) e.dataLength += ev.dataLength;
+  });
+  cdp.on('Network.loadingFinished', (ev) => {
+    const e = inflight.get(ev.requestId);
+    if (!e) return;
+    inflight.delete(ev.requestId);
+    const entry = finalize(e, ev.timestamp, ev.encodedDataLength);
+    if (!bodies) return;
+    pendingBodies.push((async () => {
+      try {
+        const res = await cdp.send('Network.getResponseBody', { requestId: ev.requestId });
+        const size = res.base64Encoded ? Math.floor((res.body.length * 3) / 4) : Buffer.byteLength(res.body);
+        if (size > maxBodyBytes) {
+          entry.response.content.comment = `body omitted: ${size} bytes exceeds maxBodyBytes=${maxBodyBytes}`;
+          return;
+        }
+        entry.response.content.text = res.body;
+        if (res.base64Encoded) entry.response.content.encoding = 'base64';
+      } catch (err) {
+        entry.response.content.comment = `body unavailable: ${err instanceof Error ? err.message : String(err)}`;
+      }
+    })());
+  });
+  cdp.on('Network.loadingFailed', (ev) => {
+    const e = inflight.get(ev.requestId);
+    if (!e) return;
+    inflight.delete(ev.requestId);
+    e.error = ev.canceled ? `canceled: ${ev.errorText}` : ev.errorText;
+    e.blockedReason = ev.blockedReason;
+    finalize(e, ev.timestamp, undefined);
+  });
+  cdp.on('Page.domContentEventFired', (ev) => {
+    if (pageInfo.startTs !== undefined && pageInfo.onContentLoad === undefined) {
+      pageInfo.onContentLoad = ms((ev.timestamp - pageInfo.startTs) * 1000);
+    }
+  });
+  cdp.on('Page.loadEventFired', (ev) => {
+    if (pageInfo.startTs !== undefined && pageInfo.onLoad === undefined) {
+      pageInfo.onLoad = ms((ev.timestamp - pageInfo.startTs) * 1000);
+    }
+  });
+
+  await cdp.send('Network.enable');
+  await cdp.send('Page.enable');
+
+  return {
+    async stop() {
+      await Promise.allSettled(pendingBodies);
+      // Requests still open when the job ended are reported without an end time.
+      for (const e of inflight.values()) {
+        e.error = e.error || 'pending at end of job';
+        finalize(e, undefined, undefined);
+      }
+      inflight.clear();
+      try { await cdp.detach(); } catch {}
+
+      let browserVersion = '';
+      try { browserVersion = await page.browser().version(); } catch {}
+      entries.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+      return {
+        log: {
+          version: '1.2',
+          creator: { name: 'web-watcher', version: '1.0.0' },
+          browser: { name: 'Chromium', version: browserVersion },
+          pages: [{
+            id: 'page_1',
+            startedDateTime: pageInfo.startedDateTime || new Date().toISOString(),
+            title: page.url(),
+            pageTimings: { onContentLoad: pageInfo.onContentLoad ?? -1, onLoad: pageInfo.onLoad ?? -1 },
+          }],
+          entries,
+        },
+      };
+    },
+  };
+}
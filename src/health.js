@@ -0,0 +1,204 @@
+// @ts-check
+/**
+ * Health: the watcher's heartbeat for supervisors and monitoring.
+ *
+ * - status.json is rewritten every WEBWATCHER_HEARTBEAT_MS with uptime, browser state,
+ *   queue depth, running jobs, live sessions, outcome counts and a job
+ *   duration histogram. A heartbeat older than a few intervals means the
+ *   watcher is hung or gone, whatever the PID file says.
+ * - .watcher.pid holds the watcher's PID while it runs.
+ * - The same numbers are available in the Prometheus text format, as a file
+ *   (WEBWATCHER_METRICS_FILE, e.g. for node_exporter's textfile collector) and as
+ *   GET /metrics on the HTTP API.
+ */
+import path from 'path';
+import { promises as fs } from 'fs';
+import { writeFileAtomic, writeJSONAtomic } from './files.js';
+
+/** Upper bounds (ms) of the job duration histogram buckets; a +Inf bucket follows. */
+export const DURATION_BUCKETS_MS = [250, 500, 1000, 2500, 5000, 10000, 30000, 60000, 120000, 300000];
+
+/** Job outcomes counted in status.json `counts`. */
+const OUTCOMES = /** @type {const} */ (['ok', 'error', 'cancelled', 'retried', 'rejected']);
+
+/**
+ * @typedef {typeof OUTCOMES[number]} Outcome
+ * ok/error/cancelled: finished jobs; retried: runs interrupted and queued
+ * again; rejected: requests that failed validation.
+ */
+
+/**
+ * Outcome counters and the job duration histogram since startup.
+ */
+export function createStats() {
+  /** @type {Record<Outcome, number>} */
+  const counts = { ok: 0, error: 0, cancelled: 0, retried: 0, rejected: 0 };
+  const buckets = new Array(DURATION_BUCKETS_MS.length + 1).fill(0);
+  let sumMs = 0;
+  let observed = 0;
+
+  return {
+    /**
+     * Count an outcome; durations of finished runs go into the histogram.
+     * @param {Outcome} outcome
+     * @param {number=} durationMs Run time (ok and error jobs).
+     */
+    record(outcome, durationMs) {
+      counts[outcome]++;
+      if (durationMs === undefined) return;
+      const i = DURATION_BUCKETS_MS.findIndex((le) => durationMs <= le);
+      buckets[i < 0 ? DURATION_BUCKETS_MS.length : i]++;
+      sumMs += durationMs;
+      observed++;
+    },
+
+    /**
+     * Counts and histogram as written to status.json. Buckets are cumulative,
+     * as in Prometheus: `count` is the number of runs that took at most `le` ms.
+     */
+    snapshot() {
+      let running = 0;
+      const cumulative = buckets.map((n, i) => {
+        running += n;
+        return { le: i < DURATION_BUCKETS_MS.length ? DURATION_BUCKETS_MS[i] : '+Inf', count: running };
+      });
+      return {
+        counts: { ...counts, total: counts.ok + counts.error + counts.cancelled },
+        durationMs: { count: observed, sum: sumMs, buckets: cumulative },
+      };
+    },
+  };
+}
+
+/**
+ * @typedef {Object} WatcherStatus
+ * @property {number} pid
+ * @property {'starting'|'running'|'stopping'|'stopped'} state
+ * @property {string} startedAt
+ * @property {string} updatedAt Time of this heartbeat.
+ * @property {number} uptimeMs
+ * @property {number} heartbeatMs How often status.json is rewritten.
+ * @property {{ connected: boolean, version?: string, generation: number, relaunches: number }} browser
+ * @property {{ depth: number, active: number, concurrency: number }} queue depth: jobs waiting; active: jobs running.
+ * @property {Array<{ id: string, op?: string, startedAt?: string, attempt?: number, url?: string }>} activeJobs
+ * @property {{ live: number }} sessions Open session browser contexts.
+ * @property {Record<string, number>} counts
+ * @property {{ count: number, sum: number, buckets: Array<{ le: number|string, count: number }> }} durationMs
+ */
+
+/**
+ * Prometheus text exposition of a status snapshot.
+ * @param {WatcherStatus} s
+ * @returns {string}
+ */
+export function formatMetrics(s) {
+  /** @type {string[]} */
+  const lines = [];
+  /**
+   * @param {string} name
+   * @param {'gauge'|'counter'|'histogram'} type
+   * @param {string} help
+   * @param {Array<[string, number]>} samples [labels-and-suffix, value]
+   */
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [suffix, value] of samples) lines.push(`${name}${suffix} ${value}`);
+  };
+  /** @param {string} v */
+  const label = (v) => v.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+  metric('webwatcher_up', 'gauge', 'Watcher is accepting jobs (1) or starting/stopping (0).', [['', s.state === 'running' ? 1 : 0]]);
+  metric('webwatcher_uptime_seconds', 'gauge', 'Seconds since the watcher started.', [['', s.uptimeMs / 1000]]);
+  metric('webwatcher_heartbeat_timestamp_seconds', 'gauge', 'Unix time of this heartbeat.', [['', Date.parse(s.updatedAt) / 1000]]);
+  metric('webwatcher_browser_connected', 'gauge', 'A browser is running.', [['', s.browser.connected ? 1 : 0]]);
+  metric('webwatcher_browser_info', 'gauge', 'Browser version.', [[`{version="${label(s.browser.version || '')}"}`, 1]]);
+  metric('webwatcher_browser_relaunches_total', 'counter', 'Browser relaunches after crashes or recycling.', [['', s.browser.relaunches]]);
+  metric('webwatcher_queue_depth', 'gauge', 'Jobs waiting in the queue.', [['', s.queue.depth]]);
+  metric('webwatcher_jobs_active', 'gauge', 'Jobs running.', [['', s.queue.active]]);
+  metric('webwatcher_concurrency', 'gauge', 'Configured concurrency.', [['', s.queue.concurrency]]);
+  metric('webwatcher_sessions_live', 'gauge', 'Open session browser contexts.', [['', s.sessions.live]]);
+  metric('webwatcher_jobs_total', 'counter', 'Jobs by outcome since startup.',
+    OUTCOMES.map((o) => [`{outcome="${o}"}`, s.counts[o] ?? 0]));
+  metric('webwatcher_job_duration_seconds', 'histogram', 'Run time of finished (ok and error) jobs.', [
+    ...s.durationMs.buckets.map((b) => /** @type {[string, number]} */ ([`_bucket{le="${b.le === '+Inf' ? '+Inf' : Number(b.le) / 1000}"}`, b.count])),
+    ['_sum', s.durationMs.sum / 1000],
+    ['_count', s.durationMs.count],
+  ]);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {number} pid
+ * @returns {boolean} The process exists (and we may signal it).
+ */
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return /** @type {any} */ (err)?.code === 'EPERM';
+  }
+}
+
+/**
+ * Periodically write status.json (and the metrics file), and own the PID file.
+ * @param {Object} deps
+ * @param {string} deps.statusFile
+ * @param {string} deps.pidFile
+ * @param {string=} deps.metricsFile Prometheus text file (off when unset).
+ * @param {number} deps.intervalMs
+ * @param {() => WatcherStatus} deps.collect Current status.
+ * @param {(line: string) => void} deps.log
+ */
+export function createHeartbeat({ statusFile, pidFile, metricsFile, intervalMs, collect, log }) {
+  /** @type {NodeJS.Timeout|undefined} */
+  let timer;
+  /** @type {Promise<void>} */
+  let writing = Promise.resolve();
+  let warned = false;
+
+  const write = async () => {
+    const status = collect();
+    try {
+      await writeJSONAtomic(statusFile, status);
+      if (metricsFile) await writeFileAtomic(metricsFile, formatMetrics(status));
+      warned = false;
+    } catch (err) {
+      // Once per streak of failures, not every heartbeat.
+      if (!warned) log(`[WRN] Could not write ${path.basename(statusFile)}: ${err instanceof Error ? err.message : String(err)}`);
+      warned = true;
+    }
+  };
+
+  /** Queue a write behind the previous one, so files are never written out of order. */
+  const beat = () => {
+    writing = writing.then(write);
+    return writing;
+  };
+
+  return {
+    /** Write the PID file and the first heartbeat, then keep beating. */
+    async start() {
+      const previous = parseInt(await fs.readFile(pidFile, 'utf8').catch(() => ''), 10);
+      if (previous && previous !== process.pid && isAlive(previous)) {
+        log(`[WRN] ${path.basename(pidFile)} names running process ${previous}; another watcher may be using these directories.`);
+      }
+      await writeFileAtomic(pidFile, `${process.pid}\n`);
+      await beat();
+      timer = setInterval(beat, intervalMs);
+      timer.unref();
+    },
+
+    /** Write a heartbeat now (e.g. on a state change). */
+    beat,
+
+    /** Final heartbeat; removes the PID file if it is still ours. */
+    async stop() {
+      if (timer) clearInterval(timer);
+      timer = undefined;
+      await beat();
+      const current = parseInt(await fs.readFile(pidFile, 'utf8').catch(() => ''), 10);
+      if (current === process.pid) await fs.rm(pidFile, { force: true });
+    },
+  };
+}
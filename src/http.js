@@ -0,0 +1,280 @@
+// @ts-check
+/**
+ * HTTP API: optional local listener that mirrors the filesystem IPC.
+ *
+ * Endpoints:
+ * - POST /jobs                        Submit a request JSON (same schema as requests/*.json).
+ * - GET  /jobs/:id                    Job state (queued|running|ok|error|cancelled) plus meta.json.
+ * - DELETE /jobs/:id                  Cancel a queued or running job.
+ * - GET  /jobs/:id/events             Server-Sent Events stream of progress updates.
+ * - GET  /jobs/:id/artifacts          List files written under responses/<id>/ (plus manifest.json once written).
+ * - GET  /jobs/:id/artifacts/<path>   Download a single artifact.
+ * - PUT|DELETE /jobs/:id/pin          Pin or unpin a job (see retention.js).
+ * - GET  /schema                      The request JSON Schema (schema/request.schema.json).
+ * - GET  /status                      The watcher heartbeat (same as status.json, see health.js).
+ * - GET  /metrics                     The same numbers in the Prometheus text format.
+ *
+ * The server never renders anything itself: submissions are handed to the
+ * watcher, so HTTP and filesystem jobs share one queue and one code path.
+ */
+import http from 'http';
+import path from 'path';
+import { promises as fs, createReadStream } from 'fs';
+import { safeJoin, contentTypeFor, readJSON } from './files.js';
+import { listJobFiles } from './manifest.js';
+import { setPinned } from './retention.js';
+import { formatMetrics } from './health.js';
+import { REQUEST_SCHEMA } from './schema.js';
+
+/** Upper bound for request bodies (render_html payloads can be large). */
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+/** Job states after which no further progress events are emitted. */
+const TERMINAL_STATES = new Set(['ok', 'error', 'cancelled']);
+
+/** Interval for SSE keep-alive comments so idle proxies keep the stream open. */
+const SSE_PING_MS = 15000;
+
+/**
+ * @typedef {Object} JobStatus
+ * @property {string} id
+ * @property {string} state One of queued|running|ok|error|cancelled.
+ * @property {any=} meta Parsed meta.json, if written yet.
+ * @property {any=} done Parsed done.json, once finished.
+ */
+
+/**
+ * @typedef {Object} HttpApiDeps
+ * @property {(raw:any) => Promise<{id:string}>} submit Validate, claim and enqueue a raw request.
+ * @property {(id:string) => Promise<JobStatus|null>} getStatus Resolve the state of a job, or null if unknown.
+ * @property {(id:string) => Promise<'cancelled'|'cancelling'|'finished'|'pending'>} cancel Cancel a job by id.
+ * @property {import('events').EventEmitter} events Emits 'progress' with `{ id, state, ... }` payloads.
+ * @property {string} responsesDir Absolute path to the responses dir.
+ * @property {() => import('./health.js').WatcherStatus} status Current watcher status.
+ */
+
+/**
+ * Create (but do not start) the HTTP API server.
+ * @param {HttpApiDeps} deps Watcher hooks the API delegates to.
+ * @returns {http.Server} Server; call listen() to start it.
+ */
+export function createHttpApi(deps) {
+  return http.createServer((req, res) => {
+    handle(deps, req, res).catch((err) => {
+      const msg = err instanceof Error ? err.message : String(err);
+      if (!res.headersSent) sendJSON(res, 500, { error: msg });
+      else res.end();
+    });
+  });
+}
+
+/**
+ * Route a single HTTP request.
+ * @param {HttpApiDeps} deps
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handle(deps, req, res) {
+  const url = new URL(req.url || '/', 'http://localhost');
+  let parts;
+  try {
+    parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return sendJSON(res, 400, { error: 'Malformed URL' });
+  }
+
+  if (parts[0] === 'schema' && parts.length === 1) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return sendJSON(res, 405, { error: 'Method not allowed' });
+    return sendJSON(res, 200, REQUEST_SCHEMA);
+  }
+  if ((parts[0] === 'status' || parts[0] === 'metrics') && parts.length === 1) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return sendJSON(res, 405, { error: 'Method not allowed' });
+    const status = deps.status();
+    if (parts[0] === 'status') return sendJSON(res, 200, status);
+    const body = formatMetrics(status);
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+    return void res.end(req.method === 'HEAD' ? undefined : body);
+  }
+  if (parts[0] !== 'jobs') return sendJSON(res, 404, { error: 'Not found' });
+
+  if (parts.length === 1) {
+    if (req.method !== 'POST') return sendJSON(res, 405, { error: 'Method not allowed' });
+    let raw;
+    try {
+      raw = JSON.parse(await readBody(req));
+    } catch (e) {
+      const tooLarge = e instanceof Error && e.message === 'Payload too large';
+      return sendJSON(res, tooLarge ? 413 : 400, { error: tooLarge ? e.message : 'Body must be valid JSON' });
+    }
+    try {
+      const { id } = await deps.submit(raw);
+      return sendJSON(res, 202, {
+        id,
+        state: 'queued',
+        links: {
+          self: `/jobs/${encodeURIComponent(id)}`,
+          events: `/jobs/${encodeURIComponent(id)}/events`,
+          artifacts: `/jobs/${encodeURIComponent(id)}/artifacts`,
+        },
+      });
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : String(e);
+      const status = /** @type {any} */ (e)?.code === 'EJOBEXISTS' ? 409 : 400;
+      const errors = /** @type {any} */ (e)?.errors;
+      return sendJSON(res, status, errors ? { error: msg, errors } : { error: msg });
+    }
+  }
+
+  const id = parts[1];
+  let jobDir;
+  try {
+    jobDir = safeJoin(deps.responsesDir, id);
+  } catch {
+    return sendJSON(res, 400, { error: 'Invalid job id' });
+  }
+
+  if (req.method === 'DELETE' && parts.length === 2) {
+    const outcome = await deps.cancel(id);
+    if (outcome === 'finished') return sendJSON(res, 409, { error: `Job ${id} already finished` });
+    return sendJSON(res, 202, { id, cancel: outcome });
+  }
+
+  if (parts[2] === 'pin' && parts.length === 3) {
+    if (req.method !== 'PUT' && req.method !== 'DELETE') return sendJSON(res, 405, { error: 'Method not allowed' });
+    try {
+      await setPinned(deps.responsesDir, id, req.method === 'PUT');
+    } catch (e) {
+      if (/** @type {any} */ (e)?.code === 'ENOJOB') return sendJSON(res, 404, { error: `Unknown job ${id}` });
+      throw e;
+    }
+    return sendJSON(res, 200, { id, pinned: req.method === 'PUT' });
+  }
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return sendJSON(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (parts.length === 2) {
+    const status = await deps.getStatus(id);
+    if (!status) return sendJSON(res, 404, { error: `Unknown job ${id}` });
+    return sendJSON(res, 200, status);
+  }
+
+  if (parts[2] === 'events' && parts.length === 3) {
+    return streamEvents(deps, id, req, res);
+  }
+
+  if (parts[2] === 'artifacts') {
+    if (parts.length === 3) {
+      const files = await listJobFiles(jobDir).catch(() => null);
+      if (!files) return sendJSON(res, 404, { error: `No artifacts for job ${id}` });
+      const manifest = await readJSON(path.join(jobDir, 'manifest.json')).catch(() => undefined);
+      return sendJSON(res, 200, { id, files, manifest });
+    }
+    let filePath;
+    try {
+      filePath = safeJoin(jobDir, parts.slice(3).join('/'));
+    } catch {
+      return sendJSON(res, 400, { error: 'Invalid artifact path' });
+    }
+    if (parts.slice(3).some((p) => p.startsWith('.'))) {
+      return sendJSON(res, 404, { error: 'Not found' });
+    }
+    const stat = await fs.stat(filePath).catch(() => null);
+    if (!stat || !stat.isFile()) return sendJSON(res, 404, { error: 'Not found' });
+    res.writeHead(200, { 'Content-Type': contentTypeFor(filePath), 'Content-Length': stat.size });
+    if (req.method === 'HEAD') return void res.end();
+    createReadStream(filePath).pipe(res);
+    return;
+  }
+
+  return sendJSON(res, 404, { error: 'Not found' });
+}
+
+/**
+ * Stream progress for one job as Server-Sent Events. The current state is
+ * sent first; the stream ends after a terminal state (ok/error/cancelled).
+ * @param {HttpApiDeps} deps
+ * @param {string} id
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function streamEvents(deps, id, req, res) {
+  /** @type {Array<any>} */
+  const buffered = [];
+  let ready = false;
+  let closed = false;
+
+  const send = (evt) => {
+    if (closed) return;
+    res.write(`event: progress\ndata: ${JSON.stringify(evt)}\n\n`);
+    if (TERMINAL_STATES.has(evt.state)) finish();
+  };
+  const onProgress = (evt) => {
+    if (evt?.id !== id) return;
+    if (ready) send(evt);
+    else buffered.push(evt);
+  };
+  const ping = setInterval(() => { if (!closed) res.write(': ping\n\n'); }, SSE_PING_MS);
+  const cleanup = () => {
+    closed = true;
+    clearInterval(ping);
+    deps.events.off('progress', onProgress);
+  };
+  const finish = () => {
+    if (closed) return;
+    cleanup();
+    res.end();
+  };
+
+  // Subscribe before reading the current state so no transition is missed.
+  deps.events.on('progress', onProgress);
+  req.on('close', finish);
+
+  const status = await deps.getStatus(id);
+  if (!status) {
+    cleanup();
+    return sendJSON(res, 404, { error: `Unknown job ${id}` });
+  }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  send({ id, state: status.state });
+  ready = true;
+  for (const evt of buffered) send(evt);
+}
+
+/**
+ * Read a request body as UTF-8, enforcing MAX_BODY_BYTES.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<string>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    /** @type {Buffer[]} */
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      // Keep draining past the limit so the 413 response can still be sent.
+      if (size > MAX_BODY_BYTES) return reject(new Error('Payload too large'));
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response.
+ * @param {http.ServerResponse} res
+ * @param {number} status HTTP status code.
+ * @param {any} body JSON-serializable body.
+ */
+function sendJSON(res, status, body) {
+  const data = JSON.stringify(body, null, 2);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(data) });
+  res.end(data);
+}
@@ -0,0 +1,274 @@
+// @ts-check
+/**
+ * Request interception for a render job (`intercept` request field).
+ *
+ * Decision order for every request the page makes:
+ * 1. `mocks`  — first matching mock is fulfilled from an inline body, JSON or fixture file.
+ * 2. `allow`  — matching URLs are always passed through.
+ * 3. `blockResourceTypes` / `block` — matching requests are aborted.
+ * 4. `offline` — anything still undecided is aborted.
+ * 5. Otherwise the request continues to the network.
+ *
+ * URL patterns are globs matched against the full URL (`*` = any run of
+ * characters, `?` = one character) or regular expressions written as
+ * "/source/flags". Patterns run against every URL a page requests, so they
+ * are capped in length, and regular expressions that repeat a group holding a
+ * quantifier or an alternation (exponential backtracking) are rejected.
+ */
+import { promises as fs } from 'fs';
+import { safeJoin, contentTypeFor } from './files.js';
+
+/** Resource types Puppeteer reports (request.resourceType()). */
+const RESOURCE_TYPES = new Set([
+  'document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch',
+  'prefetch', 'eventsource', 'websocket', 'manifest', 'signedexchange', 'ping', 'cspviolationreport',
+  'preflight', 'other',
+]);
+
+/**
+ * @typedef {Object} MockSpec
+ * @property {string} url URL pattern.
+ * @property {string=} method Only match this HTTP method.
+ * @property {number=} status Response status (default 200).
+ * @property {Record<string,string>=} headers Response headers.
+ * @property {string=} contentType Content-Type (defaults from body kind / fixture extension).
+ * @property {string=} body Inline response body.
+ * @property {any=} json Inline JSON body.
+ * @property {string=} file Fixture path relative to the fixtures dir.
+ */
+
+/**
+ * @typedef {Object} InterceptSpec
+ * @property {string[]=} blockResourceTypes e.g. ["image", "font", "media"].
+ * @property {string[]=} block URL patterns to abort.
+ * @property {string[]=} allow URL patterns that are never blocked.
+ * @property {MockSpec[]=} mocks Requests to fulfil locally.
+ * @property {boolean=} offline Abort every request that is not mocked or allowed.
+ */
+
+/** Longest URL pattern accepted. */
+const MAX_PATTERN_LENGTH = 500;
+
+/**
+ * Whether a regex source repeats a group that can match the same text in more
+ * than one way: a group holding a quantifier or an alternation, at any depth,
+ * followed by a quantifier that allows more than one repetition — e.g.
+ * (a+)+, ((a+))+, (a|aa)+ or (?:x?y){2,}. Those backtrack exponentially.
+ * @param {string} source
+ * @returns {boolean}
+ */
+function repeatsAmbiguousGroup(source) {
+  /** Per open group: whether it contains a quantifier or `|` so far. */
+  const stack = [false];
+  /** The last atom was a group that contains a quantifier or `|`. */
+  let ambiguousGroup = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    // A quantifier applies to the atom before it; `?` after one only makes it lazy.
+    const q = /^(?:[*+?]|\{(\d+)(,(\d*))?\})\??/.exec(source.slice(i));
+    if (q) {
+      let max = ch === '?' ? 1 : Infinity;
+      if (q[1] !== undefined) max = q[2] === undefined ? Number(q[1]) : q[3] ? Number(q[3]) : Infinity;
+      if (ambiguousGroup && max > 1) return true;
+      stack[stack.length - 1] = true;
+      ambiguousGroup = false;
+      i += q[0].length - 1;
+      continue;
+    }
+    ambiguousGroup = false;
+    if (ch === '\\') {
+      i++;
+    } else if (ch === '[') {
+      // Character class: skip to its closing bracket (a leading `]` is literal).
+      i++;
+      if (source[i] === '^') i++;
+      if (source[i] === ']') i++;
+      while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+    } else if (ch === '(') {
+      stack.push(false);
+      // Skip the group prefix (?:, (?=, (?!, (?<=, (?<!, (?<name>.
+      const prefix = /^\?(?:[:=!]|<[=!]|<[A-Za-z_$][\w$]*>)/.exec(source.slice(i + 1));
+      if (prefix) i += prefix[0].length;
+    } else if (ch === ')' && stack.length > 1) {
+      ambiguousGroup = /** @type {boolean} */ (stack.pop());
+      stack[stack.length - 1] ||= ambiguousGroup;
+    } else if (ch === '|') {
+      stack[stack.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Compile a glob or "/regex/flags" pattern into a RegExp.
+ * @param {string} pattern
+ * @returns {RegExp}
+ * @throws {Error} For invalid, overlong or catastrophically backtracking patterns.
+ */
+export function compilePattern(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) throw new Error(`longer than ${MAX_PATTERN_LENGTH} characters`);
+  const re = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (re) {
+    if (repeatsAmbiguousGroup(re[1])) {
+      throw new Error('repeated groups containing a quantifier or "|", such as (a+)+ or (a|aa)+, are not allowed');
+    }
+    return new RegExp(re[1], re[2]);
+  }
+  const src = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${src}$`);
+}
+
+/**
+ * Validate an `intercept` request field.
+ * @param {any} raw Untrusted value.
+ * @returns {InterceptSpec|undefined} Normalized spec (undefined when absent).
+ */
+export function normalizeIntercept(raw) {
+  if (raw === undefined || raw === null) return undefined;
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error('intercept must be an object');
+
+  /** @param {string} name */
+  const patterns = (name) => {
+    const v = raw[name];
+    if (v === undefined) return undefined;
+    if (!Array.isArray(v) || v.some((p) => typeof p !== 'string' || !p)) {
+      throw new Error(`intercept.${name} must be an array of non-empty strings`);
+    }
+    for (const p of v) {
+      try { compilePattern(p); } catch (e) {
+        throw new Error(`intercept.${name}: invalid pattern ${JSON.stringify(p)}: ${e instanceof Error ? e.message : e}`);
+      }
+    }
+    return v;
+  };
+
+  const blockResourceTypes = raw.blockResourceTypes;
+  if (blockResourceTypes !== undefined) {
+    if (!Array.isArray(blockResourceTypes) || blockResourceTypes.some((t) => !RESOURCE_TYPES.has(t))) {
+      throw new Error(`intercept.blockResourceTypes must contain only: ${Array.from(RESOURCE_TYPES).join(', ')}`);
+    }
+  }
+
+  let mocks;
+  if (raw.mocks !== undefined) {
+    if (!Array.isArray(raw.mocks)) throw new Error('intercept.mocks must be an array');
+    mocks = raw.mocks.map((m, i) => {
+      const where = `intercept.mocks[${i}]`;
+      if (!m || typeof m !== 'object') throw new Error(`${where} must be an object`);
+      if (typeof m.url !== 'string' || !m.url) throw new Error(`${where}.url is required`);
+      try { compilePattern(m.url); } catch (e) {
+        throw new Error(`${where}.url: invalid pattern: ${e instanceof Error ? e.message : e}`);
+      }
+      const sources = ['body', 'json', 'file'].filter((k) => m[k] !== undefined);
+      if (sources.length !== 1) throw new Error(`${where} needs exactly one of body, json or file`);
+      if (m.body !== undefined && typeof m.body !== 'string') throw new Error(`${where}.body must be a string`);
+      if (m.file !== undefined && (typeof m.file !== 'string' || !m.file)) throw new Error(`${where}.file must be a path`);
+      if (m.status !== undefined && !(Number.isInteger(m.status) && m.status >= 100 && m.status <= 599)) {
+        throw new Error(`${where}.status must be an HTTP status code`);
+      }
+      if (m.headers !== undefined && (typeof m.headers !== 'object' || Array.isArray(m.headers))) {
+        throw new Error(`${where}.headers must be an object`);
+      }
+      return {
+        url: m.url,
+        method: m.method ? String(m.method).toUpperCase() : undefined,
+        status: m.status,
+        headers: m.headers,
+        contentType: m.contentType,
+        body: m.body,
+        json: m.json,
+        file: m.file,
+      };
+    });
+  }
+
+  return {
+    blockResourceTypes,
+    block: patterns('block'),
+    allow: patterns('allow'),
+    mocks,
+    offline: !!raw.offline,
+  };
+}
+
+/**
+ * Enable request interception on a page according to a spec.
+ * Must be called before navigation.
+ * @param {import('puppeteer').Page} page
+ * @param {InterceptSpec} spec Normalized spec.
+ * @param {{ fixturesDir: string, onDecision: (entry: Record<string, any>) => void }} opts
+ *   fixturesDir: base dir for mock `file` paths; onDecision: receives one entry per request.
+ */
+export async function setupInterception(page, spec, opts) {
+  const mocks = (spec.mocks || []).map((m) => ({ ...m, re: compilePattern(m.url) }));
+  const allow = (spec.allow || []).map((p) => ({ p, re: compilePattern(p) }));
+  const block = (spec.block || []).map((p) => ({ p, re: compilePattern(p) }));
+  const blockTypes = new Set(spec.blockResourceTypes || []);
+  /** @type {Map<string, Promise<Buffer>>} */
+  const fixtures = new Map();
+
+  const loadFixture = (file) => {
+    let p = fixtures.get(file);
+    if (!p) {
+      p = fs.readFile(safeJoin(opts.fixturesDir, file));
+      fixtures.set(file, p);
+    }
+    return p;
+  };
+
+  await page.setRequestInterception(true);
+  page.on('request', async (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+    const url = request.url();
+    // data:/blob: URLs never reach the network; nothing to decide.
+    if (url.startsWith('data:') || url.startsWith('blob:')) {
+      await request.continue().catch(() => {});
+      return;
+    }
+    const base = { phase: 'intercept', url, method: request.method(), resourceType: request.resourceType(), ts: Date.now() };
+
+    const mock = mocks.find((m) => m.re.test(url) && (!m.method || m.method === request.method()));
+    if (mock) {
+      try {
+        let body;
+        let contentType = mock.contentType;
+        if (mock.file !== undefined) {
+          body = await loadFixture(mock.file);
+          contentType = contentType || contentTypeFor(mock.file);
+        } else if (mock.json !== undefined) {
+          body = JSON.stringify(mock.json);
+          contentType = contentType || 'application/json; charset=utf-8';
+        } else {
+          body = mock.body;
+          contentType = contentType || 'text/plain; charset=utf-8';
+        }
+        await request.respond({ status: mock.status ?? 200, headers: mock.headers, contentType, body });
+        opts.onDecision({ ...base, action: 'mocked', rule: mock.url, status: mock.status ?? 200 });
+      } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        opts.onDecision({ ...base, action: 'mock_failed', rule: mock.url, error: msg });
+        await request.abort('failed').catch(() => {});
+      }
+      return;
+    }
+
+    const allowed = allow.find((a) => a.re.test(url));
+    /** @type {string|undefined} */
+    let reason;
+    if (!allowed) {
+      if (blockTypes.has(request.resourceType())) reason = `resourceType:${request.resourceType()}`;
+      else {
+        const b = block.find((x) => x.re.test(url));
+        if (b) reason = `url:${b.p}`;
+        else if (spec.offline) reason = 'offline';
+      }
+    }
+    if (reason) {
+      await request.abort('blockedbyclient').catch(() => {});
+      opts.onDecision({ ...base, action: 'blocked', rule: reason });
+    } else {
+      await request.continue().catch(() => {});
+      opts.onDecision({ ...base, action: 'continued', rule: allowed ? `allow:${allowed.p}` : undefined });
+    }
+  });
+}
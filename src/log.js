@@ -0,0 +1,193 @@
+// @ts-check
+/**
+ * Logging: structured entries with levels, written as JSON lines to a
+ * rotating log file and, per job, to responses/<id>/job.log.
+ *
+ * Every entry is `{ ts, level, tag?, msg, id?, sessionId?, ...fields }`;
+ * job loggers add the job id (and sessionId) to every entry they write.
+ * The console keeps the familiar `[TAG] id=<id> message` lines unless
+ * WEBWATCHER_LOG_FORMAT=json, in which case it gets the same JSON lines as
+ * the file.
+ *
+ * - WEBWATCHER_LOG_LEVEL filters the console and the log file
+ *   (debug|info|warn|error).
+ *   job.log always records every level: it is the job's full story.
+ * - The log file is rotated by size: .watcher.log → .watcher.log.1 → … and
+ *   the oldest is dropped once WEBWATCHER_LOG_MAX_FILES exist.
+ * - Writes are synchronous appends, so lines are never interleaved or lost
+ *   on exit; the volume is a few lines per job step.
+ */
+import path from 'path';
+import { appendFileSync, renameSync, rmSync, statSync, promises as fs } from 'fs';
+
+export const LEVELS = /** @type {const} */ (['debug', 'info', 'warn', 'error']);
+
+/** @typedef {typeof LEVELS[number]} Level */
+
+/** Console tag for entries logged without one. */
+const LEVEL_TAGS = { debug: 'DBG', info: 'INF', warn: 'WRN', error: 'ERR' };
+
+/** Console tags of preformatted lines (see line()) and the level they imply. */
+const TAG_LEVELS = /** @type {Record<string, Level>} */ ({ DBG: 'debug', WRN: 'warn', RETRY: 'warn', ERR: 'error', FATAL: 'error' });
+
+/**
+ * @typedef {Object} LogEntry
+ * @property {string} ts ISO time.
+ * @property {Level} level
+ * @property {string=} tag Console tag (START, OK, ERR, CANCEL, RETRY, …).
+ * @property {string} msg
+ * @property {string=} id Job id.
+ * @property {string=} sessionId
+ */
+
+/**
+ * @typedef {Object} Logger
+ * @property {(msg: string, fields?: Record<string, any>) => void} debug
+ * @property {(msg: string, fields?: Record<string, any>) => void} info
+ * @property {(msg: string, fields?: Record<string, any>) => void} warn
+ * @property {(msg: string, fields?: Record<string, any>) => void} error
+ * @property {(line: string, fields?: Record<string, any>) => void} line Log a preformatted
+ *   `[TAG] id=<id> message` line; tag and id become fields.
+ * @property {(fields: Record<string, any>, sink?: JobLog) => Logger} child Logger whose entries
+ *   carry `fields`; with `sink`, they are also appended to that job.log.
+ * @property {() => Promise<unknown>} flush Resolves once this logger's job.log entries are on disk.
+ */
+
+/**
+ * Size-rotated append-only file.
+ * @param {string} file
+ * @param {number} maxBytes Rotate once the file reaches this size (0: never).
+ * @param {number} maxFiles Files kept, including the current one.
+ */
+function createRotatingFile(file, maxBytes, maxFiles) {
+  let size = -1;
+  let failed = false;
+  const rotate = () => {
+    rmSync(`${file}.${maxFiles - 1}`, { force: true });
+    for (let i = maxFiles - 2; i >= 1; i--) {
+      try { renameSync(`${file}.${i}`, `${file}.${i + 1}`); } catch {}
+    }
+    if (maxFiles > 1) renameSync(file, `${file}.1`);
+    else rmSync(file, { force: true });
+    size = 0;
+  };
+  return {
+    /** @param {string} text */
+    write(text) {
+      try {
+        const bytes = Buffer.byteLength(text);
+        if (size < 0) size = statSync(file, { throwIfNoEntry: false })?.size ?? 0;
+        if (maxBytes > 0 && size > 0 && size + bytes > maxBytes) rotate();
+        appendFileSync(file, text);
+        size += bytes;
+        failed = false;
+      } catch (err) {
+        // Keep running without the file; say so once per streak of failures.
+        if (!failed) process.stderr.write(`[WRN] Could not write ${file}: ${err instanceof Error ? err.message : String(err)}\n`);
+        failed = true;
+      }
+    },
+  };
+}
+
+/**
+ * @typedef {Object} JobLog
+ * @property {(entry: LogEntry) => void} write
+ * @property {() => Promise<void>} flush Resolves once every entry so far is on disk.
+ */
+
+/**
+ * Append-only responses/<id>/job.log. Writes are queued and never create
+ * the job directory, so a job removed by retention stays removed.
+ * @param {string} file
+ * @returns {JobLog}
+ */
+export function createJobLog(file) {
+  /** @type {string[]} */
+  let pending = [];
+  /** @type {Promise<void>} */
+  let writing = Promise.resolve();
+  const drain = async () => {
+    if (pending.length === 0) return;
+    const text = pending.join('');
+    pending = [];
+    try { await fs.appendFile(file, text); } catch {}
+  };
+  return {
+    write(entry) {
+      pending.push(`${JSON.stringify(entry)}\n`);
+      if (pending.length === 1) writing = writing.then(drain);
+    },
+    flush() {
+      writing = writing.then(drain);
+      return writing;
+    },
+  };
+}
+
+/**
+ * Create the root logger.
+ * @param {Object} opts
+ * @param {Level} opts.level Minimum level for the console and the log file.
+ * @param {'text'|'json'} opts.format Console format.
+ * @param {string=} opts.file Rotating JSON-lines log file (off when unset).
+ * @param {number=} opts.maxBytes Rotate the file at this size (default 10 MB).
+ * @param {number=} opts.maxFiles Rotated files kept, including the current one (default 5).
+ * @returns {Logger}
+ */
+export function createLogger({ level, format, file, maxBytes = 10 * 1024 * 1024, maxFiles = 5 }) {
+  const min = LEVELS.indexOf(level);
+  const out = file ? createRotatingFile(path.resolve(file), maxBytes, Math.max(1, maxFiles)) : undefined;
+
+  /**
+   * @param {Level} lvl
+   * @param {string} msg
+   * @param {Record<string, any>} fields
+   * @param {JobLog[]} sinks
+   */
+  const emit = (lvl, msg, fields, sinks) => {
+    const { tag, id, sessionId, ...rest } = fields;
+    /** @type {LogEntry & Record<string, any>} */
+    const entry = { ts: new Date().toISOString(), level: lvl, tag, msg, id, sessionId, ...rest };
+    for (const k of Object.keys(entry)) if (entry[k] === undefined) delete entry[k];
+    for (const sink of sinks) sink.write(entry);
+    if (LEVELS.indexOf(lvl) < min) return;
+    const json = JSON.stringify(entry);
+    out?.write(`${json}\n`);
+    const text = format === 'json' ? json : `[${tag || LEVEL_TAGS[lvl]}] ${id ? `id=${id} ` : ''}${msg}`;
+    if (lvl === 'error' || lvl === 'warn') console.error(text);
+    else console.log(text);
+  };
+
+  /**
+   * @param {Record<string, any>} base
+   * @param {JobLog[]} sinks
+   * @returns {Logger}
+   */
+  const make = (base, sinks) => ({
+    debug: (msg, fields = {}) => emit('debug', msg, { ...base, ...fields }, sinks),
+    info: (msg, fields = {}) => emit('info', msg, { ...base, ...fields }, sinks),
+    warn: (msg, fields = {}) => emit('warn', msg, { ...base, ...fields }, sinks),
+    error: (msg, fields = {}) => emit('error', msg, { ...base, ...fields }, sinks),
+    line(line, fields = {}) {
+      const m = /^\[([A-Z]+)\]\s*(?:id=(\S+)\s*)?([\s\S]*)$/.exec(line);
+      if (!m) return emit('info', line, { ...base, ...fields }, sinks);
+      const [, tag, id, msg] = m;
+      emit(TAG_LEVELS[tag] || 'info', msg, { ...base, tag, ...(id ? { id } : {}), ...fields }, sinks);
+    },
+    child: (fields, sink) => make({ ...base, ...fields }, sink ? [...sinks, sink] : sinks),
+    flush: () => Promise.all(sinks.map((s) => s.flush())),
+  });
+
+  return make({}, []);
+}
+
+/**
+ * Error fields for a log entry.
+ * @param {unknown} err
+ */
+export function errorFields(err) {
+  if (!(err instanceof Error)) return { error: String(err) };
+  const code = /** @type {any} */ (err).code;
+  return { error: err.message, ...(code ? { code } : {}), stack: err.stack };
+}
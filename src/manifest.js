@@ -0,0 +1,159 @@
+// @ts-check
+/**
+ * Artifact manifest: responses/<id>/manifest.json lists every file a job
+ * wrote, with its size, MIME type, sha256 and kind, so consumers do not have
+ * to guess file names. It is written just before done.json.
+ *
+ * Kinds follow the fixed output names (screenshot, html, text, pdf, extract,
+ * console, network, har, steps, perf, trace, compare, diff, meta, request,
+ * crawl), plus step (step-<n>.png), failure (step-<n>-failed.png/.html), element
+ * (screenshotElement captures, including custom `file` names), frame,
+ * timeline and video (video/). Anything else is "other".
+ *
+ * Status files (done.json, progress.json, manifest.json, job.log — still
+ * being appended to after the manifest is written) and dotfiles are not
+ * artifacts and are left out.
+ */
+import path from 'path';
+import { createHash } from 'crypto';
+import { createReadStream, promises as fs } from 'fs';
+import { writeJSONAtomic, contentTypeFor } from './files.js';
+
+/** Entries listed at most (a long crawl with video can write a lot of frames). */
+const MAX_FILES = 20000;
+
+/** Files that describe the job rather than being outputs of it. */
+const STATUS_FILES = new Set(['done.json', 'progress.json', 'manifest.json', 'job.log']);
+
+/** [pattern on the file name, kind]; first match wins. */
+const KINDS = /** @type {Array<[RegExp, string]>} */ ([
+  [/^meta\.json$/, 'meta'],
+  [/^request\.json$/, 'request'],
+  [/^page\.html$/, 'html'],
+  [/^page\.txt$/, 'text'],
+  [/^screenshot\.png$/, 'screenshot'],
+  [/^page\.pdf$/, 'pdf'],
+  [/^extract\.json$/, 'extract'],
+  [/^console\.log\.json$/, 'console'],
+  [/^network\.log\.json$/, 'network'],
+  [/^network\.har$/, 'har'],
+  [/^steps\.json$/, 'steps'],
+  [/^perf\.json$/, 'perf'],
+  [/^trace\.json$/, 'trace'],
+  [/^compare\.json$/, 'compare'],
+  [/^crawl\.json$/, 'crawl'],
+  [/^(.+\.)?diff\.png$/, 'diff'],
+  [/^step-[\w-]+-failed\.(png|html)$/, 'failure'],
+  [/^step-[\w-]+-element\.png$/, 'element'],
+  [/^step-[\w-]+\.png$/, 'step'],
+  // Other images in a page directory come from screenshotElement with a custom `file`.
+  [/\.png$/, 'element'],
+]);
+
+/** [pattern on the file name inside video/, kind]. */
+const VIDEO_KINDS = /** @type {Array<[RegExp, string]>} */ ([
+  [/^frame-\d+\.(jpg|png)$/, 'frame'],
+  [/^timeline\.json$/, 'timeline'],
+  [/^video\.(webm|mp4)$/, 'video'],
+]);
+
+/**
+ * @typedef {Object} ManifestEntry
+ * @property {string} path Relative to responses/<id>/, using '/'.
+ * @property {string} kind See the module comment.
+ * @property {number} size Bytes.
+ * @property {string} type MIME type.
+ * @property {string} sha256 Hex digest of the contents.
+ * @property {string=} device Device name, for files of a device-matrix profile.
+ * @property {number=} page Page number, for files of a crawled page.
+ */
+
+/**
+ * Recursively list visible files (no dotfiles/temp files) under a job dir.
+ * @param {string} dir Absolute job directory.
+ * @returns {Promise<Array<{path:string,size:number}>>} Paths relative to dir, using '/', sorted.
+ */
+export async function listJobFiles(dir) {
+  /** @type {Array<{path:string,size:number}>} */
+  const out = [];
+  const walk = async (rel) => {
+    const entries = await fs.readdir(path.join(dir, rel), { withFileTypes: true });
+    for (const e of entries) {
+      if (e.name.startsWith('.')) continue;
+      const childRel = rel ? `${rel}/${e.name}` : e.name;
+      if (e.isDirectory()) await walk(childRel);
+      else if (e.isFile()) {
+        const st = await fs.stat(path.join(dir, childRel));
+        out.push({ path: childRel, size: st.size });
+      }
+    }
+  };
+  await walk('');
+  out.sort((a, b) => a.path.localeCompare(b.path));
+  return out;
+}
+
+/**
+ * Kind of an artifact from its path inside its page directory.
+ * @param {string} rel e.g. "screenshot.png", "video/frame-00001.jpg".
+ */
+function kindOf(rel) {
+  const parts = rel.split('/');
+  const name = parts[parts.length - 1];
+  if (parts.length === 2 && parts[0] === 'video') {
+    return VIDEO_KINDS.find(([re]) => re.test(name))?.[1] || 'other';
+  }
+  if (parts.length !== 1) return 'other';
+  return KINDS.find(([re]) => re.test(name))?.[1] || 'other';
+}
+
+/** @param {string} filePath */
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Write responses/<id>/manifest.json for a finished job.
+ * @param {string} outDir Job directory.
+ * @param {string} id Job id.
+ * @param {Array<{ dir: string, device?: string, page?: number }>=} scopes Sub-directories holding
+ *   one page's outputs (device-matrix profiles, crawled pages); their files are classified
+ *   relative to the sub-directory and tagged with `device` / `page`.
+ * @returns {Promise<{ id: string, createdAt: string, totalBytes: number, files: ManifestEntry[], truncated?: boolean }>}
+ */
+export async function writeManifest(outDir, id, scopes = []) {
+  const listed = (await listJobFiles(outDir)).filter((f) => !STATUS_FILES.has(path.posix.basename(f.path)));
+  /** @type {ManifestEntry[]} */
+  const files = [];
+  let totalBytes = 0;
+  for (const f of listed.slice(0, MAX_FILES)) {
+    const scope = scopes.find((s) => f.path.startsWith(`${s.dir}/`));
+    /** @type {ManifestEntry} */
+    const entry = {
+      path: f.path,
+      kind: kindOf(scope ? f.path.slice(scope.dir.length + 1) : f.path),
+      size: f.size,
+      type: contentTypeFor(f.path),
+      sha256: await sha256File(path.join(outDir, f.path)),
+    };
+    if (scope?.device !== undefined) entry.device = scope.device;
+    if (scope?.page !== undefined) entry.page = scope.page;
+    files.push(entry);
+    totalBytes += f.size;
+  }
+  const manifest = {
+    id,
+    createdAt: new Date().toISOString(),
+    totalBytes,
+    files,
+    truncated: listed.length > MAX_FILES || undefined,
+  };
+  await writeJSONAtomic(path.join(outDir, 'manifest.json'), manifest);
+  return manifest;
+}
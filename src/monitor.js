@@ -0,0 +1,513 @@
+// @ts-check
+/**
+ * Scheduled watches: re-run a request on an interval or cron schedule and
+ * record what changed since the previous run. Each watches/<name>.json is
+ * one watch:
+ *
+ *   { "every": "15m",                      (or "cron": "0 9 * * mon-fri")
+ *     "request": { "op": "render_url", "url": "…", "extract": [ … ] },
+ *     "compare": { "text": true, "extract": true, "screenshot": true,
+ *                  "pixelThreshold": 0.001, "pixelTolerance": 16, "ignoreText": ["Updated .* ago"] },
+ *     "enabled": true }
+ *
+ * Runs are ordinary jobs (id watch-<name>-<UTC timestamp>) submitted to the
+ * shared queue, so they appear under responses/ and in the HTTP API like any
+ * other job. After each successful run its visible text (page.txt),
+ * extract.json and screenshot.png are compared with the previous successful
+ * run's, and history/<name>/ is updated:
+ *
+ *   latest/                   outputs of the last successful run (the baseline)
+ *   changes/<stamp>.json      change event: text diff, extract diff, pixel-change ratio
+ *   changes/<stamp>.diff.png  changed pixels in red (when the screenshot changed)
+ *   runs.jsonl                one line per finished run
+ *   state.json                schedule bookkeeping, kept across restarts
+ *
+ * The first run only records the baseline. A watch never has two runs in
+ * flight: the next one is due once the previous run finished. Runs missed
+ * while the watcher was down are made up once, not one per missed slot.
+ */
+import path from 'path';
+import { promises as fs } from 'fs';
+import chokidar from 'chokidar';
+import { parseCron, nextCronTime } from './cron.js';
+import { diffText, diffJSON, diffImages } from './diff.js';
+import { decodePNG, encodePNG } from './png.js';
+import { ensureDir, readJSON, writeFileAtomic, writeJSONAtomic } from './files.js';
+
+/** Shortest allowed `every`. */
+const MIN_INTERVAL_MS = 5000;
+
+/** How often due watches are checked. */
+const TICK_MS = 1000;
+
+const NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+const TERMINAL_STATES = ['ok', 'error', 'cancelled'];
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+/** Outputs compared between runs and kept in history/<name>/latest/. */
+const OUTPUT_FILES = { text: 'page.txt', extract: 'extract.json', screenshot: 'screenshot.png' };
+
+/**
+ * @typedef {Object} CompareOptions
+ * @property {boolean} text Diff page.txt line by line (default true).
+ * @property {boolean} extract Diff extract.json structurally (default true).
+ * @property {boolean} screenshot Diff screenshot.png pixel by pixel (default true).
+ * @property {number} pixelThreshold Changed-pixel ratio (0–1) above which the screenshot counts as changed (default 0.001).
+ * @property {number} pixelTolerance Per-channel difference (0–255) still treated as equal (default 16).
+ * @property {string[]} ignoreText Regular expressions removed from the text before diffing.
+ */
+
+/**
+ * @typedef {Object} WatchSpec
+ * @property {string|number=} every Interval as written in the definition.
+ * @property {number=} everyMs Interval between runs.
+ * @property {string=} cron Cron expression (see cron.js).
+ * @property {import('./cron.js').CronSchedule=} schedule Parsed `cron`.
+ * @property {Record<string, any>} request Request submitted for each run (without id).
+ * @property {CompareOptions} compare
+ * @property {boolean} enabled
+ */
+
+/**
+ * @typedef {Object} WatchState
+ * @property {string=} lastRunAt When the last run was submitted.
+ * @property {string=} lastJobId Last finished run.
+ * @property {string=} pendingJobId Run submitted but not finished yet.
+ * @property {string=} lastChangeAt
+ * @property {number} runs
+ * @property {number} changes
+ */
+
+/**
+ * Parse an interval: milliseconds or a string like "30s", "15m", "2h", "1d".
+ * @param {any} v
+ * @returns {number}
+ */
+function parseDuration(v) {
+  if (typeof v === 'number') return v;
+  const m = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/.exec(String(v).trim());
+  if (!m) return NaN;
+  return Math.round(Number(m[1]) * DURATION_UNITS[/** @type {keyof typeof DURATION_UNITS} */ (m[2])]);
+}
+
+/**
+ * Validate a watch definition.
+ * @param {any} raw Untrusted JSON from watches/<name>.json.
+ * @param {(req: any) => any} validateRequest Request validation (throws on bad requests).
+ * @returns {WatchSpec}
+ */
+export function normalizeWatch(raw, validateRequest) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('watch must be a JSON object');
+  if ((raw.every === undefined) === (raw.cron === undefined)) throw new Error('watch needs exactly one of "every" or "cron"');
+  let everyMs;
+  let schedule;
+  if (raw.every !== undefined) {
+    everyMs = parseDuration(raw.every);
+    if (!Number.isFinite(everyMs) || everyMs < MIN_INTERVAL_MS) {
+      throw new Error(`every must be at least ${MIN_INTERVAL_MS}ms (a number of ms or e.g. "30s", "15m", "2h", "1d")`);
+    }
+  } else {
+    if (typeof raw.cron !== 'string') throw new Error('cron must be a string');
+    schedule = parseCron(raw.cron);
+    if (!nextCronTime(schedule, Date.now())) throw new Error(`cron "${raw.cron}" never fires`);
+  }
+
+  const r = raw.request;
+  if (!r || typeof r !== 'object' || Array.isArray(r)) throw new Error('request must be an object');
+  if (r.id !== undefined) throw new Error('request.id must not be set; each run gets its own id');
+  if (r.op !== 'render_url' && r.op !== 'render_html') throw new Error('request.op must be "render_url" or "render_html"');
+  if (r.devices !== undefined) throw new Error('request.devices is not supported in watches');
+
+  const c = raw.compare ?? {};
+  if (typeof c !== 'object' || Array.isArray(c)) throw new Error('compare must be an object');
+  for (const key of ['text', 'extract', 'screenshot']) {
+    if (c[key] !== undefined && typeof c[key] !== 'boolean') throw new Error(`compare.${key} must be a boolean`);
+  }
+  /** @param {string} key @param {number} max @param {number} def */
+  const num = (key, max, def) => {
+    const v = c[key];
+    if (v === undefined) return def;
+    if (typeof v !== 'number' || !(v >= 0 && v <= max)) throw new Error(`compare.${key} must be a number between 0 and ${max}`);
+    return v;
+  };
+  const ignoreText = c.ignoreText ?? [];
+  if (!Array.isArray(ignoreText) || !ignoreText.every((p) => typeof p === 'string' && p)) {
+    throw new Error('compare.ignoreText must be an array of regular expressions');
+  }
+  for (const p of ignoreText) {
+    try { new RegExp(p, 'g'); } catch (err) {
+      throw new Error(`compare.ignoreText: invalid pattern ${JSON.stringify(p)}: ${err instanceof Error ? err.message : err}`);
+    }
+  }
+  /** @type {CompareOptions} */
+  const compare = {
+    text: c.text ?? true,
+    extract: c.extract ?? true,
+    screenshot: c.screenshot ?? true,
+    pixelThreshold: num('pixelThreshold', 1, 0.001),
+    pixelTolerance: num('pixelTolerance', 255, 16),
+    ignoreText,
+  };
+  if (compare.screenshot && r.screenshot === false && c.screenshot === true) {
+    throw new Error('compare.screenshot needs request.screenshot');
+  }
+
+  // Visible text is only written on request; turn it on when it is compared.
+  const request = compare.text && r.textOutput === undefined ? { ...r, textOutput: true } : { ...r };
+  try {
+    validateRequest({ ...request, id: 'watch' });
+  } catch (err) {
+    throw new Error(`request: ${err instanceof Error ? err.message : err}`);
+  }
+
+  if (raw.notify !== undefined) throw new Error('notify is not supported; changes are logged as [CHANGE] lines and written to history/<name>/changes/');
+  if (raw.enabled !== undefined && typeof raw.enabled !== 'boolean') throw new Error('enabled must be a boolean');
+
+  return {
+    every: raw.every,
+    everyMs,
+    cron: raw.cron,
+    schedule,
+    request,
+    compare,
+    enabled: raw.enabled ?? true,
+  };
+}
+
+/**
+ * UTC timestamp usable in file names and job ids, e.g. 20261019T081500Z.
+ * @param {number} ms
+ */
+function stamp(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+/**
+ * Text as compared: ignored patterns removed, trailing whitespace and blank lines dropped.
+ * @param {string} text
+ * @param {string[]} ignore
+ */
+function comparableText(text, ignore) {
+  let t = text.replace(/\r\n?/g, '\n');
+  for (const p of ignore) t = t.replace(new RegExp(p, 'g'), '');
+  return t.split('\n').map((l) => l.trimEnd()).filter((l) => l !== '').join('\n');
+}
+
+/**
+ * Read the comparable outputs present in a directory.
+ * @param {string} dir
+ * @returns {Promise<{ text?: Buffer, extract?: Buffer, screenshot?: Buffer }>}
+ */
+async function readOutputs(dir) {
+  /** @type {Record<string, Buffer>} */
+  const out = {};
+  for (const [key, file] of Object.entries(OUTPUT_FILES)) {
+    try { out[key] = await fs.readFile(path.join(dir, file)); } catch {}
+  }
+  return out;
+}
+
+/**
+ * Create the watch scheduler.
+ * @param {Object} deps
+ * @param {string} deps.dir Directory of watch definitions (watches/).
+ * @param {string} deps.historyDir Where run history and change events go (history/).
+ * @param {string} deps.responsesDir Job outputs (responses/).
+ * @param {(raw: any) => Promise<{ id: string }>} deps.submit Enqueue a request (as the HTTP API does).
+ * @param {(id: string) => Promise<{ state: string }|null>} deps.getStatus Job state, live or from disk.
+ * @param {import('events').EventEmitter} deps.events Progress bus ('progress' with `{ id, state }`).
+ * @param {(req: any) => any} deps.validateRequest Request validation used when loading watches.
+ * @param {(line: string) => void} deps.log
+ */
+export function createMonitor({ dir, historyDir, responsesDir, submit, getStatus, events, validateRequest, log }) {
+  /** @type {Map<string, { name: string, spec: WatchSpec, state: WatchState, nextRunAt: number, starting: boolean }>} */
+  const watches = new Map();
+  /** Runs in flight: job id -> watch name and the spec it was started with. */
+  /** @type {Map<string, { name: string, spec: WatchSpec }>} */
+  const pending = new Map();
+  /** @type {Set<Promise<void>>} */
+  const inflight = new Set();
+  /** @type {import('chokidar').FSWatcher|undefined} */
+  let fsWatcher;
+  /** @type {NodeJS.Timeout|undefined} */
+  let timer;
+  let stopped = false;
+
+  /** @param {string} name */
+  const historyOf = (name) => path.join(historyDir, name);
+
+  /** @param {string} name @returns {Promise<WatchState>} */
+  const readState = async (name) => {
+    const st = await readJSON(path.join(historyOf(name), 'state.json')).catch(() => ({}));
+    return { ...st, runs: st.runs || 0, changes: st.changes || 0 };
+  };
+
+  /** @param {string} name @param {WatchState} state */
+  const saveState = (name, state) => writeJSONAtomic(path.join(historyOf(name), 'state.json'), state);
+
+  /**
+   * When the watch is due next: right away without history, otherwise one
+   * interval (or the next cron slot) after the last run.
+   * @param {WatchSpec} spec
+   * @param {WatchState} state
+   */
+  const nextRunAt = (spec, state) => {
+    const last = Date.parse(state.lastRunAt || '');
+    if (!Number.isFinite(last)) return Date.now();
+    if (spec.everyMs) return last + spec.everyMs;
+    return nextCronTime(/** @type {import('./cron.js').CronSchedule} */ (spec.schedule), last)?.getTime() ?? Infinity;
+  };
+
+  /** @param {Promise<void>} p */
+  const track = (p) => {
+    inflight.add(p);
+    p.finally(() => inflight.delete(p));
+  };
+
+  /** @param {string} filePath */
+  const load = async (filePath) => {
+    const name = path.basename(filePath, '.json');
+    if (!NAME_RE.test(name)) {
+      log(`[ERR] Watch file ${path.basename(filePath)}: name must match ${NAME_RE}`);
+      return;
+    }
+    let spec;
+    try {
+      spec = normalizeWatch(await readJSON(filePath), validateRequest);
+    } catch (err) {
+      watches.delete(name);
+      log(`[ERR] Watch ${name}: ${err instanceof Error ? err.message : String(err)}`);
+      return;
+    }
+    const state = await readState(name);
+    const w = { name, spec, state, nextRunAt: nextRunAt(spec, state), starting: false };
+    watches.set(name, w);
+    const when = spec.everyMs ? `every ${spec.every}` : `cron "${spec.cron}"`;
+    log(`[INF] Watch ${name} loaded (${when}${spec.enabled ? '' : ', disabled'}).`);
+    if (state.pendingJobId && !pending.has(state.pendingJobId)) track(resume(name, state.pendingJobId, spec));
+  };
+
+  /** @param {string} filePath */
+  const unload = (filePath) => {
+    const name = path.basename(filePath, '.json');
+    if (watches.delete(name)) log(`[INF] Watch ${name} removed.`);
+  };
+
+  /**
+   * Pick up a run left in flight by a previous process: it was either
+   * recovered into the queue, finished meanwhile, or is gone.
+   * @param {string} name
+   * @param {string} id
+   * @param {WatchSpec} spec
+   */
+  const resume = async (name, id, spec) => {
+    pending.set(id, { name, spec });
+    const st = await getStatus(id).catch(() => null);
+    if (!st) {
+      pending.delete(id);
+      log(`[WRN] Watch ${name}: run ${id} was lost; scheduling a new one.`);
+      const w = watches.get(name);
+      const state = w?.state ?? await readState(name);
+      state.pendingJobId = undefined;
+      await saveState(name, state).catch(() => {});
+      if (w) w.nextRunAt = Date.now();
+    } else if (TERMINAL_STATES.includes(st.state) && pending.delete(id)) {
+      await finish(name, id, spec, st.state);
+    }
+  };
+
+  /** Submit runs for due watches. */
+  const tick = () => {
+    const now = Date.now();
+    for (const w of watches.values()) {
+      if (!w.spec.enabled || w.starting || w.state.pendingJobId || w.nextRunAt > now) continue;
+      track(start(w, now));
+    }
+  };
+
+  /**
+   * @param {{ name: string, spec: WatchSpec, state: WatchState, nextRunAt: number, starting: boolean }} w
+   * @param {number} now
+   */
+  const start = async (w, now) => {
+    const id = `watch-${w.name}-${stamp(now)}`;
+    w.starting = true;
+    pending.set(id, { name: w.name, spec: w.spec });
+    try {
+      w.state.lastRunAt = new Date(now).toISOString();
+      await submit({ ...w.spec.request, id });
+      w.state.pendingJobId = id;
+    } catch (err) {
+      pending.delete(id);
+      const msg = err instanceof Error ? err.message : String(err);
+      log(`[ERR] Watch ${w.name}: could not submit run: ${msg}`);
+      await appendRun(w.name, { jobId: id, finishedAt: new Date().toISOString(), status: 'error', error: msg });
+    } finally {
+      w.nextRunAt = nextRunAt(w.spec, w.state);
+      w.starting = false;
+      await saveState(w.name, w.state).catch(() => {});
+    }
+  };
+
+  /** @param {string} name @param {Record<string, any>} entry */
+  const appendRun = async (name, entry) => {
+    try {
+      await ensureDir(historyOf(name));
+      await fs.appendFile(path.join(historyOf(name), 'runs.jsonl'), JSON.stringify(entry) + '\n');
+    } catch (err) {
+      log(`[WRN] Watch ${name}: could not append to runs.jsonl: ${err instanceof Error ? err.message : err}`);
+    }
+  };
+
+  /**
+   * Record a finished run: compare it with the baseline on success, then
+   * update runs.jsonl and state.json.
+   * @param {string} name
+   * @param {string} id
+   * @param {WatchSpec} spec
+   * @param {string} status Terminal job state.
+   */
+  const finish = async (name, id, spec, status) => {
+    const done = await readJSON(path.join(responsesDir, id, 'done.json')).catch(() => undefined);
+    /** @type {Record<string, any>} */
+    const entry = { jobId: id, finishedAt: new Date().toISOString(), status: done?.status || status };
+    try {
+      if (entry.status === 'ok') Object.assign(entry, await compareRun(name, id, spec));
+      else {
+        entry.error = done?.error;
+        log(`[WRN] Watch ${name}: run ${id} ${entry.status}${done?.error ? `: ${done.error}` : ''}`);
+      }
+    } catch (err) {
+      entry.compareError = err instanceof Error ? err.message : String(err);
+      log(`[ERR] Watch ${name}: could not compare run ${id}: ${entry.compareError}`);
+    }
+    await appendRun(name, entry);
+    const w = watches.get(name);
+    const state = w?.state ?? await readState(name);
+    if (state.pendingJobId === id) state.pendingJobId = undefined;
+    state.lastJobId = id;
+    state.runs++;
+    if (entry.changed) {
+      state.changes++;
+      state.lastChangeAt = entry.finishedAt;
+    }
+    await saveState(name, state).catch(() => {});
+  };
+
+  /**
+   * Compare a successful run with history/<name>/latest/, write a change
+   * event when something differs, then make the run the new baseline.
+   * @param {string} name
+   * @param {string} id
+   * @param {WatchSpec} spec
+   * @returns {Promise<Record<string, any>>} Fields for the runs.jsonl entry.
+   */
+  const compareRun = async (name, id, spec) => {
+    const latestDir = path.join(historyOf(name), 'latest');
+    const cur = await readOutputs(path.join(responsesDir, id));
+    const previous = await readJSON(path.join(latestDir, 'run.json')).catch(() => undefined);
+    /** @type {Record<string, any>} */
+    let result = { baseline: true };
+
+    if (previous) {
+      const prev = await readOutputs(latestDir);
+      const { compare } = spec;
+      const runStamp = id.slice(`watch-${name}-`.length) || stamp(Date.now());
+      /** @type {Record<string, any>} */
+      const changes = {};
+      if (compare.text && prev.text && cur.text) {
+        const d = diffText(comparableText(prev.text.toString('utf8'), compare.ignoreText), comparableText(cur.text.toString('utf8'), compare.ignoreText));
+        if (d.added > 0 || d.removed > 0) changes.text = d;
+      }
+      if (compare.extract && prev.extract && cur.extract) {
+        const d = diffJSON(JSON.parse(prev.extract.toString('utf8')), JSON.parse(cur.extract.toString('utf8')));
+        if (d.count > 0) changes.extract = d;
+      }
+      if (compare.screenshot && prev.screenshot && cur.screenshot && !prev.screenshot.equals(cur.screenshot)) {
+        try {
+          const d = diffImages(decodePNG(prev.screenshot), decodePNG(cur.screenshot), { tolerance: compare.pixelTolerance });
+          if (d.ratio > compare.pixelThreshold) {
+            const diffFile = `${runStamp}.diff.png`;
+            await writeFileAtomic(path.join(historyOf(name), 'changes', diffFile), encodePNG(d.image));
+            const { image, ...stats } = d;
+            changes.screenshot = { ...stats, diff: diffFile };
+          }
+        } catch (err) {
+          log(`[WRN] Watch ${name}: could not compare screenshots: ${err instanceof Error ? err.message : err}`);
+        }
+      }
+
+      result = { changed: Object.keys(changes).length > 0 };
+      if (result.changed) {
+        const changeFile = `${runStamp}.json`;
+        const event = {
+          watch: name,
+          at: new Date().toISOString(),
+          jobId: id,
+          previousJobId: previous.jobId,
+          url: spec.request.url,
+          changed: Object.keys(changes),
+          ...changes,
+        };
+        await writeJSONAtomic(path.join(historyOf(name), 'changes', changeFile), event);
+        result.change = `changes/${changeFile}`;
+        const parts = [];
+        if (changes.text) parts.push(`text=+${changes.text.added}/-${changes.text.removed}`);
+        if (changes.extract) parts.push(`extract=${changes.extract.count}`);
+        if (changes.screenshot) parts.push(`screenshot=${(changes.screenshot.ratio * 100).toFixed(2)}%`);
+        log(`[CHANGE] watch=${name} id=${id} ${parts.join(' ')} -> ${path.join(path.basename(historyDir), name, 'changes', changeFile)}`);
+      }
+    }
+
+    // New baseline. Written after the change event, so a crash in between
+    // reports the change again rather than losing it.
+    for (const [key, file] of Object.entries(OUTPUT_FILES)) {
+      const data = cur[/** @type {keyof typeof cur} */ (key)];
+      if (data) await writeFileAtomic(path.join(latestDir, file), data);
+      else await fs.unlink(path.join(latestDir, file)).catch(() => {});
+    }
+    await writeJSONAtomic(path.join(latestDir, 'run.json'), { jobId: id, finishedAt: new Date().toISOString() });
+    return result;
+  };
+
+  /** @param {{ id: string, state: string }} p */
+  const onProgress = (p) => {
+    if (!TERMINAL_STATES.includes(p.state)) return;
+    const job = pending.get(p.id);
+    if (!job || stopped) return;
+    pending.delete(p.id);
+    track(finish(job.name, p.id, job.spec, p.state));
+  };
+
+  return {
+    /** Load watch definitions, pick up unfinished runs and start scheduling. */
+    async start() {
+      await ensureDir(dir);
+      await ensureDir(historyDir);
+      events.on('progress', onProgress);
+      fsWatcher = chokidar.watch(path.join(dir, '*.json'), {
+        ignoreInitial: false,
+        ignored: [/(^|[/\\])\../],
+        awaitWriteFinish: { stabilityThreshold: 200, pollInterval: 50 },
+        depth: 0,
+        usePolling: true,
+        interval: 500,
+      });
+      fsWatcher.on('add', (f) => track(load(f)));
+      fsWatcher.on('change', (f) => track(load(f)));
+      fsWatcher.on('unlink', unload);
+      await new Promise((resolve) => fsWatcher?.once('ready', () => resolve(undefined)));
+      timer = setInterval(tick, TICK_MS);
+      timer.unref();
+    },
+
+    /** Stop scheduling; runs in flight keep their state and are picked up on the next start. */
+    async stop() {
+      stopped = true;
+      clearInterval(timer);
+      events.off('progress', onProgress);
+      try { await fsWatcher?.close(); } catch {}
+      await Promise.allSettled([...inflight]);
+    },
+  };
+}
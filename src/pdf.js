@@ -0,0 +1,115 @@
+// @ts-check
+/**
+ * PDF output (`pdf` request field): prints the page to responses/<id>/page.pdf
+ * after actions have run, using Chromium's print pipeline (print media CSS).
+ *
+ * `pdf: true` uses the defaults (A4, background graphics on); an object
+ * overrides paper size, margins, orientation, header/footer and page ranges.
+ */
+
+/** Paper formats Puppeteer knows by name. */
+const PAPER_FORMATS = ['Letter', 'Legal', 'Tabloid', 'Ledger', 'A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+
+/** CSS length accepted for sizes and margins, e.g. 10, "10mm", "0.5in", "1cm", "20px". */
+const LENGTH_RE = /^\d+(\.\d+)?(px|in|cm|mm)?$/;
+
+/**
+ * @typedef {Object} PdfOptions
+ * @property {string=} format Paper format, e.g. "A4", "Letter" (default "A4"; ignored when width/height are set).
+ * @property {string|number=} width Paper width (CSS length or pixels).
+ * @property {string|number=} height Paper height (CSS length or pixels).
+ * @property {{top?:string|number,right?:string|number,bottom?:string|number,left?:string|number}=} margin
+ * @property {boolean=} landscape
+ * @property {boolean=} printBackground Print background colors/images (default true).
+ * @property {string=} headerTemplate HTML for the page header (classes date, title, url, pageNumber, totalPages).
+ * @property {string=} footerTemplate HTML for the page footer.
+ * @property {string=} pageRanges e.g. "1-3, 5".
+ * @property {number=} scale Rendering scale, 0.1–2 (default 1).
+ * @property {boolean=} preferCSSPageSize Let CSS `@page { size }` win over format/width/height.
+ */
+
+/**
+ * @param {any} v
+ * @param {string} where Field name for the error message.
+ */
+function checkLength(v, where) {
+  if (v === undefined) return;
+  if (typeof v === 'number' ? !(v >= 0) : !(typeof v === 'string' && LENGTH_RE.test(v.trim()))) {
+    throw new Error(`${where} must be a length like 10, "10mm", "0.5in", "1cm" or "20px"`);
+  }
+}
+
+/**
+ * Validate the `pdf` request field.
+ * @param {any} raw Untrusted value: boolean or options object.
+ * @returns {PdfOptions|undefined} Normalized options (undefined when PDF output is off).
+ */
+export function normalizePdfOptions(raw) {
+  if (raw === undefined || raw === null || raw === false) return undefined;
+  if (raw === true) return {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error('pdf must be a boolean or an object');
+
+  const format = typeof raw.format === 'string'
+    ? PAPER_FORMATS.find((f) => f.toLowerCase() === raw.format.toLowerCase())
+    : undefined;
+  if (raw.format !== undefined && !format) throw new Error(`pdf.format must be one of: ${PAPER_FORMATS.join(', ')}`);
+  checkLength(raw.width, 'pdf.width');
+  checkLength(raw.height, 'pdf.height');
+  if ((raw.width === undefined) !== (raw.height === undefined)) throw new Error('pdf.width and pdf.height must be given together');
+  if (raw.margin !== undefined) {
+    if (!raw.margin || typeof raw.margin !== 'object' || Array.isArray(raw.margin)) throw new Error('pdf.margin must be an object');
+    for (const side of Object.keys(raw.margin)) {
+      if (!['top', 'right', 'bottom', 'left'].includes(side)) throw new Error(`pdf.margin.${side} is not a margin side`);
+      checkLength(raw.margin[side], `pdf.margin.${side}`);
+    }
+  }
+  for (const key of ['headerTemplate', 'footerTemplate', 'pageRanges']) {
+    if (raw[key] !== undefined && typeof raw[key] !== 'string') throw new Error(`pdf.${key} must be a string`);
+  }
+  if (raw.pageRanges !== undefined && !/^\s*\d+(\s*-\s*\d+)?(\s*,\s*\d+(\s*-\s*\d+)?)*\s*$/.test(raw.pageRanges)) {
+    throw new Error('pdf.pageRanges must look like "1-3, 5"');
+  }
+  if (raw.scale !== undefined && !(typeof raw.scale === 'number' && raw.scale >= 0.1 && raw.scale <= 2)) {
+    throw new Error('pdf.scale must be a number between 0.1 and 2');
+  }
+
+  return {
+    format,
+    width: raw.width,
+    height: raw.height,
+    margin: raw.margin,
+    landscape: raw.landscape !== undefined ? !!raw.landscape : undefined,
+    printBackground: raw.printBackground !== undefined ? !!raw.printBackground : undefined,
+    headerTemplate: raw.headerTemplate,
+    footerTemplate: raw.footerTemplate,
+    pageRanges: raw.pageRanges,
+    scale: raw.scale,
+    preferCSSPageSize: raw.preferCSSPageSize !== undefined ? !!raw.preferCSSPageSize : undefined,
+  };
+}
+
+/**
+ * Print the page to PDF.
+ * @param {import('puppeteer').Page} page
+ * @param {PdfOptions} spec Normalized options.
+ * @param {number} timeoutMs Print timeout.
+ * @returns {Promise<Uint8Array>} PDF bytes (the caller writes them atomically).
+ */
+export async function printPdf(page, spec, timeoutMs) {
+  const sized = spec.width !== undefined && spec.height !== undefined;
+  const withHeaderFooter = spec.headerTemplate !== undefined || spec.footerTemplate !== undefined;
+  return page.pdf({
+    ...(sized ? { width: spec.width, height: spec.height } : { format: /** @type {any} */ (spec.format || 'A4') }),
+    margin: spec.margin,
+    landscape: !!spec.landscape,
+    printBackground: spec.printBackground ?? true,
+    displayHeaderFooter: withHeaderFooter,
+    // Chromium prints its own default header/footer when only one template is given.
+    headerTemplate: withHeaderFooter ? spec.headerTemplate ?? '<span></span>' : undefined,
+    footerTemplate: withHeaderFooter ? spec.footerTemplate ?? '<span></span>' : undefined,
+    pageRanges: spec.pageRanges,
+    scale: spec.scale,
+    preferCSSPageSize: spec.preferCSSPageSize,
+    timeout: timeoutMs,
+  });
+}
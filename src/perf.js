@@ -0,0 +1,151 @@
+// @ts-check
+/**
+ * Performance capture (`capturePerformance` request field): writes perf.json
+ * with navigation timing, paint timings, Web Vitals and page.metrics(), and
+ * optionally a Chrome trace (trace.json, open in chrome://tracing or the
+ * DevTools Performance panel).
+ *
+ * Vitals are gathered in the page with PerformanceObservers installed before
+ * navigation, and read once actions have run:
+ * - LCP: last largest-contentful-paint candidate.
+ * - CLS: largest session window of layout shifts without recent input
+ *   (gaps < 1s, window ≤ 5s).
+ * - TBT: sum of (duration − 50ms) over long tasks that start after FCP, up to
+ *   the moment of collection (Lighthouse stops at TTI instead).
+ */
+
+/**
+ * @typedef {Object} PerfOptions
+ * @property {boolean=} trace Also record a Chrome trace to trace.json.
+ */
+
+/**
+ * Validate the `capturePerformance` request field.
+ * @param {any} raw Untrusted value: boolean or `{ trace }`.
+ * @returns {PerfOptions|undefined} Normalized options (undefined when off).
+ */
+export function normalizePerfOptions(raw) {
+  if (raw === undefined || raw === null || raw === false) return undefined;
+  if (raw === true) return { trace: false };
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error('capturePerformance must be a boolean or an object');
+  return { trace: !!raw.trace };
+}
+
+/**
+ * Installs the observers; runs in the page (top frame only) and must stay self-contained.
+ */
+function perfObserverScript() {
+  const w = /** @type {any} */ (window);
+  if (w !== w.top || w.__wwPerf) return;
+  const state = { lcp: null, cls: 0, shifts: 0, longTasks: [], win: { value: 0, first: 0, last: 0 } };
+  w.__wwPerf = state;
+  const observe = (type, cb) => {
+    try {
+      new PerformanceObserver((list) => list.getEntries().forEach(cb)).observe({ type, buffered: true });
+    } catch {}
+  };
+  observe('largest-contentful-paint', (e) => {
+    const el = e.element;
+    state.lcp = {
+      startTime: e.startTime,
+      size: e.size,
+      element: el ? el.tagName.toLowerCase() + (el.id ? `#${el.id}` : '') : null,
+      url: e.url || null,
+    };
+  });
+  observe('layout-shift', (e) => {
+    if (e.hadRecentInput) return;
+    const win = state.win;
+    if (win.value > 0 && e.startTime - win.last < 1000 && e.startTime - win.first < 5000) win.value += e.value;
+    else { win.value = e.value; win.first = e.startTime; }
+    win.last = e.startTime;
+    state.cls = Math.max(state.cls, win.value);
+    state.shifts++;
+  });
+  observe('longtask', (e) => { state.longTasks.push({ startTime: e.startTime, duration: e.duration }); });
+}
+
+/**
+ * Prepare a page for performance capture. Call before navigation.
+ * @param {import('puppeteer').Page} page
+ * @param {PerfOptions} opts
+ * @returns {Promise<{ collect: () => Promise<{ perf: any, trace?: Uint8Array }>, dispose: () => Promise<void> }>}
+ *   collect() reads the numbers (and stops the trace); dispose() stops a trace left running.
+ */
+export async function startPerfCapture(page, opts) {
+  await page.evaluateOnNewDocument(perfObserverScript);
+  let tracing = false;
+  /** @type {string|undefined} */
+  let traceError;
+  if (opts.trace) {
+    try {
+      await page.tracing.start({ screenshots: false });
+      tracing = true;
+    } catch (err) {
+      // Chrome allows one trace per browser; a concurrent job may hold it.
+      traceError = err instanceof Error ? err.message : String(err);
+    }
+  }
+
+  return {
+    async collect() {
+      /** @type {Uint8Array|undefined} */
+      let trace;
+      if (tracing) {
+        tracing = false;
+        try { trace = await page.tracing.stop(); } catch (err) {
+          traceError = err instanceof Error ? err.message : String(err);
+        }
+      }
+      // Documents created by setContent() never saw evaluateOnNewDocument;
+      // buffered observers still replay what happened so far.
+      await page.evaluate(`(${perfObserverScript})()`);
+      const inPage = await page.evaluate(async () => {
+        // Observer callbacks are async; let buffered entries arrive.
+        await new Promise((r) => setTimeout(r, 50));
+        const state = /** @type {any} */ (window).__wwPerf;
+        const nav = performance.getEntriesByType('navigation')[0];
+        /** @type {Record<string, number>} */
+        const paint = {};
+        for (const p of performance.getEntriesByType('paint')) paint[p.name] = p.startTime;
+        const fcp = paint['first-contentful-paint'];
+        const tbt = fcp === undefined ? null : state.longTasks
+          .filter((t) => t.startTime >= fcp)
+          .reduce((sum, t) => sum + Math.max(0, t.duration - 50), 0);
+        return {
+          url: location.href,
+          navigation: nav ? nav.toJSON() : null,
+          paint: { firstPaint: paint['first-paint'] ?? null, firstContentfulPaint: fcp ?? null },
+          vitals: {
+            ttfb: nav ? /** @type {PerformanceNavigationTiming} */ (nav).responseStart : null,
+            fcp: fcp ?? null,
+            lcp: state.lcp ? state.lcp.startTime : null,
+            cls: Math.round(state.cls * 10000) / 10000,
+            tbt,
+          },
+          lcp: state.lcp,
+          layoutShifts: state.shifts,
+          longTasks: {
+            count: state.longTasks.length,
+            totalMs: state.longTasks.reduce((sum, t) => sum + t.duration, 0),
+          },
+        };
+      });
+      const metrics = await page.metrics();
+      const perf = {
+        collectedAt: new Date().toISOString(),
+        ...inPage,
+        metrics,
+        trace: trace ? 'trace.json' : undefined,
+        traceError,
+      };
+      return { perf, trace };
+    },
+
+    async dispose() {
+      if (!tracing) return;
+      tracing = false;
+      try { await page.tracing.stop(); } catch {}
+    },
+  };
+}
@@ -0,0 +1,154 @@
+// @ts-check
+/**
+ * Minimal PNG codec for comparing screenshots without native dependencies.
+ *
+ * decodePNG handles what Chromium writes: 8-bit, non-interlaced grayscale,
+ * RGB, gray+alpha and RGBA images (other variants are rejected). encodePNG
+ * writes 8-bit RGBA with no filtering, which is enough for diff images.
+ */
+import zlib from 'zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/** Channels per color type (0 gray, 2 RGB, 4 gray+alpha, 6 RGBA). */
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+/**
+ * @typedef {Object} Image
+ * @property {number} width
+ * @property {number} height
+ * @property {Uint8Array} data RGBA pixels, row by row.
+ */
+
+/**
+ * Decode a PNG into RGBA pixels.
+ * @param {Uint8Array} buf PNG file contents.
+ * @returns {Image}
+ */
+export function decodePNG(buf) {
+  const b = Buffer.from(buf.buffer, buf.byteOffset, buf.byteLength);
+  if (b.length < 8 || !b.subarray(0, 8).equals(SIGNATURE)) throw new Error('Not a PNG file');
+  let width = 0;
+  let height = 0;
+  let colorType = -1;
+  /** @type {Buffer[]} */
+  const idat = [];
+  for (let off = 8; off + 8 <= b.length;) {
+    const len = b.readUInt32BE(off);
+    const type = b.toString('latin1', off + 4, off + 8);
+    const body = b.subarray(off + 8, off + 8 + len);
+    if (type === 'IHDR') {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      const depth = body[8];
+      colorType = body[9];
+      if (depth !== 8 || !(colorType in CHANNELS) || body[12] !== 0) {
+        throw new Error(`Unsupported PNG (bit depth ${depth}, color type ${colorType}, interlace ${body[12]})`);
+      }
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    off += 12 + len;
+  }
+  if (colorType < 0) throw new Error('PNG has no IHDR chunk');
+  const ch = CHANNELS[/** @type {0|2|4|6} */ (colorType)];
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * ch;
+  if (raw.length < height * (stride + 1)) throw new Error('PNG data is truncated');
+
+  // Undo per-row filters in place (filter byte, then stride bytes).
+  const rows = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const dst = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= ch ? rows[dst + x - ch] : 0;
+      const up = y > 0 ? rows[dst - stride + x] : 0;
+      const c = x >= ch && y > 0 ? rows[dst - stride + x - ch] : 0;
+      let v = raw[src + x];
+      if (filter === 1) v += a;
+      else if (filter === 2) v += up;
+      else if (filter === 3) v += (a + up) >> 1;
+      else if (filter === 4) {
+        const p = a + up - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - c);
+        v += pa <= pb && pa <= pc ? a : pb <= pc ? up : c;
+      } else if (filter !== 0) throw new Error(`Bad PNG filter ${filter}`);
+      rows[dst + x] = v & 0xff;
+    }
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0, j = 0; i < width * height; i++, j += ch) {
+    const o = i * 4;
+    if (ch === 4) {
+      data[o] = rows[j]; data[o + 1] = rows[j + 1]; data[o + 2] = rows[j + 2]; data[o + 3] = rows[j + 3];
+    } else if (ch === 3) {
+      data[o] = rows[j]; data[o + 1] = rows[j + 1]; data[o + 2] = rows[j + 2]; data[o + 3] = 255;
+    } else {
+      data[o] = data[o + 1] = data[o + 2] = rows[j];
+      data[o + 3] = ch === 2 ? rows[j + 1] : 255;
+    }
+  }
+  return { width, height, data };
+}
+
+/** CRC-32 table for chunk checksums. */
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+/** @param {Buffer} buf */
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @param {string} type
+ * @param {Buffer} body
+ */
+function chunk(type, body) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length, 0);
+  head.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])), 0);
+  return Buffer.concat([head, body, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG.
+ * @param {Image} img
+ * @returns {Buffer}
+ */
+export function encodePNG({ width, height, data }) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  const stride = width * 4;
+  const raw = Buffer.alloc(height * (stride + 1));
+  for (let y = 0; y < height; y++) {
+    raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
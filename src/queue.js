@@ -0,0 +1,102 @@
+// @ts-check
+/**
+ * Queue: in-memory concurrency limiter with priorities used by the watcher.
+ *
+ * - Higher `priority` runs first; equal priorities keep FIFO order.
+ * - Queued tasks can be removed by key before they start (cancellation).
+ * - pause()/idle() support draining on shutdown.
+ *
+ * The queue is not durable; requests/processing/ is the source of truth and
+ * the watcher rebuilds the queue from it on startup.
+ */
+
+/**
+ * @typedef {Object} EnqueueOptions
+ * @property {string=} key Identifier used by cancel() (typically the job id).
+ * @property {number=} priority Higher runs earlier (default 0).
+ */
+
+/**
+ * Minimal in-memory limiter (p-limit style) to cap concurrent tasks.
+ * @param {number} limit Max concurrent executions.
+ */
+export function createLimiter(limit) {
+  let active = 0;
+  let paused = false;
+  /** @type {Array<{fn:()=>Promise<void>, resolve:Function, reject:Function, key?:string, priority:number}>} */
+  const queue = [];
+  /** @type {Array<() => void>} */
+  let idleWaiters = [];
+
+  const runNext = () => {
+    if (paused || active >= limit) return;
+    const item = queue.shift();
+    if (!item) return;
+    active++;
+    item.fn()
+      .then(() => item.resolve())
+      .catch((e) => item.reject(e))
+      .finally(() => {
+        active--;
+        if (active === 0) {
+          const waiters = idleWaiters;
+          idleWaiters = [];
+          waiters.forEach((w) => w());
+        }
+        setImmediate(runNext);
+      });
+  };
+
+  return {
+    /**
+     * Queue a task; resolves/rejects with the task once it has run.
+     * A task removed via cancel() resolves without running.
+     * @param {() => Promise<void>} fn
+     * @param {EnqueueOptions=} opts
+     * @returns {Promise<void>}
+     */
+    enqueue(fn, opts = {}) {
+      const priority = Number.isFinite(opts.priority) ? Number(opts.priority) : 0;
+      return new Promise((resolve, reject) => {
+        const item = { fn, resolve, reject, key: opts.key, priority };
+        // Insert after the last item with priority >= ours to keep FIFO within a level.
+        let i = queue.length;
+        while (i > 0 && queue[i - 1].priority < priority) i--;
+        queue.splice(i, 0, item);
+        setImmediate(runNext);
+      });
+    },
+    /**
+     * Remove a queued (not yet started) task by key.
+     * @param {string} key
+     * @returns {boolean} True if a queued task was removed.
+     */
+    cancel(key) {
+      const idx = queue.findIndex((it) => it.key === key);
+      if (idx < 0) return false;
+      const [item] = queue.splice(idx, 1);
+      item.resolve();
+      return true;
+    },
+    /** Stop starting queued tasks; running ones continue. */
+    pause() {
+      paused = true;
+    },
+    /**
+     * Resolve once no task is running (queued tasks are not awaited).
+     * @returns {Promise<void>}
+     */
+    idle() {
+      if (active === 0) return Promise.resolve();
+      return new Promise((resolve) => idleWaiters.push(resolve));
+    },
+    /** Number of tasks currently running. */
+    get active() {
+      return active;
+    },
+    /** Number of tasks waiting to start. */
+    get pending() {
+      return queue.length;
+    },
+  };
+}
@@ -0,0 +1,242 @@
+// @ts-check
+/**
+ * Retention: garbage-collect finished jobs under responses/ so long-running
+ * watchers (and `screenshotOnEachAction` jobs in particular) do not fill the
+ * disk. The watcher applies the policy on a timer; scripts/clean.mjs applies
+ * the same rules once.
+ *
+ * Rules, applied to finished jobs (done.json written) only:
+ * - maxAgeMs: remove jobs that finished longer ago than this.
+ * - keepLast: keep only the newest N jobs.
+ * - failed (error and cancelled jobs) has its own maxAgeMs / keepLast; a rule
+ *   left unset there falls back to the general one. Successful and failed
+ *   jobs are counted separately for keepLast.
+ * - maxBytes: after the rules above, remove the oldest jobs until the jobs
+ *   left take at most this much space.
+ *
+ * Pinned jobs (responses/<id>/.pinned, or `"pin": true` in the request) are
+ * never removed; they count towards maxBytes but not towards keepLast.
+ * Queued and running jobs are never touched.
+ */
+import path from 'path';
+import { promises as fs } from 'fs';
+import { safeJoin } from './files.js';
+import { listJobFiles } from './manifest.js';
+
+/** Marker file that protects a job from collection. */
+export const PIN_FILE = '.pinned';
+
+/**
+ * @typedef {Object} RetentionRules
+ * @property {number=} maxAgeMs Remove jobs finished longer ago than this (0 or unset: no limit).
+ * @property {number=} keepLast Keep only the newest N jobs (0 or unset: no limit).
+ */
+
+/**
+ * @typedef {RetentionRules & { failed?: RetentionRules, maxBytes?: number }} RetentionPolicy
+ */
+
+/**
+ * @typedef {Object} JobUsage
+ * @property {string} id
+ * @property {string} status done.json status.
+ * @property {number} finishedAt Epoch ms (done.json mtime).
+ * @property {number} bytes Size of the job directory.
+ * @property {boolean} pinned
+ */
+
+/**
+ * @typedef {Object} Removal
+ * @property {string} id
+ * @property {'max_age'|'keep_last'|'max_size'} reason
+ * @property {number} bytes
+ * @property {string} status
+ * @property {string} finishedAt ISO time.
+ */
+
+/**
+ * True when the policy removes anything at all.
+ * @param {RetentionPolicy} policy
+ */
+export function hasRetentionRules(policy) {
+  return [policy.maxAgeMs, policy.keepLast, policy.maxBytes, policy.failed?.maxAgeMs, policy.failed?.keepLast].some((v) => Number(v) > 0);
+}
+
+/**
+ * Finished jobs under responses/ with their size, newest first.
+ * @param {string} responsesDir
+ * @param {(id: string) => boolean=} isActive Jobs to leave alone (queued or running).
+ * @returns {Promise<JobUsage[]>}
+ */
+export async function scanJobs(responsesDir, isActive = () => false) {
+  const entries = await fs.readdir(responsesDir, { withFileTypes: true }).catch(() => []);
+  /** @type {JobUsage[]} */
+  const jobs = [];
+  for (const e of entries) {
+    if (!e.isDirectory() || e.name.startsWith('.') || isActive(e.name)) continue;
+    const dir = path.join(responsesDir, e.name);
+    try {
+      const donePath = path.join(dir, 'done.json');
+      const st = await fs.stat(donePath);
+      const done = JSON.parse(await fs.readFile(donePath, 'utf8'));
+      const files = await listJobFiles(dir);
+      const pinned = await fs.stat(path.join(dir, PIN_FILE)).then(() => true, () => false);
+      jobs.push({
+        id: e.name,
+        status: String(done?.status),
+        finishedAt: st.mtimeMs,
+        bytes: files.reduce((sum, f) => sum + f.size, 0),
+        pinned,
+      });
+    } catch {
+      // Unfinished, or removed while we were looking.
+    }
+  }
+  jobs.sort((a, b) => b.finishedAt - a.finishedAt);
+  return jobs;
+}
+
+/**
+ * Decide which jobs a policy removes. Pure: nothing is deleted.
+ * @param {JobUsage[]} jobs Newest first, as returned by scanJobs().
+ * @param {RetentionPolicy} policy
+ * @param {number=} now Epoch ms.
+ * @returns {Removal[]} Oldest first.
+ */
+export function planRemovals(jobs, policy, now = Date.now()) {
+  /** @type {Map<string, Removal['reason']>} */
+  const reasons = new Map();
+  /** @type {Record<'ok'|'failed', number>} */
+  const kept = { ok: 0, failed: 0 };
+  for (const job of jobs) {
+    if (job.pinned) continue;
+    const cls = job.status === 'ok' ? 'ok' : 'failed';
+    const maxAgeMs = (cls === 'failed' ? policy.failed?.maxAgeMs : undefined) ?? policy.maxAgeMs ?? 0;
+    const keepLast = (cls === 'failed' ? policy.failed?.keepLast : undefined) ?? policy.keepLast ?? 0;
+    if (maxAgeMs > 0 && now - job.finishedAt > maxAgeMs) reasons.set(job.id, 'max_age');
+    else if (keepLast > 0 && kept[cls] >= keepLast) reasons.set(job.id, 'keep_last');
+    else kept[cls]++;
+  }
+  if (policy.maxBytes && policy.maxBytes > 0) {
+    let total = jobs.reduce((sum, j) => sum + (reasons.has(j.id) ? 0 : j.bytes), 0);
+    for (let i = jobs.length - 1; i >= 0 && total > policy.maxBytes; i--) {
+      const job = jobs[i];
+      if (job.pinned || reasons.has(job.id)) continue;
+      reasons.set(job.id, 'max_size');
+      total -= job.bytes;
+    }
+  }
+  return jobs
+    .filter((j) => reasons.has(j.id))
+    .reverse()
+    .map((j) => ({
+      id: j.id,
+      reason: /** @type {Removal['reason']} */ (reasons.get(j.id)),
+      bytes: j.bytes,
+      status: j.status,
+      finishedAt: new Date(j.finishedAt).toISOString(),
+    }));
+}
+
+/**
+ * Apply a policy once.
+ * @param {string} responsesDir
+ * @param {RetentionPolicy} policy
+ * @param {{ dryRun?: boolean, isActive?: (id: string) => boolean }=} opts dryRun: only report what would go.
+ * @returns {Promise<{ removed: Removal[], freedBytes: number, keptJobs: number, keptBytes: number }>}
+ */
+export async function collectGarbage(responsesDir, policy, opts = {}) {
+  const jobs = await scanJobs(responsesDir, opts.isActive);
+  const planned = planRemovals(jobs, policy);
+  /** @type {Removal[]} */
+  const removed = [];
+  for (const r of planned) {
+    // A job started again under the same id since the scan (resubmitted with a fixed id).
+    if (opts.isActive?.(r.id)) continue;
+    if (!opts.dryRun) {
+      try {
+        await fs.rm(safeJoin(responsesDir, r.id), { recursive: true, force: true });
+      } catch {
+        continue;
+      }
+    }
+    removed.push(r);
+  }
+  const freedBytes = removed.reduce((sum, r) => sum + r.bytes, 0);
+  const totalBytes = jobs.reduce((sum, j) => sum + j.bytes, 0);
+  return { removed, freedBytes, keptJobs: jobs.length - removed.length, keptBytes: totalBytes - freedBytes };
+}
+
+/**
+ * Pin or unpin a job.
+ * @param {string} responsesDir
+ * @param {string} id Job id.
+ * @param {boolean} pinned
+ * @throws {Error & { code: 'ENOJOB' }} When responses/<id>/ does not exist.
+ */
+export async function setPinned(responsesDir, id, pinned) {
+  const dir = safeJoin(responsesDir, id);
+  const st = await fs.stat(dir).catch(() => null);
+  if (!st?.isDirectory()) throw Object.assign(new Error(`Unknown job ${id}`), { code: 'ENOJOB' });
+  if (pinned) await fs.writeFile(path.join(dir, PIN_FILE), `${new Date().toISOString()}\n`);
+  else await fs.rm(path.join(dir, PIN_FILE), { force: true });
+}
+
+/**
+ * Megabytes for log lines.
+ * @param {number} bytes
+ */
+function mb(bytes) {
+  return (bytes / 1024 / 1024).toFixed(1);
+}
+
+/**
+ * Timer that applies the policy every `intervalMs`.
+ * @param {Object} deps
+ * @param {string} deps.responsesDir
+ * @param {RetentionPolicy} deps.policy
+ * @param {number} deps.intervalMs
+ * @param {(id: string) => boolean} deps.isActive Queued or running jobs.
+ * @param {(line: string) => void} deps.log
+ */
+export function createRetention({ responsesDir, policy, intervalMs, isActive, log }) {
+  /** @type {NodeJS.Timeout|undefined} */
+  let timer;
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { removed, freedBytes, keptJobs, keptBytes } = await collectGarbage(responsesDir, policy, { isActive });
+      if (removed.length === 0) return;
+      /** @type {Record<string, number>} */
+      const byReason = {};
+      for (const r of removed) byReason[r.reason] = (byReason[r.reason] || 0) + 1;
+      const reasons = Object.entries(byReason).map(([k, n]) => `${k}=${n}`).join(' ');
+      log(`[GC] Removed ${removed.length} job(s), ${mb(freedBytes)} MB (${reasons}); ${keptJobs} job(s), ${mb(keptBytes)} MB kept.`);
+    } catch (err) {
+      log(`[ERR] Retention sweep failed: ${err instanceof Error ? err.message : String(err)}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    /** Run once now, then every intervalMs. No-op without rules. */
+    start() {
+      if (timer || !hasRetentionRules(policy)) return;
+      run();
+      timer = setInterval(run, intervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = undefined;
+    },
+
+    /** Apply the policy now. */
+    run,
+  };
+}
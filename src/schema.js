@@ -0,0 +1,292 @@
+// @ts-check
+/**
+ * Request schema: schema/request.schema.json (JSON Schema 2020-12) is the
+ * published contract for request files and POST /jobs bodies. Every request
+ * is checked against it before the per-feature normalizers run, so wrong
+ * types, unknown fields and malformed actions or extract specs are rejected
+ * up front instead of reaching Puppeteer or being skipped at run time.
+ *
+ * The validator below covers the keywords the schema uses ($ref, type, enum,
+ * const, properties, required, additionalProperties, unevaluatedProperties,
+ * allOf/anyOf/oneOf, items, min/max bounds, minLength, pattern,
+ * minProperties). A oneOf whose branches all fix the same property with
+ * `const` (op, type) is treated as a tagged union, so errors come from the
+ * branch the tag selects rather than from every alternative.
+ */
+import { readFileSync } from 'fs';
+
+/** Request schema version this watcher implements (`schemaVersion` field). */
+export const SCHEMA_VERSION = 1;
+
+/** The published request schema. */
+export const REQUEST_SCHEMA = JSON.parse(readFileSync(new URL('../schema/request.schema.json', import.meta.url), 'utf8'));
+
+/** Valid job ids (the schema's `id` pattern): safe as a file and directory name. */
+export const JOB_ID = new RegExp(REQUEST_SCHEMA.$defs.envelope.properties.id.pattern);
+
+/** Errors listed in the thrown message; the `errors` property has them all (up to MAX_ERRORS). */
+const MESSAGE_ERRORS = 5;
+const MAX_ERRORS = 50;
+
+/**
+ * @typedef {Object} SchemaError
+ * @property {string} path Field path, e.g. `actions[2].selector` ("" for the request itself).
+ * @property {string} message e.g. "is required", "must be a number".
+ */
+
+/**
+ * Check a raw request against the schema.
+ * @param {any} raw Untrusted request JSON.
+ * @throws {Error & { code: 'EINVALID', errors: SchemaError[] }} When the request does not match.
+ */
+export function checkRequestSchema(raw) {
+  const version = raw && typeof raw === 'object' ? raw.schemaVersion : undefined;
+  if (Number.isInteger(version) && version > SCHEMA_VERSION) {
+    const errors = [{ path: 'schemaVersion', message: `${version} is not supported (this watcher implements schemaVersion ${SCHEMA_VERSION})` }];
+    throw Object.assign(new Error(formatError(errors[0])), { code: 'EINVALID', errors });
+  }
+  const errors = validate(raw, REQUEST_SCHEMA, '');
+  if (errors.length === 0) return;
+  const shown = errors.slice(0, MESSAGE_ERRORS).map(formatError).join('; ');
+  const more = errors.length > MESSAGE_ERRORS ? ` (and ${errors.length - MESSAGE_ERRORS} more)` : '';
+  throw Object.assign(new Error(`${shown}${more}`), { code: 'EINVALID', errors: errors.slice(0, MAX_ERRORS) });
+}
+
+/**
+ * Check a request preset (webwatcher.config.json `presets`) against `#/$defs/preset`.
+ * @param {any} preset
+ * @param {string} at Path reported in errors, e.g. `presets["mobile-slow"]`.
+ * @returns {SchemaError[]} Empty when the preset is valid.
+ */
+export function checkPresetSchema(preset, at) {
+  return validate(preset, { $ref: '#/$defs/preset' }, at).slice(0, MAX_ERRORS);
+}
+
+/** @param {SchemaError} e */
+function formatError(e) {
+  return `${e.path || 'request'} ${e.message}`;
+}
+
+/**
+ * @param {string} at
+ * @param {string|number} key
+ */
+function child(at, key) {
+  if (typeof key === 'number') return `${at}[${key}]`;
+  if (!/^[A-Za-z_$][\w$]*$/.test(key)) return `${at}[${JSON.stringify(key)}]`;
+  return at ? `${at}.${key}` : key;
+}
+
+/**
+ * Resolve a local `#/$defs/...` reference.
+ * @param {string} ref
+ * @returns {any}
+ */
+function resolve(ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref ${ref}`);
+  let node = REQUEST_SCHEMA;
+  for (const part of ref.slice(2).split('/')) node = node?.[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+  if (node === undefined) throw new Error(`Unresolved $ref ${ref}`);
+  return node;
+}
+
+/** @param {any} v */
+function jsonType(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  return typeof v;
+}
+
+/**
+ * @param {any} v
+ * @param {string} type
+ */
+function hasType(v, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(v);
+    case 'number': return typeof v === 'number' && Number.isFinite(v);
+    default: return jsonType(v) === type;
+  }
+}
+
+/** @param {string} type */
+function typeName(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+/** @param {any[]} values */
+function listValues(values) {
+  return values.map((v) => (typeof v === 'string' ? v : JSON.stringify(v))).join(', ');
+}
+
+/** @param {string[]} keys */
+function listKeys(keys) {
+  return keys.length < 2 ? keys.join('') : `${keys.slice(0, -1).join(', ')} or ${keys[keys.length - 1]}`;
+}
+
+/**
+ * Types a schema accepts ("any" when unconstrained).
+ * @param {any} schema
+ * @returns {string[]}
+ */
+function typesOf(schema) {
+  if (schema.$ref) return typesOf(resolve(schema.$ref));
+  if (schema.type) return [].concat(schema.type);
+  if (schema.const !== undefined) return [jsonType(schema.const)];
+  if (schema.enum) return [...new Set(schema.enum.map(jsonType))];
+  if (schema.oneOf || schema.anyOf) return [...new Set((schema.oneOf || schema.anyOf).flatMap(typesOf))];
+  return ['any'];
+}
+
+/**
+ * Property names a schema object (and the schemas it composes) declares;
+ * what `unevaluatedProperties` counts as evaluated.
+ * @param {any} schema
+ * @param {Set<string>=} into
+ * @returns {Set<string>}
+ */
+function declaredKeys(schema, into = new Set()) {
+  if (schema.$ref) declaredKeys(resolve(schema.$ref), into);
+  for (const key of Object.keys(schema.properties || {})) into.add(key);
+  for (const sub of [...(schema.allOf || []), ...(schema.anyOf || []), ...(schema.oneOf || [])]) declaredKeys(sub, into);
+  return into;
+}
+
+/** @type {WeakMap<object, string|null>} */
+const tagCache = new WeakMap();
+
+/**
+ * The property every oneOf branch fixes with `const`, if any (e.g. "op", "type").
+ * @param {any[]} branches
+ * @returns {string|null}
+ */
+function tagOf(branches) {
+  if (tagCache.has(branches)) return /** @type {string|null} */ (tagCache.get(branches));
+  const resolved = branches.map((b) => (b.$ref ? resolve(b.$ref) : b));
+  const first = Object.keys(resolved[0]?.properties || {});
+  const tag = first.find((k) => resolved.every((b) => b.properties?.[k]?.const !== undefined)) ?? null;
+  tagCache.set(branches, tag);
+  return tag;
+}
+
+/** @param {any} schema Branch of the form `{ "required": [...] }` only. */
+function isRequiredOnly(schema) {
+  return Object.keys(schema).length === 1 && Array.isArray(schema.required);
+}
+
+/**
+ * Validate `value` against `schema`.
+ * @param {any} value
+ * @param {any} schema
+ * @param {string} at Path of `value`.
+ * @returns {SchemaError[]}
+ */
+function validate(value, schema, at) {
+  /** @type {SchemaError[]} */
+  const errors = [];
+  /** @param {string} message @param {string=} path */
+  const fail = (message, path = at) => { errors.push({ path, message }); };
+
+  if (schema.$ref) {
+    errors.push(...validate(value, resolve(schema.$ref), at));
+    if (errors.length > 0) return errors;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => hasType(value, t))) {
+      fail(`must be ${types.map(typeName).join(' or ')}`);
+      return errors;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) fail(`must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) fail(`must be one of: ${listValues(schema.enum)}`);
+
+  if (typeof value === 'number') {
+    const { minimum: min, maximum: max, exclusiveMinimum: gt } = schema;
+    if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+      fail(min !== undefined && max !== undefined ? `must be between ${min} and ${max}`
+        : min !== undefined ? `must be at least ${min}` : `must be at most ${max}`);
+    }
+    if (gt !== undefined && !(value > gt)) fail(`must be greater than ${gt}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(item, schema.items, child(at, i))));
+  }
+
+  if (jsonType(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) fail('is required', child(at, key));
+    }
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) fail('must not be empty');
+    const props = schema.properties || {};
+    for (const [key, v] of Object.entries(value)) {
+      const path = child(at, key);
+      if (props[key]) errors.push(...validate(v, props[key], path));
+      else if (typeof schema.additionalProperties === 'object') errors.push(...validate(v, schema.additionalProperties, path));
+      else if (schema.additionalProperties === false) fail('is not a known field', path);
+    }
+    if (schema.unevaluatedProperties === false) {
+      const known = declaredKeys(schema);
+      for (const key of Object.keys(value)) {
+        if (!known.has(key)) fail('is not a known field', child(at, key));
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) errors.push(...validate(value, sub, at));
+
+  if (schema.anyOf && !schema.anyOf.some((/** @type {any} */ s) => validate(value, s, at).length === 0)) {
+    if (schema.anyOf.every(isRequiredOnly)) fail(`needs ${listKeys(schema.anyOf.flatMap((/** @type {any} */ s) => s.required))}`);
+    else fail(`must be ${typesOf(schema).map(typeName).join(' or ')}`);
+  }
+
+  if (schema.oneOf) errors.push(...validateOneOf(value, schema.oneOf, at));
+  return errors;
+}
+
+/**
+ * oneOf with readable errors: tagged unions report the selected branch,
+ * type unions the branch of the value's type, and "exactly one of these
+ * fields" unions a single message.
+ * @param {any} value
+ * @param {any[]} branches
+ * @param {string} at
+ * @returns {SchemaError[]}
+ */
+function validateOneOf(value, branches, at) {
+  const tag = tagOf(branches);
+  if (tag) {
+    if (jsonType(value) !== 'object') return [{ path: at, message: 'must be an object' }];
+    const consts = branches.map((b) => (b.$ref ? resolve(b.$ref) : b).properties[tag].const);
+    if (value[tag] === undefined) return [{ path: child(at, tag), message: 'is required' }];
+    const i = consts.indexOf(value[tag]);
+    if (i < 0) return [{ path: child(at, tag), message: `must be one of: ${listValues(consts)}` }];
+    return validate(value, branches[i], at);
+  }
+
+  const results = branches.map((b) => validate(value, b, at));
+  const passed = results.filter((r) => r.length === 0).length;
+  if (passed === 1) return [];
+  if (branches.every(isRequiredOnly)) {
+    return [{ path: at, message: `needs exactly one of ${listKeys(branches.flatMap((b) => b.required))}` }];
+  }
+  if (passed > 1) return [{ path: at, message: 'matches more than one alternative' }];
+  const sameType = branches
+    .map((b, i) => ({ types: typesOf(b), errors: results[i] }))
+    .filter((b) => b.types.includes('any') || b.types.some((t) => hasType(value, t)));
+  if (sameType.length === 0) {
+    return [{ path: at, message: `must be ${[...new Set(branches.flatMap(typesOf))].map(typeName).join(' or ')}` }];
+  }
+  return sameType.reduce((best, b) => (b.errors.length < best.errors.length ? b : best)).errors;
+}
@@ -0,0 +1,216 @@
+// @ts-check
+/**
+ * Screencast recording (`recordVideo` request field): captures frames with
+ * CDP Page.startScreencast for the whole job and writes them to
+ * responses/<id>/video/ as a numbered sequence plus an index:
+ *
+ *   video/frame-00001.jpg …
+ *   video/timeline.json   { frames: [{ file, t }], marks: [{ t, phase, … }], video?, encodeError? }
+ *
+ * `t` is milliseconds since recording started; marks are the job's progress
+ * events (navigate, each action, output), so a frame can be matched to the
+ * step that produced it. Chrome only sends frames when the page repaints, so
+ * static pages produce few frames.
+ *
+ * When ffmpeg is available the frames are also encoded (honouring each
+ * frame's on-screen duration) into video/video.webm or video/video.mp4.
+ * timeline.json is written last; read it rather than listing the directory.
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { writeJSONAtomic, ensureDir } from './files.js';
+
+/** Frames kept per recording; later frames are dropped (and counted). */
+const DEFAULT_MAX_FRAMES = 3000;
+
+/** Upper bound for one ffmpeg encode. */
+const ENCODE_TIMEOUT_MS = 5 * 60_000;
+
+/**
+ * @typedef {Object} VideoOptions
+ * @property {'jpeg'|'png'} format Frame image format (default jpeg).
+ * @property {number} quality JPEG quality 0–100 (default 80).
+ * @property {number=} maxWidth Downscale frames to at most this width.
+ * @property {number=} maxHeight Downscale frames to at most this height.
+ * @property {number} everyNthFrame Keep every Nth frame Chrome paints (default 1).
+ * @property {number} maxFrames Stop keeping frames after this many (default 3000).
+ * @property {'webm'|'mp4'|false} encode Container to encode with ffmpeg (default webm; false = frames only).
+ * @property {number} fps Output frame rate of the encoded video (default 25).
+ */
+
+/**
+ * Validate the `recordVideo` request field.
+ * @param {any} raw Untrusted value: boolean or options object.
+ * @returns {VideoOptions|undefined} Normalized options (undefined when off).
+ */
+export function normalizeVideoOptions(raw) {
+  if (raw === undefined || raw === null || raw === false) return undefined;
+  const o = raw === true ? {} : raw;
+  if (typeof o !== 'object' || Array.isArray(o)) throw new Error('recordVideo must be a boolean or an object');
+  /** @param {string} key @param {number} min @param {number} max */
+  const int = (key, min, max) => {
+    const v = o[key];
+    if (v === undefined) return undefined;
+    if (!Number.isInteger(v) || v < min || v > max) throw new Error(`recordVideo.${key} must be an integer between ${min} and ${max}`);
+    return v;
+  };
+  if (o.format !== undefined && o.format !== 'jpeg' && o.format !== 'png') throw new Error('recordVideo.format must be "jpeg" or "png"');
+  if (o.encode !== undefined && o.encode !== false && o.encode !== 'webm' && o.encode !== 'mp4') {
+    throw new Error('recordVideo.encode must be "webm", "mp4" or false');
+  }
+  return {
+    format: o.format || 'jpeg',
+    quality: int('quality', 0, 100) ?? 80,
+    maxWidth: int('maxWidth', 16, 7680),
+    maxHeight: int('maxHeight', 16, 4320),
+    everyNthFrame: int('everyNthFrame', 1, 60) ?? 1,
+    maxFrames: int('maxFrames', 1, 100000) ?? DEFAULT_MAX_FRAMES,
+    encode: o.encode ?? 'webm',
+    fps: int('fps', 1, 60) ?? 25,
+  };
+}
+
+/**
+ * Start recording a page. Call before navigation.
+ * @param {import('puppeteer').Page} page
+ * @param {string} outDir Job (or device) output directory; frames go to outDir/video/.
+ * @param {VideoOptions} opts
+ * @param {{ ffmpegPath?: string, signal?: AbortSignal }=} env ffmpegPath: encoder binary (default "ffmpeg");
+ *   signal: stops a running encode.
+ * @returns {Promise<{ mark: (p: Record<string, any>) => void, stop: () => Promise<void> }>}
+ *   mark() adds a timeline marker; stop() ends recording, encodes and writes timeline.json.
+ */
+export async function startScreencast(page, outDir, opts, env = {}) {
+  const dir = path.join(outDir, 'video');
+  await ensureDir(dir);
+  const ext = opts.format === 'png' ? 'png' : 'jpg';
+  const t0 = Date.now();
+  /** @type {Array<{ file: string, t: number }>} */
+  const frames = [];
+  /** @type {Array<Record<string, any>>} */
+  const marks = [];
+  /** @type {Array<Promise<void>>} */
+  const writes = [];
+  let dropped = 0;
+  let stopped = false;
+
+  const cdp = await page.createCDPSession();
+  cdp.on('Page.screencastFrame', (ev) => {
+    // Chrome sends the next frame only after the previous one is acked.
+    cdp.send('Page.screencastFrameAck', { sessionId: ev.sessionId }).catch(() => {});
+    if (stopped) return;
+    if (frames.length >= opts.maxFrames) {
+      dropped++;
+      return;
+    }
+    const file = `frame-${String(frames.length + 1).padStart(5, '0')}.${ext}`;
+    frames.push({ file, t: Date.now() - t0 });
+    // Frames are plain writes; timeline.json (atomic, written last) is the commit point.
+    writes.push(fs.writeFile(path.join(dir, file), Buffer.from(ev.data, 'base64')).catch(() => {}));
+  });
+  await cdp.send('Page.startScreencast', {
+    format: opts.format,
+    quality: opts.format === 'jpeg' ? opts.quality : undefined,
+    maxWidth: opts.maxWidth,
+    maxHeight: opts.maxHeight,
+    everyNthFrame: opts.everyNthFrame,
+  });
+
+  return {
+    mark(p) {
+      if (!stopped) marks.push({ t: Date.now() - t0, ...p });
+    },
+
+    async stop() {
+      if (stopped) return;
+      stopped = true;
+      const durationMs = Date.now() - t0;
+      try { await cdp.send('Page.stopScreencast'); } catch {}
+      try { await cdp.detach(); } catch {}
+      await Promise.all(writes);
+
+      /** @type {{ video?: string, encodeError?: string }} */
+      let encoded = {};
+      if (opts.encode && frames.length > 0) {
+        encoded = await encodeFrames(dir, frames, durationMs, opts, env);
+      }
+      await writeJSONAtomic(path.join(dir, 'timeline.json'), {
+        startedAt: new Date(t0).toISOString(),
+        durationMs,
+        format: opts.format,
+        frames,
+        droppedFrames: dropped || undefined,
+        marks,
+        ...encoded,
+      });
+    },
+  };
+}
+
+/**
+ * Encode the frame sequence with ffmpeg's concat demuxer so every frame stays
+ * on screen for as long as it did in the browser. Never throws.
+ * @param {string} dir Frame directory.
+ * @param {Array<{ file: string, t: number }>} frames
+ * @param {number} durationMs Recording length (duration of the last frame).
+ * @param {VideoOptions} opts
+ * @param {{ ffmpegPath?: string, signal?: AbortSignal }} env
+ * @returns {Promise<{ video?: string, encodeError?: string }>}
+ */
+async function encodeFrames(dir, frames, durationMs, opts, env) {
+  const listFile = path.join(dir, '.frames.ffconcat');
+  const lines = ['ffconcat version 1.0'];
+  frames.forEach((f, i) => {
+    const end = i + 1 < frames.length ? frames[i + 1].t : durationMs;
+    lines.push(`file '${f.file}'`, `duration ${Math.max(1, end - f.t) / 1000}`);
+  });
+  // The concat demuxer ignores the last duration unless the file is repeated.
+  lines.push(`file '${frames[frames.length - 1].file}'`);
+  await fs.writeFile(listFile, lines.join('\n') + '\n');
+
+  const video = `video.${opts.encode}`;
+  const codec = opts.encode === 'mp4'
+    ? ['-c:v', 'libx264', '-preset', 'veryfast', '-movflags', '+faststart']
+    : ['-c:v', 'libvpx-vp9', '-b:v', '0', '-crf', '36', '-deadline', 'realtime'];
+  const args = [
+    '-hide_banner', '-loglevel', 'error', '-y',
+    '-f', 'concat', '-safe', '0', '-i', listFile,
+    // yuv420p needs even dimensions.
+    '-vf', `fps=${opts.fps},scale=trunc(iw/2)*2:trunc(ih/2)*2`,
+    '-pix_fmt', 'yuv420p', ...codec,
+    path.join(dir, video),
+  ];
+  try {
+    await run(env.ffmpegPath || 'ffmpeg', args, env.signal);
+    return { video };
+  } catch (err) {
+    await fs.unlink(path.join(dir, video)).catch(() => {});
+    const e = /** @type {any} */ (err);
+    return { encodeError: e?.code === 'ENOENT' ? 'ffmpeg not found; frames only' : (e instanceof Error ? e.message : String(e)) };
+  } finally {
+    await fs.unlink(listFile).catch(() => {});
+  }
+}
+
+/**
+ * Run a command to completion; rejects on spawn failure, non-zero exit, timeout or abort.
+ * @param {string} cmd
+ * @param {string[]} args
+ * @param {AbortSignal=} signal
+ */
+function run(cmd, args, signal) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(cmd, args, { stdio: ['ignore', 'ignore', 'pipe'], signal });
+    // Own timer rather than spawn's `timeout`, which is never cleared when spawning fails.
+    const timer = setTimeout(() => child.kill('SIGKILL'), ENCODE_TIMEOUT_MS);
+    let stderr = '';
+    child.stderr?.on('data', (d) => { stderr = (stderr + d).slice(-2000); });
+    child.on('error', (err) => { clearTimeout(timer); reject(err); });
+    child.on('close', (code, sig) => {
+      clearTimeout(timer);
+      if (code === 0) resolve(undefined);
+      else reject(new Error(`ffmpeg ${sig ? `killed (${sig})` : `exited with ${code}`}${stderr ? `: ${stderr.trim()}` : ''}`));
+    });
+  });
+}
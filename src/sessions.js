@@ -0,0 +1,459 @@
+// @ts-check
+/**
+ * Sessions: browser contexts keyed by `sessionId`, persisted to disk.
+ *
+ * - Each session lives in its own browser context; jobs with the same
+ *   sessionId share cookies and storage.
+ * - After every job the session's cookies (all origins) and the
+ *   localStorage/sessionStorage of the page's origin are saved to
+ *   sessions/<sessionId>.json and restored when the context is recreated
+ *   (watcher restart, browser crash or recycle).
+ * - Idle contexts are closed after WEBWATCHER_SESSION_IDLE_MS; saved state
+ *   unused for WEBWATCHER_SESSION_TTL_MS is deleted.
+ * - Session ops (session_list/close/export/import) run through the same
+ *   queue as renders and follow the meta.json/done.json protocol.
+ */
+import path from 'path';
+import { promises as fs } from 'fs';
+import { ensureDir, readJSON, writeJSONAtomic } from './files.js';
+
+/** Session file format version. */
+const STATE_VERSION = 1;
+
+/** Request ops handled by this module instead of the worker. */
+export const SESSION_OPS = ['session_list', 'session_close', 'session_export', 'session_import'];
+
+/**
+ * @typedef {Object} SessionState
+ * @property {number} version
+ * @property {string} sessionId
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {string} lastUsedAt
+ * @property {Array<any>} cookies CDP Network.Cookie objects.
+ * @property {Record<string, { localStorage: Record<string,string>, sessionStorage: Record<string,string> }>} origins
+ */
+
+/**
+ * @typedef {Object} SessionHandle
+ * @property {import('puppeteer').BrowserContext} context Context shared by the session's jobs.
+ * @property {(page: import('puppeteer').Page) => Promise<void>} preparePage Restore saved storage into a new page.
+ * @property {(page: import('puppeteer').Page) => Promise<void>} persist Save cookies and the page origin's storage.
+ * @property {boolean} restored True when the context was rebuilt from saved state.
+ */
+
+/**
+ * Make a sessionId safe to use as a file name.
+ * @param {string} sessionId
+ */
+function fileNameFor(sessionId) {
+  return `${encodeURIComponent(sessionId)}.json`;
+}
+
+/**
+ * Convert a CDP Network.Cookie into a Storage.setCookies CookieParam.
+ * @param {any} c
+ */
+function toCookieParam(c) {
+  /** @type {Record<string, any>} */
+  const p = {
+    name: c.name,
+    value: c.value,
+    domain: c.domain,
+    path: c.path,
+    secure: c.secure,
+    httpOnly: c.httpOnly,
+    sameSite: c.sameSite,
+    priority: c.priority,
+    sourceScheme: c.sourceScheme,
+    sourcePort: c.sourcePort,
+    partitionKey: c.partitionKey,
+  };
+  // Session cookies report expires -1; omitting it keeps them session-scoped.
+  if (!c.session && typeof c.expires === 'number' && c.expires > 0) p.expires = c.expires;
+  for (const k of Object.keys(p)) if (p[k] === undefined) delete p[k];
+  return p;
+}
+
+/**
+ * Validate and normalize an imported/stored session state.
+ * @param {string} sessionId
+ * @param {any} raw
+ * @returns {SessionState}
+ */
+function normalizeState(sessionId, raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('session state must be an object');
+  if (raw.cookies !== undefined && !Array.isArray(raw.cookies)) throw new Error('session state cookies must be an array');
+  if (raw.origins !== undefined && (typeof raw.origins !== 'object' || Array.isArray(raw.origins))) {
+    throw new Error('session state origins must be an object');
+  }
+  const now = new Date().toISOString();
+  return {
+    version: STATE_VERSION,
+    sessionId,
+    createdAt: raw.createdAt || now,
+    updatedAt: raw.updatedAt || now,
+    lastUsedAt: raw.lastUsedAt || now,
+    cookies: raw.cookies || [],
+    origins: raw.origins || {},
+  };
+}
+
+/**
+ * Create the session store.
+ * @param {{ dir: string, idleMs?: number, ttlMs?: number, log?: (line: string) => void }} opts
+ *   dir: where session files live; idleMs: close unused contexts after this long (0 = never);
+ *   ttlMs: delete saved state unused for this long (0 = never).
+ */
+export function createSessionStore(opts) {
+  const dir = opts.dir;
+  const idleMs = Math.max(0, opts.idleMs || 0);
+  const ttlMs = Math.max(0, opts.ttlMs || 0);
+  const log = opts.log || (() => {});
+
+  /**
+   * @typedef {{ context: import('puppeteer').BrowserContext, browser: import('puppeteer').Browser, busy: number, lastUsedAt: number, restorePending: SessionState|null }} LiveEntry
+   */
+
+  /**
+   * Live contexts by sessionId.
+   * @type {Map<string, LiveEntry>}
+   */
+  const live = new Map();
+  /**
+   * Contexts being created, by sessionId. Concurrent open() calls for the same
+   * session wait for this one instead of each creating (and leaking) a context.
+   * @type {Map<string, { browser: import('puppeteer').Browser, ready: Promise<{ entry: LiveEntry, restored: boolean }> }>}
+   */
+  const opening = new Map();
+  /** @type {NodeJS.Timeout|undefined} */
+  let sweepTimer;
+
+  const filePath = (sessionId) => path.join(dir, fileNameFor(sessionId));
+
+  /**
+   * @param {string} sessionId
+   * @returns {Promise<SessionState|null>}
+   */
+  const load = async (sessionId) => {
+    try {
+      return normalizeState(sessionId, await readJSON(filePath(sessionId)));
+    } catch (err) {
+      if (/** @type {any} */ (err)?.code === 'ENOENT') return null;
+      throw err;
+    }
+  };
+
+  /**
+   * @param {SessionState} state
+   */
+  const save = async (state) => {
+    await ensureDir(dir);
+    await writeJSONAtomic(filePath(state.sessionId), state);
+  };
+
+  /**
+   * Run a CDP command on the browser target (context-scoped Storage calls).
+   * @param {import('puppeteer').Browser} browser
+   * @param {string} method
+   * @param {any} params
+   */
+  const browserCDP = async (browser, method, params) => {
+    const cdp = await browser.target().createCDPSession();
+    try {
+      return await cdp.send(/** @type {any} */ (method), params);
+    } finally {
+      try { await cdp.detach(); } catch {}
+    }
+  };
+
+  /**
+   * Create a session's context and restore its saved cookies.
+   * @param {import('puppeteer').Browser} browser
+   * @param {string} sessionId
+   * @returns {Promise<{ entry: LiveEntry, restored: boolean }>}
+   */
+  const createLive = async (browser, sessionId) => {
+    const context = await browser.createBrowserContext();
+    try {
+      const state = await load(sessionId);
+      if (state && state.cookies.length > 0) {
+        await browserCDP(browser, 'Storage.setCookies', {
+          cookies: state.cookies.map(toCookieParam),
+          browserContextId: context.id,
+        });
+      }
+      return { entry: { context, browser, busy: 0, lastUsedAt: Date.now(), restorePending: state }, restored: !!state };
+    } catch (err) {
+      try { await context.close(); } catch {}
+      throw err;
+    }
+  };
+
+  /**
+   * Close a live context (state on disk is untouched).
+   * @param {string} sessionId
+   */
+  const closeLive = async (sessionId) => {
+    const entry = live.get(sessionId);
+    if (!entry) return false;
+    live.delete(sessionId);
+    try { await entry.context.close(); } catch {}
+    return true;
+  };
+
+  /** Close idle contexts and delete expired saved state. */
+  const sweep = async () => {
+    const now = Date.now();
+    if (idleMs > 0) {
+      for (const [id, entry] of live) {
+        if (entry.busy === 0 && now - entry.lastUsedAt > idleMs) {
+          await closeLive(id);
+          log(`[INF] Session ${id} idle; context closed.`);
+        }
+      }
+    }
+    if (ttlMs > 0) {
+      for (const s of await list()) {
+        const entry = live.get(s.sessionId);
+        if (entry && entry.busy > 0) continue;
+        if (now - Date.parse(s.lastUsedAt || '') > ttlMs) {
+          await closeLive(s.sessionId);
+          await fs.rm(filePath(s.sessionId), { force: true });
+          log(`[INF] Session ${s.sessionId} expired; state deleted.`);
+        }
+      }
+    }
+  };
+
+  /** List saved and live sessions. */
+  const list = async () => {
+    /** @type {Map<string, any>} */
+    const out = new Map();
+    const names = await fs.readdir(dir).catch(() => []);
+    for (const name of names) {
+      if (!name.endsWith('.json') || name.startsWith('.')) continue;
+      const sessionId = decodeURIComponent(path.basename(name, '.json'));
+      try {
+        const st = await load(sessionId);
+        if (!st) continue;
+        out.set(sessionId, {
+          sessionId,
+          live: false,
+          createdAt: st.createdAt,
+          updatedAt: st.updatedAt,
+          lastUsedAt: st.lastUsedAt,
+          cookies: st.cookies.length,
+          origins: Object.keys(st.origins),
+        });
+      } catch {}
+    }
+    for (const [sessionId, entry] of live) {
+      const cur = out.get(sessionId) || { sessionId, cookies: 0, origins: [] };
+      out.set(sessionId, { ...cur, live: true, busy: entry.busy > 0, lastUsedAt: new Date(entry.lastUsedAt).toISOString() });
+    }
+    return Array.from(out.values()).sort((a, b) => a.sessionId.localeCompare(b.sessionId));
+  };
+
+  return {
+    /**
+     * Get (or recreate) the context for a session. Pair with release().
+     * @param {import('puppeteer').Browser} browser Current browser.
+     * @param {string} sessionId
+     * @returns {Promise<SessionHandle>}
+     */
+    async open(browser, sessionId) {
+      let entry = live.get(sessionId);
+      if (entry && (entry.browser !== browser || !browser.connected)) {
+        // Context belongs to a previous browser (crash/recycle); rebuild it.
+        live.delete(sessionId);
+        entry = undefined;
+      }
+      let restored = false;
+      if (!entry) {
+        let pending = opening.get(sessionId);
+        let creating = false;
+        if (!pending || pending.browser !== browser) {
+          creating = true;
+          const ready = createLive(browser, sessionId);
+          const mine = { browser, ready };
+          pending = mine;
+          opening.set(sessionId, mine);
+          // Registered before any caller awaits `ready`, so the entry is live by the time they resume.
+          ready.then(
+            (created) => {
+              if (opening.get(sessionId) !== mine) return;
+              opening.delete(sessionId);
+              live.set(sessionId, created.entry);
+            },
+            () => { if (opening.get(sessionId) === mine) opening.delete(sessionId); },
+          );
+        }
+        const created = await pending.ready;
+        entry = created.entry;
+        restored = creating && created.restored;
+      }
+      entry.busy++;
+      entry.lastUsedAt = Date.now();
+      const current = entry;
+
+      return {
+        context: current.context,
+        restored,
+        async preparePage(page) {
+          const state = current.restorePending;
+          if (!state || Object.keys(state.origins).length === 0) return;
+          // Only the first page of a rebuilt context gets the saved storage.
+          current.restorePending = null;
+          await page.evaluateOnNewDocument((origins) => {
+            const saved = origins[location.origin];
+            if (!saved) return;
+            try {
+              for (const [k, v] of Object.entries(saved.localStorage || {})) localStorage.setItem(k, String(v));
+              for (const [k, v] of Object.entries(saved.sessionStorage || {})) sessionStorage.setItem(k, String(v));
+            } catch {}
+          }, state.origins);
+        },
+        async persist(page) {
+          const prev = (await load(sessionId)) || normalizeState(sessionId, {});
+          const now = new Date().toISOString();
+          const res = await browserCDP(current.browser, 'Storage.getCookies', { browserContextId: current.context.id });
+          const origins = { ...prev.origins };
+          if (!page.isClosed()) {
+            const snap = await page.evaluate(() => {
+              try {
+                return {
+                  origin: location.origin,
+                  localStorage: Object.fromEntries(Object.entries(localStorage)),
+                  sessionStorage: Object.fromEntries(Object.entries(sessionStorage)),
+                };
+              } catch {
+                return null;
+              }
+            }).catch(() => null);
+            if (snap && snap.origin && snap.origin !== 'null') {
+              origins[snap.origin] = { localStorage: snap.localStorage, sessionStorage: snap.sessionStorage };
+            }
+          }
+          await save({ ...prev, updatedAt: now, lastUsedAt: now, cookies: res?.cookies || [], origins });
+        },
+      };
+    },
+
+    /**
+     * Mark a job as done with the session's context.
+     * @param {string} sessionId
+     */
+    release(sessionId) {
+      const entry = live.get(sessionId);
+      if (!entry) return;
+      entry.busy = Math.max(0, entry.busy - 1);
+      entry.lastUsedAt = Date.now();
+    },
+
+    /** Forget all live contexts (their browser is gone). Saved state is kept. */
+    reset() {
+      live.clear();
+      opening.clear();
+    },
+
+    list,
+
+    /** Number of live contexts. */
+    get liveCount() {
+      return live.size;
+    },
+
+    /** Start the periodic idle/TTL sweep. */
+    startSweeper() {
+      if (sweepTimer || (idleMs === 0 && ttlMs === 0)) return;
+      const every = Math.max(1000, Math.min(60_000, Math.min(...[idleMs, ttlMs].filter((v) => v > 0)) / 2));
+      sweepTimer = setInterval(() => {
+        sweep().catch((err) => log(`[ERR] Session sweep failed: ${err instanceof Error ? err.message : String(err)}`));
+      }, every);
+      sweepTimer.unref();
+    },
+
+    /** Stop the sweeper. */
+    stopSweeper() {
+      if (sweepTimer) clearInterval(sweepTimer);
+      sweepTimer = undefined;
+    },
+
+    /**
+     * Execute a session op and return its result payload.
+     * @param {any} req Normalized request with op in SESSION_OPS.
+     */
+    async runOp(req) {
+      if (req.op === 'session_list') {
+        return { sessions: await list() };
+      }
+      const sessionId = req.sessionId;
+      const entry = live.get(sessionId);
+      if (entry && entry.busy > 0) throw new Error(`Session ${sessionId} is in use by a running job`);
+      if (req.op === 'session_close') {
+        const closed = await closeLive(sessionId);
+        let deleted = false;
+        if (!req.keepState) {
+          deleted = !!(await load(sessionId));
+          await fs.rm(filePath(sessionId), { force: true });
+        }
+        return { sessionId, closed, deleted };
+      }
+      if (req.op === 'session_export') {
+        const state = await load(sessionId);
+        if (!state) throw new Error(`Unknown session ${sessionId}`);
+        return { sessionId, state };
+      }
+      if (req.op === 'session_import') {
+        const state = normalizeState(sessionId, req.state);
+        await save(state);
+        // Drop the live context so the next job starts from the imported state.
+        await closeLive(sessionId);
+        return { sessionId, cookies: state.cookies.length, origins: Object.keys(state.origins) };
+      }
+      throw new Error(`Unknown op: ${req.op}`);
+    },
+  };
+}
+
+/**
+ * Run a session op and write meta.json, result.json (and session.json for
+ * exports) and done.json under responses/<id>/, like the worker does.
+ * @param {ReturnType<typeof createSessionStore>} store
+ * @param {any} req Normalized request.
+ * @param {string} responsesDir Absolute path to responses dir.
+ */
+export async function processSessionRequest(store, req, responsesDir) {
+  const outDir = path.join(responsesDir, req.id);
+  await ensureDir(outDir);
+  const startedAt = new Date();
+  /** @type {Record<string, any>} */
+  const meta = { id: req.id, op: req.op, startedAt: startedAt.toISOString(), sessionId: req.sessionId, hadError: false };
+  const metaPath = path.join(outDir, 'meta.json');
+  await writeJSONAtomic(metaPath, meta);
+
+  let errorMessage;
+  try {
+    const result = await store.runOp(req);
+    if (req.op === 'session_export') await writeJSONAtomic(path.join(outDir, 'session.json'), result.state);
+    await writeJSONAtomic(path.join(outDir, 'result.json'), req.op === 'session_export' ? { sessionId: result.sessionId, file: 'session.json' } : result);
+  } catch (err) {
+    errorMessage = err instanceof Error ? err.message : String(err);
+  }
+
+  const finishedAt = new Date();
+  meta.finishedAt = finishedAt.toISOString();
+  meta.durationMs = finishedAt.getTime() - startedAt.getTime();
+  if (errorMessage) {
+    meta.hadError = true;
+    meta.errorMessage = errorMessage;
+  }
+  await writeJSONAtomic(metaPath, meta);
+  const donePath = path.join(outDir, 'done.json');
+  if (errorMessage) {
+    await writeJSONAtomic(donePath, { status: 'error', error: errorMessage });
+    throw new Error(errorMessage);
+  }
+  await writeJSONAtomic(donePath, { status: 'ok' });
+}
@@ -0,0 +1,296 @@
+// @ts-check
+/**
+ * Visual regression (`compare` request field): compare screenshot.png and the
+ * element screenshots taken by `screenshotElement` with baseline images kept
+ * under baselines/<baseline>/ (baselines/<baseline>/<device dir>/ for a
+ * device matrix). Per compared image the job directory gets a diff image
+ * (diff.png for screenshot.png, <name>.diff.png for element shots) when any
+ * pixel differs, and compare.json summarizes the run:
+ *
+ *   { baseline, threshold, tolerance, passed, failed, images: [{ file, status, ratio, … }] }
+ *
+ * Image status: "passed"/"failed" against `threshold`, "new" (no baseline
+ * yet; saved as the baseline), "updated" (`update: "all"`), "missing" (no
+ * baseline and `update: "none"`) or "error" (unreadable image).
+ *
+ * Masked selectors and `ignoreRegions` are left out of the comparison; the
+ * screenshots themselves are not altered. op=baseline_accept copies a
+ * finished job's images over the baselines.
+ */
+import path from 'path';
+import { promises as fs } from 'fs';
+import { decodePNG, encodePNG } from './png.js';
+import { diffImages } from './diff.js';
+import { ensureDir, readJSON, writeFileAtomic, writeJSONAtomic, safeJoin } from './files.js';
+
+const NAME_RE = /^[\w.-]+$/;
+const UPDATE_MODES = ['missing', 'all', 'none'];
+
+/**
+ * @typedef {Object} IgnoreRegion
+ * @property {number} x CSS pixels from the left of the image.
+ * @property {number} y CSS pixels from the top of the image.
+ * @property {number} width
+ * @property {number} height
+ * @property {string=} file Image the region applies to (default "screenshot.png").
+ */
+
+/**
+ * @typedef {Object} CompareSpec
+ * @property {string} baseline Baseline set name: images live in baselines/<baseline>/.
+ * @property {number} threshold Highest mismatch ratio (0–1) that still passes (default 0).
+ * @property {number} tolerance Per-channel difference (0–255) still treated as equal (default 0).
+ * @property {IgnoreRegion[]} ignoreRegions Rectangles left out of the comparison.
+ * @property {string[]} mask Selectors whose elements are left out of the comparison.
+ * @property {boolean} elements Also compare `screenshotElement` images (default true).
+ * @property {'missing'|'all'|'none'} update Save images as baselines: when none exists
+ *   (default), always, or never.
+ * @property {boolean} failOnMismatch Fail the job when the comparison fails (default true).
+ */
+
+/**
+ * A screenshot taken during the job, with what to leave out of its comparison.
+ * @typedef {Object} Shot
+ * @property {string} file File name in the job directory.
+ * @property {number} scale Image pixels per CSS pixel.
+ * @property {Array<import('./diff.js').Region>} masks Masked elements, in image pixels.
+ */
+
+/**
+ * Validate the `compare` request field.
+ * @param {any} raw Untrusted value (may be undefined).
+ * @returns {CompareSpec|undefined}
+ */
+export function normalizeCompare(raw) {
+  if (raw === undefined || raw === null || raw === false) return undefined;
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error('compare must be an object');
+  if (typeof raw.baseline !== 'string' || !NAME_RE.test(raw.baseline)) {
+    throw new Error('compare.baseline must be a name made of letters, digits, ".", "_" and "-"');
+  }
+  /** @param {string} key @param {number} max @param {number} def */
+  const num = (key, max, def) => {
+    const v = raw[key];
+    if (v === undefined) return def;
+    if (typeof v !== 'number' || !(v >= 0 && v <= max)) throw new Error(`compare.${key} must be a number between 0 and ${max}`);
+    return v;
+  };
+  const ignoreRegions = raw.ignoreRegions ?? [];
+  if (!Array.isArray(ignoreRegions)) throw new Error('compare.ignoreRegions must be an array');
+  ignoreRegions.forEach((r, i) => {
+    const ok = r && typeof r === 'object' && ['x', 'y', 'width', 'height'].every((k) => typeof r[k] === 'number' && r[k] >= 0);
+    if (!ok) throw new Error(`compare.ignoreRegions[${i}] needs non-negative x, y, width and height`);
+    if (r.file !== undefined && (typeof r.file !== 'string' || !NAME_RE.test(r.file))) {
+      throw new Error(`compare.ignoreRegions[${i}].file must be a plain file name`);
+    }
+  });
+  const mask = raw.mask ?? [];
+  if (!Array.isArray(mask) || !mask.every((s) => typeof s === 'string' && s)) throw new Error('compare.mask must be an array of selectors');
+  if (raw.update !== undefined && !UPDATE_MODES.includes(raw.update)) {
+    throw new Error(`compare.update must be one of: ${UPDATE_MODES.join(', ')}`);
+  }
+  for (const key of ['elements', 'failOnMismatch']) {
+    if (raw[key] !== undefined && typeof raw[key] !== 'boolean') throw new Error(`compare.${key} must be a boolean`);
+  }
+  return {
+    baseline: raw.baseline,
+    threshold: num('threshold', 1, 0),
+    tolerance: num('tolerance', 255, 0),
+    ignoreRegions,
+    mask,
+    elements: raw.elements ?? true,
+    update: raw.update ?? 'missing',
+    failOnMismatch: raw.failOnMismatch ?? true,
+  };
+}
+
+/**
+ * Measure what a screenshot about to be (or just) taken needs for comparison:
+ * its pixel scale and the boxes of the masked elements, in image pixels.
+ * @param {import('puppeteer').Page} page
+ * @param {string[]} selectors Masked selectors.
+ * @param {{ fullPage?: boolean, clip?: { x: number, y: number } | null }} where fullPage: the
+ *   image starts at the document origin; clip: element box (viewport coordinates) of an element shot.
+ * @returns {Promise<{ scale: number, masks: Array<import('./diff.js').Region> }>}
+ */
+export async function measureShot(page, selectors, where) {
+  return page.evaluate((sels, fullPage, clip) => {
+    const scale = window.devicePixelRatio || 1;
+    const masks = [];
+    for (const sel of sels) {
+      let els = [];
+      try { els = Array.from(document.querySelectorAll(sel)); } catch { continue; }
+      for (const el of els) {
+        const r = el.getBoundingClientRect();
+        if (r.width === 0 || r.height === 0) continue;
+        let x = r.left;
+        let y = r.top;
+        if (clip) { x -= clip.x; y -= clip.y; }
+        else if (fullPage) { x += window.scrollX; y += window.scrollY; }
+        masks.push({ x: x * scale, y: y * scale, width: r.width * scale, height: r.height * scale });
+      }
+    }
+    return { scale, masks };
+  }, selectors, !!where.fullPage, where.clip || null);
+}
+
+/**
+ * Diff image name: diff.png for screenshot.png, <name>.diff.png otherwise.
+ * @param {string} file
+ */
+function diffFileName(file) {
+  return file === 'screenshot.png' ? 'diff.png' : `${file.replace(/\.png$/i, '')}.diff.png`;
+}
+
+/**
+ * Compare the job's screenshots with the baseline set and write diff images
+ * and compare.json into outDir. Never throws for mismatches; check `passed`.
+ * @param {string} outDir Job (or device) directory holding the screenshots.
+ * @param {string} baselineDir Directory of the baseline images for this run.
+ * @param {Shot[]} shots
+ * @param {CompareSpec} spec
+ * @returns {Promise<{ passed: boolean, failed: number, message?: string }>}
+ */
+export async function compareShots(outDir, baselineDir, shots, spec) {
+  const images = [];
+  for (const shot of shots) {
+    /** @type {Record<string, any>} */
+    const entry = { file: shot.file };
+    images.push(entry);
+    try {
+      const current = await fs.readFile(path.join(outDir, shot.file));
+      const basePath = path.join(baselineDir, shot.file);
+      const base = await fs.readFile(basePath).catch(() => undefined);
+      if (base) {
+        const ignore = [
+          ...shot.masks,
+          ...spec.ignoreRegions
+            .filter((r) => (r.file || 'screenshot.png') === shot.file)
+            .map((r) => ({ x: r.x * shot.scale, y: r.y * shot.scale, width: r.width * shot.scale, height: r.height * shot.scale })),
+        ];
+        const d = diffImages(decodePNG(base), decodePNG(current), { tolerance: spec.tolerance, ignore });
+        Object.assign(entry, {
+          ratio: d.ratio,
+          changedPixels: d.changedPixels,
+          totalPixels: d.totalPixels,
+          sizeChanged: d.sizeChanged || undefined,
+          ignoredRegions: ignore.length || undefined,
+        });
+        if (d.changedPixels > 0) {
+          entry.diff = diffFileName(shot.file);
+          await writeFileAtomic(path.join(outDir, entry.diff), encodePNG(d.image));
+        }
+        entry.status = d.ratio <= spec.threshold ? 'passed' : 'failed';
+      } else {
+        entry.status = spec.update === 'none' ? 'missing' : 'new';
+      }
+      if (spec.update === 'all' || entry.status === 'new') {
+        await writeFileAtomic(basePath, current);
+        if (spec.update === 'all') entry.status = 'updated';
+      }
+    } catch (err) {
+      entry.status = 'error';
+      entry.error = err instanceof Error ? err.message : String(err);
+    }
+  }
+
+  const bad = images.filter((i) => i.status === 'failed' || i.status === 'missing' || i.status === 'error');
+  const pct = (/** @type {number} */ r) => `${(r * 100).toFixed(2)}%`;
+  const message = bad.length === 0 ? undefined : `Visual comparison failed: ${bad.map((i) => (
+    i.status === 'failed' ? `${i.file} differs by ${pct(i.ratio)} (threshold ${pct(spec.threshold)})`
+      : i.status === 'missing' ? `${i.file} has no baseline`
+        : `${i.file}: ${i.error}`
+  )).join('; ')}`;
+  await writeJSONAtomic(path.join(outDir, 'compare.json'), {
+    baseline: spec.baseline,
+    threshold: spec.threshold,
+    tolerance: spec.tolerance,
+    passed: bad.length === 0,
+    failed: bad.length,
+    images,
+  });
+  return { passed: bad.length === 0, failed: bad.length, message };
+}
+
+/**
+ * Normalize an op=baseline_accept request.
+ * @param {string} id Job id.
+ * @param {any} raw Untrusted raw JSON.
+ */
+export function normalizeBaselineAccept(id, raw) {
+  if (typeof raw.jobId !== 'string' || !raw.jobId) throw new Error('jobId is required for op=baseline_accept');
+  if (raw.baseline !== undefined && (typeof raw.baseline !== 'string' || !NAME_RE.test(raw.baseline))) {
+    throw new Error('baseline must be a name made of letters, digits, ".", "_" and "-"');
+  }
+  if (raw.files !== undefined && (!Array.isArray(raw.files) || !raw.files.every((f) => typeof f === 'string' && NAME_RE.test(f)))) {
+    throw new Error('files must be an array of file names');
+  }
+  if (raw.priority !== undefined && !Number.isFinite(raw.priority)) throw new Error('priority must be a number');
+  const priority = raw.priority !== undefined ? Math.trunc(raw.priority) : 0;
+  return { id, op: 'baseline_accept', jobId: raw.jobId, baseline: raw.baseline, files: raw.files, priority, url: undefined };
+}
+
+/**
+ * Run op=baseline_accept: copy the images a finished job compared over the
+ * baselines (all of them, or only `files`). Writes meta.json, result.json
+ * `{ jobId, baseline, accepted: [{ file, device?, path }] }` and done.json.
+ * @param {ReturnType<typeof normalizeBaselineAccept>} req
+ * @param {string} responsesDir
+ * @param {string} baselinesDir
+ */
+export async function processBaselineAccept(req, responsesDir, baselinesDir) {
+  const outDir = path.join(responsesDir, req.id);
+  await ensureDir(outDir);
+  const startedAt = new Date();
+  /** @type {Record<string, any>} */
+  const meta = { id: req.id, op: req.op, startedAt: startedAt.toISOString(), jobId: req.jobId, hadError: false };
+  const metaPath = path.join(outDir, 'meta.json');
+  await writeJSONAtomic(metaPath, meta);
+
+  let errorMessage;
+  try {
+    const jobDir = safeJoin(responsesDir, req.jobId);
+    const done = await readJSON(path.join(jobDir, 'done.json')).catch(() => undefined);
+    if (!done) throw new Error(`Job ${req.jobId} has not finished`);
+    const jobMeta = await readJSON(path.join(jobDir, 'meta.json')).catch(() => ({}));
+    // A device matrix compares per device directory.
+    const dirs = Array.isArray(jobMeta.devices) ? jobMeta.devices.map((/** @type {any} */ d) => d.dir) : [''];
+    const accepted = [];
+    let baseline = req.baseline;
+    let reports = 0;
+    for (const dir of dirs) {
+      const report = await readJSON(path.join(jobDir, dir, 'compare.json')).catch(() => undefined);
+      if (!report) continue;
+      reports++;
+      baseline = baseline || report.baseline;
+      for (const img of report.images) {
+        if (req.files && !req.files.includes(img.file)) continue;
+        const src = path.join(jobDir, dir, img.file);
+        const data = await fs.readFile(src).catch(() => undefined);
+        if (!data) continue;
+        const dest = path.join(baselinesDir, /** @type {string} */ (baseline), dir, img.file);
+        await writeFileAtomic(dest, data);
+        accepted.push({ file: img.file, device: dir || undefined, path: path.relative(baselinesDir, dest) });
+      }
+    }
+    if (reports === 0) throw new Error(`Job ${req.jobId} has no compare.json; run it with "compare" first`);
+    if (accepted.length === 0) throw new Error(`No images of job ${req.jobId} matched`);
+    await writeJSONAtomic(path.join(outDir, 'result.json'), { jobId: req.jobId, baseline, accepted });
+  } catch (err) {
+    errorMessage = err instanceof Error ? err.message : String(err);
+  }
+
+  const finishedAt = new Date();
+  meta.finishedAt = finishedAt.toISOString();
+  meta.durationMs = finishedAt.getTime() - startedAt.getTime();
+  if (errorMessage) {
+    meta.hadError = true;
+    meta.errorMessage = errorMessage;
+  }
+  await writeJSONAtomic(metaPath, meta);
+  const donePath = path.join(outDir, 'done.json');
+  if (errorMessage) {
+    await writeJSONAtomic(donePath, { status: 'error', error: errorMessage });
+    throw new Error(errorMessage);
+  }
+  await writeJSONAtomic(donePath, { status: 'ok' });
+}
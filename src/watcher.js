@@ -4,118 +4,452 @@
  * their execution via an in-memory queue, and delegates to the worker.
  *
  * Responsibilities:
- * - Maintain a single long-lived Puppeteer browser.
+ * - Maintain a single long-lived Puppeteer browser (see browser.js): relaunch it
+ *   after crashes, retry the jobs it took down, and recycle it periodically.
  * - Claim request files (move to requests/processing/<id>.json) to avoid double processing.
+ * - Treat requests/processing/ as the durable queue: re-queue orphaned jobs on
+ *   startup, count attempts, and checkpoint unfinished jobs on shutdown.
+ * - Run higher-priority jobs first and honour cancellations (requests/cancel/<id>).
  * - Normalize/validate request fields and apply safe defaults.
  * - Ensure all outputs are written atomically under responses/<id>/.
- * - Log concise status lines and shut down gracefully on SIGINT/SIGTERM.
+ * - Optionally expose the same queue over a local HTTP API (see http.js).
+ * - Run scheduled watches from watches/ and record their changes (see monitor.js).
+ * - Garbage-collect finished jobs under responses/ by age, count and size (see retention.js).
+ * - Keep status.json, .watcher.pid and optional Prometheus metrics up to date (see health.js).
+ * - Log structured entries to the console, a rotating log file and each job's
+ *   responses/<id>/job.log (see log.js); shut down gracefully on SIGINT/SIGTERM.
  */
 import path from 'path';
-import { promises as fs } from 'fs';
+import { promises as fs, existsSync } from 'fs';
+import { EventEmitter } from 'events';
 import chokidar from 'chokidar';
-import puppeteer from 'puppeteer';
 import { v4 as uuidv4 } from 'uuid';
-import { ensureDir, readJSON, writeJSONAtomic } from './files.js';
+import { ensureDir, readJSON, writeJSONAtomic, safeJoin } from './files.js';
 import { processRequest } from './worker.js';
+import { createHttpApi } from './http.js';
+import { createLimiter } from './queue.js';
+import { createBrowserManager } from './browser.js';
+import { createSessionStore, processSessionRequest, SESSION_OPS } from './sessions.js';
+import { normalizeIntercept } from './intercept.js';
+import { normalizeHarOptions } from './har.js';
+import { normalizePdfOptions } from './pdf.js';
+import { normalizeDevices } from './devices.js';
+import { normalizePerfOptions } from './perf.js';
+import { normalizeVideoOptions } from './screencast.js';
+import { normalizeActions } from './actions.js';
+import { normalizeExtract } from './extract.js';
+import { normalizeCrawlOptions, processCrawl } from './crawl.js';
+import { createMonitor } from './monitor.js';
+import { normalizeCompare, normalizeBaselineAccept, processBaselineAccept } from './visual.js';
+import { checkRequestSchema, JOB_ID } from './schema.js';
+import { claimPath } from './claim.js';
+import { createRetention, setPinned } from './retention.js';
+import { createStats, createHeartbeat } from './health.js';
+import { createLogger, createJobLog, errorFields } from './log.js';
+import { loadConfig, applyPreset, configUsage } from './config.js';
 
-const REQUESTS_DIR = path.resolve(process.cwd(), 'requests');
+/**
+ * Configuration (see config.js): defaults, webwatcher.config.json, env vars
+ * and command-line flags, validated before anything starts.
+ */
+const config = loadWatcherConfig();
+
+const REQUESTS_DIR = config.requestsDir;
 const PROCESSING_DIR = path.join(REQUESTS_DIR, 'processing');
-const RESPONSES_DIR = path.resolve(process.cwd(), 'responses');
+const CANCEL_DIR = path.join(REQUESTS_DIR, 'cancel');
+const RESPONSES_DIR = config.responsesDir;
+const SESSIONS_DIR = config.sessionsDir;
+/** Base directory for intercept mock fixtures (`intercept.mocks[].file`) */
+const FIXTURES_DIR = config.fixturesDir;
+/** Watch definitions (scheduled runs) and the history they record, see monitor.js */
+const WATCHES_DIR = config.watchesDir;
+const HISTORY_DIR = config.historyDir;
+/** Baseline images for `compare` (visual regression), see visual.js */
+const BASELINES_DIR = config.baselinesDir;
+/** ffmpeg binary for encoding `recordVideo` screencasts (frames only when missing) */
+const FFMPEG_PATH = config.ffmpegPath;
 
 /** Concurrency limit (default 1) */
-const CONCURRENCY = Math.max(1, parseInt(process.env.CONCURRENCY || '1', 10));
+const CONCURRENCY = config.concurrency;
+
+/** Polling interval of requests/ and requests/cancel/ (default 200ms) */
+const POLL_INTERVAL_MS = config.pollIntervalMs;
+
+/** Optional HTTP API port (disabled unless set) and bind address (default loopback) */
+const HTTP_PORT = config.http.port;
+const HTTP_HOST = config.http.host;
+
+/** Max runs a job may start before recovery gives up on it (default 2) */
+const MAX_ATTEMPTS = config.maxAttempts;
+
+/** How long shutdown waits for running jobs before checkpointing them (default 30s) */
+const SHUTDOWN_GRACE_MS = config.shutdownGraceMs;
+
+/** How long a cancel for an id not claimed yet waits for its request, and how many are kept */
+const PENDING_CANCEL_TTL_MS = 10 * 60 * 1000;
+const MAX_PENDING_CANCELS = 1000;
+
+/**
+ * Retention for finished jobs under responses/ (see retention.js); every rule
+ * is off (0) by default. The failed rules apply to error and cancelled jobs
+ * and default to the general ones.
+ * @type {import('./retention.js').RetentionPolicy}
+ */
+const RETENTION = {
+  maxAgeMs: config.retention.maxAgeMs,
+  keepLast: config.retention.keepLast,
+  maxBytes: (config.retention.maxSizeMb ?? 0) * 1024 * 1024,
+  failed: config.retention.failed,
+};
+
+/** Heartbeat file rewritten every HEARTBEAT_MS, and the PID file (see health.js) */
+const HEARTBEAT_MS = config.health.heartbeatMs;
+
+const log = createLogger({
+  level: config.log.level,
+  format: config.log.format,
+  file: config.log.file,
+  maxBytes: config.log.maxSizeMb * 1024 * 1024,
+  maxFiles: config.log.maxFiles,
+});
+
+/**
+ * Load the configuration from process.argv; print errors (or --help /
+ * --print-config output) and exit instead of starting.
+ */
+function loadWatcherConfig() {
+  try {
+    const loaded = loadConfig({ argv: process.argv.slice(2) });
+    if (loaded.help) {
+      console.log(configUsage());
+      process.exit(0);
+    }
+    if (loaded.print) {
+      console.log(JSON.stringify(loaded.config, null, 2));
+      process.exit(0);
+    }
+    return loaded.config;
+  } catch (err) {
+    if (/** @type {any} */ (err)?.code !== 'ECONFIG') throw err;
+    console.error(`[FATAL] ${err instanceof Error ? err.message : String(err)}`);
+    for (const e of /** @type {any} */ (err).errors) console.error(`  - ${e}`);
+    process.exit(2);
+  }
+}
+
+/**
+ * Logger for one job: every entry carries the job id (and sessionId) and is
+ * also appended to responses/<id>/job.log.
+ * @param {string} id Job id.
+ * @param {string=} sessionId
+ */
+function createJobLogger(id, sessionId) {
+  return log.child({ id, sessionId }, createJobLog(path.join(safeJoin(RESPONSES_DIR, id), 'job.log')));
+}
 
 async function setupDirs() {
   await ensureDir(REQUESTS_DIR);
   await ensureDir(PROCESSING_DIR);
+  await ensureDir(CANCEL_DIR);
   await ensureDir(RESPONSES_DIR);
+  await ensureDir(SESSIONS_DIR);
 }
 
 /**
- * Minimal in-memory limiter (p-limit style) to cap concurrent tasks.
- * @param {number} limit Max concurrent executions.
- * @returns {(fn: () => Promise<void>) => Promise<void>} Enqueue function.
+ * Keep the submitted request as responses/<id>/request.json (without the
+ * `_job` bookkeeping), so a job can be inspected and resubmitted later, and
+ * pin the job when the request says `"pin": true`.
+ * @param {string} id Job id.
+ * @param {any} raw Request JSON as claimed.
  */
-function createLimiter(limit) {
-  let active = 0;
-  /** @type {Array<{fn:()=>Promise<void>, resolve:Function, reject:Function}>} */
-  const queue = [];
-
-  const runNext = () => {
-    if (active >= limit) return;
-    const item = queue.shift();
-    if (!item) return;
-    active++;
-    item.fn()
-      .then(() => item.resolve())
-      .catch((e) => item.reject(e))
-      .finally(() => {
-        active--;
-        setImmediate(runNext);
-      });
-  };
+async function saveRequest(id, raw) {
+  const { _job, ...request } = raw;
+  try {
+    await writeJSONAtomic(path.join(safeJoin(RESPONSES_DIR, id), 'request.json'), { ...request, id });
+    if (raw.pin === true) await setPinned(RESPONSES_DIR, id, true);
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    log.warn(`Could not save request.json: ${msg}`, { id });
+  }
+}
 
-  return function enqueue(fn) {
-    return new Promise((resolve, reject) => {
-      queue.push({ fn, resolve, reject });
-      setImmediate(runNext);
-    });
-  };
+/**
+ * Write meta.json/done.json for a job that finished without reaching the worker.
+ * @param {string} id Job id.
+ * @param {any} raw Raw request (may be partial) used to fill meta fields.
+ * @param {Record<string, any>} metaFields Outcome fields merged into meta.json.
+ * @param {Record<string, any>} done Contents of done.json.
+ */
+async function writeEarlyOutcome(id, raw, metaFields, done) {
+  const outDir = safeJoin(RESPONSES_DIR, id);
+  await ensureDir(outDir);
+  const now = new Date().toISOString();
+  await writeJSONAtomic(path.join(outDir, 'meta.json'), {
+    id,
+    op: raw?.op,
+    startedAt: now,
+    finishedAt: now,
+    durationMs: 0,
+    url: raw?.url,
+    viewport: raw?.viewport,
+    fullPage: raw?.fullPage,
+    waitUntil: raw?.waitUntil,
+    ...metaFields,
+  });
+  await writeJSONAtomic(path.join(outDir, 'done.json'), done);
+}
+
+/**
+ * Write an error meta.json/done.json pair for a job that never reached the worker.
+ * @param {string} id Job id.
+ * @param {any} raw Raw request (may be partial) used to fill meta fields.
+ * @param {string} msg Error message.
+ * @param {Record<string, any>=} extra Additional meta fields; `validationErrors`
+ *   (schema errors, see schema.js) is also written to done.json as `errors`.
+ */
+async function writeFailure(id, raw, msg, extra = {}) {
+  const done = { status: 'error', error: msg, ...(extra.validationErrors ? { errors: extra.validationErrors } : {}) };
+  await writeEarlyOutcome(id, raw, { ...extra, hadError: true, errorMessage: msg }, done);
+}
+
+/**
+ * Write a cancelled meta.json/done.json pair for a job cancelled before it started.
+ * @param {string} id Job id.
+ * @param {any} raw Raw request used to fill meta fields.
+ */
+async function writeCancelled(id, raw) {
+  await writeEarlyOutcome(id, raw, { hadError: false, cancelled: true }, { status: 'cancelled' });
+}
+
+/**
+ * Read the bookkeeping the watcher keeps alongside a claimed request.
+ * Stored under the reserved `_job` key of requests/processing/<id>.json.
+ * @param {any} raw Claimed request JSON.
+ * @returns {{ attempts: number, claimedAt?: string, interrupted?: boolean, lastInterruption?: string }}
+ */
+function jobState(raw) {
+  const st = raw && typeof raw._job === 'object' && raw._job ? raw._job : {};
+  return { ...st, attempts: Number.isInteger(st.attempts) && st.attempts > 0 ? st.attempts : 0 };
 }
 
 /**
  * Normalize and validate a raw request object from JSON.
- * Applies sensible defaults and strong typing where practical.
- * @param {any} raw Untrusted raw JSON from a request file.
+ * The request must match schema/request.schema.json (see schema.js); the
+ * feature normalizers then check what a schema cannot (sequence calls,
+ * URL patterns, device presets) and apply defaults. A `preset` named by the
+ * request is merged in first, so its fields are validated like the request's.
+ * @param {any} input Untrusted raw JSON from a request file.
  */
-function normalizeRequest(raw) {
+function normalizeRequest(input) {
+  const raw = applyPreset(input, config.presets);
+  checkRequestSchema(raw);
   const id = String(raw.id || uuidv4());
   const op = raw.op;
-  if (op !== 'render_url' && op !== 'render_html') {
-    throw new Error('op must be "render_url" or "render_html"');
-  }
-  if (op === 'render_url' && !raw.url) throw new Error('url is required for op=render_url');
-  if (op === 'render_html' && !raw.html) throw new Error('html is required for op=render_html');
+  if (SESSION_OPS.includes(op)) return normalizeSessionRequest(id, raw);
+  if (op === 'baseline_accept') return normalizeBaselineAccept(id, raw);
+  const crawl = op === 'crawl' ? normalizeCrawlOptions(raw.crawl, raw.url) : undefined;
 
-  const viewport = raw.viewport || { width: 1280, height: 800, deviceScaleFactor: 1 };
+  const viewport = raw.viewport || config.defaults.viewport;
   const fullPage = raw.fullPage !== undefined ? !!raw.fullPage : true;
-  const waitUntil = raw.waitUntil || 'networkidle2';
-  const timeoutMs = raw.timeoutMs ?? 30000;
+  const waitUntil = raw.waitUntil || config.defaults.waitUntil;
+  const timeoutMs = raw.timeoutMs ?? config.defaults.timeoutMs;
   const userAgent = raw.userAgent;
   const extraHeaders = raw.extraHeaders;
   const screenshot = raw.screenshot !== undefined ? !!raw.screenshot : true;
   const htmlOutput = raw.htmlOutput !== undefined ? !!raw.htmlOutput : true;
+  const textOutput = raw.textOutput === true ? 'body' : raw.textOutput || undefined;
 
   const postWaitMs = raw.postWaitMs;
-  const actions = Array.isArray(raw.actions) ? raw.actions : undefined;
+  const { actions, sequences } = normalizeActions(raw.actions, raw.sequences);
   const sessionId = raw.sessionId ? String(raw.sessionId) : undefined;
-  const extract = Array.isArray(raw.extract) ? raw.extract : undefined;
+  const extract = normalizeExtract(raw.extract);
+  const compare = normalizeCompare(raw.compare);
   const captureConsole = !!raw.captureConsole;
   const captureNetwork = !!raw.captureNetwork;
   const screenshotOnEachAction = !!raw.screenshotOnEachAction;
+  const onActionError = raw.onActionError;
+  const snapshotOnFailure = !!raw.snapshotOnFailure;
+  const priority = raw.priority ?? 0;
+  const intercept = normalizeIntercept(raw.intercept);
+  const har = normalizeHarOptions(raw.har);
+  const pdf = normalizePdfOptions(raw.pdf);
+  const devices = normalizeDevices(raw.devices);
+  const capturePerformance = normalizePerfOptions(raw.capturePerformance);
+  const recordVideo = normalizeVideoOptions(raw.recordVideo);
+
+  return { id, op, preset: raw.preset, url: raw.url, html: raw.html, viewport, fullPage, waitUntil, timeoutMs, userAgent, extraHeaders, screenshot, htmlOutput, textOutput, postWaitMs, actions, sequences, sessionId, extract, compare, captureConsole, captureNetwork, screenshotOnEachAction, onActionError, snapshotOnFailure, priority, intercept, har, pdf, devices, capturePerformance, recordVideo, crawl };
+}
+
+/**
+ * Re-queue or fail jobs left in requests/processing/ by a previous run
+ * (crash, SIGKILL, or a shutdown that checkpointed them).
+ * - Jobs whose done.json already exists only lost their cleanup; the file is removed.
+ * - Jobs that already started MAX_ATTEMPTS times are failed with done.json.
+ * - Everything else is re-queued in claim order.
+ * @param {(req: any, claimedPath: string, raw: any) => Promise<void>} schedule
+ */
+async function recoverProcessing(schedule) {
+  const names = (await fs.readdir(PROCESSING_DIR).catch(() => [])).filter((n) => n.endsWith('.json') && !n.startsWith('.'));
+  /** @type {Array<{ req: any, claimedPath: string, raw: any, order: number }>} */
+  const pending = [];
+  for (const name of names) {
+    const claimedPath = path.join(PROCESSING_DIR, name);
+    const fileId = path.basename(name, '.json');
+    let raw;
+    try {
+      raw = await readJSON(claimedPath);
+      const done = await fs.stat(path.join(safeJoin(RESPONSES_DIR, fileId), 'done.json')).then(() => true, () => false);
+      if (done) {
+        await fs.unlink(claimedPath).catch(() => {});
+        continue;
+      }
+      const state = jobState(raw);
+      if (state.attempts >= MAX_ATTEMPTS) {
+        const msg = `Job abandoned after ${state.attempts} interrupted attempt(s)`;
+        log.error(msg, { id: fileId, attempt: state.attempts });
+        await writeFailure(fileId, raw, msg, { attempt: state.attempts });
+        await fs.unlink(claimedPath).catch(() => {});
+        continue;
+      }
+      const req = normalizeRequest({ ...raw, id: fileId });
+      const st = await fs.stat(claimedPath);
+      const order = Date.parse(state.claimedAt || '') || st.mtimeMs;
+      pending.push({ req, claimedPath, raw: { ...raw, id: fileId }, order });
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      log.error(`Failed to recover ${name}: ${msg}`, { id: fileId });
+      try { await writeFailure(fileId, raw, `Recovery failed: ${msg}`); } catch {}
+      await fs.unlink(claimedPath).catch(() => {});
+    }
+  }
+  pending.sort((a, b) => a.order - b.order);
+  for (const p of pending) {
+    const { attempts, interrupted } = jobState(p.raw);
+    log.info(`Recovered with ${attempts} attempt(s) so far${interrupted ? ' (checkpointed)' : ''}`, { tag: 'RECOVER', id: p.req.id, attempts });
+    schedule(p.req, p.claimedPath, p.raw);
+  }
+}
 
-  return { id, op, url: raw.url, html: raw.html, viewport, fullPage, waitUntil, timeoutMs, userAgent, extraHeaders, screenshot, htmlOutput, postWaitMs, actions, sessionId, extract, captureConsole, captureNetwork, screenshotOnEachAction };
+/**
+ * Normalize a session op request (session_list/close/export/import).
+ * @param {string} id Job id.
+ * @param {any} raw Untrusted raw JSON.
+ */
+function normalizeSessionRequest(id, raw) {
+  const priority = raw.priority ?? 0;
+  return { id, op: raw.op, sessionId: raw.sessionId, keepState: !!raw.keepState, state: raw.state, priority, url: undefined };
 }
 
 /** Entry point: start browser, wire up watcher, and handle shutdown. */
 async function main() {
   await setupDirs();
 
-  const enqueue = createLimiter(CONCURRENCY);
+  const limiter = createLimiter(CONCURRENCY);
   let shuttingDown = false;
 
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: [
-      '--use-gl=swiftshader',
-      '--enable-webgl',
-      '--ignore-gpu-blocklist',
-      '--no-sandbox'
-    ],
+  const sessions = createSessionStore({
+    dir: SESSIONS_DIR,
+    idleMs: config.sessions.idleMs,
+    ttlMs: config.sessions.ttlMs,
+    log: (line) => log.line(line),
   });
 
-  /** @type {Map<string, import('puppeteer').BrowserContext>} */
-  const sessionContexts = new Map();
+  /**
+   * Live state of jobs this process has accepted but not yet finished.
+   * Finished jobs are dropped; their state is then read back from disk.
+   * @type {Map<string, { state: 'queued'|'running', queuedAt: string, startedAt?: string, attempt?: number, raw: any, claimedPath: string, priority: number, abort: AbortController }>}
+   */
+  const jobs = new Map();
+  /**
+   * Cancellations for ids not (yet) known, applied when the job gets claimed:
+   * id → expiry time. Insertion order is expiry order, so the oldest go first.
+   * @type {Map<string, number>}
+   */
+  const pendingCancels = new Map();
+  /** Ids of running jobs checkpointed by stop(); their outcome must not be recorded. */
+  const interrupted = new Set();
+  /** Ids being claimed (between the duplicate check and schedule()). */
+  const claiming = new Set();
+  /** Ids a new request may not take: queued, running or being claimed. */
+  const taken = { has: (/** @type {string} */ id) => jobs.has(id) || claiming.has(id) };
+  /** Progress bus; every transition is emitted as 'progress' with `{ id, state, ... }`. */
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  /** Outcome counts and durations for status.json and metrics. */
+  const stats = createStats();
+  const startedAt = new Date();
+  /** @type {import('./health.js').WatcherStatus['state']} */
+  let lifecycle = 'starting';
+
+  const browsers = createBrowserManager({
+    launchOptions: {
+      headless: config.browser.headless,
+      executablePath: config.browser.executablePath,
+      // Signals are handled by stop() so running jobs can drain first.
+      handleSIGINT: false,
+      handleSIGTERM: false,
+      handleSIGHUP: false,
+      args: config.browser.args,
+    },
+    recycleAfterJobs: config.browser.recycleJobs,
+    maxMemoryMb: config.browser.maxMemoryMb,
+    onEvent: (evt) => {
+      if (evt.type === 'launch') {
+        log.info(`Browser launched (generation=${evt.generation}${evt.version ? ` version=${evt.version}` : ''}).`, { generation: evt.generation, version: evt.version });
+      } else if (evt.type === 'launch_failed') {
+        log.error(`Browser launch failed: ${evt.reason}`, { generation: evt.generation });
+      } else {
+        // crash or recycle: every context belonged to the old browser
+        sessions.reset();
+        if (evt.type === 'crash') {
+          log.error(`Browser crashed (generation=${evt.generation}): ${evt.reason}. Relaunching...`, { generation: evt.generation });
+          for (const [, job] of jobs) {
+            if (job.state === 'running') job.abort.abort(Object.assign(new Error('Browser disconnected during job'), { code: 'EBROWSERGONE' }));
+          }
+        } else {
+          log.info(`Recycling browser (generation=${evt.generation}): ${evt.reason}.`, { generation: evt.generation });
+        }
+      }
+    },
+  });
+
+  /**
+   * Snapshot for status.json, GET /status and metrics.
+   * @returns {import('./health.js').WatcherStatus}
+   */
+  const collectStatus = () => ({
+    pid: process.pid,
+    state: lifecycle,
+    startedAt: startedAt.toISOString(),
+    updatedAt: new Date().toISOString(),
+    uptimeMs: Date.now() - startedAt.getTime(),
+    heartbeatMs: HEARTBEAT_MS,
+    browser: {
+      connected: !!browsers.browser?.connected,
+      version: browsers.version,
+      generation: browsers.generation,
+      relaunches: browsers.relaunches,
+    },
+    queue: { depth: limiter.pending, active: limiter.active, concurrency: CONCURRENCY },
+    activeJobs: [...jobs]
+      .filter(([, j]) => j.state === 'running')
+      .map(([id, j]) => ({ id, op: j.raw?.op, url: j.raw?.url, startedAt: j.startedAt, attempt: j.attempt })),
+    sessions: { live: sessions.liveCount },
+    ...stats.snapshot(),
+  });
+
+  const heartbeat = createHeartbeat({
+    statusFile: config.health.statusFile,
+    pidFile: config.health.pidFile,
+    metricsFile: config.health.metricsFile,
+    intervalMs: HEARTBEAT_MS,
+    collect: collectStatus,
+    log: (line) => log.line(line),
+  });
+  await heartbeat.start();
+
+  await browsers.start();
+  sessions.startSweeper();
 
   const watcher = chokidar.watch(path.join(REQUESTS_DIR, '*.json'), {
     ignoreInitial: false,
@@ -123,18 +457,340 @@ async function main() {
     awaitWriteFinish: { stabilityThreshold: 200, pollInterval: 50 },
     depth: 0,
     usePolling: true,
-    interval: 200,
+    interval: POLL_INTERVAL_MS,
   });
 
+  /** @type {Map<string, import('./log.js').Logger>} Loggers of queued and running jobs. */
+  const jobLoggers = new Map();
+  /** @param {{ id: string, sessionId?: string }} req */
+  const jobLogger = (req) => {
+    let jl = jobLoggers.get(req.id);
+    if (!jl) jobLoggers.set(req.id, (jl = createJobLogger(req.id, req.sessionId)));
+    return jl;
+  };
+
+  /**
+   * Run a claimed request through the shared limiter and track its state.
+   * Before each run the attempt counter in the claimed file is bumped, so a
+   * crash mid-run is visible to recovery on the next start.
+   * Never rejects: failures are logged and already reported in done.json by the worker.
+   * @param {ReturnType<typeof normalizeRequest>} req Normalized request.
+   * @param {string} claimedPath Path of the claimed file under requests/processing/.
+   * @param {any} raw Request JSON as stored in the claimed file.
+   */
+  const schedule = (req, claimedPath, raw) => {
+    const abort = new AbortController();
+    jobs.set(req.id, { state: 'queued', queuedAt: new Date().toISOString(), raw, claimedPath, priority: req.priority, abort });
+    events.emit('progress', { id: req.id, state: 'queued', priority: req.priority });
+    const jl = jobLogger(req);
+    const queuedAt = Date.now();
+    jl.info(`op=${req.op}${req.url ? ` url=${req.url}` : ''}${req.priority ? ` priority=${req.priority}` : ''}`, {
+      tag: 'START', phase: 'queue', op: req.op, url: req.url, priority: req.priority, queueDepth: limiter.pending,
+    });
+
+    const queued = limiter.enqueue(async () => {
+      const t0 = Date.now();
+      const state = jobState(raw);
+      const attempt = state.attempts + 1;
+      const checkpoint = { ...raw, _job: { ...state, attempts: attempt, interrupted: undefined } };
+      let retrying = false;
+      jl.debug(`Attempt ${attempt}/${MAX_ATTEMPTS} started after ${t0 - queuedAt}ms in the queue`, { phase: 'queue', attempt, queueWaitMs: t0 - queuedAt });
+      try {
+        await writeJSONAtomic(claimedPath, checkpoint);
+      } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        jl.warn(`could not checkpoint attempt ${attempt}: ${msg}`, { attempt });
+      }
+      jobs.set(req.id, { ...jobs.get(req.id), state: 'running', startedAt: new Date(t0).toISOString(), attempt, raw, claimedPath, priority: req.priority, abort });
+      events.emit('progress', { id: req.id, state: 'running', attempt });
+      let lease;
+      let session;
+      try {
+        if (SESSION_OPS.includes(req.op) || req.op === 'baseline_accept') {
+          if (req.op === 'baseline_accept') await processBaselineAccept(req, RESPONSES_DIR, BASELINES_DIR);
+          else await processSessionRequest(sessions, req, RESPONSES_DIR);
+          const dt = Date.now() - t0;
+          jl.info(`in ${dt}ms`, { tag: 'OK', phase: 'done', durationMs: dt });
+          jobs.delete(req.id);
+          stats.record('ok', dt);
+          events.emit('progress', { id: req.id, state: 'ok', durationMs: dt });
+          return;
+        }
+        const tLease = Date.now();
+        lease = await browsers.acquire();
+        const { browser } = lease;
+        jl.debug(`Browser acquired in ${Date.now() - tLease}ms`, { phase: 'browser', ms: Date.now() - tLease, generation: lease.generation });
+        if (req.sessionId) session = await sessions.open(browser, req.sessionId);
+        const run = req.op === 'crawl' ? processCrawl : processRequest;
+        await run(browser, req, RESPONSES_DIR, session?.context, {
+          session,
+          fixturesDir: FIXTURES_DIR,
+          ffmpegPath: FFMPEG_PATH,
+          baselinesDir: BASELINES_DIR,
+          attempt,
+          signal: abort.signal,
+          retryOnInterrupt: attempt < MAX_ATTEMPTS,
+          browserInfo: { generation: lease.generation, relaunches: lease.relaunches },
+          previousInterruption: state.lastInterruption,
+          onProgress: (p) => events.emit('progress', { id: req.id, state: 'running', ...p }),
+          log: jl,
+        });
+        const dt = Date.now() - t0;
+        if (interrupted.has(req.id)) return;
+        jl.info(`in ${dt}ms`, { tag: 'OK', phase: 'done', durationMs: dt });
+        jobs.delete(req.id);
+        stats.record('ok', dt);
+        events.emit('progress', { id: req.id, state: 'ok', durationMs: dt });
+      } catch (err) {
+        const dt = Date.now() - t0;
+        // Shutdown closed the browser before this job could get it: keep it for the next start.
+        if (!lease && shuttingDown) interrupted.add(req.id);
+        if (interrupted.has(req.id)) return;
+        jobs.delete(req.id);
+        if (/** @type {any} */ (err)?.code === 'ECANCELLED') {
+          jl.info(`after ${dt}ms`, { tag: 'CANCEL', phase: 'done', durationMs: dt });
+          stats.record('cancelled');
+          events.emit('progress', { id: req.id, state: 'cancelled', durationMs: dt });
+          return;
+        }
+        if (/** @type {any} */ (err)?.code === 'EINTERRUPTED') {
+          const msg = err instanceof Error ? err.message : String(err);
+          jl.warn(`attempt ${attempt}/${MAX_ATTEMPTS} interrupted after ${dt}ms: ${msg}`, { tag: 'RETRY', attempt, durationMs: dt, error: msg });
+          retrying = true;
+          stats.record('retried');
+          schedule(req, claimedPath, { ...checkpoint, _job: { ...checkpoint._job, lastInterruption: msg } });
+          return;
+        }
+        const msg = err instanceof Error ? err.message : String(err);
+        jl.error(`in ${dt}ms: ${msg}`, { phase: 'done', durationMs: dt, ...errorFields(err) });
+        stats.record('error', dt);
+        events.emit('progress', { id: req.id, state: 'error', durationMs: dt, error: msg });
+      } finally {
+        if (session && req.sessionId) sessions.release(req.sessionId);
+        if (lease) await browsers.release(lease);
+        // Interrupted jobs keep their claimed file so the next start re-queues them.
+        if (!interrupted.has(req.id) && !retrying) {
+          try { await fs.unlink(claimedPath); } catch {}
+          jobLoggers.delete(req.id);
+        }
+        await jl.flush();
+      }
+    }, { key: req.id, priority: req.priority });
+
+    if (takePendingCancel(req.id)) cancelJob(req.id).catch(() => {});
+    return queued;
+  };
+
+  /**
+   * Remember a cancel for an id not claimed yet. Entries expire after
+   * PENDING_CANCEL_TTL_MS and at most MAX_PENDING_CANCELS are kept, so cancels
+   * for ids that never arrive do not pile up.
+   * @param {string} id
+   */
+  const rememberCancel = (id) => {
+    const now = Date.now();
+    for (const [k, expires] of pendingCancels) {
+      if (expires > now) break;
+      pendingCancels.delete(k);
+    }
+    pendingCancels.delete(id);
+    if (pendingCancels.size >= MAX_PENDING_CANCELS) pendingCancels.delete(/** @type {string} */ (pendingCancels.keys().next().value));
+    pendingCancels.set(id, now + PENDING_CANCEL_TTL_MS);
+  };
+
+  /**
+   * Consume the pending cancel for an id being claimed.
+   * @param {string} id
+   * @returns {boolean} True if one was waiting and has not expired.
+   */
+  const takePendingCancel = (id) => {
+    const expires = pendingCancels.get(id);
+    pendingCancels.delete(id);
+    return expires !== undefined && expires > Date.now();
+  };
+
+  /**
+   * Cancel a job. Queued jobs are removed from the queue and finished with
+   * done.json `{ status: "cancelled" }` right away; running jobs are aborted
+   * and the worker writes the cancelled outcome. Unknown ids are remembered
+   * in case their request file has not been claimed yet.
+   * @param {string} id Job id.
+   * @returns {Promise<'cancelled'|'cancelling'|'finished'|'pending'>} What happened.
+   */
+  const cancelJob = async (id) => {
+    const job = jobs.get(id);
+    if (!job) {
+      const done = await fs.stat(path.join(safeJoin(RESPONSES_DIR, id), 'done.json')).then(() => true, () => false);
+      if (done) return 'finished';
+      rememberCancel(id);
+      return 'pending';
+    }
+    // Not in the queue any more: it is starting or running, so abort it in the worker.
+    if (job.state === 'running' || !limiter.cancel(id)) {
+      job.abort.abort(Object.assign(new Error('Job cancelled'), { code: 'ECANCELLED' }));
+      return 'cancelling';
+    }
+    jobs.delete(id);
+    const jl = jobLoggers.get(id) ?? log.child({ id });
+    jobLoggers.delete(id);
+    try {
+      await writeCancelled(id, job.raw);
+    } catch (err) {
+      jl.error(`could not record cancellation: ${err instanceof Error ? err.message : String(err)}`, errorFields(err));
+    }
+    try { await fs.unlink(job.claimedPath); } catch {}
+    jl.info('(queued)', { tag: 'CANCEL', phase: 'done' });
+    await jl.flush();
+    stats.record('cancelled');
+    events.emit('progress', { id, state: 'cancelled' });
+    return 'cancelled';
+  };
+
+  /**
+   * Accept a raw request from the HTTP API: validate, claim and enqueue it.
+   * The request is written to requests/processing/<id>.json exactly as a
+   * claimed file would be, so both submission paths share the same lifecycle.
+   * @param {any} raw Untrusted request JSON.
+   * @returns {Promise<{id:string}>} Assigned job id.
+   */
+  const submit = async (raw) => {
+    if (shuttingDown) throw new Error('Watcher is shutting down');
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('Request body must be a JSON object');
+    let req;
+    try {
+      req = normalizeRequest(raw);
+    } catch (err) {
+      stats.record('rejected');
+      if (typeof raw.id === 'string') pendingCancels.delete(raw.id);
+      throw err;
+    }
+    safeJoin(RESPONSES_DIR, req.id);
+    const claimedPath = claimPath(PROCESSING_DIR, req.id, taken);
+    claiming.add(req.id);
+    try {
+      const stored = { ...raw, id: req.id, _job: { attempts: 0, claimedAt: new Date().toISOString() } };
+      await writeJSONAtomic(claimedPath, stored);
+      await saveRequest(req.id, stored);
+      jobLogger(req).debug('Accepted over HTTP', { phase: 'claim' });
+      schedule(req, claimedPath, stored);
+    } finally {
+      claiming.delete(req.id);
+    }
+    return { id: req.id };
+  };
+
+  /**
+   * Resolve a job's state: live jobs from memory, finished ones from disk.
+   * @param {string} id Job id.
+   */
+  const getStatus = async (id) => {
+    const outDir = safeJoin(RESPONSES_DIR, id);
+    const meta = await readJSON(path.join(outDir, 'meta.json')).catch(() => undefined);
+    const live = jobs.get(id);
+    if (live) return { id, state: live.state, queuedAt: live.queuedAt, startedAt: live.startedAt, attempt: live.attempt, meta };
+    const done = await readJSON(path.join(outDir, 'done.json')).catch(() => undefined);
+    if (done) return { id, state: done.status, meta, done };
+    const pending = await fs.stat(path.join(PROCESSING_DIR, `${id}.json`)).then(() => true, () => false);
+    if (pending) return { id, state: 'queued', meta };
+    if (meta) return { id, state: 'running', meta };
+    return null;
+  };
+
+  /** @type {import('http').Server|undefined} */
+  let server;
+  if (HTTP_PORT !== undefined) {
+    server = createHttpApi({ submit, getStatus, cancel: cancelJob, events, responsesDir: RESPONSES_DIR, status: collectStatus });
+    await new Promise((resolve, reject) => {
+      server?.once('error', reject);
+      server?.listen(HTTP_PORT, HTTP_HOST, () => resolve(undefined));
+    });
+    log.info(`HTTP API listening on http://${HTTP_HOST}:${HTTP_PORT}`);
+  }
+
+  const monitor = createMonitor({
+    dir: WATCHES_DIR,
+    historyDir: HISTORY_DIR,
+    responsesDir: RESPONSES_DIR,
+    submit,
+    getStatus,
+    events,
+    validateRequest: normalizeRequest,
+    log: (line) => log.line(line),
+  });
+
+  const retention = createRetention({
+    responsesDir: RESPONSES_DIR,
+    policy: RETENTION,
+    intervalMs: config.retention.intervalMs,
+    // Claimed files cover jobs another watcher process is running on the same directories.
+    isActive: (id) => jobs.has(id) || existsSync(path.join(PROCESSING_DIR, `${id}.json`)),
+    log: (line) => log.line(line),
+  });
+
+  /** @type {import('chokidar').FSWatcher|undefined} */
+  let cancelWatcher;
+
   const stop = async () => {
     if (shuttingDown) return;
     shuttingDown = true;
-    console.log('[INF] Shutdown requested. Closing watcher...');
+    lifecycle = 'stopping';
+    heartbeat.beat();
+    log.info('Shutdown requested. Closing watcher...');
+    await monitor.stop();
+    retention.stop();
     try { await watcher.close(); } catch {}
-    // Wait briefly for in-flight tasks; limiter will finish queued tasks naturally
-    console.log('[INF] Closing browser...');
-    try { await browser.close(); } catch {}
-    console.log('[INF] Bye.');
+    try { await cancelWatcher?.close(); } catch {}
+    if (server) {
+      log.info('Closing HTTP API...');
+      server.close();
+      server.closeAllConnections?.();
+    }
+    // Queued jobs stay claimed under requests/processing/ and are recovered on next start.
+    limiter.pause();
+    if (limiter.pending > 0) log.info(`Leaving ${limiter.pending} queued job(s) for the next start.`);
+    if (limiter.active > 0) {
+      log.info(`Waiting up to ${SHUTDOWN_GRACE_MS}ms for ${limiter.active} running job(s)...`);
+      let timer;
+      const drained = await Promise.race([
+        limiter.idle().then(() => true),
+        new Promise((r) => { timer = setTimeout(() => r(false), SHUTDOWN_GRACE_MS); }),
+      ]);
+      clearTimeout(timer);
+      if (!drained) {
+        await checkpointRunning();
+        lifecycle = 'stopped';
+        await heartbeat.stop();
+        // Exit without closing the browser: closing it would fail the
+        // checkpointed jobs. Puppeteer kills Chromium on process exit.
+        log.info('Bye.');
+        process.exit(0);
+      }
+    }
+    sessions.stopSweeper();
+    log.info('Closing browser...');
+    await browsers.close();
+    lifecycle = 'stopped';
+    await heartbeat.stop();
+    log.info('Bye.');
+  };
+
+  /**
+   * Mark still-running jobs as interrupted and give back the attempt they
+   * were using, so a redeploy does not count against MAX_ATTEMPTS.
+   */
+  const checkpointRunning = async () => {
+    for (const [id, job] of jobs) {
+      if (job.state !== 'running' || !job.claimedPath) continue;
+      interrupted.add(id);
+      const state = jobState(job.raw);
+      try {
+        await writeJSONAtomic(job.claimedPath, { ...job.raw, _job: { ...state, attempts: state.attempts, interrupted: true } });
+        jobLoggers.get(id)?.info('Checkpointed for the next start');
+      } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        log.error(`Failed to checkpoint: ${msg}`, { id });
+      }
+    }
   };
 
   process.on('SIGINT', stop);
@@ -143,73 +799,81 @@ async function main() {
   watcher.on('add', async (filePath) => {
     if (shuttingDown) return;
     // Attempt to read, normalize, then move to processing/<id>.json to claim
+    const t0 = Date.now();
     try {
       const raw = await readJSON(filePath);
       const req = normalizeRequest(raw);
-      const claimedPath = path.join(PROCESSING_DIR, `${req.id}.json`);
+      const claimedPath = claimPath(PROCESSING_DIR, req.id, taken);
+      claiming.add(req.id);
+      let run;
       try {
-        await fs.rename(filePath, claimedPath);
-      } catch (e) {
-        // If rename fails because the file vanished, ignore
-      }
-
-      console.log(`[START] id=${req.id} op=${req.op} ${req.url ? `url=${req.url}` : ''}`.trim());
-
-      await enqueue(async () => {
-        const t0 = Date.now();
         try {
-          let context = undefined;
-          if (req.sessionId) {
-            context = sessionContexts.get(req.sessionId);
-            if (!context) {
-              context = await browser.createIncognitoBrowserContext();
-              sessionContexts.set(req.sessionId, context);
-            }
-          }
-          await processRequest(browser, req, RESPONSES_DIR, context);
-          const dt = Date.now() - t0;
-          console.log(`[OK] id=${req.id} in ${dt}ms`);
-        } catch (err) {
-          const dt = Date.now() - t0;
-          const msg = err instanceof Error ? err.message : String(err);
-          console.error(`[ERR] id=${req.id} in ${dt}ms: ${msg}`);
-        } finally {
-          try { await fs.unlink(claimedPath); } catch {}
+          await fs.rename(filePath, claimedPath);
+        } catch (e) {
+          // If rename fails because the file vanished, ignore
         }
-      });
+        await saveRequest(req.id, raw);
+        jobLogger(req).debug(`Claimed requests/${path.basename(filePath)} in ${Date.now() - t0}ms`, { phase: 'claim', file: path.basename(filePath), ms: Date.now() - t0 });
+        run = schedule(req, claimedPath, { ...raw, _job: { attempts: 0, claimedAt: new Date().toISOString() } });
+      } finally {
+        claiming.delete(req.id);
+      }
+      await run;
     } catch (err) {
       const msg = err instanceof Error ? err.message : String(err);
-      console.error(`[ERR] Failed to handle request file ${path.basename(filePath)}: ${msg}`);
+      log.error(`Failed to handle request file ${path.basename(filePath)}: ${msg}`, { file: path.basename(filePath) });
+      stats.record('rejected');
       // Try to write an error response if we can parse an id
       try {
         const raw = await readJSON(filePath).catch(() => ({}));
-        const id = raw?.id || uuidv4();
-        const outDir = path.join(RESPONSES_DIR, id);
-        await ensureDir(outDir);
-        const startedAt = new Date().toISOString();
-        await writeJSONAtomic(path.join(outDir, 'meta.json'), {
-          id,
-          op: raw?.op,
-          startedAt,
-          finishedAt: new Date().toISOString(),
-          durationMs: 0,
-          url: raw?.url,
-          viewport: raw?.viewport,
-          fullPage: raw?.fullPage,
-          waitUntil: raw?.waitUntil,
-          hadError: true,
-          errorMessage: msg,
-        });
-        await writeJSONAtomic(path.join(outDir, 'done.json'), { status: 'error', error: msg });
+        const errors = /** @type {any} */ (err)?.errors;
+        // An invalid id cannot name the output directory, and a duplicate's belongs
+        // to the job already using it; report those under a fresh id.
+        const ownId = typeof raw?.id === 'string' && JOB_ID.test(raw.id) && /** @type {any} */ (err)?.code !== 'EJOBEXISTS';
+        // A cancel waiting for this id was meant for the request just rejected.
+        if (ownId) pendingCancels.delete(raw.id);
+        await writeFailure(ownId ? raw.id : uuidv4(), raw, msg, errors ? { validationErrors: errors } : {});
       } catch {}
       try { await fs.unlink(filePath); } catch {}
     }
   });
 
-  console.log(`[INF] Web Watcher started. Watching ${path.join('requests', '*.json')} (concurrency=${CONCURRENCY}).`);
+  await recoverProcessing(schedule);
+
+  // Cancellation requests: any file named requests/cancel/<id> (or <id>.json).
+  // Started after recovery so cancels left from a previous run find their job.
+  cancelWatcher = chokidar.watch(CANCEL_DIR, {
+    ignoreInitial: false,
+    ignored: [/(^|[/\\])\../],
+    depth: 0,
+    usePolling: true,
+    interval: POLL_INTERVAL_MS,
+  });
+  cancelWatcher.on('add', async (filePath) => {
+    const id = path.basename(filePath).replace(/\.json$/, '');
+    try { await fs.unlink(filePath); } catch {}
+    if (shuttingDown || !id) return;
+    try {
+      const outcome = await cancelJob(id);
+      if (outcome === 'pending') log.info('Not known yet; will cancel when claimed', { tag: 'CANCEL', id });
+      else if (outcome === 'finished') log.info('Already finished; ignoring', { tag: 'CANCEL', id });
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      log.error(`Failed to cancel: ${msg}`, { id });
+    }
+  });
+
+  // After recovery, so runs left in flight by the previous process are found in the queue.
+  await monitor.start();
+  retention.start();
+  lifecycle = 'running';
+  heartbeat.beat();
+
+  const watching = path.join(path.relative(process.cwd(), REQUESTS_DIR) || '.', '*.json');
+  log.info(`Web Watcher started. Watching ${watching} (concurrency=${CONCURRENCY}).`, { pid: process.pid, concurrency: CONCURRENCY, configFile: config.configFile });
 }
 
 main().catch((err) => {
-  console.error('[FATAL]', err);
+  log.error(err instanceof Error ? err.message : String(err), { tag: 'FATAL', ...errorFields(err) });
   process.exit(1);
 });
@@ -8,18 +8,44 @@
  *   creates and disposes a fresh Page per request.
  * - Meta is written first (without finishedAt), then updated upon completion,
  *   ensuring consumers can track progress without partial artifacts.
+ * - progress.json mirrors the latest onProgress event (phase, step N of M)
+ *   for clients that only see the filesystem; it is flushed before done.json.
+ * - manifest.json (see manifest.js) lists every artifact with size, MIME type
+ *   and sha256; it is written right before done.json, also for failed jobs.
  * - Any thrown error is captured and reported to both meta.json and done.json.
+ * - Cancellation (AbortSignal) closes the page, which makes any pending
+ *   navigation or action reject; the job then ends as "cancelled".
+ * - If the browser goes away mid-job and the caller allows a retry, done.json
+ *   is not written and an EINTERRUPTED error is thrown instead.
+ * - With a `log` (the job's logger), every phase — navigation, each action,
+ *   each output file, extraction, comparison — is logged with its timing;
+ *   job.log is flushed before done.json.
+ * - With a `devices` matrix the page outputs of each profile go to
+ *   responses/<id>/<device dir>/; meta.json and done.json stay at the top and
+ *   cover all devices (a device that fails does not stop the others).
  */
 import path from 'path';
-import { writeFileAtomic, writeJSONAtomic, ensureDir } from './files.js';
+import { promises as fs } from 'fs';
+import { writeFileAtomic, writeJSONAtomic, ensureDir, sleep, createStatusFile } from './files.js';
+import { runActions, stepsReport } from './actions.js';
+import { setupInterception } from './intercept.js';
+import { startHarRecorder } from './har.js';
+import { printPdf } from './pdf.js';
+import { startPerfCapture } from './perf.js';
+import { startScreencast } from './screencast.js';
+import { performExtracts } from './extract.js';
+import { measureShot, compareShots } from './visual.js';
+import { writeManifest } from './manifest.js';
 
 /**
  * @typedef {Object} RenderRequest
  * @property {string} id
- * @property {"render_url"|"render_html"} op
+ * @property {"render_url"|"render_html"|"crawl"} op
+ * @property {string=} preset Watcher preset merged into the request (see config.js).
  * @property {string=} url
  * @property {string=} html
  * @property {{width:number,height:number,deviceScaleFactor?:number}=} viewport
+ * @property {Array<import('./devices.js').DeviceProfile>=} devices Render once per profile instead of using viewport.
  * @property {boolean=} fullPage
  * @property {import('puppeteer').PuppeteerLifeCycleEvent=} waitUntil
  * @property {number=} timeoutMs
@@ -27,34 +53,47 @@ import { writeFileAtomic, writeJSONAtomic, ensureDir } from './files.js';
  * @property {Record<string,string>=} extraHeaders
  * @property {boolean=} screenshot
  * @property {boolean=} htmlOutput
+ * @property {string=} textOutput Write page.txt with the visible text of the elements matching this selector.
+ * @property {import('./pdf.js').PdfOptions=} pdf Print page.pdf after actions (omit to skip).
  * @property {number=} postWaitMs
- * @property {Array<PageAction>=} actions
+ * @property {Array<import('./actions.js').PageAction>=} actions
+ * @property {Record<string, Array<import('./actions.js').PageAction>>=} sequences Named action lists for `call`.
+ * @property {'stop'|'continue'|'ignore'=} onActionError What a failing action does to the job (default "stop").
+ * @property {boolean=} snapshotOnFailure Save step-<n>-failed.png/.html when an action fails.
  * @property {string=} sessionId
- * @property {Array<ExtractSpec>=} extract
+ * @property {Array<import('./extract.js').ExtractSpec>=} extract
+ * @property {import('./visual.js').CompareSpec=} compare Compare screenshots with baselines (see visual.js).
  * @property {boolean=} captureConsole
  * @property {boolean=} captureNetwork
+ * @property {import('./perf.js').PerfOptions=} capturePerformance Write perf.json (and trace.json with `trace`).
  * @property {boolean=} screenshotOnEachAction
+ * @property {import('./screencast.js').VideoOptions=} recordVideo Record a screencast into video/.
+ * @property {number=} priority
+ * @property {import('./intercept.js').InterceptSpec=} intercept
+ * @property {import('./har.js').HarOptions=} har Options for network.har (written when captureNetwork is on).
+ * @property {import('./crawl.js').CrawlOptions=} crawl Options of op=crawl (see crawl.js).
  */
 
 /**
- * @typedef {(
- *   | { type: 'waitForSelector', selector: string, timeoutMs?: number }
- *   | { type: 'click', selector: string, timeoutMs?: number }
- *   | { type: 'clickAt', x: number, y: number }
- *   | { type: 'waitForTime', ms: number }
- *   | { type: 'waitForFunction', fn: string, timeoutMs?: number }
- *   | { type: 'waitForCanvasPaint', timeoutMs?: number, intervalMs?: number }
- *   | { type: 'muteHeuristic' }
- * )} PageAction
- */
-
-/**
- * @typedef {(
- *   | { type: 'text', selector: string, all?: boolean, name?: string }
- *   | { type: 'attr', selector: string, name: string, all?: boolean, key?: string }
- *   | { type: 'html', selector: string, all?: boolean, name?: string }
- *   | { type: 'exists', selector: string, name?: string }
- * )} ExtractSpec
+ * @typedef {Object} ProcessOptions
+ * @property {number=} attempt 1-based run number, recorded in meta.json.
+ * @property {AbortSignal=} signal Aborts the job; done.json then reports status "cancelled"
+ *   unless the abort reason has code EBROWSERGONE (browser crash).
+ * @property {boolean=} retryOnInterrupt If the browser disconnects mid-job, skip done.json
+ *   and throw code EINTERRUPTED so the caller can run the job again.
+ * @property {{ generation:number, relaunches:number }=} browserInfo Browser launch counters, recorded in meta.json.
+ * @property {string=} previousInterruption Why the previous attempt was interrupted, recorded in meta.json.
+ * @property {string=} fixturesDir Base directory for `intercept.mocks[].file` fixtures.
+ * @property {string=} ffmpegPath ffmpeg binary used to encode `recordVideo` frames (default "ffmpeg").
+ * @property {string=} baselinesDir Base directory of `compare` baselines.
+ * @property {import('./sessions.js').SessionHandle=} session Session whose context is used;
+ *   saved storage is restored into the page and its state persisted afterwards.
+ * @property {(p: { phase: string, [key: string]: any }) => void=} onProgress
+ *   Called as the job moves through phases (navigate, action, output, extract, compare).
+ * @property {string=} outDir Write outputs here instead of responses/<id>/ (crawl pages).
+ * @property {(page: import('puppeteer').Page) => Promise<void>=} onRendered
+ *   Called with the page once outputs are written, before it is closed.
+ * @property {import('./log.js').Logger=} log Job logger; gets one entry per phase with timings.
  */
 
 /**
@@ -63,23 +102,37 @@ import { writeFileAtomic, writeJSONAtomic, ensureDir } from './files.js';
  * @param {import('puppeteer').Browser} browser
  * @param {RenderRequest} req
  * @param {string} responsesDir absolute path to responses dir
+ * @param {import('puppeteer').BrowserContext=} context optional session context
+ * @param {ProcessOptions=} opts optional hooks
  */
-export async function processRequest(browser, req, responsesDir, context) {
+export async function processRequest(browser, req, responsesDir, context, opts = {}) {
   const id = req.id;
-  const outDir = path.join(responsesDir, id);
+  const outDir = opts.outDir || path.join(responsesDir, id);
   await ensureDir(outDir);
+  // Crawl pages (outDir set) report through the crawl's own progress.json.
+  const status = opts.outDir ? undefined : createStatusFile(path.join(outDir, 'progress.json'));
+  const progress = (p) => {
+    status?.update(p);
+    try { opts.onProgress?.(p); } catch {}
+  };
 
   const startedAt = new Date();
 
-  /** @type {{ id:string, op:string, startedAt:string, finishedAt?:string, durationMs?:number, url?:string, viewport?:any, fullPage?:boolean, waitUntil?:string, hadError?:boolean, errorMessage?:string }} */
+  /** @type {{ id:string, op:string, preset?:string, startedAt:string, finishedAt?:string, durationMs?:number, url?:string, viewport?:any, fullPage?:boolean, waitUntil?:string, attempt?:number, browser?:{generation:number,relaunches:number}, previousInterruption?:string, sessionId?:string, sessionRestored?:boolean, devices?:Array<any>, httpStatus?:number, finalUrl?:string, failedStep?:string, compare?:{passed:boolean,failed:number}, interrupted?:string, hadError?:boolean, errorMessage?:string, cancelled?:boolean }} */
   const meta = {
     id,
     op: req.op,
+    preset: req.preset,
     startedAt: startedAt.toISOString(),
     url: req.url,
-    viewport: req.viewport,
+    viewport: req.devices ? undefined : req.viewport,
     fullPage: req.fullPage,
     waitUntil: req.waitUntil,
+    attempt: opts.attempt,
+    browser: opts.browserInfo,
+    previousInterruption: opts.previousInterruption,
+    sessionId: req.sessionId,
+    sessionRestored: opts.session ? opts.session.restored : undefined,
     hadError: false,
   };
 
@@ -87,14 +140,178 @@ export async function processRequest(browser, req, responsesDir, context) {
   await writeJSONAtomic(metaPath, meta);
 
   let errorMessage = undefined;
+  let cancelled = false;
+  /** @type {string|undefined} */
+  let interruption = undefined;
+  // A device matrix renders once per profile into responses/<id>/<dir>/;
+  // a plain request is a single run straight into responses/<id>/.
+  /** @type {Array<RunResult>} */
+  const runs = [];
+  for (const device of req.devices || [undefined]) {
+    const run = await renderOnce(browser, req, device ? path.join(outDir, device.dir) : outDir, context, opts, device, progress);
+    runs.push(run);
+    if (run.cancelled) cancelled = true;
+    if (run.interruption) interruption = run.interruption;
+    if (cancelled || interruption) break;
+  }
+  if (req.devices) {
+    meta.devices = runs.map((r) => ({
+      name: r.device?.name,
+      dir: r.device?.dir,
+      viewport: r.device?.viewport,
+      userAgent: r.device?.userAgent,
+      durationMs: r.durationMs,
+      httpStatus: r.httpStatus,
+      hadError: !!r.errorMessage,
+      errorMessage: r.errorMessage,
+      failedStep: r.failedStep,
+      compare: r.compare,
+    }));
+    const failed = runs.filter((r) => r.errorMessage);
+    if (failed.length > 0) errorMessage = failed.map((r) => `${r.device?.name}: ${r.errorMessage}`).join('; ');
+  } else {
+    errorMessage = runs[0].errorMessage;
+    meta.httpStatus = runs[0].httpStatus;
+    meta.finalUrl = runs[0].finalUrl;
+    meta.failedStep = runs[0].failedStep;
+    meta.compare = runs[0].compare;
+  }
+
+  if (interruption && !opts.retryOnInterrupt) errorMessage = interruption;
+
+  const finishedAt = new Date();
+  const durationMs = finishedAt.getTime() - startedAt.getTime();
+  meta.finishedAt = finishedAt.toISOString();
+  meta.durationMs = durationMs;
+  if (errorMessage) {
+    meta.hadError = true;
+    meta.errorMessage = errorMessage;
+  }
+  if (cancelled) meta.cancelled = true;
+  if (interruption) meta.interrupted = interruption;
+  await writeJSONAtomic(metaPath, meta);
+  await status?.flush();
+
+  if (interruption && opts.retryOnInterrupt) {
+    // Leave done.json unwritten: the job is not finished, it will run again.
+    throw Object.assign(new Error(interruption), { code: 'EINTERRUPTED' });
+  }
+
+  const donePath = path.join(outDir, 'done.json');
+  // Write captured logs (best-effort)
+  for (const run of runs) {
+    try {
+      if (run.consoleEvents.length > 0) await writeFileAtomic(path.join(run.outDir, 'console.log.json'), JSON.stringify(run.consoleEvents, null, 2));
+      if (run.networkEvents.length > 0) await writeFileAtomic(path.join(run.outDir, 'network.log.json'), JSON.stringify(run.networkEvents, null, 2));
+      if (run.har) await writeJSONAtomic(path.join(run.outDir, 'network.har'), run.har);
+    } catch {}
+  }
+  // Crawl pages (outDir set) are listed in the crawl's manifest.
+  if (!opts.outDir) {
+    const tManifest = Date.now();
+    try {
+      const manifest = await writeManifest(outDir, id, (req.devices || []).map((d) => ({ dir: d.dir, device: d.name })));
+      opts.log?.debug(`Wrote manifest.json (${manifest.files.length} file(s), ${manifest.totalBytes} bytes) in ${Date.now() - tManifest}ms`, {
+        phase: 'write', file: 'manifest.json', files: manifest.files.length, bytes: manifest.totalBytes, ms: Date.now() - tManifest,
+      });
+    } catch (err) {
+      opts.log?.warn(`Could not write manifest.json: ${err instanceof Error ? err.message : String(err)}`, { phase: 'write' });
+    }
+  }
+  // job.log is complete up to here once done.json appears.
+  await opts.log?.flush();
+  if (cancelled) {
+    await writeJSONAtomic(donePath, { status: 'cancelled' });
+    throw Object.assign(new Error('Job cancelled'), { code: 'ECANCELLED' });
+  } else if (errorMessage) {
+    await writeJSONAtomic(donePath, { status: 'error', error: errorMessage });
+    throw new Error(errorMessage);
+  } else {
+    await writeJSONAtomic(donePath, { status: 'ok' });
+  }
+}
+
+/**
+ * @typedef {Object} RunResult
+ * @property {import('./devices.js').DeviceProfile|undefined} device Profile used (undefined for a plain request).
+ * @property {string} outDir Directory the run wrote its outputs to.
+ * @property {number} durationMs
+ * @property {number=} httpStatus Status of the main document response (render_url).
+ * @property {string=} finalUrl Page URL after navigation and redirects (render_url).
+ * @property {string=} errorMessage
+ * @property {string=} failedStep Step path of the action that failed, e.g. "3" or "2.then.1".
+ * @property {{ passed: boolean, failed: number }=} compare Outcome of the `compare` field.
+ * @property {boolean} cancelled
+ * @property {string=} interruption Why the browser went away, if it did.
+ * @property {Array<any>} consoleEvents
+ * @property {Array<any>} networkEvents
+ * @property {any} har HAR object when captureNetwork is on.
+ */
+
+/**
+ * Render the request once in a fresh page and write page outputs into outDir.
+ * Errors are captured in the result, never thrown.
+ * @param {import('puppeteer').Browser} browser
+ * @param {RenderRequest} req
+ * @param {string} outDir
+ * @param {import('puppeteer').BrowserContext|undefined} context
+ * @param {ProcessOptions} opts
+ * @param {import('./devices.js').DeviceProfile|undefined} device Emulated device; otherwise req.viewport/userAgent.
+ * @param {(p: { phase: string, [key: string]: any }) => void} onProgress
+ * @returns {Promise<RunResult>}
+ */
+async function renderOnce(browser, req, outDir, context, opts, device, onProgress) {
+  /** @type {Awaited<ReturnType<typeof startScreencast>>|undefined} */
+  let recorder;
+  const report = device ? (p) => onProgress({ ...p, device: device.name }) : onProgress;
+  // Progress events double as screencast timeline markers.
+  const progress = (p) => { recorder?.mark(p); report(p); };
+  const signal = opts.signal;
+  const log = device ? opts.log?.child({ device: device.name }) : opts.log;
+  /**
+   * Log an output file once written.
+   * @param {string} file Name inside outDir.
+   * @param {number} since When writing started.
+   */
+  const wrote = async (file, since) => {
+    if (!log) return;
+    const ms = Date.now() - since;
+    const bytes = await fs.stat(path.join(outDir, file)).then((st) => st.size, () => undefined);
+    log.debug(`Wrote ${file} (${bytes ?? '?'} bytes) in ${ms}ms`, { phase: 'write', file, bytes, ms });
+  };
+  const t0 = Date.now();
+  /** @type {RunResult} */
+  const result = { device, outDir, durationMs: 0, cancelled: false, consoleEvents: [], networkEvents: [], har: undefined };
+  const { consoleEvents, networkEvents } = result;
   let page;
-  /** @type {Array<any>} */
-  const consoleEvents = [];
-  /** @type {Array<any>} */
-  const networkEvents = [];
+  // Closing the page is the one reliable way to interrupt Puppeteer mid-call.
+  const onAbort = () => { page?.close().catch(() => {}); };
+  signal?.addEventListener('abort', onAbort, { once: true });
+  /** @type {{ stop: () => Promise<any> }|undefined} */
+  let harRecorder;
+  /** @type {Awaited<ReturnType<typeof startPerfCapture>>|undefined} */
+  let perfCapture;
+  /** @type {import('./actions.js').StepRecord[]} */
+  const steps = [];
+  /** Screenshots to compare with baselines. @type {import('./visual.js').Shot[]} */
+  const shots = [];
   try {
+    signal?.throwIfAborted();
+    await ensureDir(outDir);
     // One fresh page per request; optionally reuse a BrowserContext via sessionId.
     page = context ? await context.newPage() : await browser.newPage();
+    signal?.throwIfAborted();
+    if (opts.session) await opts.session.preparePage(page);
+
+    // Errors are always tracked for assertNoConsoleErrors, even without captureConsole.
+    /** @type {Array<{ type: string, text: string }>} */
+    const consoleErrors = [];
+    page.on('console', (msg) => {
+      if (msg.type() === 'error') consoleErrors.push({ type: 'console', text: msg.text() });
+    });
+    page.on('pageerror', (err) => {
+      consoleErrors.push({ type: 'pageerror', text: err instanceof Error ? err.message : String(err) });
+    });
 
     // Optional capture of console and network events for diagnostics
     if (req.captureConsole) {
@@ -115,260 +332,203 @@ export async function processRequest(browser, req, responsesDir, context) {
         try { status = res.status(); url = res.url(); } catch {}
         networkEvents.push({ phase: 'response', url, status, ts: Date.now() });
       });
+      page.on('requestfailed', (req) => {
+        networkEvents.push({ phase: 'failed', url: req.url(), method: req.method(), error: req.failure()?.errorText, ts: Date.now() });
+      });
+      // Full detail (headers, timings, sizes, redirects) goes to network.har.
+      harRecorder = await startHarRecorder(page, req.har);
+    }
+
+    // Blocking/mocking decisions are always logged, even without captureNetwork.
+    if (req.intercept) {
+      await setupInterception(page, req.intercept, {
+        fixturesDir: opts.fixturesDir || path.resolve(process.cwd(), 'fixtures'),
+        onDecision: (entry) => networkEvents.push(entry),
+      });
+    }
+
+    if (req.capturePerformance) {
+      perfCapture = await startPerfCapture(page, req.capturePerformance);
     }
 
-    if (req.userAgent) {
-      await page.setUserAgent(req.userAgent);
+    const userAgent = device?.userAgent ?? req.userAgent;
+    if (userAgent) {
+      await page.setUserAgent(userAgent);
     }
     if (req.extraHeaders && Object.keys(req.extraHeaders).length > 0) {
       await page.setExtraHTTPHeaders(req.extraHeaders);
     }
 
-    const viewport = req.viewport || { width: 1280, height: 800, deviceScaleFactor: 1 };
+    const viewport = device?.viewport || req.viewport || { width: 1280, height: 800, deviceScaleFactor: 1 };
     await page.setViewport(viewport);
     const timeoutMs = req.timeoutMs ?? 30000;
     page.setDefaultNavigationTimeout(timeoutMs);
     page.setDefaultTimeout(timeoutMs);
 
+    if (req.recordVideo) {
+      recorder = await startScreencast(page, outDir, req.recordVideo, { ffmpegPath: opts.ffmpegPath, signal });
+    }
+
     const waitUntil = /** @type {import('puppeteer').PuppeteerLifeCycleEvent} */ (req.waitUntil || 'networkidle2');
 
+    progress({ phase: 'navigate' });
+    const tNav = Date.now();
+    log?.debug(`Navigating (waitUntil=${waitUntil})`, { phase: 'navigate', url: req.url, waitUntil, setupMs: tNav - t0 });
     if (req.op === 'render_url') {
       if (!req.url) throw new Error('url is required for op=render_url');
-      await page.goto(req.url, { waitUntil, timeout: timeoutMs });
+      const response = await page.goto(req.url, { waitUntil, timeout: timeoutMs });
+      result.httpStatus = response?.status();
+      result.finalUrl = page.url();
+      log?.debug(`Loaded ${result.finalUrl} (HTTP ${result.httpStatus ?? '-'}) in ${Date.now() - tNav}ms`, {
+        phase: 'navigate', httpStatus: result.httpStatus, finalUrl: result.finalUrl, ms: Date.now() - tNav,
+      });
     } else if (req.op === 'render_html') {
       if (!req.html) throw new Error('html is required for op=render_html');
       await page.setContent(req.html, { waitUntil, timeout: timeoutMs });
+      log?.debug(`Loaded HTML in ${Date.now() - tNav}ms`, { phase: 'navigate', ms: Date.now() - tNav });
     } else {
       throw new Error(`Unknown op: ${req.op}`);
     }
 
     // Optional extra wait after load
     if (req.postWaitMs && req.postWaitMs > 0) {
-      await new Promise((r) => setTimeout(r, Math.min(req.postWaitMs, 5 * 60_000)));
+      await sleep(Math.min(req.postWaitMs, 5 * 60_000), signal);
+      log?.debug(`Waited ${req.postWaitMs}ms after load`, { phase: 'postWait', ms: req.postWaitMs });
     }
 
     // Run scripted actions if provided (e.g., mute click, canvas wait, etc.)
+    /** @type {any} */
+    let actionsError;
     if (Array.isArray(req.actions) && req.actions.length > 0) {
-      await runActions(page, req.actions, outDir, !!req.screenshotOnEachAction);
+      try {
+        await runActions(page, req.actions, {
+          outDir,
+          snapAfterEach: !!req.screenshotOnEachAction,
+          onProgress: progress,
+          signal,
+          sequences: req.sequences,
+          consoleErrors,
+          policy: req.onActionError,
+          snapshotOnFailure: !!req.snapshotOnFailure,
+          report: steps,
+          onStepDone: log ? (r) => {
+            const fields = { phase: 'action', step: r.step, type: r.type, status: r.status, ms: r.durationMs };
+            if (r.status === 'ok') log.debug(`Step ${r.step} (${r.type}) ok in ${r.durationMs}ms`, fields);
+            else log.debug(`Step ${r.step} (${r.type}) ${r.status} after ${r.durationMs}ms${r.error ? `: ${r.error}` : ''}`, { ...fields, error: r.error });
+          } : undefined,
+          onElementShot: req.compare?.elements ? async (el, file) => {
+            const box = await el.boundingBox();
+            const info = await measureShot(page, req.compare?.mask || [], { clip: box });
+            // A shot repeated under the same name is compared as last taken.
+            shots.splice(0, shots.length, ...shots.filter((s) => s.file !== file), { file, ...info });
+          } : undefined,
+        });
+      } catch (err) {
+        // "continue": still produce the outputs, then fail the job.
+        if (req.onActionError !== 'continue' || signal?.aborted || !/** @type {any} */ (err)?.step) throw err;
+        actionsError = err;
+      }
     }
 
     // Output after actions
+    signal?.throwIfAborted();
+    progress({ phase: 'output' });
+    // Read timings first so screenshots/PDF printing do not count as page work.
+    let tWrite = Date.now();
+    if (perfCapture) {
+      const { perf, trace } = await perfCapture.collect();
+      if (trace) await writeFileAtomic(path.join(outDir, 'trace.json'), trace);
+      await writeJSONAtomic(path.join(outDir, 'perf.json'), perf);
+      await wrote('perf.json', tWrite);
+    }
     if (req.htmlOutput) {
+      tWrite = Date.now();
       const html = await page.content();
       await writeFileAtomic(path.join(outDir, 'page.html'), html);
+      await wrote('page.html', tWrite);
+    }
+    if (req.textOutput) {
+      tWrite = Date.now();
+      const text = await page.evaluate((sel) => Array.from(document.querySelectorAll(sel))
+        .map((el) => /** @type {HTMLElement} */ (el).innerText ?? el.textContent ?? '')
+        .join('\n\n'), req.textOutput);
+      await writeFileAtomic(path.join(outDir, 'page.txt'), text);
+      await wrote('page.txt', tWrite);
     }
 
     if (req.screenshot) {
+      tWrite = Date.now();
+      if (req.compare) shots.unshift({ file: 'screenshot.png', ...await measureShot(page, req.compare.mask, { fullPage: !!req.fullPage }) });
       await page.screenshot({ path: path.join(outDir, 'screenshot.png'), fullPage: !!req.fullPage });
+      await wrote('screenshot.png', tWrite);
+    }
+
+    if (req.pdf) {
+      tWrite = Date.now();
+      const pdf = await printPdf(page, req.pdf, timeoutMs);
+      await writeFileAtomic(path.join(outDir, 'page.pdf'), pdf);
+      await wrote('page.pdf', tWrite);
     }
 
     // Extract requested data
     if (Array.isArray(req.extract) && req.extract.length > 0) {
+      progress({ phase: 'extract' });
+      const tExtract = Date.now();
       const extracted = await performExtracts(page, req.extract);
+      log?.debug(`Extracted ${extracted.length} spec(s) in ${Date.now() - tExtract}ms`, { phase: 'extract', specs: extracted.length, ms: Date.now() - tExtract });
+      tWrite = Date.now();
       await writeFileAtomic(path.join(outDir, 'extract.json'), JSON.stringify(extracted, null, 2));
+      await wrote('extract.json', tWrite);
+    }
+    /** @type {string|undefined} */
+    let compareError;
+    if (req.compare) {
+      progress({ phase: 'compare' });
+      const tCompare = Date.now();
+      const baselineDir = path.join(opts.baselinesDir || path.resolve(process.cwd(), 'baselines'), req.compare.baseline, device ? device.dir : '');
+      const outcome = await compareShots(outDir, baselineDir, shots, req.compare);
+      result.compare = { passed: outcome.passed, failed: outcome.failed };
+      log?.debug(`Compared ${shots.length} shot(s) with baseline ${req.compare.baseline}: ${outcome.passed ? 'passed' : `${outcome.failed} failed`} in ${Date.now() - tCompare}ms`, {
+        phase: 'compare', baseline: req.compare.baseline, passed: outcome.passed, failed: outcome.failed, ms: Date.now() - tCompare,
+      });
+      if (!outcome.passed && req.compare.failOnMismatch) compareError = outcome.message;
     }
+    if (opts.onRendered) await opts.onRendered(page);
+    if (actionsError) throw actionsError;
+    if (compareError) throw new Error(compareError);
   } catch (err) {
-    errorMessage = err instanceof Error ? err.message : String(err);
+    if (signal?.aborted && signal.reason?.code === 'EBROWSERGONE') result.interruption = signal.reason.message;
+    else if (signal?.aborted) result.cancelled = true;
+    else if (!browser.connected) result.interruption = 'Browser disconnected during job';
+    else {
+      result.errorMessage = err instanceof Error ? err.message : String(err);
+      result.failedStep = /** @type {any} */ (err)?.step;
+    }
   } finally {
-    // Always close the page to avoid leaks, even on error
-    try { await page?.close(); } catch {}
-  }
-
-  const finishedAt = new Date();
-  const durationMs = finishedAt.getTime() - startedAt.getTime();
-  meta.finishedAt = finishedAt.toISOString();
-  meta.durationMs = durationMs;
-  if (errorMessage) {
-    meta.hadError = true;
-    meta.errorMessage = errorMessage;
-  }
-  await writeJSONAtomic(metaPath, meta);
-
-  const donePath = path.join(outDir, 'done.json');
-  // Write captured logs (best-effort)
-  try {
-    if (consoleEvents.length > 0) await writeFileAtomic(path.join(outDir, 'console.log.json'), JSON.stringify(consoleEvents, null, 2));
-    if (networkEvents.length > 0) await writeFileAtomic(path.join(outDir, 'network.log.json'), JSON.stringify(networkEvents, null, 2));
-  } catch {}
-  if (errorMessage) {
-    await writeJSONAtomic(donePath, { status: 'error', error: errorMessage });
-    throw new Error(errorMessage);
-  } else {
-    await writeJSONAtomic(donePath, { status: 'ok' });
-  }
-}
-
-/**
- * Execute a list of simple actions on the page.
- *
- * Tips:
- * - Prefer selector-based actions where possible; use clickAt for canvas-only UIs.
- * - Use waitForCanvasPaint when the game paints into a canvas and has no stable DOM.
- *
- * @param {import('puppeteer').Page} page Puppeteer page instance.
- * @param {Array<PageAction>} actions Sequence of actions to execute.
- * @param {string} outDir Output directory for optional step screenshots.
- * @param {boolean} snapAfterEach If true, capture a screenshot after each action.
- */
-async function runActions(page, actions, outDir, snapAfterEach) {
-  for (let i = 0; i < actions.length; i++) {
-    const a = actions[i];
-    const type = a?.type;
-    try {
-      if (type === 'waitForSelector' && a.selector) {
-        await page.waitForSelector(a.selector, { timeout: a.timeoutMs ?? 30000 });
-      } else if (type === 'click' && a.selector) {
-        await page.waitForSelector(a.selector, { timeout: a.timeoutMs ?? 30000 });
-        await page.click(a.selector);
-      } else if (type === 'hover' && a.selector) {
-        await page.waitForSelector(a.selector, { timeout: a.timeoutMs ?? 30000 });
-        await page.hover(a.selector);
-      } else if (type === 'type' && a.selector && typeof a.text === 'string') {
-        await page.waitForSelector(a.selector, { timeout: a.timeoutMs ?? 30000 });
-        await page.type(a.selector, a.text, { delay: a.delay ?? 0 });
-      } else if (type === 'clickAt' && typeof a.x === 'number' && typeof a.y === 'number') {
-        await page.mouse.click(a.x, a.y);
-      } else if (type === 'waitForTime' && typeof a.ms === 'number') {
-        await new Promise((r) => setTimeout(r, a.ms));
-      } else if (type === 'waitForFunction' && a.fn) {
-        await page.waitForFunction(a.fn, { timeout: a.timeoutMs ?? 30000 });
-      } else if (type === 'waitForCanvasPaint') {
-        await waitForCanvasPaint(page, a.timeoutMs ?? 60000, a.intervalMs ?? 500);
-      } else if (type === 'muteHeuristic') {
-        await clickMuteHeuristic(page);
-      } else if (type === 'screenshotElement' && a.selector) {
-        const el = await page.waitForSelector(a.selector, { timeout: a.timeoutMs ?? 30000 });
-        if (el) {
-          const file = a.file || `step-${String(i + 1).padStart(2, '0')}-element.png`;
-          await el.screenshot({ path: path.join(outDir, file) });
-        }
-      } else if (type === 'press' && a.key) {
-        await page.keyboard.press(a.key, { delay: a.delay ?? 0 });
-      }
-      if (snapAfterEach) {
-        const fname = `step-${String(i + 1).padStart(2, '0')}.png`;
-        await page.screenshot({ path: path.join(outDir, fname), fullPage: true });
-      }
-    } catch (e) {
-      // Fail fast: surface the error in meta/done and stop further actions
-      throw e;
+    signal?.removeEventListener('abort', onAbort);
+    // A trace left running (job failed before output) would block the next one.
+    if (perfCapture && page && !page.isClosed()) await perfCapture.dispose();
+    // Keep the frames of failed runs too; they show what went wrong.
+    if (recorder) {
+      try { await recorder.stop(); } catch {}
     }
-  }
-}
-
-/**
- * Try to detect and click a "no sounds/mute" UI element heuristically.
- * Heuristic: scan buttons-like elements for text tokens related to
- * sound/audio/music and negative modifiers (no/off/mute/bez/vyp...).
- * Best-effort; safe if not found.
- * @param {import('puppeteer').Page} page Puppeteer page.
- */
-async function clickMuteHeuristic(page) {
-  // Strategy: find buttons/links/divs with text containing sound/audio/music/zvuk/hudba and also no/off/mute/disable/bez/vyp
-  const selector = await page.evaluate(() => {
-    const score = (el) => {
-      const t = (el.innerText || el.textContent || '').toLowerCase();
-      let s = 0;
-      if (/sound|audio|music|zvuk|zvuky|hudba/.test(t)) s += 2;
-      if (/no|off|mute|disable|bez|vyp/.test(t)) s += 3;
-      if (/accept|ok|yes|ano/.test(t)) s -= 1; // avoid clicking accept
-      return s;
-    };
-    const candidates = Array.from(document.querySelectorAll('button, [role="button"], a, .btn'));
-    let best = null;
-    let bestScore = 0;
-    for (const el of candidates) {
-      const s = score(el);
-      if (s > bestScore) { bestScore = s; best = el; }
+    if (harRecorder && page && !page.isClosed()) {
+      try { result.har = await harRecorder.stop(); } catch {}
     }
-    if (best && bestScore >= 3) {
-      best.setAttribute('data-ww-click', '1');
-      return '[data-ww-click="1"]';
+    // Save the session's cookies/storage so it survives restarts (best-effort).
+    if (opts.session && page && browser.connected) {
+      try { await opts.session.persist(page); } catch {}
     }
-    return null;
-  });
-  if (selector) {
-    await page.click(selector);
-  }
-}
-
-/**
- * Wait until a canvas appears and seems to have non-blank pixels (best-effort).
- * For WebGL-only canvases or tainted contexts, we assume rendered content once present.
- * @param {import('puppeteer').Page} page Puppeteer page.
- * @param {number} timeoutMs Max time to wait in milliseconds.
- * @param {number} intervalMs Polling interval in milliseconds.
- */
-async function waitForCanvasPaint(page, timeoutMs, intervalMs) {
-  const t0 = Date.now();
-  for (;;) {
-    const painted = await page.evaluate(() => {
-      const c = document.querySelector('canvas');
-      if (!c) return false;
-      try {
-        const ctx = c.getContext('2d');
-        if (!ctx) return true; // WebGL only; assume painted once present
-        const w = Math.min(64, c.width);
-        const h = Math.min(64, c.height);
-        const img = ctx.getImageData(0, 0, w, h).data;
-        for (let i = 0; i < img.length; i += 4) {
-          const r = img[i], g = img[i+1], b = img[i+2], a = img[i+3];
-          if (a !== 0 && !(r === 255 && g === 255 && b === 255)) return true;
-        }
-        return false;
-      } catch {
-        return true; // Tainted canvas — assume painted
-      }
-    });
-    if (painted) return;
-    if (Date.now() - t0 > timeoutMs) throw new Error('waitForCanvasPaint timeout');
-    await new Promise((r) => setTimeout(r, intervalMs));
-  }
-}
-
-/**
- * Extract data from the page based on provided specs.
- * Returns an array of extraction results in the same order as specs.
- * @param {import('puppeteer').Page} page
- * @param {Array<ExtractSpec>} specs
- */
-async function performExtracts(page, specs) {
-  /** @type {Array<any>} */
-  const results = [];
-  for (const s of specs) {
-    const type = s.type;
-    if (type === 'text') {
-      const { selector, all } = s;
-      const value = await page.evaluate(({ selector, all }) => {
-        const els = Array.from(document.querySelectorAll(selector));
-        if (all) return els.map((e) => (e.textContent || '').trim());
-        const el = els[0];
-        return el ? (el.textContent || '').trim() : null;
-      }, { selector, all: !!all });
-      results.push({ type, name: s.name, selector, value });
-    } else if (type === 'attr') {
-      const { selector, name, all } = s;
-      const value = await page.evaluate(({ selector, name, all }) => {
-        const els = Array.from(document.querySelectorAll(selector));
-        if (all) return els.map((e) => e.getAttribute(name));
-        const el = els[0];
-        return el ? el.getAttribute(name) : null;
-      }, { selector, name, all: !!all });
-      results.push({ type, key: s.key || name, selector, value });
-    } else if (type === 'html') {
-      const { selector, all } = s;
-      const value = await page.evaluate(({ selector, all }) => {
-        const els = Array.from(document.querySelectorAll(selector));
-        if (all) return els.map((e) => e.outerHTML);
-        const el = els[0];
-        return el ? el.outerHTML : null;
-      }, { selector, all: !!all });
-      results.push({ type, name: s.name, selector, value });
-    } else if (type === 'exists') {
-      const { selector } = s;
-      const value = await page.evaluate((selector) => !!document.querySelector(selector), selector);
-      results.push({ type, name: s.name, selector, value });
+    // Always close the page to avoid leaks, even on error
+    try { await page?.close(); } catch {}
+    if (steps.length > 0) {
+      try { await writeJSONAtomic(path.join(outDir, 'steps.json'), stepsReport(steps, req.onActionError || 'stop')); } catch {}
     }
   }
-  return results;
+  result.durationMs = Date.now() - t0;
+  const outcome = result.cancelled ? 'cancelled' : result.interruption ? 'interrupted' : result.errorMessage ? 'error' : 'ok';
+  log?.debug(`Render ${outcome} in ${result.durationMs}ms${result.errorMessage ? `: ${result.errorMessage}` : result.interruption ? `: ${result.interruption}` : ''}`, {
+    phase: 'render', outcome, durationMs: result.durationMs, error: result.errorMessage ?? result.interruption, failedStep: result.failedStep,
+  });
+  return result;
 }
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import puppeteer from 'puppeteer';
+import { createBrowserManager } from '../src/browser.js';
+
+/** Browser stand-in: crash() emits `disconnected` like a dead Chromium. */
+function fakeBrowser() {
+  const b = new EventEmitter();
+  return Object.assign(b, {
+    async version() { return 'HeadlessChrome/0'; },
+    process() { return null; },
+    async close() {},
+    crash() { b.emit('disconnected'); },
+  });
+}
+
+/** Reject if `promise` takes longer than `ms`. */
+const within = (promise, ms) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error(`still pending after ${ms}ms`)), ms).unref()),
+]);
+
+test('a crash while a recycle waits for holders does not block later jobs', async (t) => {
+  const launched = [];
+  t.mock.method(puppeteer, 'launch', async () => {
+    const b = fakeBrowser();
+    launched.push(b);
+    return b;
+  });
+  const events = [];
+  const manager = createBrowserManager({ launchOptions: {}, recycleAfterJobs: 1, onEvent: (e) => events.push(e.type) });
+  t.after(() => manager.close());
+  await manager.start();
+
+  const a = await manager.acquire();
+  const b = await manager.acquire();
+  // A's release asks for a recycle, which waits for B; then B crashes the browser.
+  await manager.release(a);
+  launched[0].crash();
+
+  const c = await within(manager.acquire(), 2000);
+  assert.equal(c.generation, 2);
+  assert.equal(c.browser, launched[1]);
+  await manager.release(b);
+  assert.equal(manager.generation, 2, 'B ran on the crashed browser and does not count');
+
+  // The new browser still recycles on its own threshold.
+  await manager.release(c);
+  assert.equal(manager.generation, 3);
+  assert.deepEqual(events, ['launch', 'crash', 'launch', 'recycle', 'launch']);
+});
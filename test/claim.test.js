@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { claimPath } from '../src/claim.js';
+
+const dir = path.resolve('requests/processing');
+
+test('claims requests at processing/<id>.json', () => {
+  assert.equal(claimPath(dir, 'job-1', new Set()), path.join(dir, 'job-1.json'));
+});
+
+test('rejects an id that is queued or running', () => {
+  assert.throws(() => claimPath(dir, 'job-1', new Set(['job-1'])), { code: 'EJOBEXISTS', message: 'Job job-1 is already queued or running' });
+});
+
+test('never resolves outside processing/', () => {
+  for (const id of ['../../x', '../x', '/etc/passwd']) {
+    assert.throws(() => claimPath(dir, id, new Set()), /Unsafe path/);
+  }
+});
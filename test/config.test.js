@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { applyPreset, loadConfig, spliceConfigArgs } from '../src/config.js';
+
+/** Temporary working directory with etc/webwatcher.json holding `file`. */
+async function setup(t, file) {
+  const cwd = await mkdtemp(path.join(os.tmpdir(), 'ww-config-'));
+  t.after(() => rm(cwd, { recursive: true, force: true }));
+  await mkdir(path.join(cwd, 'etc'));
+  const configPath = path.join(cwd, 'etc', 'webwatcher.json');
+  if (file !== undefined) await writeFile(configPath, typeof file === 'string' ? file : JSON.stringify(file));
+  return { cwd, configPath };
+}
+
+/** The ECONFIG error thrown by loadConfig(opts). */
+function configErrors(opts) {
+  try {
+    loadConfig(opts);
+  } catch (err) {
+    assert.equal(err.code, 'ECONFIG');
+    return err.errors;
+  }
+  assert.fail('expected ECONFIG');
+}
+
+test('defaults apply without a config file', async (t) => {
+  const { cwd } = await setup(t);
+  const { config } = loadConfig({ cwd, env: {} });
+  assert.equal(config.configFile, undefined);
+  assert.equal(config.concurrency, 1);
+  assert.equal(config.requestsDir, path.join(cwd, 'requests'));
+  assert.equal(config.log.file, path.join(cwd, '.watcher.log'));
+  assert.equal(config.http.port, undefined);
+  assert.deepEqual(config.presets, {});
+});
+
+test('file < env < flag, per setting', async (t) => {
+  const { cwd, configPath } = await setup(t, { concurrency: 2, pollIntervalMs: 300, log: { level: 'warn' } });
+  const { config } = loadConfig({
+    cwd,
+    argv: ['--config', configPath, '--concurrency', '4'],
+    env: { WEBWATCHER_CONCURRENCY: '3', WEBWATCHER_POLL_INTERVAL_MS: '400' },
+  });
+  assert.equal(config.configFile, configPath);
+  assert.equal(config.concurrency, 4);
+  assert.equal(config.pollIntervalMs, 400);
+  assert.equal(config.log.level, 'warn');
+});
+
+test('only WEBWATCHER_ env vars are read', async (t) => {
+  const { cwd } = await setup(t);
+  const { config } = loadConfig({ cwd, env: { CONCURRENCY: '8', LOG_LEVEL: 'debug', WEBWATCHER_HEADLESS: 'shell' } });
+  assert.equal(config.concurrency, 1);
+  assert.equal(config.log.level, 'info');
+  assert.equal(config.browser.headless, 'shell');
+});
+
+test('file paths resolve against the file, env and flag paths against cwd', async (t) => {
+  const { cwd, configPath } = await setup(t, { requestsDir: '../inbox', responsesDir: 'out', sessionsDir: 's' });
+  const { config } = loadConfig({
+    cwd,
+    argv: [`--config=${configPath}`, '--sessions-dir', 'flag-sessions'],
+    env: { WEBWATCHER_RESPONSES_DIR: 'env-out' },
+  });
+  assert.equal(config.requestsDir, path.join(cwd, 'inbox'));
+  assert.equal(config.responsesDir, path.join(cwd, 'env-out'));
+  assert.equal(config.sessionsDir, path.join(cwd, 'flag-sessions'));
+});
+
+test('WEBWATCHER_CONFIG names the file; an empty optional path turns it off', async (t) => {
+  const { cwd } = await setup(t, { log: { file: null }, http: { port: 8080 } });
+  const { config } = loadConfig({ cwd, env: { WEBWATCHER_CONFIG: 'etc/webwatcher.json', WEBWATCHER_HEALTH_X: '1' } });
+  assert.equal(config.log.file, undefined);
+  assert.equal(config.http.port, 8080);
+  assert.equal(loadConfig({ cwd, env: { WEBWATCHER_METRICS_FILE: '' } }).config.health.metricsFile, undefined);
+});
+
+test('text values parse into typed settings', async (t) => {
+  const { cwd } = await setup(t);
+  const { config } = loadConfig({
+    cwd,
+    env: {},
+    argv: ['--viewport', '390x844@3', '--browser-args', '["--a", "--b=c d"]', '--headless=false', '--http-port', '0'],
+  });
+  assert.deepEqual(config.defaults.viewport, { width: 390, height: 844, deviceScaleFactor: 3 });
+  assert.deepEqual(config.browser.args, ['--a', '--b=c d']);
+  assert.equal(config.browser.headless, false);
+  assert.equal(config.http.port, 0);
+  assert.deepEqual(loadConfig({ cwd, env: { WEBWATCHER_BROWSER_ARGS: ' --x  --y ' } }).config.browser.args, ['--x', '--y']);
+});
+
+test('every problem is reported together', async (t) => {
+  const { cwd, configPath } = await setup(t, { concurrency: 0, bogus: 1, log: { level: 'loud' }, browser: 'chrome' });
+  const errors = configErrors({
+    cwd,
+    argv: ['--config', configPath, '--nope', '--viewport', 'big', '--timeout'],
+    env: { WEBWATCHER_HTTP_PORT: '70000' },
+  });
+  assert.deepEqual(errors, [
+    '--nope: unknown option',
+    '--timeout: missing value',
+    'webwatcher.json bogus: unknown setting',
+    'webwatcher.json browser: must be an object',
+    'webwatcher.json concurrency: must be at least 1',
+    'WEBWATCHER_HTTP_PORT: must be at most 65535',
+    'webwatcher.json log.level: must be one of: debug, info, warn, error',
+    '--viewport: must look like 1280x800 or 390x844@3',
+  ]);
+});
+
+test('an explicit config file must exist and hold an object', async (t) => {
+  const { cwd, configPath } = await setup(t, '[1]');
+  assert.deepEqual(configErrors({ cwd, env: {}, argv: ['--config', configPath] }), ['webwatcher.json: must contain a JSON object']);
+  const [missing] = configErrors({ cwd, env: { WEBWATCHER_CONFIG: 'nope.json' } });
+  assert.match(missing, /^nope\.json: ENOENT/);
+});
+
+test('presets are validated when the config loads', async (t) => {
+  const { cwd, configPath } = await setup(t, {
+    presets: {
+      mobile: { viewport: { width: 390, height: 844 }, timeoutMs: 60000 },
+      'bad name': {},
+      chained: { preset: 'mobile' },
+      wrong: { url: 'https://example.com' },
+    },
+  });
+  const errors = configErrors({ cwd, env: {}, argv: ['--config', configPath] });
+  assert.deepEqual(errors, [
+    'webwatcher.json presets["bad name"]: name must be letters, digits, ".", "_" or "-"',
+    'webwatcher.json presets["chained"].preset: presets cannot name other presets',
+    'webwatcher.json presets["wrong"].url: is not a known field',
+  ]);
+});
+
+test('applyPreset fills in fields the request leaves unset', () => {
+  const presets = { mobile: { viewport: { width: 390, height: 844 }, timeoutMs: 60000, fullPage: true } };
+  const raw = { op: 'render_url', url: 'https://example.com', preset: 'mobile', timeoutMs: 5000 };
+  const merged = applyPreset(raw, presets);
+  assert.deepEqual(merged, { ...raw, viewport: { width: 390, height: 844 }, fullPage: true });
+  merged.viewport.width = 1;
+  assert.equal(presets.mobile.viewport.width, 390, 'the preset is copied, not shared');
+  // A request's viewport replaces the preset's whole.
+  assert.deepEqual(applyPreset({ ...raw, viewport: { width: 800, height: 600 } }, presets).viewport, { width: 800, height: 600 });
+  assert.equal(applyPreset(raw, presets).preset, 'mobile');
+  const plain = { op: 'render_url', url: 'https://example.com' };
+  assert.equal(applyPreset(plain, presets), plain);
+});
+
+test('applyPreset rejects unknown presets with the known names', () => {
+  assert.throws(() => applyPreset({ preset: 'desktop' }, { mobile: {} }), (err) => {
+    assert.equal(err.code, 'EINVALID');
+    assert.deepEqual(err.errors, [{ path: 'preset', message: '"desktop" is not a preset of this watcher (known: mobile)' }]);
+    return true;
+  });
+  assert.throws(() => applyPreset({ preset: 'toString' }, {}), { code: 'EINVALID' });
+});
+
+test('spliceConfigArgs takes both --config forms out of other arguments', () => {
+  const argv = ['--config', 'a.json', 'job.json', '--config=b.json', '--wait'];
+  assert.deepEqual(spliceConfigArgs(argv), ['--config', 'a.json', '--config=b.json']);
+  assert.deepEqual(argv, ['job.json', '--wait']);
+  assert.deepEqual(spliceConfigArgs(['x']), []);
+});
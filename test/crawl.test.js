@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeCrawlOptions } from '../src/crawl.js';
+
+const start = 'https://example.com/docs/';
+
+test('defaults', () => {
+  const o = normalizeCrawlOptions(undefined, start);
+  assert.equal(o.maxDepth, 2);
+  assert.equal(o.maxPages, 50);
+  assert.equal(o.sameOrigin, true);
+  assert.equal(o.sitemap, false);
+});
+
+test('a sitemap URL must be on the start origin unless sameOrigin is false', () => {
+  assert.equal(normalizeCrawlOptions({ sitemap: 'https://example.com/sitemap-docs.xml' }, start).sitemap, 'https://example.com/sitemap-docs.xml');
+  assert.throws(() => normalizeCrawlOptions({ sitemap: 'http://169.254.169.254/latest/meta-data' }, start), /crawl\.sitemap must be on the start URL's origin/);
+  assert.throws(() => normalizeCrawlOptions({ sitemap: 'http://example.com/sitemap.xml' }, start), /start URL's origin/);
+  const open = normalizeCrawlOptions({ sitemap: 'https://cdn.example.net/sitemap.xml', sameOrigin: false, include: ['https://example.com/*'] }, start);
+  assert.equal(open.sitemap, 'https://cdn.example.net/sitemap.xml');
+});
+
+test('rejects out-of-range limits and bad patterns', () => {
+  assert.throws(() => normalizeCrawlOptions({ maxPages: 0 }, start), /maxPages must be an integer between 1 and 1000/);
+  assert.throws(() => normalizeCrawlOptions({ sameOrigin: false }, start), /crawl\.include is required/);
+  assert.throws(() => normalizeCrawlOptions({ include: ['/(/'] }, start), /crawl\.include: invalid pattern/);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronTime } from '../src/cron.js';
+
+/** Local-time date, as cron schedules are evaluated in local time. */
+const at = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+
+test('parses numbers, ranges, steps, lists and names', () => {
+  const s = parseCron('*/15 8-18/2 1,15 jan-mar mon-fri');
+  assert.deepEqual([...s.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...s.hours], [8, 10, 12, 14, 16, 18]);
+  assert.deepEqual([...s.days], [1, 15]);
+  assert.deepEqual([...s.months], [1, 2, 3]);
+  assert.deepEqual([...s.weekdays], [1, 2, 3, 4, 5]);
+  assert.equal(s.anyDay, false);
+  assert.equal(s.anyWeekday, false);
+  assert.deepEqual([...parseCron('5/20 * * * *').minutes], [5, 25, 45]);
+});
+
+test('day-of-week 7 is Sunday and macros expand', () => {
+  assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+  assert.deepEqual([...parseCron('0 0 * * 5-7').weekdays].sort(), [0, 5, 6]);
+  const hourly = parseCron('@hourly');
+  assert.deepEqual([...hourly.minutes], [0]);
+  assert.equal(hourly.hours.size, 24);
+  const daily = parseCron(' @DAILY ');
+  assert.deepEqual([...daily.hours], [0]);
+  assert.equal(daily.anyDay && daily.anyWeekday, true);
+});
+
+test('rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /must have 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /invalid minute "60"/);
+  assert.throws(() => parseCron('* 24 * * *'), /invalid hour "24"/);
+  assert.throws(() => parseCron('* * 0 * *'), /invalid day of month "0"/);
+  assert.throws(() => parseCron('* * * foo *'), /invalid month "foo"/);
+  assert.throws(() => parseCron('*/0 * * * *'), /invalid step/);
+  assert.throws(() => parseCron('* 10-5 * * *'), /empty range/);
+  assert.throws(() => parseCron('@often'), /must have 5 fields/);
+});
+
+test('next run is strictly after the given time, to the minute', () => {
+  const s = parseCron('*/15 * * * *');
+  assert.deepEqual(nextCronTime(s, at(2024, 5, 10, 9, 0)), at(2024, 5, 10, 9, 15));
+  assert.deepEqual(nextCronTime(s, new Date(2024, 4, 10, 9, 14, 59, 999)), at(2024, 5, 10, 9, 15));
+  assert.deepEqual(nextCronTime(s, at(2024, 5, 10, 23, 50)), at(2024, 5, 11, 0, 0));
+});
+
+test('next run rolls over months, years and leap days', () => {
+  assert.deepEqual(nextCronTime(parseCron('@monthly'), at(2024, 12, 5)), at(2025, 1, 1));
+  assert.deepEqual(nextCronTime(parseCron('30 6 29 2 *'), at(2024, 3, 1)), at(2028, 2, 29, 6, 30));
+  assert.equal(nextCronTime(parseCron('0 0 30 2 *'), at(2024, 1, 1)), undefined);
+});
+
+test('restricted day-of-month and day-of-week match either one', () => {
+  // 2024-06-01 is a Saturday; the next Monday is June 3, before the 15th.
+  const s = parseCron('0 9 15 * mon');
+  assert.deepEqual(nextCronTime(s, at(2024, 6, 1)), at(2024, 6, 3, 9, 0));
+  assert.deepEqual(nextCronTime(s, at(2024, 6, 14, 12)), at(2024, 6, 15, 9, 0));
+  // With day-of-month `*`, only the weekday restricts.
+  assert.deepEqual(nextCronTime(parseCron('0 9 * * mon'), at(2024, 6, 3, 9, 0)), at(2024, 6, 10, 9, 0));
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffText, diffJSON, diffImages } from '../src/diff.js';
+
+test('text diff reports hunks at their line in the new text', () => {
+  assert.deepEqual(diffText('a\nb\nc', 'a\nx\nc'), {
+    added: 1, removed: 1, hunks: [{ line: 2, removed: ['b'], added: ['x'] }],
+  });
+  assert.deepEqual(diffText('a\nc', 'a\nb\nc').hunks, [{ line: 2, removed: [], added: ['b'] }]);
+  assert.deepEqual(diffText('a\nb', 'a').hunks, [{ line: 2, removed: ['b'], added: [] }]);
+  assert.deepEqual(diffText('', 'x'), { added: 1, removed: 0, hunks: [{ line: 1, removed: [], added: ['x'] }] });
+  assert.deepEqual(diffText('same', 'same'), { added: 0, removed: 0, hunks: [] });
+});
+
+test('text diff keeps common lines between separate hunks', () => {
+  const d = diffText('1\n2\n3\n4\n5', '1\ntwo\n3\n4\nfive');
+  assert.deepEqual(d.hunks, [
+    { line: 2, removed: ['2'], added: ['two'] },
+    { line: 5, removed: ['5'], added: ['five'] },
+  ]);
+});
+
+test('text diff limits listed hunks and lines but keeps exact totals', () => {
+  const before = Array.from({ length: 10 }, (_, i) => String(i)).join('\n');
+  const after = before.split('\n').map((l, i) => (i % 2 ? l : `${l}!`)).join('\n');
+  const d = diffText(before, after, { maxHunks: 2 });
+  assert.equal(d.hunks.length, 2);
+  assert.equal(d.added, 5);
+  assert.equal(d.removed, 5);
+  assert.equal(d.truncated, true);
+
+  const lines = diffText('', 'a\nb\nc\nd', { maxLines: 3 });
+  assert.deepEqual(lines.hunks, [{ line: 1, removed: [], added: ['a', 'b', 'c'] }]);
+  assert.equal(lines.added, 4);
+  assert.equal(lines.truncated, true);
+});
+
+test('JSON diff walks objects and arrays with readable paths', () => {
+  const before = { a: 1, b: [1, 2], 'Plan name': 'Basic', nested: { x: true } };
+  const after = { a: 2, b: [1], 'Plan name': 'Pro', nested: { x: true }, c: null };
+  assert.deepEqual(diffJSON(before, after), {
+    count: 4,
+    changes: [
+      { path: '$.a', op: 'changed', before: 1, after: 2 },
+      { path: '$.b[1]', op: 'removed', before: 2 },
+      { path: '$["Plan name"]', op: 'changed', before: 'Basic', after: 'Pro' },
+      { path: '$.c', op: 'added', after: null },
+    ],
+  });
+  assert.deepEqual(diffJSON({ a: [1] }, { a: { 0: 1 } }).changes, [
+    { path: '$.a', op: 'changed', before: [1], after: { 0: 1 } },
+  ]);
+  assert.deepEqual(diffJSON([{ k: 1 }], [{ k: 1 }]), { count: 0, changes: [] });
+});
+
+test('JSON diff limits listed changes but keeps an exact count', () => {
+  const d = diffJSON([], [1, 2, 3, 4], { max: 2 });
+  assert.equal(d.count, 4);
+  assert.deepEqual(d.changes.map((c) => c.path), ['$[0]', '$[1]']);
+  assert.equal(d.truncated, true);
+});
+
+/** Solid w×h RGBA image. */
+const solid = (w, h, rgba = [255, 255, 255, 255]) => ({
+  width: w,
+  height: h,
+  data: new Uint8Array(w * h * 4).map((_, i) => rgba[i % 4]),
+});
+
+test('image diff counts pixels beyond the tolerance', () => {
+  const before = solid(2, 2);
+  const after = solid(2, 2);
+  after.data[4] = 245;
+  const d = diffImages(before, after);
+  assert.equal(d.changedPixels, 1);
+  assert.equal(d.totalPixels, 4);
+  assert.equal(d.ratio, 0.25);
+  assert.equal(d.sizeChanged, false);
+  assert.deepEqual([...d.image.data.subarray(4, 8)], [255, 0, 0, 255]);
+  assert.equal(diffImages(before, after, { tolerance: 10 }).changedPixels, 0);
+});
+
+test('image diff leaves ignored regions out and marks them', () => {
+  const before = solid(2, 2);
+  const after = solid(2, 2, [0, 0, 0, 255]);
+  const d = diffImages(before, after, { ignore: [{ x: 0, y: 0, width: 2, height: 1 }] });
+  assert.equal(d.totalPixels, 2);
+  assert.equal(d.changedPixels, 2);
+  assert.deepEqual([...d.image.data.subarray(0, 4)], [120, 160, 255, 255]);
+});
+
+test('image diff counts pixels outside the smaller image as changed', () => {
+  const d = diffImages(solid(1, 1), solid(2, 1));
+  assert.equal(d.sizeChanged, true);
+  assert.equal(d.width, 2);
+  assert.equal(d.height, 1);
+  assert.equal(d.changedPixels, 1);
+  assert.equal(d.ratio, 0.5);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compilePattern, normalizeIntercept } from '../src/intercept.js';
+
+test('globs match the full URL', () => {
+  const re = compilePattern('https://*.example.com/*.png');
+  assert.ok(re.test('https://cdn.example.com/img/a.png'));
+  assert.ok(!re.test('https://cdn.example.com/img/a.png?x=1'));
+  assert.ok(compilePattern('*/a?c').test('https://x/abc'));
+  assert.ok(!compilePattern('*/a.c').test('https://x/abc'));
+});
+
+test('"/source/flags" is a regular expression', () => {
+  const re = compilePattern('/\\/api\\/v\\d+\\//i');
+  assert.ok(re.test('https://x/API/v2/users'));
+  assert.ok(compilePattern('/(ab)+c/').test('ababc'));
+});
+
+test('rejects overlong patterns and repeated ambiguous groups', () => {
+  assert.throws(() => compilePattern(`*${'a'.repeat(500)}`), /longer than 500 characters/);
+  const bad = [
+    '/(a+)+$/', '/(\\w*x)*/', '/^(a|aa{1,})+$/', '/((a+))+$/', '/(a|aa)+$/', '/(?:a|a)+$/',
+    '/(?:x?y){2,}/', '/((ab)+)*/', '/(?<n>a|b){3}/', '/([a-z]+\\.)+?com/',
+  ];
+  for (const p of bad) {
+    assert.throws(() => compilePattern(p), /repeated groups containing a quantifier or "\|"/, p);
+  }
+  const ok = ['/(ab)+c/', '/^https?:\\/\\/(?:www\\.)?example\\.com/', '/(a|b)/', '/[(a+)]+/', '/\\(a+\\)+/', '/(?:x+y){1}/'];
+  for (const p of ok) assert.doesNotThrow(() => compilePattern(p), p);
+  assert.throws(() => normalizeIntercept({ block: ['/(.*a)+/'] }), /^Error: intercept\.block: invalid pattern "\/\(\.\*a\)\+\/": repeated groups/);
+});
+
+test('validates mocks', () => {
+  assert.throws(() => normalizeIntercept({ mocks: [{ url: '*/api', body: 'x', json: {} }] }), /needs exactly one of body, json or file/);
+  assert.throws(() => normalizeIntercept({ blockResourceTypes: ['images'] }), /blockResourceTypes must contain only/);
+  assert.equal(normalizeIntercept(undefined), undefined);
+});
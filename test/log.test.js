@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { mkdtemp, readdir, rm, stat } from 'fs/promises';
+import { createLogger } from '../src/log.js';
+
+test('rotates by bytes, also for non-ASCII lines', async (t) => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'ww-log-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'w.log');
+  const log = createLogger({ level: 'info', format: 'json', file, maxBytes: 1100, maxFiles: 3 });
+  const print = console.log;
+  console.log = () => {};
+  try {
+    for (let i = 0; i < 12; i++) log.info('日本語のログ'.repeat(20));
+  } finally {
+    console.log = print;
+  }
+
+  assert.deepEqual((await readdir(dir)).sort(), ['w.log', 'w.log.1', 'w.log.2']);
+  for (const name of ['w.log', 'w.log.1', 'w.log.2']) {
+    assert.ok((await stat(path.join(dir, name))).size <= 1100, `${name} exceeds maxBytes`);
+  }
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { decodePNG, encodePNG } from '../src/png.js';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/** Chunk without a real CRC; the decoder does not check it. */
+function chunk(type, body) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length, 0);
+  head.write(type, 4, 'latin1');
+  return Buffer.concat([head, body, Buffer.alloc(4)]);
+}
+
+function png(width, height, colorType, raw, { depth = 8, interlace = 0 } = {}) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = depth;
+  ihdr[9] = colorType;
+  ihdr[12] = interlace;
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(Buffer.from(raw))),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+test('encode and decode round-trip RGBA pixels', () => {
+  const data = new Uint8Array(3 * 2 * 4).map((_, i) => (i * 37) & 0xff);
+  const img = decodePNG(encodePNG({ width: 3, height: 2, data }));
+  assert.equal(img.width, 3);
+  assert.equal(img.height, 2);
+  assert.deepEqual([...img.data], [...data]);
+});
+
+test('decodes filtered RGB rows into RGBA', () => {
+  // Row 0 uses the Sub filter, row 1 the Up filter.
+  const raw = [1, 10, 20, 30, 5, 5, 5, 2, 1, 1, 1, 0, 0, 0];
+  const img = decodePNG(png(2, 2, 2, raw));
+  assert.deepEqual([...img.data], [
+    10, 20, 30, 255, 15, 25, 35, 255,
+    11, 21, 31, 255, 15, 25, 35, 255,
+  ]);
+});
+
+test('decodes Average and Paeth filters on gray+alpha', () => {
+  const raw = [
+    0, 100, 200, 50, 10,
+    3, 10, 20, 4, 0,
+    4, 1, 1, 1, 1,
+  ];
+  const img = decodePNG(png(2, 3, 4, raw));
+  assert.deepEqual([...img.data], [
+    100, 100, 100, 200, 50, 50, 50, 10,
+    60, 60, 60, 120, 59, 59, 59, 65,
+    61, 61, 61, 121, 61, 61, 61, 66,
+  ]);
+});
+
+test('rejects what it cannot decode', () => {
+  assert.throws(() => decodePNG(Buffer.from('GIF89a')), /Not a PNG file/);
+  assert.throws(() => decodePNG(png(1, 1, 6, [0, 0, 0, 0, 0], { depth: 16 })), /Unsupported PNG \(bit depth 16/);
+  assert.throws(() => decodePNG(png(1, 1, 3, [0, 0])), /color type 3/);
+  assert.throws(() => decodePNG(png(1, 1, 6, [0, 0, 0, 0, 0], { interlace: 1 })), /interlace 1/);
+  assert.throws(() => decodePNG(png(2, 2, 6, [0, 1, 2])), /truncated/);
+  assert.throws(() => decodePNG(png(1, 1, 0, [7, 0])), /Bad PNG filter 7/);
+  assert.throws(() => decodePNG(SIGNATURE), /no IHDR/);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLimiter } from '../src/queue.js';
+
+const tick = () => new Promise((r) => setTimeout(r, 5));
+
+test('runs higher priorities first and keeps FIFO order within a level', async () => {
+  const limiter = createLimiter(1);
+  const order = [];
+  const task = (name) => async () => { order.push(name); await tick(); };
+  await Promise.all([
+    limiter.enqueue(task('a0')),
+    limiter.enqueue(task('b0')),
+    limiter.enqueue(task('c5'), { priority: 5 }),
+    limiter.enqueue(task('d-1'), { priority: -1 }),
+    limiter.enqueue(task('e5'), { priority: 5 }),
+    limiter.enqueue(task('f0'), { priority: 0 }),
+  ]);
+  assert.deepEqual(order, ['c5', 'e5', 'a0', 'b0', 'f0', 'd-1']);
+});
+
+test('a task queued later with a higher priority overtakes waiting ones', async () => {
+  const limiter = createLimiter(1);
+  const order = [];
+  const task = (name) => async () => { order.push(name); await tick(); };
+  const first = [limiter.enqueue(task('a')), limiter.enqueue(task('b'))];
+  await tick();
+  await Promise.all([...first, limiter.enqueue(task('urgent'), { priority: 10 })]);
+  assert.deepEqual(order, ['a', 'urgent', 'b']);
+});
+
+test('never runs more than `limit` tasks at once', async () => {
+  const limiter = createLimiter(2);
+  let running = 0;
+  let peak = 0;
+  const task = async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await tick();
+    running--;
+  };
+  await Promise.all(Array.from({ length: 6 }, () => limiter.enqueue(task)));
+  await limiter.idle();
+  assert.equal(peak, 2);
+  assert.equal(limiter.active, 0);
+  assert.equal(limiter.pending, 0);
+});
+
+test('cancel removes a queued task, which resolves without running', async () => {
+  const limiter = createLimiter(1);
+  const ran = [];
+  const a = limiter.enqueue(async () => { ran.push('a'); await tick(); }, { key: 'a' });
+  const b = limiter.enqueue(async () => { ran.push('b'); }, { key: 'b' });
+  await new Promise((r) => setImmediate(r));
+  assert.equal(limiter.cancel('a'), false, 'a is already running');
+  assert.equal(limiter.cancel('b'), true);
+  assert.equal(limiter.cancel('b'), false);
+  await Promise.all([a, b]);
+  assert.deepEqual(ran, ['a']);
+});
+
+test('a failing task rejects its own promise only', async () => {
+  const limiter = createLimiter(1);
+  const failing = limiter.enqueue(async () => { throw new Error('boom'); });
+  const next = limiter.enqueue(async () => {});
+  await assert.rejects(failing, /boom/);
+  await next;
+});
+
+test('pause stops starting tasks; idle waits for running ones', async () => {
+  const limiter = createLimiter(1);
+  const ran = [];
+  limiter.enqueue(async () => { ran.push('a'); await tick(); });
+  limiter.enqueue(async () => { ran.push('b'); });
+  await new Promise((r) => setImmediate(r));
+  limiter.pause();
+  await limiter.idle();
+  await tick();
+  assert.deepEqual(ran, ['a']);
+  assert.equal(limiter.pending, 1);
+});
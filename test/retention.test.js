@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { mkdir, mkdtemp, readdir, rm, utimes, writeFile } from 'fs/promises';
+import { collectGarbage, hasRetentionRules, planRemovals, scanJobs, setPinned } from '../src/retention.js';
+
+const NOW = Date.UTC(2024, 0, 10);
+const HOUR = 3_600_000;
+
+/** JobUsage finished `hours` ago. */
+const job = (id, hours, { status = 'ok', bytes = 100, pinned = false } = {}) => ({
+  id, status, finishedAt: NOW - hours * HOUR, bytes, pinned,
+});
+
+/** Ids and reasons of a plan. */
+const plan = (jobs, policy) => planRemovals(jobs, policy, NOW).map((r) => `${r.id}:${r.reason}`);
+
+test('hasRetentionRules is false for an empty or all-zero policy', () => {
+  assert.equal(hasRetentionRules({}), false);
+  assert.equal(hasRetentionRules({ maxAgeMs: 0, keepLast: 0, failed: {} }), false);
+  assert.equal(hasRetentionRules({ failed: { keepLast: 1 } }), true);
+  assert.equal(hasRetentionRules({ maxBytes: 1 }), true);
+});
+
+test('maxAgeMs and keepLast remove the oldest jobs, oldest first', () => {
+  const jobs = [job('a', 1), job('b', 2), job('c', 3), job('d', 50)];
+  assert.deepEqual(plan(jobs, { maxAgeMs: 24 * HOUR }), ['d:max_age']);
+  assert.deepEqual(plan(jobs, { keepLast: 2 }), ['d:keep_last', 'c:keep_last']);
+  assert.deepEqual(plan(jobs, { maxAgeMs: 24 * HOUR, keepLast: 2 }), ['d:max_age', 'c:keep_last']);
+  assert.deepEqual(plan(jobs, {}), []);
+  const [removal] = planRemovals(jobs, { maxAgeMs: 24 * HOUR }, NOW);
+  assert.deepEqual(removal, { id: 'd', reason: 'max_age', bytes: 100, status: 'ok', finishedAt: new Date(NOW - 50 * HOUR).toISOString() });
+});
+
+test('failed jobs are counted separately and can have their own rules', () => {
+  const jobs = [
+    job('ok1', 1), job('err1', 2, { status: 'error' }), job('ok2', 3),
+    job('cancel1', 4, { status: 'cancelled' }), job('ok3', 5), job('err2', 30, { status: 'error' }),
+  ];
+  assert.deepEqual(plan(jobs, { keepLast: 2 }), ['err2:keep_last', 'ok3:keep_last']);
+  assert.deepEqual(plan(jobs, { keepLast: 2, failed: { keepLast: 1 } }), ['err2:keep_last', 'ok3:keep_last', 'cancel1:keep_last']);
+  // An unset failed rule falls back to the general one.
+  assert.deepEqual(plan(jobs, { maxAgeMs: 24 * HOUR, failed: { keepLast: 5 } }), ['err2:max_age']);
+  assert.deepEqual(plan(jobs, { failed: { maxAgeMs: 3 * HOUR } }), ['err2:max_age', 'cancel1:max_age']);
+});
+
+test('pinned jobs are never removed and do not count towards keepLast', () => {
+  const jobs = [job('a', 1, { pinned: true }), job('b', 2), job('c', 3), job('d', 50, { pinned: true })];
+  assert.deepEqual(plan(jobs, { keepLast: 1, maxAgeMs: 24 * HOUR }), ['c:keep_last']);
+  assert.deepEqual(plan(jobs, { keepLast: 1 }), ['c:keep_last']);
+});
+
+test('maxBytes removes the oldest jobs left by the other rules', () => {
+  const jobs = [job('a', 1, { bytes: 300 }), job('b', 2, { bytes: 300 }), job('c', 3, { bytes: 300 }), job('d', 4, { bytes: 300, pinned: true })];
+  // Pinned jobs count towards the total but are skipped.
+  assert.deepEqual(plan(jobs, { maxBytes: 700 }), ['c:max_size', 'b:max_size']);
+  assert.deepEqual(plan(jobs, { maxBytes: 1200 }), []);
+  assert.deepEqual(plan(jobs, { keepLast: 2, maxBytes: 700 }), ['c:keep_last', 'b:max_size']);
+});
+
+/** responses/<id>/ with done.json finished `hours` before now. */
+async function writeJob(dir, id, hours, status = 'ok') {
+  const jobDir = path.join(dir, id);
+  await mkdir(jobDir, { recursive: true });
+  await writeFile(path.join(jobDir, 'page.html'), 'x'.repeat(1000));
+  const done = path.join(jobDir, 'done.json');
+  await writeFile(done, JSON.stringify({ status }));
+  const t = new Date(Date.now() - hours * HOUR);
+  await utimes(done, t, t);
+}
+
+test('collectGarbage removes planned jobs, skipping unfinished and active ones', async (t) => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'ww-retention-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  await writeJob(dir, 'new', 1);
+  await writeJob(dir, 'old', 48);
+  await writeJob(dir, 'running', 72);
+  await writeJob(dir, 'pinned', 96);
+  await setPinned(dir, 'pinned', true);
+  await mkdir(path.join(dir, 'unfinished'));
+
+  const isActive = (id) => id === 'running';
+  const jobs = await scanJobs(dir, isActive);
+  assert.deepEqual(jobs.map((j) => [j.id, j.pinned]), [['new', false], ['old', false], ['pinned', true]]);
+  assert.ok(jobs[0].bytes > 1000);
+
+  const policy = { maxAgeMs: 24 * HOUR };
+  const dry = await collectGarbage(dir, policy, { dryRun: true, isActive });
+  assert.deepEqual(dry.removed.map((r) => r.id), ['old']);
+  assert.equal((await readdir(dir)).length, 5);
+
+  const run = await collectGarbage(dir, policy, { isActive });
+  assert.deepEqual(run.removed.map((r) => r.id), ['old']);
+  assert.equal(run.freedBytes, dry.freedBytes);
+  assert.equal(run.keptJobs, 2);
+  assert.deepEqual((await readdir(dir)).sort(), ['new', 'pinned', 'running', 'unfinished']);
+
+  await setPinned(dir, 'pinned', false);
+  assert.deepEqual((await collectGarbage(dir, policy)).removed.map((r) => r.id), ['pinned', 'running']);
+});
+
+test('setPinned rejects unknown jobs and ids outside responses/', async (t) => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'ww-retention-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  await assert.rejects(setPinned(dir, 'nope', true), { code: 'ENOJOB' });
+  await assert.rejects(setPinned(dir, '../x', true));
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkRequestSchema, checkPresetSchema, JOB_ID } from '../src/schema.js';
+
+/** The error thrown for `raw`, or undefined when it is valid. */
+function rejection(raw) {
+  try {
+    checkRequestSchema(raw);
+  } catch (err) {
+    return err;
+  }
+  return undefined;
+}
+
+test('accepts a minimal request of each common op', () => {
+  assert.equal(rejection({ op: 'render_url', url: 'https://example.com' }), undefined);
+  assert.equal(rejection({ op: 'render_html', html: '<p>x</p>' }), undefined);
+  assert.equal(rejection({ op: 'crawl', url: 'https://example.com' }), undefined);
+});
+
+test('reports every problem with its path', () => {
+  const err = rejection({ op: 'render_url', timeoutMs: 'x', actions: [{ type: 'click' }], screenShot: true });
+  assert.equal(err.code, 'EINVALID');
+  assert.deepEqual(err.errors, [
+    { path: 'url', message: 'is required' },
+    { path: 'screenShot', message: 'is not a known field' },
+    { path: 'timeoutMs', message: 'must be a number' },
+    { path: 'actions[0].selector', message: 'is required' },
+  ]);
+  assert.match(err.message, /^url is required; screenShot is not a known field/);
+});
+
+test('tagged unions report the selected branch only', () => {
+  assert.deepEqual(rejection({ op: 'nope' }).errors.map((e) => e.path), ['op']);
+  const err = rejection({ op: 'render_html', html: 'x', extract: [{ type: 'nope' }] });
+  assert.equal(err.errors.length, 1);
+  assert.equal(err.errors[0].path, 'extract[0].type');
+  assert.match(err.errors[0].message, /^must be one of: text, attr/);
+});
+
+test('rejects a newer schemaVersion up front', () => {
+  const err = rejection({ schemaVersion: 2, op: 'render_url' });
+  assert.deepEqual(err.errors, [{ path: 'schemaVersion', message: '2 is not supported (this watcher implements schemaVersion 1)' }]);
+});
+
+test('caps the number of errors and mentions the rest in the message', () => {
+  const actions = Array.from({ length: 60 }, () => ({ type: 'click' }));
+  const err = rejection({ op: 'render_url', url: 'https://example.com', actions });
+  assert.equal(err.errors.length, 50);
+  assert.match(err.message, /\(and 55 more\)$/);
+});
+
+test('job ids cannot leave responses/ or requests/processing/', () => {
+  for (const id of ['../../x', '..', '.hidden', 'a/b', 'a\\b', '', '-x']) {
+    const err = rejection({ op: 'render_url', url: 'https://example.com', id });
+    assert.ok(err, `id ${JSON.stringify(id)} should be rejected`);
+    assert.equal(err.errors[0].path, 'id');
+    assert.equal(JOB_ID.test(id), false);
+  }
+  for (const id of ['job-1', 'watch-home-20240101T000000Z', 'a.b_c', '0f8fad5b-d9cb-469f-a165-70867728950e']) {
+    assert.equal(rejection({ op: 'render_url', url: 'https://example.com', id }), undefined);
+    assert.equal(JOB_ID.test(id), true);
+  }
+});
+
+test('presets take render fields only', () => {
+  assert.deepEqual(checkPresetSchema({ timeoutMs: 1000, viewport: { width: 390, height: 844 } }, 'p'), []);
+  assert.deepEqual(checkPresetSchema({ url: 'https://example.com' }, 'p'), [{ path: 'p.url', message: 'is not a known field' }]);
+  assert.deepEqual(checkPresetSchema({ timeoutMs: 'slow' }, 'p'), [{ path: 'p.timeoutMs', message: 'must be a number' }]);
+});
+
+test('priority is an integer rank', () => {
+  assert.equal(rejection({ op: 'render_url', url: 'https://example.com', priority: 5 }), undefined);
+  assert.equal(rejection({ op: 'render_url', url: 'https://example.com', priority: -2 }), undefined);
+  assert.deepEqual(rejection({ op: 'render_url', url: 'https://example.com', priority: 1.5 }).errors, [{ path: 'priority', message: 'must be an integer' }]);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { mkdir, mkdtemp, rm } from 'fs/promises';
+import { createSessionStore } from '../src/sessions.js';
+
+/** Browser stand-in: counts contexts; creating one takes a few ms. */
+function fakeBrowser() {
+  const contexts = [];
+  return {
+    connected: true,
+    contexts,
+    async createBrowserContext() {
+      await new Promise((r) => setTimeout(r, 10));
+      const context = { id: `ctx${contexts.length}`, closed: false, async close() { this.closed = true; } };
+      contexts.push(context);
+      return context;
+    },
+  };
+}
+
+test('concurrent jobs opening a new session share one context', async (t) => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'ww-sessions-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const store = createSessionStore({ dir });
+  const browser = fakeBrowser();
+
+  const [a, b, c] = await Promise.all([1, 2, 3].map(() => store.open(/** @type {any} */ (browser), 'shop')));
+  assert.equal(browser.contexts.length, 1);
+  assert.equal(a.context, b.context);
+  assert.equal(b.context, c.context);
+  assert.equal(store.liveCount, 1);
+  assert.equal((await store.list())[0].busy, true);
+
+  for (let i = 0; i < 3; i++) store.release('shop');
+  assert.equal((await store.list())[0].busy, false);
+});
+
+test('a new browser gets a new context', async (t) => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'ww-sessions-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const store = createSessionStore({ dir });
+  const first = fakeBrowser();
+  const second = fakeBrowser();
+
+  const [a, b] = await Promise.all([store.open(/** @type {any} */ (first), 's'), store.open(/** @type {any} */ (second), 's')]);
+  assert.notEqual(a.context, b.context);
+  const again = await store.open(/** @type {any} */ (second), 's');
+  assert.equal(again.context, b.context);
+});
+
+test('a failed open closes its context and lets the next one retry', async (t) => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'ww-sessions-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const store = createSessionStore({ dir: path.join(dir, 'missing') });
+  const browser = fakeBrowser();
+  // A directory where the session file should be makes loading it fail.
+  await mkdir(path.join(dir, 'missing', 'x.json'), { recursive: true });
+
+  await assert.rejects(store.open(/** @type {any} */ (browser), 'x'));
+  assert.equal(browser.contexts[0].closed, true);
+  assert.equal(store.liveCount, 0);
+  await assert.rejects(store.open(/** @type {any} */ (browser), 'x'));
+  assert.equal(browser.contexts.length, 2);
+});